@@ -8,16 +8,73 @@ import nhl from './services/nhl.service.js';
 import tennis from './services/tennis.service.js';
 import wbb from './services/wbb.service.js';
 import wnba from './services/wnba.service.js';
+import { withErrorContext } from './utils/errors.js';
+import { fixturesFromEnv } from './utils/fixtures.js';
+import { createHttp } from './utils/http.js';
+import { withValidation } from './utils/schema.js';
+import { schemas } from './utils/schemas.js';
 
-export default {
-    cfb,
-    mbb,
-    mlb,
-    nba,
-    ncaa,
-    nfl,
-    nhl,
-    tennis,
-    wbb,
-    wnba
-};
\ No newline at end of file
+export { createFileCache, createMemoryCache } from './utils/cache.js';
+export { createMockServer } from './utils/mockServer.js';
+export { apiRoutes, createApiServer, openApiDocument } from './utils/api.js';
+export { GRAPHQL_SCHEMA, createGraphqlLoaders, executeGraphql } from './utils/graphql.js';
+export { LOAD_KINDS, loadSeason } from './utils/bulk.js';
+export { COLUMN_TYPES, tableSchema, toArrow, toCsv, toNdjson, toParquet, writeTable } from './utils/export.js';
+export { WAREHOUSE_SCHEMA, openWarehouse, updateWarehouse } from './utils/warehouse.js';
+export { baseState, mlbPitches, mlbPlateAppearances } from './pbp/baseball.js';
+export { BASKETBALL_PERIODS, tidyBasketballPlays } from './pbp/basketball.js';
+export { boxScoreValue, flattenBoxScore } from './pbp/boxscore.js';
+export { footballPlays, footballPlayType, secondsRemaining, tidyFootballPlays } from './pbp/football.js';
+export { nhlShotAttempts, nhlShotMetrics } from './pbp/hockey.js';
+export { basketballLineups, basketballPossessions, basketballStints, boxScoreRosters } from './pbp/lineups.js';
+export { RUN_EXPECTANCY, annotateMlbPlateAppearances, runExpectancy, runExpectancyMatrix, winExpectancy } from './models/baseball.js';
+export { SchemaDriftWarning } from './utils/schema.js';
+export {
+    SdvError,
+    NotFoundError,
+    RateLimitedError,
+    TimeoutError,
+    UpstreamError,
+    UpstreamSchemaChangedError,
+    InvalidArgumentError
+} from './utils/errors.js';
+
+/**
+ * Creates a set of league namespaces bound to their own HTTP settings, so
+ * differently configured clients can coexist in one process. Service methods
+ * reject with the `SdvError` subclasses exported alongside, carrying `league`,
+ * `method`, `url` and `status`.
+ * @param {object} options - Client options
+ * @param {number} options.timeout - Request timeout in milliseconds, 0 for none
+ * @param {string} options.userAgent - User-Agent header sent with every request
+ * @param {object} options.headers - Extra headers sent with every request
+ * @param {object|false} options.proxy - axios proxy configuration
+ * @param {object} options.hosts - Base url overrides keyed by host, e.g. `{ 'cdn.espn.com': 'http://localhost:3000' }`
+ * @param {object} options.hooks - `beforeRequest`, `afterResponse` and `beforeError` hooks
+ * @param {object|false} options.retry - Retry policy: `attempts`, `minDelay`, `maxDelay`, `factor`, `jitter`, `maxRetryAfter`, `statuses`, `codes`, `onRetry`; `false` disables retries
+ * @param {object|false} options.rateLimit - Per-host `{ requestsPerSecond, burst, concurrency }` as `{ default, hosts: { 'stats.ncaa.org': {...} } }`, each a positive number or `Infinity` for no limit (0 throws `InvalidArgumentError`); `false` disables limiting
+ * @param {object|boolean} options.cache - Response cache, `true` for in-memory or `{ store, ttl, maxEntries, dir }` with `store` one of `'memory'`, `'filesystem'` or a custom `{ get, set, delete, clear }` store and `ttl` milliseconds per `default`, `reference`, `live` and `final`
+ * @param {object|false} options.fixtures - Record/replay fixtures `{ mode, dir }`, `mode` one of `'replay'`, `'record'` or `'auto'` (replay what exists, record the rest); the default client reads `SDV_FIXTURES` and `SDV_FIXTURES_DIR`
+ * @param {string} options.mockServer - Base url of a mock server started with `createMockServer` or `sdv-mock-server`, sent every ESPN and NCAA request; the default client reads `SDV_MOCK_SERVER`
+ * @param {string|object|false} options.validate - Checks the results of `getPlayByPlay`, `getBoxScore`, `getSummary` and `getScoreboard` against their expected schema: `'strict'` rejects with `UpstreamSchemaChangedError` listing the `issues`, `'lenient'` returns the result and reports a `SchemaDriftWarning` to `onDrift` in `{ mode, onDrift }` or else through `process.emitWarning`; the default client reads `SDV_VALIDATE`
+ * @param {function} options.transport - Replaces the axios transport
+ * @returns {object} client with the `cfb`, `mbb`, `mlb`, `nba`, `ncaa`, `nfl`, `nhl`, `tennis`, `wbb` and `wnba` namespaces
+ * @example
+ * const client = createClient({ timeout: 5000, userAgent: 'my-app/1.0' });
+ * const result = await client.nba.getSummary(401283399);
+ */
+export function createClient(options = {}) {
+    const http = createHttp(options);
+    const services = { cfb, mbb, mlb, nba, ncaa, nfl, nhl, tennis, wbb, wnba };
+    const client = {};
+    for (const [league, create] of Object.entries(services)) {
+        client[league] = withErrorContext(league, withValidation(league, create(http), schemas[league], options.validate));
+    }
+    return client;
+}
+
+export default createClient({
+    fixtures: fixturesFromEnv(),
+    mockServer: process.env.SDV_MOCK_SERVER,
+    validate: process.env.SDV_VALIDATE
+});
@@ -0,0 +1,239 @@
+import { InvalidArgumentError } from '../utils/errors.js';
+import { mlbPlateAppearances } from '../pbp/baseball.js';
+
+/*
+ * Run and win expectancy for MLB, from base-out states (see `baseState`).
+ *
+ * The bundled matrix holds, per base state and number of outs, the runs scored
+ * on average in the rest of the half-inning and the probability of scoring at
+ * least one, as in the 2010-2015 seasons. `runExpectancyMatrix` builds the same
+ * matrix from a set of games.
+ *
+ * Win expectancy takes the runs of a half-inning as none with the probability
+ * of not scoring, otherwise as one plus a geometric number of runs, with the mean
+ * of the matrix. It adds up the current half-inning and the ones left in
+ * regulation; a tie after nine innings goes to extra innings, which the home
+ * team wins slightly more often than not.
+ */
+export const RUN_EXPECTANCY = {
+    runs: {
+        '___': [0.481, 0.254, 0.098],
+        '1__': [0.859, 0.509, 0.214],
+        '_2_': [1.100, 0.664, 0.319],
+        '__3': [1.353, 0.950, 0.353],
+        '12_': [1.437, 0.884, 0.429],
+        '1_3': [1.798, 1.130, 0.478],
+        '_23': [1.920, 1.352, 0.570],
+        '123': [2.282, 1.520, 0.736]
+    },
+    scoring: {
+        '___': [0.268, 0.155, 0.067],
+        '1__': [0.416, 0.265, 0.127],
+        '_2_': [0.614, 0.397, 0.216],
+        '__3': [0.843, 0.660, 0.257],
+        '12_': [0.608, 0.406, 0.225],
+        '1_3': [0.860, 0.634, 0.273],
+        '_23': [0.832, 0.682, 0.263],
+        '123': [0.850, 0.661, 0.319]
+    }
+};
+
+const INNINGS = 9;
+const MAX_RUNS = 15;
+// share of extra-inning games won by the home team
+const EXTRA_INNINGS_HOME = 0.52;
+
+function checkState(state, outs) {
+    if (!(state in RUN_EXPECTANCY.runs)) {
+        throw new InvalidArgumentError(`Invalid base state '${state}', expected one of ${Object.keys(RUN_EXPECTANCY.runs).join(', ')}`, { argument: 'baseState' });
+    }
+    if (!(outs >= 0 && outs <= 3)) {
+        throw new InvalidArgumentError(`Invalid outs '${outs}', expected 0 to 3`, { argument: 'outs' });
+    }
+}
+
+/**
+ * Runs expected in the rest of the half-inning.
+ * @param {string} state - base state, e.g. `'1_3'`
+ * @param {number} outs - outs, 3 ending the half-inning
+ * @param {object} [matrix] - run expectancy matrix, `RUN_EXPECTANCY` by default
+ * @returns {number} runs
+ * @example
+ * runExpectancy('12_', 1);
+ */
+export function runExpectancy(state, outs, matrix = RUN_EXPECTANCY) {
+    checkState(state, outs);
+    return outs === 3 ? 0 : matrix.runs[state]?.[outs] ?? RUN_EXPECTANCY.runs[state][outs];
+}
+
+function halfInnings(game) {
+    const appearances = Array.isArray(game) ? game : mlbPlateAppearances(game);
+    const halves = new Map();
+    for (const appearance of appearances) {
+        const key = `${appearance.gameId}|${appearance.inning}|${appearance.half}`;
+        if (!halves.has(key)) {
+            halves.set(key, []);
+        }
+        halves.get(key).push(appearance);
+    }
+    return [...halves.values()];
+}
+
+/**
+ * Builds a run expectancy matrix from a set of games. Half-innings that end
+ * without a third out, such as walk-offs, are left out, and states the games
+ * never reach keep the bundled values.
+ * @param {object[]} games - results of `mlb.getPlayByPlay`, or lists of `mlbPlateAppearances`
+ * @returns {object} matrix `{ runs, scoring }` with `counts`, the plate appearances seen per state
+ * @example
+ * const matrix = runExpectancyMatrix(await Promise.all(ids.map((id) => sdv.mlb.getPlayByPlay(id))));
+ */
+export function runExpectancyMatrix(games) {
+    const totals = {};
+    for (const appearances of games.flatMap(halfInnings)) {
+        if (appearances[appearances.length - 1].outsAfter !== 3) {
+            continue;
+        }
+        let rest = appearances.reduce((sum, appearance) => sum + appearance.runs, 0);
+        for (const appearance of appearances) {
+            const key = `${appearance.baseStateBefore}|${appearance.outsBefore}`;
+            totals[key] = totals[key] || { count: 0, runs: 0, scored: 0 };
+            totals[key].count += 1;
+            totals[key].runs += rest;
+            totals[key].scored += rest > 0 ? 1 : 0;
+            rest -= appearance.runs;
+        }
+    }
+    const matrix = { runs: {}, scoring: {}, counts: {} };
+    for (const state of Object.keys(RUN_EXPECTANCY.runs)) {
+        matrix.counts[state] = [0, 1, 2].map((outs) => totals[`${state}|${outs}`]?.count ?? 0);
+        matrix.runs[state] = [0, 1, 2].map((outs) => {
+            const total = totals[`${state}|${outs}`];
+            return total ? Math.round(total.runs / total.count * 1000) / 1000 : RUN_EXPECTANCY.runs[state][outs];
+        });
+        matrix.scoring[state] = [0, 1, 2].map((outs) => {
+            const total = totals[`${state}|${outs}`];
+            return total ? Math.round(total.scored / total.count * 1000) / 1000 : RUN_EXPECTANCY.scoring[state][outs];
+        });
+    }
+    return matrix;
+}
+
+// runs of the rest of a half-inning, see above
+function halfInningRuns(state, outs, matrix) {
+    const distribution = new Array(MAX_RUNS + 1).fill(0);
+    if (outs === 3) {
+        distribution[0] = 1;
+        return distribution;
+    }
+    const mean = runExpectancy(state, outs, matrix);
+    const scoring = Math.min(Math.max(matrix.scoring?.[state]?.[outs] ?? RUN_EXPECTANCY.scoring[state][outs], 0.001), 1);
+    const extra = Math.max(mean / scoring - 1, 0);
+    const q = extra / (1 + extra);
+    distribution[0] = 1 - scoring;
+    for (let runs = 1; runs <= MAX_RUNS; runs++) {
+        distribution[runs] = scoring * (1 - q) * q ** (runs - 1);
+    }
+    return distribution;
+}
+
+function convolve(a, b) {
+    const result = new Array(a.length + b.length - 1).fill(0);
+    a.forEach((x, i) => {
+        if (x > 1e-12) {
+            b.forEach((y, j) => {
+                result[i + j] += x * y;
+            });
+        }
+    });
+    return result;
+}
+
+function innings(count, clean) {
+    let distribution = [1];
+    for (let i = 0; i < count; i++) {
+        distribution = convolve(distribution, clean);
+    }
+    return distribution;
+}
+
+/**
+ * Probability that the home team wins from a game state.
+ * @param {object} state - `{ inning, half, outs, baseState, homeLead }`, `half` being `'top'`
+ * or `'bottom'` and `homeLead` the home score minus the away score
+ * @param {object} [options]
+ * @param {object} [options.matrix] - run expectancy matrix, `RUN_EXPECTANCY` by default
+ * @returns {number} win expectancy between 0 and 1
+ * @example
+ * winExpectancy({ inning: 8, half: 'bottom', outs: 1, baseState: '1__', homeLead: -1 });
+ */
+export function winExpectancy({ inning, half, outs = 0, baseState = '___', homeLead = 0 } = {}, { matrix = RUN_EXPECTANCY } = {}) {
+    checkState(baseState, outs);
+    if (!(inning >= 1) || (half !== 'top' && half !== 'bottom')) {
+        throw new InvalidArgumentError('Invalid game state, expected an inning from 1 and a half of \'top\' or \'bottom\'', { argument: 'inning' });
+    }
+    const clean = halfInningRuns('___', 0, matrix);
+    const current = halfInningRuns(baseState, outs, matrix);
+    const later = innings(Math.max(INNINGS - inning, 0), clean);
+    // in the top of an inning the home team still bats in its bottom half
+    const away = half === 'top' ? convolve(current, later) : later;
+    const home = half === 'top' ? convolve(clean, later) : convolve(current, later);
+    let win = 0;
+    away.forEach((a, awayRuns) => {
+        if (a < 1e-12) {
+            return;
+        }
+        home.forEach((h, homeRuns) => {
+            const margin = homeLead + homeRuns - awayRuns;
+            win += a * h * (margin > 0 ? 1 : margin === 0 ? EXTRA_INNINGS_HOME : 0);
+        });
+    });
+    return Math.round(Math.min(Math.max(win, 0), 1) * 10000) / 10000;
+}
+
+/**
+ * Annotates the plate appearances of a MLB game with run expectancy and win
+ * expectancy, both from the point of view of the batting team.
+ *
+ * `re24` is the change in run expectancy plus the runs scored; `weBefore` and
+ * `weAfter` are the win expectancy of the batting team and `wpa` their
+ * difference. Plate appearances still in progress keep null after values.
+ * @param {object} game - result of `mlb.getPlayByPlay`
+ * @param {object} [options]
+ * @param {object} [options.matrix] - run expectancy matrix, `RUN_EXPECTANCY` by default, e.g.
+ * from `runExpectancyMatrix`
+ * @returns {object[]} plate appearances with `reBefore`, `reAfter`, `re24`, `weBefore`, `weAfter` and `wpa`
+ * @example
+ * const appearances = annotateMlbPlateAppearances(await sdv.mlb.getPlayByPlay(401472105));
+ */
+export function annotateMlbPlateAppearances(game, { matrix = RUN_EXPECTANCY } = {}) {
+    const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+    return mlbPlateAppearances(game).map((appearance) => {
+        const home = appearance.homeAway === 'home';
+        const batting = (homeWe) => (home ? homeWe : round(1 - homeWe, 4));
+        const state = { inning: appearance.inning, half: appearance.half };
+        const known = appearance.inning >= 1 && appearance.half !== null;
+        const reBefore = runExpectancy(appearance.baseStateBefore, Math.min(appearance.outsBefore, 3), matrix);
+        const weBefore = known
+            ? batting(winExpectancy({ ...state, outs: Math.min(appearance.outsBefore, 3), baseState: appearance.baseStateBefore, homeLead: appearance.homeScoreBefore - appearance.awayScoreBefore }, { matrix }))
+            : null;
+        let reAfter = null;
+        let weAfter = null;
+        if (appearance.outsAfter !== null && appearance.baseStateAfter !== null) {
+            const outs = Math.min(appearance.outsAfter, 3);
+            reAfter = runExpectancy(appearance.baseStateAfter, outs, matrix);
+            weAfter = known
+                ? batting(winExpectancy({ ...state, outs, baseState: appearance.baseStateAfter, homeLead: appearance.homeScore - appearance.awayScore }, { matrix }))
+                : null;
+        }
+        return {
+            ...appearance,
+            reBefore,
+            reAfter,
+            re24: reAfter === null ? null : round(reAfter - reBefore + appearance.runs, 3),
+            weBefore,
+            weAfter,
+            wpa: weBefore === null || weAfter === null ? null : round(weAfter - weBefore, 4)
+        };
+    });
+}
@@ -0,0 +1,260 @@
+/*
+ * ESPN lists a baseball game as one stream of plays: inning markers
+ * (`summaryType` 'I'), the start of each plate appearance ('N'), its pitches
+ * ('P'), its result ('A') and other events such as substitutions, all tied to a
+ * plate appearance by `atBatId`. The start of a plate appearance carries the
+ * outs and the runners before it, its result the outs and runners after it.
+ *
+ * Base states are written as three characters for first, second and third,
+ * `'1_3'` being runners on the corners and `'___'` empty bases.
+ */
+const RESULT_TYPES = [
+    ['home run', /home.?run|homered/],
+    ['double play', /double.?play|triple.?play/],
+    ['triple', /triple/],
+    ['double', /double/],
+    ['single', /single/],
+    ['intentional walk', /intentional/],
+    ['walk', /walk/],
+    ['hit by pitch', /hit.?by.?pitch/],
+    ['strikeout', /strikeout|struck out/],
+    ['sacrifice', /sac(rifice)?\b|sac.?(fly|bunt)/],
+    ['fielders choice', /fielder.?s.?choice/],
+    ['error', /error/],
+    ['field out', /out\b|flied|grounded|lined|popped|fouled out/]
+];
+
+const PITCH_RESULTS = [
+    ['hit by pitch', /hit.?by.?pitch/],
+    ['foul', /foul/],
+    ['swinging strike', /swinging/],
+    ['called strike', /looking|called/],
+    ['in play', /in.?play/],
+    ['ball', /ball|intent/]
+];
+
+function half(play) {
+    const type = String(play.period?.type || '').toLowerCase();
+    return type.startsWith('top') ? 'top' : type.startsWith('bot') ? 'bottom' : null;
+}
+
+function participant(play, type) {
+    return (play?.participants || []).find((entry) => entry.type === type)?.athlete?.id ?? null;
+}
+
+function runners(play) {
+    return {
+        first: play?.onFirst?.athlete?.id ?? null,
+        second: play?.onSecond?.athlete?.id ?? null,
+        third: play?.onThird?.athlete?.id ?? null
+    };
+}
+
+/**
+ * Writes the runners on base as a base state, see above.
+ * @param {object} runners - `{ first, second, third }` ids, null when the base is empty
+ * @returns {string} base state
+ */
+export function baseState({ first, second, third } = {}) {
+    return `${first ? '1' : '_'}${second ? '2' : '_'}${third ? '3' : '_'}`;
+}
+
+// the first of the values a type matches, so the play type wins over its text
+function classify(types, ...values) {
+    for (const value of values) {
+        const lower = String(value || '').toLowerCase();
+        const match = types.find(([, pattern]) => pattern.test(lower));
+        if (match) {
+            return match[0];
+        }
+    }
+    return 'other';
+}
+
+function coordinate(value) {
+    return value && typeof value.x === 'number' && typeof value.y === 'number' ? value : null;
+}
+
+function teamSides(game) {
+    const sides = {};
+    for (const competitor of game.teams || []) {
+        sides[competitor.team?.id ?? competitor.id] = competitor.homeAway;
+    }
+    return sides;
+}
+
+/**
+ * Lists the plate appearances of a MLB game.
+ *
+ * The `Before` columns are the state when the batter comes up, the `After`
+ * columns the state once the plate appearance ends, with empty bases after the
+ * third out; `runnerOn...` columns hold the ids of the runners. `runs` are the
+ * runs the batting team scored during the plate appearance, including on
+ * steals and wild pitches; `balls` and `strikes` are the final count.
+ * @param {object} game - result of `mlb.getPlayByPlay`
+ * @returns {object[]} plate appearances
+ * @example
+ * const appearances = mlbPlateAppearances(await sdv.mlb.getPlayByPlay(401472105));
+ */
+export function mlbPlateAppearances(game) {
+    const sides = teamSides(game);
+    const opponent = (teamId) => Object.keys(sides).find((other) => other !== teamId) ?? null;
+    const appearances = [];
+    const byId = {};
+    let homeScore = 0;
+    let awayScore = 0;
+    let outs = 0;
+    let bases = runners(null);
+    let inning = null;
+
+    for (const play of game.plays || []) {
+        const key = `${play.period?.number}|${half(play)}`;
+        if (key !== inning) {
+            inning = key;
+            outs = 0;
+            bases = runners(null);
+        }
+        if (play.atBatId && !byId[play.atBatId]) {
+            const teamId = play.team?.id ?? null;
+            const start = play.summaryType === 'N' ? play : null;
+            byId[play.atBatId] = {
+                gameId: String(game.id),
+                atBatId: play.atBatId,
+                number: appearances.length + 1,
+                inning: play.period?.number ?? null,
+                half: half(play),
+                battingTeamId: teamId,
+                fieldingTeamId: teamId ? opponent(teamId) : null,
+                homeAway: sides[teamId] ?? null,
+                batterId: participant(play, 'batter'),
+                pitcherId: participant(play, 'pitcher'),
+                batterHand: play.bats?.type ?? null,
+                outsBefore: start?.outs ?? outs,
+                runnersBefore: start ? runners(start) : bases,
+                outsAfter: null,
+                runnersAfter: null,
+                result: null,
+                resultType: null,
+                text: null,
+                rbi: 0,
+                runs: 0,
+                pitches: 0,
+                balls: 0,
+                strikes: 0,
+                trajectory: null,
+                hitCoordinateX: null,
+                hitCoordinateY: null,
+                homeScoreBefore: homeScore,
+                awayScoreBefore: awayScore,
+                homeScore,
+                awayScore
+            };
+            appearances.push(byId[play.atBatId]);
+        }
+        const appearance = byId[play.atBatId];
+        const home = Number(play.homeScore ?? homeScore);
+        const away = Number(play.awayScore ?? awayScore);
+        if (appearance) {
+            appearance.batterId = appearance.batterId ?? participant(play, 'batter');
+            appearance.pitcherId = appearance.pitcherId ?? participant(play, 'pitcher');
+            appearance.runs += appearance.homeAway === 'home' ? home - homeScore : appearance.homeAway === 'away' ? away - awayScore : 0;
+            appearance.homeScore = home;
+            appearance.awayScore = away;
+            if (play.summaryType === 'P') {
+                appearance.pitches += 1;
+                appearance.balls = play.resultCount?.balls ?? appearance.balls;
+                appearance.strikes = play.resultCount?.strikes ?? appearance.strikes;
+            }
+            if (play.summaryType === 'A') {
+                const hit = coordinate(play.hitCoordinate);
+                Object.assign(appearance, {
+                    outsAfter: play.outs ?? null,
+                    runnersAfter: play.outs >= 3 ? runners(null) : runners(play),
+                    result: play.type?.text ?? null,
+                    resultType: classify(RESULT_TYPES, `${play.type?.type || ''} ${play.type?.text || ''}`, play.text),
+                    text: play.text ?? null,
+                    rbi: play.rbiCount ?? 0,
+                    trajectory: play.trajectory ?? null,
+                    hitCoordinateX: hit ? hit.x : null,
+                    hitCoordinateY: hit ? hit.y : null
+                });
+            }
+        }
+        homeScore = home;
+        awayScore = away;
+        if (typeof play.outs === 'number') {
+            outs = play.outs;
+        }
+        if (play.summaryType === 'A' || play.summaryType === 'N') {
+            bases = play.outs >= 3 ? runners(null) : runners(play);
+        }
+    }
+
+    return appearances.map(({ runnersBefore, runnersAfter, ...appearance }) => ({
+        ...appearance,
+        baseStateBefore: baseState(runnersBefore),
+        baseStateAfter: runnersAfter ? baseState(runnersAfter) : null,
+        runnerOnFirstBefore: runnersBefore.first,
+        runnerOnSecondBefore: runnersBefore.second,
+        runnerOnThirdBefore: runnersBefore.third,
+        runnerOnFirstAfter: runnersAfter?.first ?? null,
+        runnerOnSecondAfter: runnersAfter?.second ?? null,
+        runnerOnThirdAfter: runnersAfter?.third ?? null
+    }));
+}
+
+/**
+ * Lists the pitches of a MLB game.
+ *
+ * `balls` and `strikes` are the count the pitch is thrown in and `ballsAfter`
+ * and `strikesAfter` the count it leaves; `pitcherPitchNumber` counts the
+ * pitches of the pitcher in the game. Location columns are null when ESPN sends
+ * no coordinates.
+ * @param {object} game - result of `mlb.getPlayByPlay`
+ * @returns {object[]} pitches
+ * @example
+ * const pitches = mlbPitches(await sdv.mlb.getPlayByPlay(401472105));
+ */
+export function mlbPitches(game) {
+    const starts = {};
+    for (const play of game.plays || []) {
+        if (play.atBatId && play.summaryType === 'N' && !starts[play.atBatId]) {
+            starts[play.atBatId] = play;
+        }
+    }
+    const pitcherCounts = {};
+    return (game.plays || []).filter((play) => play.summaryType === 'P').map((play, index) => {
+        const start = starts[play.atBatId];
+        const pitcherId = participant(start, 'pitcher') ?? participant(play, 'pitcher');
+        if (pitcherId) {
+            pitcherCounts[pitcherId] = (pitcherCounts[pitcherId] || 0) + 1;
+        }
+        const location = coordinate(play.pitchCoordinate);
+        return {
+            gameId: String(game.id),
+            atBatId: play.atBatId ?? null,
+            playId: play.id,
+            gamePitchNumber: index + 1,
+            pitchNumber: play.atBatPitchNumber ?? null,
+            pitcherPitchNumber: pitcherId ? pitcherCounts[pitcherId] : null,
+            inning: play.period?.number ?? null,
+            half: half(play),
+            battingTeamId: play.team?.id ?? null,
+            batterId: participant(start, 'batter') ?? participant(play, 'batter'),
+            pitcherId,
+            batterHand: start?.bats?.type ?? null,
+            outs: play.outs ?? null,
+            balls: play.pitchCount?.balls ?? null,
+            strikes: play.pitchCount?.strikes ?? null,
+            ballsAfter: play.resultCount?.balls ?? null,
+            strikesAfter: play.resultCount?.strikes ?? null,
+            result: play.type?.text ?? null,
+            resultType: classify(PITCH_RESULTS, `${play.type?.type || ''} ${play.type?.text || ''}`),
+            pitchType: play.pitchType?.text ?? null,
+            pitchTypeAbbreviation: play.pitchType?.abbreviation ?? null,
+            velocity: play.pitchVelocity ?? null,
+            coordinateX: location ? location.x : null,
+            coordinateY: location ? location.y : null
+        };
+    });
+}
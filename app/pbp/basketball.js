@@ -0,0 +1,131 @@
+import { clockSeconds } from './clock.js';
+import { InvalidArgumentError } from '../utils/errors.js';
+
+/**
+ * Regulation periods, their length and the length of overtime per league, in seconds.
+ */
+export const BASKETBALL_PERIODS = {
+    nba: { periods: 4, length: 720, overtime: 300 },
+    wnba: { periods: 4, length: 600, overtime: 300 },
+    mbb: { periods: 2, length: 1200, overtime: 300 },
+    wbb: { periods: 4, length: 600, overtime: 300 }
+};
+
+// ESPN sends far out of range coordinates for plays without a location
+const MAX_COORDINATE = 1000;
+
+function secondsElapsed(period, left, { periods, length, overtime }) {
+    if (left === null || !period) {
+        return { periodSecondsElapsed: null, gameSecondsElapsed: null };
+    }
+    const regulation = period <= periods;
+    const periodLength = regulation ? length : overtime;
+    const before = regulation ? (period - 1) * length : periods * length + (period - periods - 1) * overtime;
+    const periodSecondsElapsed = Math.max(periodLength - left, 0);
+    return { periodSecondsElapsed, gameSecondsElapsed: before + periodSecondsElapsed };
+}
+
+function shotType(type) {
+    const name = String(type || '').toLowerCase().replace(/\s+/g, '');
+    if (name.includes('freethrow')) {
+        return 'free throw';
+    }
+    if (name.includes('dunk')) {
+        return 'dunk';
+    }
+    if (name.includes('layup')) {
+        return 'layup';
+    }
+    if (name.includes('hook')) {
+        return 'hook shot';
+    }
+    if (name.includes('tip')) {
+        return 'tip shot';
+    }
+    return 'jump shot';
+}
+
+function coordinate(value) {
+    return typeof value === 'number' && Math.abs(value) < MAX_COORDINATE ? value : null;
+}
+
+function score(value, fallback) {
+    const number = Number(value);
+    return value === undefined || value === null || Number.isNaN(number) ? fallback : number;
+}
+
+/**
+ * Flattens the plays of a basketball game into one row per play.
+ *
+ * Clock columns are in seconds: `clockSeconds` left in the period,
+ * `periodSecondsElapsed` and `gameSecondsElapsed` since the start of the period
+ * and of the game, with overtime periods after regulation. Score columns give the
+ * score before and after the play; differentials are from the point of view of
+ * the home and of the away team after the play. Shot columns are null for plays
+ * that are not shots.
+ * @param {object} game - result of `getPlayByPlay` of nba, wnba, mbb or wbb
+ * @param {object} options
+ * @param {string} options.league - `'nba'`, `'wnba'`, `'mbb'` or `'wbb'`, selects the period lengths
+ * @returns {object[]} rows
+ * @example
+ * const rows = tidyBasketballPlays(await sdv.mbb.getPlayByPlay(401260281), { league: 'mbb' });
+ */
+export function tidyBasketballPlays(game, { league } = {}) {
+    const periods = BASKETBALL_PERIODS[league];
+    if (!periods) {
+        throw new InvalidArgumentError(`Unsupported basketball league '${league}', expected one of ${Object.keys(BASKETBALL_PERIODS).join(', ')}`, { argument: 'league' });
+    }
+    const sides = {};
+    for (const competitor of game.teams || []) {
+        sides[competitor.team?.id ?? competitor.id] = competitor.homeAway;
+    }
+    let homeScoreBefore = 0;
+    let awayScoreBefore = 0;
+    return (game.plays || []).map((play) => {
+        const period = play.period?.number ?? null;
+        const left = clockSeconds(play.clock?.displayValue);
+        const teamId = play.team?.id ?? null;
+        const athletes = (play.participants || []).map((participant) => participant.athlete?.id ?? null);
+        const shooting = Boolean(play.shootingPlay);
+        const type = shooting ? shotType(play.type?.text) : null;
+        const three = /three point|3-pt|three-point/i.test(`${play.type?.text} ${play.text}`);
+        const homeScore = score(play.homeScore, homeScoreBefore);
+        const awayScore = score(play.awayScore, awayScoreBefore);
+        const row = {
+            gameId: String(game.id),
+            playId: play.id,
+            sequenceNumber: play.sequenceNumber === undefined ? null : Number(play.sequenceNumber),
+            period,
+            clock: play.clock?.displayValue ?? null,
+            clockSeconds: left,
+            ...secondsElapsed(period, left, periods),
+            typeId: play.type?.id ?? null,
+            type: play.type?.text ?? null,
+            text: play.text ?? null,
+            teamId,
+            homeAway: sides[teamId] ?? null,
+            scoringPlay: Boolean(play.scoringPlay),
+            scoreValue: play.scoreValue ?? 0,
+            shootingPlay: shooting,
+            shotMade: shooting ? Boolean(play.scoringPlay) : null,
+            shotType: type,
+            shotValue: shooting ? (type === 'free throw' ? 1 : three ? 3 : 2) : null,
+            coordinateX: shooting ? coordinate(play.coordinate?.x) : null,
+            coordinateY: shooting ? coordinate(play.coordinate?.y) : null,
+            athlete1Id: athletes[0] ?? null,
+            athlete2Id: athletes[1] ?? null,
+            athlete3Id: athletes[2] ?? null,
+            assistAthleteId: shooting && play.scoringPlay && /assist/i.test(play.text || '') ? athletes[1] ?? null : null,
+            homeScoreBefore,
+            awayScoreBefore,
+            homeScore,
+            awayScore,
+            homeScoreDifferential: homeScore - awayScore,
+            awayScoreDifferential: awayScore - homeScore,
+            wallclock: play.wallclock ?? null
+        };
+        homeScoreBefore = homeScore;
+        awayScoreBefore = awayScore;
+        return row;
+    });
+}
@@ -0,0 +1,163 @@
+/*
+ * ESPN box scores list player stats as string columns per group (one group in
+ * basketball, passing, rushing, ... in football, forwards, defense and goalies
+ * in hockey, batting and pitching in baseball), named by `keys`. Paired values
+ * such as `'7-14'` under `'fieldGoalsMade-fieldGoalsAttempted'`, `'22/31'` under
+ * `'completions/passingAttempts'` or innings `'6.2'` under
+ * `'fullInnings.partInnings'` are split into a column per key. Team stats are
+ * single values by name, nested per group in baseball.
+ */
+
+// team stats whose name does not say what their two values are
+const PAIRED_NAMES = {
+    thirdDownEff: ['thirdDownConversions', 'thirdDownAttempts'],
+    fourthDownEff: ['fourthDownConversions', 'fourthDownAttempts'],
+    completionAttempts: ['completions', 'passingAttempts'],
+    sacksYardsLost: ['sacks', 'sackYardsLost'],
+    totalPenaltiesYards: ['totalPenalties', 'penaltyYards'],
+    redZoneAttempts: ['redZoneConversions', 'redZoneAttempts']
+};
+
+const PAIR = /^(\d+(?:\.\d+)?)([-/])(\d+(?:\.\d+)?)$/;
+
+/**
+ * Columns of the player rows of `flattenBoxScore` that every row has; the
+ * other columns are stats.
+ */
+export const PLAYER_KEYS = ['gameId', 'teamId', 'teamAbbreviation', 'homeAway', 'athleteId', 'athleteName', 'jersey', 'position', 'category', 'starter', 'didNotPlay', 'ejected'];
+
+/**
+ * Columns of the team rows of `flattenBoxScore` that every row has; the other
+ * columns are stats.
+ */
+export const TEAM_KEYS = ['gameId', 'teamId', 'teamAbbreviation', 'homeAway'];
+
+/**
+ * Converts a box score value to a number: clock values such as minutes or time
+ * on ice become seconds, `'+3'` and `'.275'` their numbers, percentages drop the
+ * sign. Empty values and dashes are null; other text is kept.
+ * @param {string|number} value - box score value
+ * @returns {number|string|null} value
+ */
+export function boxScoreValue(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const text = String(value ?? '').trim().replace(/%$/, '');
+    if (text === '' || /^-+$/.test(text)) {
+        return null;
+    }
+    const clock = text.match(/^(\d+):(\d{2})$/);
+    if (clock) {
+        return Number(clock[1]) * 60 + Number(clock[2]);
+    }
+    return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : text;
+}
+
+// column name of a key such as 'fo%' or '+/-'
+function column(key) {
+    if (key === '+/-') {
+        return 'plusMinus';
+    }
+    return String(key).replace(/%/g, 'Pct').replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''));
+}
+
+function columns(key, value) {
+    const separator = String(key).match(/\w([-/.])\w/)?.[1];
+    if (separator) {
+        const [first, second] = String(key).split(separator).map(column);
+        const parts = String(value ?? '').split(separator);
+        return parts.length === 2
+            ? [[first, boxScoreValue(parts[0])], [second, boxScoreValue(parts[1])]]
+            : [[first, boxScoreValue(value)], [second, null]];
+    }
+    const pair = String(value ?? '').match(PAIR);
+    if (pair) {
+        const [first, second] = PAIRED_NAMES[key] || [`${column(key)}Made`, `${column(key)}Attempted`];
+        return [[first, Number(pair[1])], [second, Number(pair[3])]];
+    }
+    return [[column(key), boxScoreValue(value)]];
+}
+
+// adds stat columns to a row, never over its id columns
+function assign(row, fixed, key, value) {
+    for (const [name, stat] of columns(key, value)) {
+        if (!fixed.includes(name)) {
+            row[name] = stat;
+        }
+    }
+}
+
+/**
+ * Flattens the box score of a game of any league into player and team rows.
+ *
+ * Players get a row per stat group they appear in, `category` being the group
+ * (`'passing'`, `'batting'`, `'goalies'`, ... or null in basketball), so a
+ * quarterback has a passing and a rushing row. Team rows hold every team stat,
+ * prefixed with the group in baseball (`battingHits`). Stat values are numbers
+ * as given by `boxScoreValue`; paired values are split, see above.
+ * @param {object} boxScore - result of `getBoxScore` of any league
+ * @param {object} [options]
+ * @param {number|string} [options.gameId] - game id, the box score `id` by default
+ * @returns {object} `{ players, teams }`
+ * @example
+ * const { players, teams } = flattenBoxScore(await sdv.nfl.getBoxScore(401220403));
+ */
+export function flattenBoxScore(boxScore, { gameId = boxScore?.id } = {}) {
+    const id = gameId === undefined || gameId === null ? null : String(gameId);
+    const sides = {};
+    for (const competitor of [...(boxScore?.teams || []), ...(boxScore?.players || [])]) {
+        if (competitor.team?.id && competitor.homeAway) {
+            sides[competitor.team.id] = competitor.homeAway;
+        }
+    }
+
+    const players = [];
+    for (const side of boxScore?.players || []) {
+        for (const group of side.statistics || []) {
+            const keys = group.keys || group.names || group.labels || [];
+            for (const entry of group.athletes || []) {
+                const row = {
+                    gameId: id,
+                    teamId: side.team?.id ?? null,
+                    teamAbbreviation: side.team?.abbreviation ?? null,
+                    homeAway: sides[side.team?.id] ?? null,
+                    athleteId: entry.athlete?.id ?? null,
+                    athleteName: entry.athlete?.displayName ?? null,
+                    jersey: entry.athlete?.jersey ?? null,
+                    position: entry.athlete?.position?.abbreviation ?? null,
+                    category: group.name ?? group.type ?? null,
+                    starter: typeof entry.starter === 'boolean' ? entry.starter : null,
+                    didNotPlay: Boolean(entry.didNotPlay),
+                    ejected: Boolean(entry.ejected)
+                };
+                const fixed = Object.keys(row);
+                keys.forEach((key, index) => assign(row, fixed, key, entry.stats?.[index]));
+                players.push(row);
+            }
+        }
+    }
+
+    const teams = (boxScore?.teams || []).map((competitor) => {
+        const row = {
+            gameId: id,
+            teamId: competitor.team?.id ?? null,
+            teamAbbreviation: competitor.team?.abbreviation ?? null,
+            homeAway: competitor.homeAway ?? sides[competitor.team?.id] ?? null
+        };
+        const fixed = Object.keys(row);
+        for (const stat of competitor.statistics || []) {
+            if (Array.isArray(stat.stats)) {
+                for (const nested of stat.stats) {
+                    const name = String(nested.name || '');
+                    assign(row, fixed, `${stat.name}${name.charAt(0).toUpperCase()}${name.slice(1)}`, nested.displayValue ?? nested.value);
+                }
+            } else if (stat.name) {
+                assign(row, fixed, stat.name, stat.displayValue ?? stat.value);
+            }
+        }
+        return row;
+    });
+
+    return { players, teams };
+}
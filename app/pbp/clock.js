@@ -0,0 +1,13 @@
+/**
+ * Reads an ESPN game clock, `'11:45'` or `'45.2'` under a minute.
+ * @param {string} displayValue - clock as displayed
+ * @returns {number|null} seconds left in the period
+ */
+export function clockSeconds(displayValue) {
+    if (typeof displayValue !== 'string' || displayValue.trim() === '') {
+        return null;
+    }
+    const [minutes, seconds] = displayValue.includes(':') ? displayValue.split(':') : [0, displayValue];
+    const value = Number(minutes) * 60 + Number(seconds);
+    return Number.isNaN(value) ? null : value;
+}
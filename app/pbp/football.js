@@ -0,0 +1,217 @@
+import { clockSeconds } from './clock.js';
+
+/*
+ * ESPN names play types inconsistently between the NFL and college football and
+ * across seasons ('Rushing Touchdown', 'Rush', 'Fumble Recovery (Own)', ...), so
+ * the standardized type is read from the type text, then from the play text.
+ * Names are parsed from the play text, which comes in ESPN's form ('A pass
+ * complete to B for 9 yds') and in the NFL's ('(Shotgun) A pass short right to B
+ * to CAR 34 for 9 yards'); ids come from the participants.
+ */
+const PLAY_TYPES = [
+    ['end of period', /^end (of )?(period|quarter|half|game|regulation)|^end game/],
+    ['timeout', /timeout/],
+    ['kickoff', /kickoff/],
+    ['punt', /punt/],
+    ['field goal', /field goal/],
+    ['extra point', /extra point|^pat\b/],
+    ['two point', /two.point|2pt|conversion/],
+    ['sack', /sack/],
+    ['pass', /pass|interception/],
+    ['rush', /rush|run\b/],
+    ['penalty', /penalty/],
+    ['safety', /safety/]
+];
+
+const TEXT_TYPES = [
+    ['sack', /\bsacked\b/],
+    ['pass', /\bpass(es|ed)?\b|\bintercepted\b|\bspiked?\b/],
+    ['rush', /\b(run|rush(es)?|kneels|scrambles)\b|\b(left|right) (end|tackle|guard)\b|\bup the middle\b/],
+    ['penalty', /\bpenalty\b/]
+];
+
+/**
+ * Standardized type of a football play.
+ * @param {object} play - ESPN play with `type` and `text`
+ * @returns {string} `'rush'`, `'pass'`, `'sack'`, `'punt'`, `'field goal'`, `'extra point'`,
+ * `'two point'`, `'kickoff'`, `'penalty'`, `'safety'`, `'timeout'`, `'end of period'` or `'other'`
+ */
+export function footballPlayType(play) {
+    const type = String(play.type?.text || '').toLowerCase();
+    const text = String(play.text || '').toLowerCase();
+    const match = PLAY_TYPES.find(([, pattern]) => pattern.test(type)) || TEXT_TYPES.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : 'other';
+}
+
+// drops the clock and formation the NFL puts in front of the text
+function description(play) {
+    return String(play.text || '').replace(/^(\s*\([^)]*\))+\s*/, '').trim();
+}
+
+const NAME_END = '(?= to | for | at |, |\\. | \\(|\\.?$)';
+
+function names(text, playType) {
+    const name = (pattern) => text.match(pattern)?.[1] ?? null;
+    // 'B 75 Yd pass from A (Kicker Kick)'
+    const scoringPass = text.match(/^(.+?) \d+ Yd pass from (.+?)(?: \(|$)/i);
+    if (scoringPass) {
+        return { passer: scoringPass[2], receiver: scoringPass[1], rusher: null };
+    }
+    if (playType === 'pass' || playType === 'sack' || playType === 'two point') {
+        const passer = name(/^(.+?) (?:pass|sacked|spiked?)\b/i);
+        if (passer) {
+            return {
+                passer,
+                receiver: name(new RegExp(`pass(?: (?:complete|incomplete))?(?: (?:short|deep))?(?: (?:left|middle|right))?(?: intended for| to) (.+?)${NAME_END}`, 'i')),
+                rusher: null
+            };
+        }
+    }
+    if (playType === 'rush' || playType === 'two point') {
+        return {
+            passer: null,
+            receiver: null,
+            rusher: name(new RegExp(`^(.+?)(?: \\d+ Yd Run| (?:run|rush|kneels|scrambles)\\b| (?:left|right) (?:end|tackle|guard)| up the middle)`, 'i'))
+        };
+    }
+    return { passer: null, receiver: null, rusher: null };
+}
+
+function athleteIds(play, playType) {
+    const participants = play.participants || [];
+    const typed = (...types) => participants.find((participant) => types.includes(participant.type))?.athlete?.id ?? null;
+    if (participants.some((participant) => participant.type)) {
+        return { passer: typed('passer'), receiver: typed('receiver', 'target'), rusher: typed('rusher') };
+    }
+    // participants without a type are listed passer first, then receiver
+    const [first, second] = participants.map((participant) => participant.athlete?.id ?? null);
+    const passing = playType === 'pass' || playType === 'sack';
+    return {
+        passer: passing ? first ?? null : null,
+        receiver: playType === 'pass' ? second ?? null : null,
+        rusher: playType === 'rush' ? first ?? null : null
+    };
+}
+
+function positive(value) {
+    return typeof value === 'number' && value > 0 ? value : null;
+}
+
+const QUARTER_SECONDS = 900;
+
+/**
+ * Seconds left in regulation, or in the overtime period, at the start of a play.
+ * @param {object} play - ESPN play with `period` and `clock`
+ * @returns {number|null} seconds
+ */
+export function secondsRemaining(play) {
+    const period = play.period?.number;
+    const left = clockSeconds(play.clock?.displayValue);
+    if (!period || left === null) {
+        return null;
+    }
+    return period <= 4 ? (4 - period) * QUARTER_SECONDS + left : left;
+}
+
+/**
+ * Every play of a football game in order, across its drives.
+ * @param {object} game - result of `getPlayByPlay` of nfl or cfb
+ * @returns {object[]} plays with the `driveId` of their drive
+ */
+export function footballPlays(game) {
+    const drives = [...(game.drives?.previous || [])];
+    const current = game.drives?.current;
+    if (current && !drives.some((drive) => drive.id === current.id)) {
+        drives.push(current);
+    }
+    return drives.flatMap((drive) => (drive.plays || []).map((play) => ({ ...play, driveId: drive.id })));
+}
+
+/**
+ * Flattens the drives of a football game into one row per play.
+ *
+ * `offenseTeamId` is the team with the ball at the start of the play, the
+ * kicking team on kickoffs. `down` and `distance` are null on plays without a
+ * down such as kickoffs and extra points, and `yardsToGoal` is measured from the
+ * line of scrimmage. Name and id columns are null when the play has no passer,
+ * rusher or receiver, or when the text does not name them. `fumbleLost` is set
+ * when the text has the defence recovering a fumble; `turnover` is an
+ * interception or a lost fumble.
+ * @param {object} game - result of `getPlayByPlay` of nfl or cfb
+ * @returns {object[]} rows
+ * @example
+ * const rows = tidyFootballPlays(await sdv.nfl.getPlayByPlay(401220403));
+ */
+export function tidyFootballPlays(game) {
+    const sides = {};
+    const abbreviations = {};
+    for (const competitor of game.teams || []) {
+        const teamId = competitor.team?.id ?? competitor.id;
+        sides[teamId] = competitor.homeAway;
+        abbreviations[teamId] = competitor.team?.abbreviation;
+    }
+    const opponent = (teamId) => Object.keys(sides).find((other) => other !== teamId) ?? null;
+    const drives = {};
+    for (const drive of [...(game.drives?.previous || []), game.drives?.current].filter(Boolean)) {
+        drives[drive.id] = drives[drive.id] || { number: Object.keys(drives).length + 1, result: drive.result ?? drive.displayResult ?? null };
+    }
+
+    return footballPlays(game).map((play) => {
+        const playType = footballPlayType(play);
+        const text = description(play);
+        const offense = play.start?.team?.id ?? play.team?.id ?? null;
+        const hasDown = play.start?.down >= 1 && play.start?.down <= 4;
+        const parsed = names(text, playType);
+        const ids = athleteIds(play, playType);
+        const lower = `${play.type?.text || ''} ${text}`.toLowerCase();
+        const interception = /interception|intercepted/.test(lower);
+        // a kick that is 'No Good', blocked or missed can still read 'good' ('good snap')
+        const fieldGoalMade = playType === 'field goal' && !/\bno good\b|\bblocked\b|\bmissed\b/.test(lower) && /\bgood\b/.test(lower);
+        const recovered = text.match(/recovered by ([A-Z][A-Za-z&]{1,5})\b/);
+        const fumbleLost = /fumble/.test(lower) && (/opponent/.test(lower) || Boolean(recovered && offense && recovered[1] !== abbreviations[offense]));
+        const touchdown = /touchdown/.test(lower) || /\bfor a td\b/.test(lower) || /\d+ yd (run|pass)/.test(lower);
+        return {
+            gameId: String(game.id),
+            driveId: play.driveId,
+            driveNumber: drives[play.driveId]?.number ?? null,
+            driveResult: drives[play.driveId]?.result ?? null,
+            playId: play.id,
+            sequenceNumber: play.sequenceNumber === undefined ? null : Number(play.sequenceNumber),
+            period: play.period?.number ?? null,
+            clock: play.clock?.displayValue ?? null,
+            clockSeconds: clockSeconds(play.clock?.displayValue),
+            secondsRemaining: secondsRemaining(play),
+            offenseTeamId: offense,
+            defenseTeamId: offense ? opponent(offense) : null,
+            homeAway: sides[offense] ?? null,
+            down: hasDown ? play.start.down : null,
+            distance: hasDown ? play.start.distance ?? null : null,
+            yardLine: play.start?.yardLine ?? null,
+            yardsToGoal: positive(play.start?.yardsToEndzone),
+            yardsGained: play.statYardage ?? null,
+            typeId: play.type?.id ?? null,
+            type: play.type?.text ?? null,
+            playType,
+            text: play.text ?? null,
+            passerId: ids.passer,
+            passerName: parsed.passer,
+            rusherId: ids.rusher,
+            rusherName: parsed.rusher,
+            receiverId: ids.receiver,
+            receiverName: parsed.receiver,
+            pass: playType === 'pass' || playType === 'sack',
+            rush: playType === 'rush',
+            penalty: playType === 'penalty' || /\bpenalty\b/.test(lower),
+            scoringPlay: Boolean(play.scoringPlay),
+            touchdown,
+            fieldGoalMade,
+            safety: /\bsafety\b/.test(lower),
+            interception,
+            fumbleLost,
+            turnover: interception || fumbleLost,
+            homeScore: Number(play.homeScore ?? 0),
+            awayScore: Number(play.awayScore ?? 0),
+            wallclock: play.wallclock ?? null
+        };
+    });
+}
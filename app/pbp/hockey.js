@@ -0,0 +1,260 @@
+import { clockSeconds } from './clock.js';
+
+/*
+ * Shot attempts and possession metrics for the NHL.
+ *
+ * ESPN rink coordinates are in feet from center ice, x along the length of the
+ * rink and y across it, with the goal lines 89 feet from center. A team attacks
+ * the same net for a whole period, so the net of every attempt is taken from the
+ * side most of that team's attempts of the period come from. Blocked shots are
+ * credited to the shooting team, at the location of the block.
+ *
+ * Corsi counts every attempt (goals, shots on goal, misses and blocks), Fenwick
+ * every unblocked one. Strength states are seen from each team: an attempt on
+ * the power play counts as `'pp'` for the shooting team and as `'pk'` against
+ * the other. With on-ice players they come from the skaters on the ice,
+ * otherwise from ESPN's strength, where even strength is taken as 5 on 5.
+ */
+const GOAL_LINE = 89;
+const STRENGTHS = ['all', '5v5', 'pp', 'pk'];
+const SHOT_TYPES = [
+    ['wrap-around', /wrap/],
+    ['tip-in', /tip/],
+    ['deflected', /deflect/],
+    ['backhand', /backhand/],
+    ['slap shot', /slap/],
+    ['snap shot', /snap/],
+    ['wrist shot', /wrist/]
+];
+
+function attemptResult(play) {
+    const type = String(play.type?.text || '').toLowerCase();
+    if (type.includes('shootout')) {
+        return null;
+    }
+    if (type === 'goal' || (play.scoringPlay && play.shootingPlay)) {
+        return 'goal';
+    }
+    if (type.includes('blocked')) {
+        return 'block';
+    }
+    if (type.includes('miss')) {
+        return 'miss';
+    }
+    if (type === 'shot' || type.includes('shot on goal')) {
+        return 'shot';
+    }
+    return null;
+}
+
+function shotType(text) {
+    const lower = String(text || '').toLowerCase();
+    return SHOT_TYPES.find(([, pattern]) => pattern.test(lower))?.[0] ?? null;
+}
+
+function opposite(strength) {
+    return strength === 'pp' ? 'pk' : strength === 'pk' ? 'pp' : strength;
+}
+
+// skaters on the ice per team, goalies excluded
+function skaters(entry) {
+    const counts = {};
+    for (const athlete of entry?.athletes || []) {
+        const teamId = athlete.team?.id;
+        const position = athlete.position?.abbreviation ?? athlete.athlete?.position?.abbreviation;
+        if (teamId && position !== 'G') {
+            counts[teamId] = (counts[teamId] || 0) + 1;
+        }
+    }
+    return counts;
+}
+
+function strengthState(play, teamId, opponentId, entry) {
+    const counts = skaters(entry);
+    if (counts[teamId] && counts[opponentId]) {
+        if (counts[teamId] === counts[opponentId]) {
+            return counts[teamId] === 5 ? '5v5' : 'other';
+        }
+        return counts[teamId] > counts[opponentId] ? 'pp' : 'pk';
+    }
+    const abbreviation = String(play.strength?.abbreviation || '').toLowerCase();
+    return { ev: '5v5', pp: 'pp', sh: 'pk' }[abbreviation] ?? 'other';
+}
+
+function onIceByPlay(game) {
+    const entries = {};
+    for (const entry of game.onIce || []) {
+        if (entry?.playId !== undefined) {
+            entries[entry.playId] = entry;
+        }
+    }
+    return entries;
+}
+
+function coordinate(value) {
+    return typeof value === 'number' && Math.abs(value) <= 100 ? value : null;
+}
+
+/**
+ * Lists the shot attempts of a NHL game with their location.
+ *
+ * `distance` is in feet from the center of the net the team attacks and `angle`
+ * in degrees from straight on, above 90 from behind the goal line; both are
+ * null without coordinates.
+ * @param {object} game - result of `nhl.getPlayByPlay`
+ * @returns {object[]} attempts `{ gameId, playId, period, clock, clockSeconds, teamId, homeAway,
+ * shooterId, result, shotType, strength, corsi, fenwick, coordinateX, coordinateY, distance,
+ * angle, homeScore, awayScore }`, `result` being `'goal'`, `'shot'`, `'miss'` or `'block'`
+ * @example
+ * const attempts = nhlShotAttempts(await sdv.nhl.getPlayByPlay(401272446));
+ */
+export function nhlShotAttempts(game) {
+    const sides = {};
+    for (const competitor of game.teams || []) {
+        sides[competitor.team?.id ?? competitor.id] = competitor.homeAway;
+    }
+    const opponent = (teamId) => Object.keys(sides).find((other) => other !== teamId) ?? null;
+    const onIce = onIceByPlay(game);
+    const attempts = (game.plays || []).filter((play) => attemptResult(play) && play.team?.id);
+
+    const side = {};
+    for (const play of attempts) {
+        const key = `${play.team.id}|${play.period?.number}`;
+        side[key] = (side[key] || 0) + (coordinate(play.coordinate?.x) ?? 0);
+    }
+
+    return attempts.map((play) => {
+        const teamId = play.team.id;
+        const x = coordinate(play.coordinate?.x);
+        const y = coordinate(play.coordinate?.y);
+        const result = attemptResult(play);
+        let distance = null;
+        let angle = null;
+        if (x !== null && y !== null) {
+            const direction = side[`${teamId}|${play.period?.number}`] < 0 ? -1 : 1;
+            const towards = direction * (direction * GOAL_LINE - x);
+            distance = Math.round(Math.hypot(towards, y) * 10) / 10;
+            angle = Math.round(Math.atan2(Math.abs(y), towards) * 180 / Math.PI * 10) / 10;
+        }
+        return {
+            gameId: String(game.id),
+            playId: play.id,
+            period: play.period?.number ?? null,
+            clock: play.clock?.displayValue ?? null,
+            clockSeconds: clockSeconds(play.clock?.displayValue),
+            teamId,
+            homeAway: sides[teamId] ?? null,
+            shooterId: play.participants?.[0]?.athlete?.id ?? null,
+            result,
+            shotType: shotType(play.text),
+            strength: strengthState(play, teamId, opponent(teamId), onIce[play.id]),
+            corsi: true,
+            fenwick: result !== 'block',
+            coordinateX: x,
+            coordinateY: y,
+            distance,
+            angle,
+            homeScore: Number(play.homeScore ?? 0),
+            awayScore: Number(play.awayScore ?? 0)
+        };
+    });
+}
+
+function counts() {
+    return { cf: 0, ca: 0, ff: 0, fa: 0, goalsFor: 0, goalsAgainst: 0, shotsFor: 0, shotsAgainst: 0 };
+}
+
+function tally(record, attempt, side) {
+    record[`c${side}`] += 1;
+    if (attempt.fenwick) {
+        record[`f${side}`] += 1;
+    }
+    if (attempt.result === 'goal' || attempt.result === 'shot') {
+        record[side === 'f' ? 'shotsFor' : 'shotsAgainst'] += 1;
+    }
+    if (attempt.result === 'goal') {
+        record[side === 'f' ? 'goalsFor' : 'goalsAgainst'] += 1;
+    }
+}
+
+function percentages(record) {
+    const pct = (f, a) => (f + a === 0 ? null : Math.round(f / (f + a) * 1000) / 10);
+    return { ...record, cfPct: pct(record.cf, record.ca), ffPct: pct(record.ff, record.fa) };
+}
+
+/**
+ * Corsi and Fenwick of a NHL game for each team and player, overall and by
+ * strength state.
+ *
+ * Team and on-ice player rows count attempts for and against with their
+ * percentages (null without attempts). On-ice counts need the on-ice players of
+ * each attempt, `onIce` entries `{ playId, athletes: [{ athlete: { id }, team: { id } }] }`;
+ * without them players only get their own attempts, `icf` and `iff`, and null on-ice counts.
+ * @param {object} game - result of `nhl.getPlayByPlay`
+ * @returns {object} `{ teams, players }`, rows with `strength` one of `'all'`, `'5v5'`, `'pp'` and `'pk'`
+ * @example
+ * const { teams } = nhlShotMetrics(await sdv.nhl.getPlayByPlay(401272446));
+ * const evenStrength = teams.filter((row) => row.strength === '5v5');
+ */
+export function nhlShotMetrics(game) {
+    const attempts = nhlShotAttempts(game);
+    const onIce = onIceByPlay(game);
+    const sides = {};
+    for (const competitor of game.teams || []) {
+        sides[competitor.team?.id ?? competitor.id] = competitor.homeAway;
+    }
+    const teamIds = Object.keys(sides);
+    const teams = {};
+    const players = {};
+    const team = (teamId, strength) => {
+        const key = `${teamId}|${strength}`;
+        teams[key] = teams[key] || { teamId, homeAway: sides[teamId] ?? null, strength, ...counts() };
+        return teams[key];
+    };
+    const player = (athleteId, teamId, strength) => {
+        const key = `${athleteId}|${strength}`;
+        players[key] = players[key] || { athleteId, teamId, strength, ...counts(), icf: 0, iff: 0, goals: 0, onIce: false };
+        return players[key];
+    };
+    for (const teamId of teamIds) {
+        STRENGTHS.forEach((strength) => team(teamId, strength));
+    }
+
+    for (const attempt of attempts) {
+        const against = teamIds.find((teamId) => teamId !== attempt.teamId);
+        const states = ['all', attempt.strength];
+        for (const strength of states.filter((state) => STRENGTHS.includes(state))) {
+            tally(team(attempt.teamId, strength), attempt, 'f');
+            if (against) {
+                tally(team(against, opposite(strength)), attempt, 'a');
+            }
+            if (attempt.shooterId) {
+                const shooter = player(attempt.shooterId, attempt.teamId, strength);
+                shooter.icf += 1;
+                shooter.iff += attempt.fenwick ? 1 : 0;
+                shooter.goals += attempt.result === 'goal' ? 1 : 0;
+            }
+            for (const athlete of onIce[attempt.playId]?.athletes || []) {
+                const athleteId = athlete.athlete?.id ?? athlete.id;
+                const teamId = athlete.team?.id;
+                if (!athleteId || !teamId) {
+                    continue;
+                }
+                const ours = teamId === attempt.teamId;
+                const record = player(athleteId, teamId, ours ? strength : opposite(strength));
+                record.onIce = true;
+                tally(record, attempt, ours ? 'f' : 'a');
+            }
+        }
+    }
+
+    return {
+        teams: Object.values(teams).map(percentages),
+        players: Object.values(players).map(({ onIce: seen, ...record }) => {
+            if (seen) {
+                return percentages(record);
+            }
+            return { ...record, cf: null, ca: null, ff: null, fa: null, goalsFor: null, goalsAgainst: null, shotsFor: null, shotsAgainst: null, cfPct: null, ffPct: null };
+        })
+    };
+}
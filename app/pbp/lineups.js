@@ -0,0 +1,302 @@
+const LINEUP_SIZE = 5;
+
+/*
+ * Possessions and lineups are derived from the rows of `tidyBasketballPlays`.
+ *
+ * A possession changes hands on a made field goal (after its and-one free
+ * throw), a made last free throw of a trip, a turnover, a defensive rebound and
+ * at the end of a period. The team of a shot, free throw, turnover or offensive
+ * rebound, and of a jump ball won between possessions, is taken to have the
+ * ball, which also settles sequences the rules above miss.
+ *
+ * ESPN only logs substitutions made during a period. The first period starts
+ * with the starters of the box score; later periods start with the players who
+ * appear in them before being substituted in, completed from the lineup that
+ * ended the previous period.
+ */
+
+function typeName(row) {
+    return String(row.type || '').toLowerCase();
+}
+
+function isSubstitution(row) {
+    return typeName(row).includes('substitution');
+}
+
+function isFreeThrow(row) {
+    return row.shotType === 'free throw';
+}
+
+function isLastFreeThrow(row) {
+    const match = `${row.type} ${row.text}`.match(/(\d+) of (\d+)/);
+    return Boolean(match) && match[1] === match[2];
+}
+
+function isTurnover(row) {
+    return typeName(row).includes('turnover');
+}
+
+function isRebound(row) {
+    return typeName(row).includes('rebound');
+}
+
+function isJumpBall(row) {
+    return typeName(row).replace(/\s+/g, '').includes('jumpball');
+}
+
+function isEndOfPeriod(row) {
+    return /^end (period|game)/i.test(row.type || '') || /^end of/i.test(row.text || '');
+}
+
+// a free throw of the scoring team at the same time, usually after the foul
+function isAndOne(rows, index) {
+    const made = rows[index];
+    for (const row of rows.slice(index + 1)) {
+        if (row.period !== made.period || row.clockSeconds !== made.clockSeconds) {
+            return false;
+        }
+        if (isFreeThrow(row) && row.teamId === made.teamId) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function teamSides(rows) {
+    const sides = {};
+    for (const row of rows) {
+        if (row.teamId && row.homeAway) {
+            sides[row.homeAway] = row.teamId;
+        }
+    }
+    return sides;
+}
+
+/**
+ * Splits a basketball game into possessions.
+ * @param {object[]} rows - result of `tidyBasketballPlays`
+ * @returns {object[]} possessions `{ gameId, number, period, teamId, homeAway, startPlayId,
+ * endPlayId, startGameSeconds, endGameSeconds, plays, points, endReason }`, where
+ * `endReason` is `'made shot'`, `'free throws'`, `'turnover'`, `'defensive rebound'`,
+ * `'end of period'` or `'change of possession'`
+ * @example
+ * const possessions = basketballPossessions(await sdv.nba.getTidyPlayByPlay(401283399));
+ */
+export function basketballPossessions(rows) {
+    const sides = teamSides(rows);
+    const opponent = (teamId) => (teamId === sides.home ? sides.away : sides.home) ?? null;
+    const possessions = [];
+    let current = null;
+
+    const open = (teamId, row) => {
+        current = {
+            gameId: row.gameId,
+            number: possessions.length + 1,
+            period: row.period,
+            teamId,
+            homeAway: teamId === sides.home ? 'home' : teamId === sides.away ? 'away' : null,
+            startPlayId: row.playId,
+            endPlayId: row.playId,
+            startGameSeconds: row.gameSecondsElapsed,
+            endGameSeconds: row.gameSecondsElapsed,
+            plays: 0,
+            points: 0,
+            endReason: null
+        };
+        possessions.push(current);
+    };
+    const close = (reason, next) => {
+        if (current) {
+            current.endReason = reason;
+            current = null;
+        }
+        if (next?.teamId) {
+            open(next.teamId, next.row);
+        }
+    };
+
+    rows.forEach((row, index) => {
+        if (current && current.period !== row.period) {
+            close('end of period');
+        }
+        const offensive = row.shootingPlay || isTurnover(row) || (isRebound(row) && row.teamId === current?.teamId) || (isJumpBall(row) && !current);
+        if (row.teamId && offensive && current?.teamId !== row.teamId) {
+            close('change of possession');
+            open(row.teamId, row);
+        }
+        if (current) {
+            current.plays += 1;
+            current.endPlayId = row.playId;
+            current.endGameSeconds = row.gameSecondsElapsed;
+            if (row.scoringPlay && row.teamId === current.teamId) {
+                current.points += row.scoreValue;
+            }
+        }
+        const defence = { teamId: opponent(row.teamId), row };
+        if (isEndOfPeriod(row)) {
+            close('end of period');
+        } else if (row.shootingPlay && row.shotMade && !isFreeThrow(row)) {
+            if (!isAndOne(rows, index)) {
+                close('made shot', defence);
+            }
+        } else if (isFreeThrow(row) && row.shotMade && isLastFreeThrow(row)) {
+            close('free throws', defence);
+        } else if (isTurnover(row) && row.teamId) {
+            close('turnover', defence);
+        } else if (isRebound(row) && row.teamId && (typeName(row).includes('defensive') || (current && row.teamId !== current.teamId))) {
+            close('defensive rebound', { teamId: row.teamId, row });
+        }
+    });
+    return possessions.filter((possession) => possession.plays > 0);
+}
+
+/**
+ * Reads the teams and starters of a box score.
+ * @param {object} boxScore - `boxScore` of `getPlayByPlay` or result of `getBoxScore`
+ * @returns {object} `{ teams: { [athleteId]: teamId }, starters: { [teamId]: athleteId[] } }`
+ */
+export function boxScoreRosters(boxScore) {
+    const teams = {};
+    const starters = {};
+    for (const side of boxScore?.players || []) {
+        const teamId = side.team?.id;
+        starters[teamId] = starters[teamId] || [];
+        for (const group of side.statistics || []) {
+            for (const entry of group.athletes || []) {
+                const athleteId = entry.athlete?.id;
+                teams[athleteId] = teamId;
+                if (entry.starter && !starters[teamId].includes(athleteId)) {
+                    starters[teamId].push(athleteId);
+                }
+            }
+        }
+    }
+    return { teams, starters };
+}
+
+function athletesOf(row) {
+    return [row.athlete1Id, row.athlete2Id, row.athlete3Id].filter(Boolean);
+}
+
+// players on the floor at the start of a period, see above
+function periodLineup(periodRows, teamId, teams, previous) {
+    const seen = [];
+    const entered = new Set();
+    for (const row of periodRows) {
+        if (isSubstitution(row)) {
+            if (row.teamId !== teamId) {
+                continue;
+            }
+            if (row.athlete2Id && !entered.has(row.athlete2Id) && !seen.includes(row.athlete2Id)) {
+                seen.push(row.athlete2Id);
+            }
+            if (row.athlete1Id) {
+                entered.add(row.athlete1Id);
+            }
+            continue;
+        }
+        for (const athleteId of athletesOf(row)) {
+            if (teams[athleteId] === teamId && !entered.has(athleteId) && !seen.includes(athleteId)) {
+                seen.push(athleteId);
+            }
+        }
+    }
+    const lineup = seen.slice(0, LINEUP_SIZE);
+    for (const athleteId of previous) {
+        if (lineup.length >= LINEUP_SIZE) {
+            break;
+        }
+        if (!lineup.includes(athleteId) && !entered.has(athleteId)) {
+            lineup.push(athleteId);
+        }
+    }
+    return lineup;
+}
+
+/**
+ * Adds the players on the floor to every play of a basketball game. On a
+ * substitution the lineups are the ones after it.
+ * @param {object[]} rows - result of `tidyBasketballPlays`
+ * @param {object} boxScore - `boxScore` of `getPlayByPlay` or result of `getBoxScore`, for the starters
+ * @returns {object[]} rows with `homePlayerIds` and `awayPlayerIds`, each sorted
+ */
+export function basketballLineups(rows, boxScore) {
+    const sides = teamSides(rows);
+    const { teams, starters } = boxScoreRosters(boxScore);
+    const lineups = { home: [], away: [] };
+    let period = null;
+    return rows.map((row) => {
+        if (row.period !== period) {
+            period = row.period;
+            const periodRows = rows.filter((other) => other.period === period);
+            for (const side of ['home', 'away']) {
+                const teamId = sides[side];
+                const first = starters[teamId] || [];
+                lineups[side] = lineups[side].length === 0 && first.length === LINEUP_SIZE
+                    ? [...first]
+                    : periodLineup(periodRows, teamId, teams, lineups[side]);
+            }
+        }
+        if (isSubstitution(row) && row.homeAway) {
+            const lineup = lineups[row.homeAway].filter((athleteId) => athleteId !== row.athlete2Id);
+            if (row.athlete1Id && !lineup.includes(row.athlete1Id)) {
+                lineup.push(row.athlete1Id);
+            }
+            lineups[row.homeAway] = lineup;
+        }
+        return {
+            ...row,
+            homePlayerIds: [...lineups.home].sort(),
+            awayPlayerIds: [...lineups.away].sort()
+        };
+    });
+}
+
+/**
+ * Groups the plays of a basketball game into stints, the stretches during
+ * which the same ten players are on the floor.
+ * @param {object[]} rows - result of `tidyBasketballPlays`
+ * @param {object} boxScore - `boxScore` of `getPlayByPlay` or result of `getBoxScore`, for the starters
+ * @returns {object[]} stints `{ gameId, number, period, homePlayerIds, awayPlayerIds,
+ * startPlayId, endPlayId, startGameSeconds, endGameSeconds, seconds, plays, homePoints, awayPoints }`
+ * @example
+ * const game = await sdv.wnba.getPlayByPlay(401244185);
+ * const stints = basketballStints(tidyBasketballPlays(game, { league: 'wnba' }), game.boxScore);
+ */
+export function basketballStints(rows, boxScore) {
+    const stints = [];
+    let current = null;
+    for (const row of basketballLineups(rows, boxScore)) {
+        const key = `${row.homePlayerIds.join()}|${row.awayPlayerIds.join()}`;
+        if (!current || current.period !== row.period || current.key !== key) {
+            const samePeriod = current?.period === row.period;
+            if (samePeriod) {
+                current.endGameSeconds = row.gameSecondsElapsed;
+            }
+            current = {
+                key,
+                gameId: row.gameId,
+                number: stints.length + 1,
+                period: row.period,
+                homePlayerIds: row.homePlayerIds,
+                awayPlayerIds: row.awayPlayerIds,
+                startPlayId: row.playId,
+                endPlayId: row.playId,
+                // the first stint of a period starts with the period
+                startGameSeconds: samePeriod || row.gameSecondsElapsed === null ? row.gameSecondsElapsed : row.gameSecondsElapsed - row.periodSecondsElapsed,
+                endGameSeconds: row.gameSecondsElapsed,
+                plays: 0,
+                homePoints: 0,
+                awayPoints: 0
+            };
+            stints.push(current);
+        }
+        current.plays += 1;
+        current.endPlayId = row.playId;
+        current.endGameSeconds = Math.max(current.endGameSeconds ?? 0, row.gameSecondsElapsed ?? 0);
+        if (row.scoringPlay && row.homeAway) {
+            current[`${row.homeAway}Points`] += row.scoreValue;
+        }
+    }
+    return stints.map(({ key, ...stint }) => ({ ...stint, seconds: stint.endGameSeconds - stint.startGameSeconds }));
+}
@@ -1,290 +1,397 @@
-import axios from 'axios';
+import { assertArguments, assertPayload } from "../utils/errors.js";
+import { datesParam, fetchEachDay, mergeSchedules } from "../utils/dates.js";
+import { seasonGames } from "../utils/seasons.js";
+import { annotateMlbPlateAppearances } from "../models/baseball.js";
+import { mlbPitches, mlbPlateAppearances } from "../pbp/baseball.js";
+import { flattenBoxScore } from "../pbp/boxscore.js";
 /**
  * Operations for MLB.
  *
  * @namespace mlb
  */
-export default {
-  /**
-   * Gets the MLB game play-by-play data for a specified game.
-   * @memberOf mlb
-   * @async
-   * @function
-   * @param {number} id - Game id.
-   * @returns json
-   * @example
-   * const result = await sdv.mlb.getPlayByPlay(401472105);
-   */
-  getPlayByPlay: async function (id) {
-    const baseUrl = "http://cdn.espn.com/core/mlb/playbyplay";
-    const params = {
-      gameId: id,
-      xhr: 1,
-      render: "false",
-      userab: 18,
-    };
-    const res = await axios.get(baseUrl, {
-      params,
-    });
-    return {
-      teams: res.data.gamepackageJSON.header.competitions[0].competitors,
-      id: res.data.gamepackageJSON.header.id,
-      plays: res.data.gamepackageJSON.plays,
-      competitions: res.data.gamepackageJSON.header.competitions,
-      season: res.data.gamepackageJSON.header.season,
-      boxScore: res.data.gamepackageJSON.boxscore,
-      seasonSeries: res.data.gamepackageJSON.seasonseries,
-      standings: res.data.gamepackageJSON.standings,
-    };
-  },
-  /**
-   * Gets the MLB game box score data for a specified game.
-   * @memberOf mlb
-   * @async
-   * @function
-   * @param {number} id - Game id.
-   * @returns json
-   * @example
-   * const result = await sdv.mlb.getBoxScore(401472105);
-   */
-  getBoxScore: async function (id) {
-    const baseUrl = "http://cdn.espn.com/core/mlb/boxscore";
-    const params = {
-      gameId: id,
-      xhr: 1,
-      render: false,
-      device: "desktop",
-      userab: 18,
-    };
-    const res = await axios.get(baseUrl, {
-      params,
-    });
-    const game = res.data.gamepackageJSON.boxscore;
-    game.id = res.data.gameId;
-    return game;
-  },
-  /**
-   * Gets the MLB game summary data for a specified game.
-   * @memberOf mlb
-   * @async
-   * @function
-   * @param {number} id - Game id.
-   * @returns json
-   * @example
-   * const result = await sdv.mlb.getSummary(401472105);
-   */
-  getSummary: async function (id) {
-    const baseUrl =
-      "http://site.api.espn.com/apis/site/v2/sports/baseball/mlb/summary";
-    const params = {
-      event: id,
-    };
-    const res = await axios.get(baseUrl, {
-      params,
-    });
-    return {
-      boxScore: res.data.boxscore,
-      gameInfo: res.data.gameInfo,
-      header: res.data.header,
-      teams: res.data.gamepackageJSON?.header.competitions[0].competitors,
-      id: res.data.gamepackageJSON?.header.id,
-      plays: res.data.gamepackageJSON?.plays,
-      winProbability: res.data.winprobability,
-      leaders: res.data.leaders,
-      competitions: res.data.gamepackageJSON?.header.competitions,
-      season: res.data.gamepackageJSON?.header.season,
-      seasonSeries: res.data.gamepackageJSON?.seasonseries,
-      standings: res.data.gamepackageJSON?.standings,
-    };
-  },
-  /**
-   * Gets the MLB game PickCenter data for a specified game.
-   * @memberOf mlb
-   * @async
-   * @function
-   * @param {number} id - Game id.
-   * @returns json
-   * @example
-   * const result = await sdv.mlb.getPicks(401472105);
-   */
-  getPicks: async function (id) {
-    const baseUrl =
-      "http://site.api.espn.com/apis/site/v2/sports/baseball/mlb/summary";
-    const params = {
-      event: id,
-    };
-    const res = await axios.get(baseUrl, {
-      params,
-    });
-    return {
-      id: parseInt(res.data.header.id),
-      gameInfo: res.data.gameInfo,
-      leaders: res.data.leaders,
-      header: res.data.header,
-      teams: res.data.header.competitions[0].competitors,
-      competitions: res.data.header.competitions,
-      winProbability: res.data.winprobability,
-      pickcenter: res.data.winprobability,
-      againstTheSpread: res.data.againstTheSpread,
-      odds: res.data.odds,
-      seasonSeries: res.data.seasonseries,
-      season: res.data.header.season,
-      standings: res.data.standings,
-    };
-  },
-  /**
-   * Gets the MLB schedule data for a specified date if available.
-   * @memberOf mlb
-   * @async
-   * @function
-   * @param {*} year - Year (YYYY)
-   * @param {*} month - Month (MM)
-   * @param {*} day - Day (DD)
-   * @returns json
-   * @example
-   * const result = await sdv.mlb.getSchedule(
-   * year = 2016, month = 04, day = 15
-   * )
-   */
-  getSchedule: async function ({ year, month, day }) {
-    const baseUrl = `http://cdn.espn.com/core/mlb/schedule`;
+export default function createMlbService(http) {
+  const service = {
+    /**
+     * Gets the MLB game play-by-play data for a specified game.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @param {number} id - Game id.
+     * @returns json
+     * @example
+     * const result = await sdv.mlb.getPlayByPlay(401472105);
+     */
+    getPlayByPlay: async function (id) {
+      assertArguments({ id });
+      const baseUrl = "http://cdn.espn.com/core/mlb/playbyplay";
+      const params = {
+        gameId: id,
+        xhr: 1,
+        render: "false",
+        userab: 18,
+      };
+      const res = await http.get(baseUrl, {
+        params,
+        kind: "game",
+      });
+      assertPayload(res, "gamepackageJSON.header.competitions");
+      return {
+        teams: res.data.gamepackageJSON.header.competitions[0].competitors,
+        id: res.data.gamepackageJSON.header.id,
+        plays: res.data.gamepackageJSON.plays,
+        competitions: res.data.gamepackageJSON.header.competitions,
+        season: res.data.gamepackageJSON.header.season,
+        boxScore: res.data.gamepackageJSON.boxscore,
+        seasonSeries: res.data.gamepackageJSON.seasonseries,
+        standings: res.data.gamepackageJSON.standings,
+      };
+    },
+    /**
+     * Gets the plate appearances of a MLB game with the outs and runners before and
+     * after each one, see `mlbPlateAppearances`.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @param {number} id - Game id.
+     * @returns json
+     * @example
+     * const result = await sdv.mlb.getPlateAppearances(401472105);
+     */
+    getPlateAppearances: async function (id) {
+      return mlbPlateAppearances(await service.getPlayByPlay(id));
+    },
+    /**
+     * Gets the pitches of a MLB game with their type, velocity, count and location,
+     * see `mlbPitches`.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @param {number} id - Game id.
+     * @returns json
+     * @example
+     * const result = await sdv.mlb.getPitches(401472105);
+     */
+    getPitches: async function (id) {
+      return mlbPitches(await service.getPlayByPlay(id));
+    },
+    /**
+     * Gets the plate appearances of a MLB game with their RE24, win expectancy before
+     * and after and WPA for the batting team, see `annotateMlbPlateAppearances`. The
+     * run expectancy matrix ships with the package.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @param {number} id - Game id.
+     * @param {object} [options]
+     * @param {object} [options.matrix] - Run expectancy matrix, e.g. from `runExpectancyMatrix`.
+     * @returns json
+     * @example
+     * const result = await sdv.mlb.getAnnotatedPlateAppearances(401472105);
+     */
+    getAnnotatedPlateAppearances: async function (id, options = {}) {
+      return annotateMlbPlateAppearances(await service.getPlayByPlay(id), options);
+    },
+    /**
+     * Gets the MLB game box score data for a specified game.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @param {number} id - Game id.
+     * @returns json
+     * @example
+     * const result = await sdv.mlb.getBoxScore(401472105);
+     */
+    getBoxScore: async function (id) {
+      assertArguments({ id });
+      const baseUrl = "http://cdn.espn.com/core/mlb/boxscore";
+      const params = {
+        gameId: id,
+        xhr: 1,
+        render: false,
+        device: "desktop",
+        userab: 18,
+      };
+      const res = await http.get(baseUrl, {
+        params,
+        kind: "game",
+      });
+      assertPayload(res, "gamepackageJSON.boxscore");
+      const game = res.data.gamepackageJSON.boxscore;
+      game.id = res.data.gameId;
+      return game;
+    },
+    /**
+     * Gets the box score of a MLB game as player and team rows, see `flattenBoxScore`.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @param {number} id - Game id.
+     * @returns json
+     * @example
+     * const result = await sdv.mlb.getTidyBoxScore(401472105);
+     */
+    getTidyBoxScore: async function (id) {
+      return flattenBoxScore(await service.getBoxScore(id));
+    },
+    /**
+     * Gets the MLB game summary data for a specified game.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @param {number} id - Game id.
+     * @returns json
+     * @example
+     * const result = await sdv.mlb.getSummary(401472105);
+     */
+    getSummary: async function (id) {
+      assertArguments({ id });
+      const baseUrl =
+        "http://site.api.espn.com/apis/site/v2/sports/baseball/mlb/summary";
+      const params = {
+        event: id,
+      };
+      const res = await http.get(baseUrl, {
+        params,
+        kind: "game",
+      });
+      return {
+        boxScore: res.data.boxscore,
+        gameInfo: res.data.gameInfo,
+        header: res.data.header,
+        teams: res.data.gamepackageJSON?.header.competitions[0].competitors,
+        id: res.data.gamepackageJSON?.header.id,
+        plays: res.data.gamepackageJSON?.plays,
+        winProbability: res.data.winprobability,
+        leaders: res.data.leaders,
+        competitions: res.data.gamepackageJSON?.header.competitions,
+        season: res.data.gamepackageJSON?.header.season,
+        seasonSeries: res.data.gamepackageJSON?.seasonseries,
+        standings: res.data.gamepackageJSON?.standings,
+      };
+    },
+    /**
+     * Gets the MLB game PickCenter data for a specified game.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @param {number} id - Game id.
+     * @returns json
+     * @example
+     * const result = await sdv.mlb.getPicks(401472105);
+     */
+    getPicks: async function (id) {
+      assertArguments({ id });
+      const baseUrl =
+        "http://site.api.espn.com/apis/site/v2/sports/baseball/mlb/summary";
+      const params = {
+        event: id,
+      };
+      const res = await http.get(baseUrl, {
+        params,
+        kind: "game",
+      });
+      assertPayload(res, "header.competitions");
+      return {
+        id: parseInt(res.data.header.id),
+        gameInfo: res.data.gameInfo,
+        leaders: res.data.leaders,
+        header: res.data.header,
+        teams: res.data.header.competitions[0].competitors,
+        competitions: res.data.header.competitions,
+        winProbability: res.data.winprobability,
+        pickcenter: res.data.winprobability,
+        againstTheSpread: res.data.againstTheSpread,
+        odds: res.data.odds,
+        seasonSeries: res.data.seasonseries,
+        season: res.data.header.season,
+        standings: res.data.standings,
+      };
+    },
+    /**
+     * Gets the MLB schedule data for a specified date if available.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @param {*} year - Year (YYYY)
+     * @param {*} month - Month (MM)
+     * @param {*} day - Day (DD)
+     * @param {Date|string} date - Date as a `Date` or `'YYYY-MM-DD'` string, instead of year, month and day
+     * @param {*} start - First day of a date range, in any of the forms above
+     * @param {*} end - Last day of the range, which is requested day by day and merged into one result
+     * @returns json
+     * @example
+     * const result = await sdv.mlb.getSchedule(
+     * year = 2016, month = 04, day = 15
+     * )
+     * const range = await sdv.mlb.getSchedule({ start: '2023-04-13', end: '2023-04-15' })
+     */
+    getSchedule: async function (options = {}) {
+      const baseUrl = `http://cdn.espn.com/core/mlb/schedule`;
 
-    const params = {
-      xhr: 1,
-      render: false,
-      device: "desktop",
-      userab: 18,
-    };
-    if (year && month && day) {
-      params.dates = `${year}${parseInt(month) <= 9 ? "0" + parseInt(month) : parseInt(month)}${parseInt(day) <= 9 ? "0" + parseInt(day) : parseInt(day)}`;
-    }
-    const res = await axios.get(baseUrl, {
-      params,
-    });
-    return res.data.content.schedule;
-  },
-  /**
-   * Gets the MLB scoreboard data for a specified date if available.
-   * @memberOf mlb
-   * @async
-   * @function
-   * @param {*} year - Year (YYYY)
-   * @param {*} month - Month (MM)
-   * @param {*} day - Day (DD)
-   * @param {number} limit - Limit on the number of results @default 300
-   * @returns json
-   * @example
-   * const result = await sdv.mlb.getScoreboard(
-   * year = 2019, month = 11, day = 16
-   * )
-   */
-  getScoreboard: async function ({
-    year,
-    month,
-    day,
-    limit = 300,
-  }) {
-    const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/baseball/mlb/scoreboard`;
-    const params = {
-      limit,
-    };
-    if (year && month && day) {
-      params.dates = `${year}${parseInt(month) <= 9 ? "0" + parseInt(month) : parseInt(month)}${parseInt(day) <= 9 ? "0" + parseInt(day) : parseInt(day)}`;
-    }
-    const res = await axios.get(baseUrl, {
-      params,
-    });
-    return res.data;
-  },
-  /**
-   * Gets the team standings for the MLB.
-   * @memberOf mlb
-   * @async
-   * @function
-   * @param {number} year - Season
-   * @param {string} group - acceptable group names: 'league','conference','division'
-   * @returns json
-   * @example
-   * const yr = 2016;
-   * const result = await sdv.mlb.getStandings(year = yr);
-   */
-  getStandings: async function ({
-    year = new Date().getFullYear(),
-    group = "league",
-  }) {
-    const groupId = group === "league" ? 1 : group === "conference" ? 2 : 3;
-    const baseUrl = `https://site.web.api.espn.com/apis/v2/sports/baseball/mlb/standings`;
-    const params = {
-      region: "us",
-      lang: "en",
-      contentorigin: "espn",
-      season: year,
-      type: 1,
-      level: groupId,
-    };
-    const res = await axios.get(baseUrl, {
-      params,
-    });
-    return res.data;
-  },
-  /**
-   * Gets the list of all MLB teams their identification info for ESPN.
-   * @memberOf mlb
-   * @async
-   * @function
-   * @returns json
-   * @example
-   * const result = await sdv.mlb.getTeamList();
-   */
-  getTeamList: async function () {
-    const baseUrl =
-      "http://site.api.espn.com/apis/site/v2/sports/baseball/mlb/teams";
-    const params = {
-      limit: 1000,
-    };
+      return fetchEachDay(options, async (dates) => {
+        const params = {
+          dates,
+          xhr: 1,
+          render: false,
+          device: "desktop",
+          userab: 18,
+        };
+        const res = await http.get(baseUrl, {
+          params,
+        });
+        assertPayload(res, "content.schedule");
+        return res.data.content.schedule;
+      }, mergeSchedules);
+    },
+    /**
+     * Gets the MLB scoreboard data for a specified date if available.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @param {*} year - Year (YYYY)
+     * @param {*} month - Month (MM)
+     * @param {*} day - Day (DD)
+     * @param {Date|string} date - Date as a `Date` or `'YYYY-MM-DD'` string, instead of year, month and day
+     * @param {*} start - First day of a date range, in any of the forms above
+     * @param {*} end - Last day of the range, which is sent as a single `YYYYMMDD-YYYYMMDD` request
+     * @param {number} limit - Limit on the number of results @default 300
+     * @returns json
+     * @example
+     * const result = await sdv.mlb.getScoreboard(
+     * year = 2019, month = 11, day = 16
+     * )
+     * const range = await sdv.mlb.getScoreboard({ start: '2023-04-13', end: '2023-04-15' })
+     */
+    getScoreboard: async function (options = {}) {
+      const { limit = 300 } = options;
+      const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/baseball/mlb/scoreboard`;
+      const params = {
+        limit,
+        dates: datesParam(options),
+      };
+      const res = await http.get(baseUrl, {
+        params,
+      });
+      return res.data;
+    },
+    /**
+     * Lists every game of a MLB season, walking each day of the ESPN calendar,
+     * a week at a time.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @param {number} season - Season year
+     * @param {number} seasonType - Pre-Season: 1, Regular Season: 2, Postseason: 3; all of them by default
+     * @returns json
+     * @example
+     * const result = await sdv.mlb.getSeasonGames({ season: 2023, seasonType: 2 });
+     */
+    getSeasonGames: async function ({ season, seasonType } = {}) {
+      assertArguments({ season });
+      const baseUrl = "http://site.api.espn.com/apis/site/v2/sports/baseball/mlb/scoreboard";
+      const fetchScoreboard = async (params) => {
+        const res = await http.get(baseUrl, {
+          params: { limit: 1000, ...params },
+        });
+        return res.data;
+      };
+      return seasonGames(fetchScoreboard, { season, seasonType });
+    },
+    /**
+     * Gets the team standings for the MLB.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @param {number} year - Season
+     * @param {string} group - acceptable group names: 'league','conference','division'
+     * @returns json
+     * @example
+     * const yr = 2016;
+     * const result = await sdv.mlb.getStandings(year = yr);
+     */
+    getStandings: async function ({
+      year = new Date().getFullYear(),
+      group = "league",
+    } = {}) {
+      const groupId = group === "league" ? 1 : group === "conference" ? 2 : 3;
+      const baseUrl = `https://site.web.api.espn.com/apis/v2/sports/baseball/mlb/standings`;
+      const params = {
+        region: "us",
+        lang: "en",
+        contentorigin: "espn",
+        season: year,
+        type: 1,
+        level: groupId,
+      };
+      const res = await http.get(baseUrl, {
+        params,
+      });
+      return res.data;
+    },
+    /**
+     * Gets the list of all MLB teams their identification info for ESPN.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @returns json
+     * @example
+     * const result = await sdv.mlb.getTeamList();
+     */
+    getTeamList: async function () {
+      const baseUrl =
+        "http://site.api.espn.com/apis/site/v2/sports/baseball/mlb/teams";
+      const params = {
+        limit: 1000,
+      };
 
-    const res = await axios.get(baseUrl, {
-      params,
-    });
+      const res = await http.get(baseUrl, {
+        params,
+        kind: "reference",
+      });
 
-    return res.data;
-  },
-  /**
-   * Gets the team info for a specific MLB team.
-   * @memberOf mlb
-   * @async
-   * @function
-   * @param {number} id - Team Id
-   * @returns json
-   * @example
-   * const teamId = 16;
-   * const result = await sdv.mlb.getTeamInfo(teamId);
-   */
-  getTeamInfo: async function (id) {
-    const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/baseball/mlb/teams/${id}`;
+      return res.data;
+    },
+    /**
+     * Gets the team info for a specific MLB team.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @param {number} id - Team Id
+     * @returns json
+     * @example
+     * const teamId = 16;
+     * const result = await sdv.mlb.getTeamInfo(teamId);
+     */
+    getTeamInfo: async function (id) {
+      assertArguments({ id });
+      const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/baseball/mlb/teams/${id}`;
 
-    const res = await axios.get(baseUrl);
-    return res.data;
-  },
-  /**
-   * Gets the team roster information for a specific MLB team.
-   * @memberOf mlb
-   * @async
-   * @function
-   * @param {number} id - Team Id
-   * @returns json
-   * @example
-   * const teamId = 16;
-   * const result = await sdv.mlb.getTeamPlayers(teamId);
-   */
-  getTeamPlayers: async function (id) {
-    const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/baseball/mlb/teams/${id}`;
-    const params = {
-      enable: "roster",
-    };
-    const res = await axios.get(baseUrl, {
-      params,
-    });
-    return res.data;
-  },
-};
+      const res = await http.get(baseUrl, { kind: "reference" });
+      return res.data;
+    },
+    /**
+     * Gets the team roster information for a specific MLB team.
+     * @memberOf mlb
+     * @async
+     * @function
+     * @param {number} id - Team Id
+     * @returns json
+     * @example
+     * const teamId = 16;
+     * const result = await sdv.mlb.getTeamPlayers(teamId);
+     */
+    getTeamPlayers: async function (id) {
+      assertArguments({ id });
+      const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/baseball/mlb/teams/${id}`;
+      const params = {
+        enable: "roster",
+      };
+      const res = await http.get(baseUrl, {
+        params,
+        kind: "reference",
+      });
+      return res.data;
+    },
+  };
+  return service;
+}
@@ -1,275 +1,390 @@
-import axios from 'axios';
+import { assertArguments, assertPayload } from '../utils/errors.js';
+import { datesParam, fetchEachDay, mergeSchedules } from '../utils/dates.js';
+import { seasonGames } from '../utils/seasons.js';
+import { tidyBasketballPlays } from '../pbp/basketball.js';
+import { flattenBoxScore } from '../pbp/boxscore.js';
+import { basketballPossessions, basketballStints } from '../pbp/lineups.js';
 /**
  * Operations for NBA.
  *
  * @namespace nba
  */
-export default {
-    /**
-     * Gets the NBA game play-by-play data for a specified game.
-     * @memberOf nba
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.nba.getPlayByPlay(401283399);
-     */
-    getPlayByPlay: async function (id) {
-        const baseUrl = 'http://cdn.espn.com/core/nba/playbyplay';
-        const params = {
-            gameId: id,
-            xhr: 1,
-            render: 'false',
-            userab: 18
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return {
-            teams: res.data.gamepackageJSON.header.competitions[0].competitors,
-            id: res.data.gamepackageJSON.header.id,
-            plays: res.data.gamepackageJSON.plays,
-            competitions: res.data.gamepackageJSON.header.competitions,
-            season: res.data.gamepackageJSON.header.season,
-            boxScore: res.data.gamepackageJSON.boxscore,
-            seasonSeries: res.data.gamepackageJSON.seasonseries,
-            standings: res.data.gamepackageJSON.standings
-        };
-    },
-    /**
-     * Gets the NBA game box score data for a specified game.
-     * @memberOf nba
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.nba.getBoxScore(401283399);
-     */
-    getBoxScore: async function (id) {
-        const baseUrl = 'http://cdn.espn.com/core/nba/boxscore';
-        const params = {
-            gameId: id,
-            xhr: 1,
-            render: false,
-            device: 'desktop',
-            userab: 18
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        const game = res.data.gamepackageJSON.boxscore;
-        game.id = res.data.gameId;
-        return game;
-    },
-    /**
-     * Gets the NBA game summary data for a specified game.
-     * @memberOf nba
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.nba.getSummary(401283399);
-     */
-    getSummary: async function (id) {
-        const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/basketball/nba/summary';
-        const params = {
-            event: id
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return {
-            boxScore: res.data.boxscore,
-            gameInfo: res.data.gameInfo,
-            header: res.data.header,
-            teams: res.data.gamepackageJSON?.header?.competitions[0].competitors,
-            id: res.data.gamepackageJSON?.header?.id,
-            plays: res.data.gamepackageJSON?.plays,
-            winProbability: res.data.winprobability,
-            leaders: res.data.leaders,
-            competitions: res.data.gamepackageJSON?.header?.competitions,
-            season: res.data.gamepackageJSON?.header?.season,
-            seasonSeries: res.data.gamepackageJSON?.seasonseries,
-            standings: res.data.gamepackageJSON?.standings
-        };
-    },
-    /**
-     * Gets the NBA game PickCenter data for a specified game.
-     * @memberOf nba
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.nba.getPicks(401283399);
-     */
-    getPicks: async function (id) {
-        const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/basketball/nba/summary';
-        const params = {
-            event: id
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return {
-            id: parseInt(res.data.header.id),
-            gameInfo: res.data.gameInfo,
-            leaders: res.data.leaders,
-            header: res.data.header,
-            teams: res.data.header.competitions[0].competitors,
-            competitions: res.data.header.competitions,
-            winProbability: res.data.winprobability,
-            pickcenter: res.data.winprobability,
-            againstTheSpread: res.data.againstTheSpread,
-            odds: res.data.odds,
-            seasonSeries: res.data.seasonseries,
-            season: res.data.header.season,
-            standings: res.data.standings
-        };
-    },
-    /**
-     * Gets the NBA schedule data for a specified date if available.
-     * @memberOf nba
-     * @async
-     * @function
-     * @param {*} year - Year (YYYY)
-     * @param {*} month - Month (MM)
-     * @param {*} day - Day (DD)
-     * @returns json
-     * @example
-     * const result = await sdv.nba.getSchedule(
-     * year = 2016, month = 04, day = 15
-     * )
-     */
-    getSchedule: async function ({ year = null, month = null, day = null }) {
-        const baseUrl = `http://cdn.espn.com/core/nba/schedule?dates=${year}${parseInt(month) <= 9 ? "0" + parseInt(month) : parseInt(month)}${parseInt(day) <= 9 ? "0" + parseInt(day) : parseInt(day)}`;
-        const params = {
-            xhr: 1,
-            render: false,
-            device: 'desktop',
-            userab: 18
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data.content.schedule;
-    },
-    /**
-     * Gets the NBA scoreboard data for a specified date if available.
-     * @memberOf nba
-     * @async
-     * @function
-     * @param {*} year - Year (YYYY)
-     * @param {*} month - Month (MM)
-     * @param {*} day - Day (DD)
-     * @param {number} limit - Limit on the number of results @default 300
-     * @returns json
-     * @example
-     * const result = await sdv.nba.getScoreboard(
-     * year = 2019, month = 11, day = 16
-     * )
-     */
-    getScoreboard: async function ({ year, month, day, limit = 300 }) {
-        const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/basketball/nba/scoreboard`;
-        const params = {
-            limit
-        };
-        if (year && month && day) {
-            params.dates = `${year}${parseInt(month) <= 9 ? "0" + parseInt(month) : parseInt(month)}${parseInt(day) <= 9 ? "0" + parseInt(day) : parseInt(day)}`;
-        }
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data;
-    },
-    /**
-     * Gets the team standings for the NBA.
-     * @memberOf nba
-     * @async
-     * @function
-     * @param {number} year - Season
-     * @param {string} group - acceptable group names: 'league','conference','division'
-     * @returns json
-     * @example
-     * const yr = 2016;
-     * const result = await sdv.nba.getStandings(year = yr);
-     */
-    getStandings: async function ({ year = new Date().getFullYear(), group = 'league' }) {
-        const groupId = group === 'league' ? 1 : group === 'conference' ? 2 : 3;
-        const baseUrl = `https://site.web.api.espn.com/apis/v2/sports/basketball/nba/standings`;
-        const params = {
-            region: 'us',
-            lang: 'en',
-            contentorigin: 'espn',
-            season: year,
-            type: 1,
-            level: groupId
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data;
-    },
-    /**
-     * Gets the list of all NBA teams their identification info for ESPN.
-     * @memberOf nba
-     * @async
-     * @function
-     * @returns json
-     * @example
-     * const result = await sdv.nba.getTeamList();
-     */
-    getTeamList: async function () {
-        const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/basketball/nba/teams';
-        const params = {
-            limit: 1000
-        };
+export default function createNbaService(http) {
+    const service = {
+        /**
+         * Gets the NBA game play-by-play data for a specified game.
+         * @memberOf nba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nba.getPlayByPlay(401283399);
+         */
+        getPlayByPlay: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://cdn.espn.com/core/nba/playbyplay';
+            const params = {
+                gameId: id,
+                xhr: 1,
+                render: 'false',
+                userab: 18
+            };
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            assertPayload(res, 'gamepackageJSON.header.competitions');
+            return {
+                teams: res.data.gamepackageJSON.header.competitions[0].competitors,
+                id: res.data.gamepackageJSON.header.id,
+                plays: res.data.gamepackageJSON.plays,
+                competitions: res.data.gamepackageJSON.header.competitions,
+                season: res.data.gamepackageJSON.header.season,
+                boxScore: res.data.gamepackageJSON.boxscore,
+                seasonSeries: res.data.gamepackageJSON.seasonseries,
+                standings: res.data.gamepackageJSON.standings
+            };
+        },
+        /**
+         * Gets the NBA game play-by-play data for a specified game as one flat row per play,
+         * see `tidyBasketballPlays` for the columns.
+         * @memberOf nba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nba.getTidyPlayByPlay(401283399);
+         */
+        getTidyPlayByPlay: async function (id) {
+            const game = await service.getPlayByPlay(id);
+            return tidyBasketballPlays(game, { league: 'nba' });
+        },
+        /**
+         * Gets the possessions of a NBA game, see `basketballPossessions`.
+         * @memberOf nba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nba.getPossessions(401283399);
+         */
+        getPossessions: async function (id) {
+            return basketballPossessions(await service.getTidyPlayByPlay(id));
+        },
+        /**
+         * Gets the lineup stints of a NBA game, the stretches with the same ten
+         * players on the floor, see `basketballStints`. Starters come from the box score
+         * of the play-by-play, or from `getBoxScore` when it has none.
+         * @memberOf nba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nba.getLineupStints(401283399);
+         */
+        getLineupStints: async function (id) {
+            const game = await service.getPlayByPlay(id);
+            const boxScore = game.boxScore?.players ? game.boxScore : await service.getBoxScore(id);
+            return basketballStints(tidyBasketballPlays(game, { league: 'nba' }), boxScore);
+        },
+        /**
+         * Gets the NBA game box score data for a specified game.
+         * @memberOf nba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nba.getBoxScore(401283399);
+         */
+        getBoxScore: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://cdn.espn.com/core/nba/boxscore';
+            const params = {
+                gameId: id,
+                xhr: 1,
+                render: false,
+                device: 'desktop',
+                userab: 18
+            };
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            assertPayload(res, 'gamepackageJSON.boxscore');
+            const game = res.data.gamepackageJSON.boxscore;
+            game.id = res.data.gameId;
+            return game;
+        },
+        /**
+         * Gets the box score of a NBA game as player and team rows, see `flattenBoxScore`.
+         * @memberOf nba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nba.getTidyBoxScore(401283399);
+         */
+        getTidyBoxScore: async function (id) {
+            return flattenBoxScore(await service.getBoxScore(id));
+        },
+        /**
+         * Gets the NBA game summary data for a specified game.
+         * @memberOf nba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nba.getSummary(401283399);
+         */
+        getSummary: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/basketball/nba/summary';
+            const params = {
+                event: id
+            };
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            return {
+                boxScore: res.data.boxscore,
+                gameInfo: res.data.gameInfo,
+                header: res.data.header,
+                teams: res.data.gamepackageJSON?.header?.competitions[0].competitors,
+                id: res.data.gamepackageJSON?.header?.id,
+                plays: res.data.gamepackageJSON?.plays,
+                winProbability: res.data.winprobability,
+                leaders: res.data.leaders,
+                competitions: res.data.gamepackageJSON?.header?.competitions,
+                season: res.data.gamepackageJSON?.header?.season,
+                seasonSeries: res.data.gamepackageJSON?.seasonseries,
+                standings: res.data.gamepackageJSON?.standings
+            };
+        },
+        /**
+         * Gets the NBA game PickCenter data for a specified game.
+         * @memberOf nba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nba.getPicks(401283399);
+         */
+        getPicks: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/basketball/nba/summary';
+            const params = {
+                event: id
+            };
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            assertPayload(res, 'header.competitions');
+            return {
+                id: parseInt(res.data.header.id),
+                gameInfo: res.data.gameInfo,
+                leaders: res.data.leaders,
+                header: res.data.header,
+                teams: res.data.header.competitions[0].competitors,
+                competitions: res.data.header.competitions,
+                winProbability: res.data.winprobability,
+                pickcenter: res.data.winprobability,
+                againstTheSpread: res.data.againstTheSpread,
+                odds: res.data.odds,
+                seasonSeries: res.data.seasonseries,
+                season: res.data.header.season,
+                standings: res.data.standings
+            };
+        },
+        /**
+         * Gets the NBA schedule data for a specified date if available.
+         * @memberOf nba
+         * @async
+         * @function
+         * @param {*} year - Year (YYYY)
+         * @param {*} month - Month (MM)
+         * @param {*} day - Day (DD)
+         * @param {Date|string} date - Date as a `Date` or `'YYYY-MM-DD'` string, instead of year, month and day
+         * @param {*} start - First day of a date range, in any of the forms above
+         * @param {*} end - Last day of the range, which is requested day by day and merged into one result
+         * @returns json
+         * @example
+         * const result = await sdv.nba.getSchedule(
+         * year = 2016, month = 04, day = 15
+         * )
+         * const range = await sdv.nba.getSchedule({ start: '2021-05-10', end: '2021-05-16' })
+         */
+        getSchedule: async function (options = {}) {
+            const baseUrl = `http://cdn.espn.com/core/nba/schedule`;
+            return fetchEachDay(options, async (dates) => {
+                const params = {
+                    dates,
+                    xhr: 1,
+                    render: false,
+                    device: 'desktop',
+                    userab: 18
+                };
+                const res = await http.get(baseUrl, {
+                    params
+                });
+                assertPayload(res, 'content.schedule');
+                return res.data.content.schedule;
+            }, mergeSchedules);
+        },
+        /**
+         * Gets the NBA scoreboard data for a specified date if available.
+         * @memberOf nba
+         * @async
+         * @function
+         * @param {*} year - Year (YYYY)
+         * @param {*} month - Month (MM)
+         * @param {*} day - Day (DD)
+         * @param {Date|string} date - Date as a `Date` or `'YYYY-MM-DD'` string, instead of year, month and day
+         * @param {*} start - First day of a date range, in any of the forms above
+         * @param {*} end - Last day of the range, which is sent as a single `YYYYMMDD-YYYYMMDD` request
+         * @param {number} limit - Limit on the number of results @default 300
+         * @returns json
+         * @example
+         * const result = await sdv.nba.getScoreboard(
+         * year = 2019, month = 11, day = 16
+         * )
+         * const range = await sdv.nba.getScoreboard({ start: '2021-05-10', end: '2021-05-16' })
+         */
+        getScoreboard: async function (options = {}) {
+            const { limit = 300 } = options;
+            const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/basketball/nba/scoreboard`;
+            const params = {
+                limit,
+                dates: datesParam(options)
+            };
+            const res = await http.get(baseUrl, {
+                params
+            });
+            return res.data;
+        },
+        /**
+         * Lists every game of a NBA season, walking each day of the ESPN calendar,
+         * a week at a time.
+         * @memberOf nba
+         * @async
+         * @function
+         * @param {number} season - Season year, e.g. 2021 for 2020-21
+         * @param {number} seasonType - Pre-Season: 1, Regular Season: 2, Postseason: 3; all of them by default
+         * @returns json
+         * @example
+         * const result = await sdv.nba.getSeasonGames({ season: 2021, seasonType: 2 });
+         */
+        getSeasonGames: async function ({ season, seasonType } = {}) {
+            assertArguments({ season });
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/basketball/nba/scoreboard';
+            const fetchScoreboard = async (params) => {
+                const res = await http.get(baseUrl, {
+                    params: { limit: 1000, ...params }
+                });
+                return res.data;
+            };
+            return seasonGames(fetchScoreboard, { season, seasonType });
+        },
+        /**
+         * Gets the team standings for the NBA.
+         * @memberOf nba
+         * @async
+         * @function
+         * @param {number} year - Season
+         * @param {string} group - acceptable group names: 'league','conference','division'
+         * @returns json
+         * @example
+         * const yr = 2016;
+         * const result = await sdv.nba.getStandings(year = yr);
+         */
+        getStandings: async function ({ year = new Date().getFullYear(), group = 'league' } = {}) {
+            const groupId = group === 'league' ? 1 : group === 'conference' ? 2 : 3;
+            const baseUrl = `https://site.web.api.espn.com/apis/v2/sports/basketball/nba/standings`;
+            const params = {
+                region: 'us',
+                lang: 'en',
+                contentorigin: 'espn',
+                season: year,
+                type: 1,
+                level: groupId
+            };
+            const res = await http.get(baseUrl, {
+                params
+            });
+            return res.data;
+        },
+        /**
+         * Gets the list of all NBA teams their identification info for ESPN.
+         * @memberOf nba
+         * @async
+         * @function
+         * @returns json
+         * @example
+         * const result = await sdv.nba.getTeamList();
+         */
+        getTeamList: async function () {
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/basketball/nba/teams';
+            const params = {
+                limit: 1000
+            };
 
-        const res = await axios.get(baseUrl, {
-            params
-        });
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'reference'
+            });
 
-        return res.data;
-    },
-    /**
-     * Gets the team info for a specific NBA team.
-     * @memberOf nba
-     * @async
-     * @function
-     * @param {number} id - Team Id
-     * @returns json
-     * @example
-     * const teamId = 16;
-     * const result = await sdv.nba.getTeamInfo(teamId);
-     */
-    getTeamInfo: async function (id) {
-        const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/basketball/nba/teams/${id}`;
+            return res.data;
+        },
+        /**
+         * Gets the team info for a specific NBA team.
+         * @memberOf nba
+         * @async
+         * @function
+         * @param {number} id - Team Id
+         * @returns json
+         * @example
+         * const teamId = 16;
+         * const result = await sdv.nba.getTeamInfo(teamId);
+         */
+        getTeamInfo: async function (id) {
+            assertArguments({ id });
+            const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/basketball/nba/teams/${id}`;
 
-        const res = await axios.get(baseUrl);
-        return res.data;
-    },
-    /**
-     * Gets the team roster information for a specific NBA team.
-     * @memberOf nba
-     * @async
-     * @function
-     * @param {number} id - Team Id
-     * @returns json
-     * @example
-     * const teamId = 16;
-     * const result = await sdv.nba.getTeamPlayers(teamId);
-     */
-    getTeamPlayers: async function (id) {
-        const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/basketball/nba/teams/${id}`;
-        const params = {
-            enable: "roster"
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data;
-    }
+            const res = await http.get(baseUrl, { kind: 'reference' });
+            return res.data;
+        },
+        /**
+         * Gets the team roster information for a specific NBA team.
+         * @memberOf nba
+         * @async
+         * @function
+         * @param {number} id - Team Id
+         * @returns json
+         * @example
+         * const teamId = 16;
+         * const result = await sdv.nba.getTeamPlayers(teamId);
+         */
+        getTeamPlayers: async function (id) {
+            assertArguments({ id });
+            const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/basketball/nba/teams/${id}`;
+            const params = {
+                enable: "roster"
+            };
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'reference'
+            });
+            return res.data;
+        }
+    };
+    return service;
 }
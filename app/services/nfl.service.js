@@ -1,307 +1,392 @@
-import axios from 'axios';
+import { assertArguments, assertPayload } from '../utils/errors.js';
+import { datesParam, fetchEachDay, mergeSchedules } from '../utils/dates.js';
+import { seasonGames } from '../utils/seasons.js';
+import { flattenBoxScore } from '../pbp/boxscore.js';
+import { tidyFootballPlays } from '../pbp/football.js';
 /**
  * Operations for NFL.
  *
  * @namespace nfl
  */
-export default {
-    /**
-     * Gets the NFL game play-by-play data for a specified game.
-     * @memberOf nfl
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.nfl.getPlayByPlay(401220403);
-     */
-    getPlayByPlay: async function (id) {
-        const baseUrl = 'http://cdn.espn.com/core/nfl/playbyplay';
-        const params = {
-            gameId: id,
-            xhr: 1,
-            render: 'false',
-            userab: 18
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return {
-            teams: res.data.gamepackageJSON.header.competitions[0].competitors,
-            id: res.data.gameId,
-            drives: res.data.gamepackageJSON.drives,
-            competitions: res.data.gamepackageJSON.header.competitions,
-            season: res.data.gamepackageJSON.header.season,
-            week: res.data.gamepackageJSON.header.week,
-            boxScore: res.data.gamepackageJSON.boxscore,
-            scoringPlays: res.data.gamepackageJSON.scoringPlays,
-            standings: res.data.gamepackageJSON.standings
-        };
-    },
-    /**
-     * Gets the NFL game box score data for a specified game.
-     * @memberOf nfl
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.nfl.getBoxScore(401220403);
-     */
-    getBoxScore: async function (id) {
-        const baseUrl = 'http://cdn.espn.com/core/nfl/boxscore';
-        const params = {
-            gameId: id,
-            xhr: 1,
-            render: false,
-            device: 'desktop',
-            userab: 18
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        const game = res.data.gamepackageJSON.boxscore;
-        game.id = res.data.gameId;
-        return game;
-    },
-    /**
-     * Gets the NFL game summary data for a specified game.
-     * @memberOf nfl
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.nfl.getSummary(401220403);
-     */
-    getSummary: async function (id) {
-        const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/football/nfl/summary';
-        const params = {
-            event: id
-        };
+export default function createNflService(http) {
+    const service = {
+        /**
+         * Gets the NFL game play-by-play data for a specified game.
+         * @memberOf nfl
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nfl.getPlayByPlay(401220403);
+         */
+        getPlayByPlay: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://cdn.espn.com/core/nfl/playbyplay';
+            const params = {
+                gameId: id,
+                xhr: 1,
+                render: 'false',
+                userab: 18
+            };
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            assertPayload(res, 'gamepackageJSON.header.competitions');
+            return {
+                teams: res.data.gamepackageJSON.header.competitions[0].competitors,
+                id: res.data.gameId,
+                drives: res.data.gamepackageJSON.drives,
+                competitions: res.data.gamepackageJSON.header.competitions,
+                season: res.data.gamepackageJSON.header.season,
+                week: res.data.gamepackageJSON.header.week,
+                boxScore: res.data.gamepackageJSON.boxscore,
+                scoringPlays: res.data.gamepackageJSON.scoringPlays,
+                standings: res.data.gamepackageJSON.standings
+            };
+        },
+        /**
+         * Gets the NFL game play-by-play data for a specified game as one flat row per play,
+         * with drive numbers, standardized play types, players and turnover and scoring flags,
+         * see `tidyFootballPlays` for the columns.
+         * @memberOf nfl
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nfl.getTidyPlayByPlay(401220403);
+         */
+        getTidyPlayByPlay: async function (id) {
+            return tidyFootballPlays(await service.getPlayByPlay(id));
+        },
+        /**
+         * Gets the NFL game box score data for a specified game.
+         * @memberOf nfl
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nfl.getBoxScore(401220403);
+         */
+        getBoxScore: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://cdn.espn.com/core/nfl/boxscore';
+            const params = {
+                gameId: id,
+                xhr: 1,
+                render: false,
+                device: 'desktop',
+                userab: 18
+            };
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            assertPayload(res, 'gamepackageJSON.boxscore');
+            const game = res.data.gamepackageJSON.boxscore;
+            game.id = res.data.gameId;
+            return game;
+        },
+        /**
+         * Gets the box score of a NFL game as player and team rows, see `flattenBoxScore`.
+         * @memberOf nfl
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nfl.getTidyBoxScore(401220403);
+         */
+        getTidyBoxScore: async function (id) {
+            return flattenBoxScore(await service.getBoxScore(id));
+        },
+        /**
+         * Gets the NFL game summary data for a specified game.
+         * @memberOf nfl
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nfl.getSummary(401220403);
+         */
+        getSummary: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/football/nfl/summary';
+            const params = {
+                event: id
+            };
 
-        const res = await axios.get(baseUrl, {
-            params
-        });
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            assertPayload(res, 'header.competitions');
 
-        return {
-            id: parseInt(res.data.header.id),
-            boxScore: res.data.boxscore,
-            gameInfo: res.data.gameInfo,
-            drives: res.data.drives,
-            leaders: res.data.leaders,
-            header: res.data.header,
-            teams: res.data.header.competitions[0].competitors,
-            scoringPlays: res.data.scoringPlays,
-            winProbability: res.data.winprobability,
-            leaders: res.data.leaders,
-            competitions: res.data.header.competitions,
-            season: res.data.header.season,
-            week: res.data.header.week,
-            standings: res.data.standings
-        };
-    },
-    /**
-     * Gets the NFL PickCenter data for a specified game.
-     * @memberOf nfl
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.nfl.getPicks(401220403);
-     */
-    getPicks: async function (id) {
-        const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/football/nfl/summary';
-        const params = {
-            event: id
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return {
-            id: parseInt(res.data.header.id),
-            gameInfo: res.data.gameInfo,
-            leaders: res.data.leaders,
-            header: res.data.header,
-            teams: res.data.header.competitions[0].competitors,
-            competitions: res.data.header.competitions,
-            winProbability: res.data.winprobability,
-            pickcenter: res.data.winprobability,
-            againstTheSpread: res.data.againstTheSpread,
-            odds: res.data.odds,
-            season: res.data.header.season,
-            week: res.data.header.week,
-            standings: res.data.standings
-        };
-    },
-    /**
-     * Gets the NFL schedule data for a specified date if available.
-     * @memberOf nfl
-     * @async
-     * @function
-     * @param {*} year - Year (YYYY)
-     * @param {*} month - Month (MM)
-     * @param {*} day - Day (DD)
-     * @returns json
-     * @example
-     * const result = await sdv.nfl.getSchedule(
-     * year = 2019, month = 11, day = 17
-     * )
-     */
-    getSchedule: async function ({ year = null, month = null, day = null }) {
-        const baseUrl = `http://cdn.espn.com/core/nfl/schedule?dates=${year}${parseInt(month) <= 9 ? "0" + parseInt(month) : parseInt(month)}${parseInt(day) <= 9 ? "0" + parseInt(day) : parseInt(day)}`;
-        const params = {
-            xhr: 1,
-            render: false,
-            device: 'desktop',
-            userab: 18
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data.content.schedule;
-    },
+            return {
+                id: parseInt(res.data.header.id),
+                boxScore: res.data.boxscore,
+                gameInfo: res.data.gameInfo,
+                drives: res.data.drives,
+                leaders: res.data.leaders,
+                header: res.data.header,
+                teams: res.data.header.competitions[0].competitors,
+                scoringPlays: res.data.scoringPlays,
+                winProbability: res.data.winprobability,
+                leaders: res.data.leaders,
+                competitions: res.data.header.competitions,
+                season: res.data.header.season,
+                week: res.data.header.week,
+                standings: res.data.standings
+            };
+        },
+        /**
+         * Gets the NFL PickCenter data for a specified game.
+         * @memberOf nfl
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nfl.getPicks(401220403);
+         */
+        getPicks: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/football/nfl/summary';
+            const params = {
+                event: id
+            };
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            assertPayload(res, 'header.competitions');
+            return {
+                id: parseInt(res.data.header.id),
+                gameInfo: res.data.gameInfo,
+                leaders: res.data.leaders,
+                header: res.data.header,
+                teams: res.data.header.competitions[0].competitors,
+                competitions: res.data.header.competitions,
+                winProbability: res.data.winprobability,
+                pickcenter: res.data.winprobability,
+                againstTheSpread: res.data.againstTheSpread,
+                odds: res.data.odds,
+                season: res.data.header.season,
+                week: res.data.header.week,
+                standings: res.data.standings
+            };
+        },
+        /**
+         * Gets the NFL schedule data for a specified date if available.
+         * @memberOf nfl
+         * @async
+         * @function
+         * @param {*} year - Year (YYYY)
+         * @param {*} month - Month (MM)
+         * @param {*} day - Day (DD)
+         * @param {Date|string} date - Date as a `Date` or `'YYYY-MM-DD'` string, instead of year, month and day
+         * @param {*} start - First day of a date range, in any of the forms above
+         * @param {*} end - Last day of the range, which is requested day by day and merged into one result
+         * @returns json
+         * @example
+         * const result = await sdv.nfl.getSchedule(
+         * year = 2019, month = 11, day = 17
+         * )
+         * const range = await sdv.nfl.getSchedule({ start: '2020-11-26', end: '2020-11-30' })
+         */
+        getSchedule: async function (options = {}) {
+            const baseUrl = `http://cdn.espn.com/core/nfl/schedule`;
+            return fetchEachDay(options, async (dates) => {
+                const params = {
+                    dates,
+                    xhr: 1,
+                    render: false,
+                    device: 'desktop',
+                    userab: 18
+                };
+                const res = await http.get(baseUrl, {
+                    params
+                });
+                assertPayload(res, 'content.schedule');
+                return res.data.content.schedule;
+            }, mergeSchedules);
+        },
 
 
+            /**
+         * Gets the NFL Weekly Schedule data for a specified season type.
+         * @memberOf nfl
+         * @async
+         * @function
+         * @param {*} week - Week (1-17) Default is 1
+         * @param {*} year - Year (YYYY) Default is current year
+         * @param {*} seasonType -  Season Type (1 = Preseason, 2 = Regular Season, 3 = Postseason) Default is 2
+         * @returns json
+         * @example
+         * const result = await sdv.nfl.getWeeklySchedule(
+         * week = 1, year = 2023, seasonType = 2
+         * )
+         */
+        getWeeklySchedule: async function ({ week = 1, year = null, seasonType = 2 } = {}) {
+            if(!year) year = new Date().getFullYear();
+           const baseUrl = `http://cdn.espn.com/core/nfl/schedule/_/week/${week}/year/${year}/seasontype/${seasonType}`;
+                const params = {
+                xhr: 1,
+                render: false,
+                device: 'desktop',
+                userab: 18
+            };
+            const res = await http.get(baseUrl, {
+                params
+            });
+            assertPayload(res, 'content.schedule');
+            return res.data.content.schedule;
+        },
         /**
-     * Gets the NFL Weekly Schedule data for a specified season type.
-     * @memberOf nfl
-     * @async
-     * @function
-     * @param {*} week - Week (1-17) Default is 1
-     * @param {*} year - Year (YYYY) Default is current year
-     * @param {*} seasonType -  Season Type (1 = Preseason, 2 = Regular Season, 3 = Postseason) Default is 2
-     * @returns json
-     * @example
-     * const result = await sdv.nfl.getWeeklySchedule(
-     * week = 1, year = 2023, seasonType = 2
-     * )
-     */
-    getWeeklySchedule: async function ({ week = 1, year = null, seasonType = 2 }) {
-        if(!year) year = new Date().getFullYear();
-       const baseUrl = `http://cdn.espn.com/core/nfl/schedule/_/week/${week}/year/${year}/seasontype/${seasonType}`;
+         * Gets the NFL scoreboard data for a specified date if available.
+         * @memberOf nfl
+         * @async
+         * @function
+         * @param {*} year - Year (YYYY)
+         * @param {*} month - Month (MM)
+         * @param {*} day - Day (DD)
+         * @param {Date|string} date - Date as a `Date` or `'YYYY-MM-DD'` string, instead of year, month and day
+         * @param {*} start - First day of a date range, in any of the forms above
+         * @param {*} end - Last day of the range, which is sent as a single `YYYYMMDD-YYYYMMDD` request
+         * @param {number} limit - Limit on the number of results @default 300
+         * @returns json
+         * @example
+         * const result = await sdv.nfl.getScoreboard(
+         * year = 2019, month = 11, day = 17
+         * )
+         * const range = await sdv.nfl.getScoreboard({ start: '2020-11-26', end: '2020-11-30' })
+         */
+        getScoreboard: async function (options = {}) {
+            const { limit = 300 } = options;
+            const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard`;
             const params = {
-            xhr: 1,
-            render: false,
-            device: 'desktop',
-            userab: 18
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data.content.schedule;
-    },
-    /**
-     * Gets the NFL scoreboard data for a specified date if available.
-     * @memberOf nfl
-     * @async
-     * @function
-     * @param {*} year - Year (YYYY)
-     * @param {*} month - Month (MM)
-     * @param {*} day - Day (DD)
-     * @param {number} limit - Limit on the number of results @default 300
-     * @returns json
-     * @example
-     * const result = await sdv.nfl.getScoreboard(
-     * year = 2019, month = 11, day = 17
-     * )
-     */
-    getScoreboard: async function ({ year, month, day, limit = 300 }) {
-        const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard`;
-
-        const params = {
-            limit
-        };
-        if (year && month && day) {
-            params.dates = `${year}${parseInt(month) <= 9 ? "0" + parseInt(month) : parseInt(month)}${parseInt(day) <= 9 ? "0" + parseInt(day) : parseInt(day)}`;
+                limit,
+                dates: datesParam(options)
+            };
+            const res = await http.get(baseUrl, {
+                params
+            });
+            return res.data;
+        },
+        /**
+         * Lists every game of a NFL season, walking each week of the ESPN calendar,
+         * per season type.
+         * @memberOf nfl
+         * @async
+         * @function
+         * @param {number} season - Season year
+         * @param {number} seasonType - Pre-Season: 1, Regular Season: 2, Postseason: 3; all of them by default
+         * @returns json
+         * @example
+         * const result = await sdv.nfl.getSeasonGames({ season: 2020, seasonType: 2 });
+         */
+        getSeasonGames: async function ({ season, seasonType } = {}) {
+            assertArguments({ season });
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard';
+            const fetchScoreboard = async (params) => {
+                const res = await http.get(baseUrl, {
+                    params: { limit: 1000, ...params }
+                });
+                return res.data;
+            };
+            return seasonGames(fetchScoreboard, { season, seasonType });
+        },
+        /**
+         * Gets the team standings for the NFL.
+         * @memberOf nfl
+         * @async
+         * @function
+         * @param {number} year - Season
+         * @param {string} group - acceptable group names: 'league','conference','division'
+         * @returns json
+         * @example
+         * const yr = 2021;
+         * const result = await sdv.nfl.getStandings(year = yr);
+         */
+        getStandings: async function ({ year = new Date().getFullYear(), group = 'league' } = {}) {
+            const groupId = group === 'league' ? 1 : group === 'conference' ? 2 : 3;
+            const baseUrl = `https://site.web.api.espn.com/apis/v2/sports/football/nfl/standings`;
+            const params = {
+                region: 'us',
+                lang: 'en',
+                contentorigin: 'espn',
+                season: year,
+                type: 1,
+                level: groupId
+            };
+            const res = await http.get(baseUrl, {
+                params
+            });
+            return res.data;
+        },
+        /**
+         * Gets the list of all NFL teams their identification info for ESPN.
+         * @memberOf nfl
+         * @async
+         * @function
+         * @example
+         * const result = await sdv.nfl.getTeamList();
+         */
+        getTeamList: async function () {
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/football/nfl/teams';
+            const params = {
+                limit: 1000
+            };
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'reference'
+            });
+            return res.data;
+        },
+        /**
+         * Gets the team info for a specific NFL team.
+         * @memberOf nfl
+         * @async
+         * @function
+         * @param {number} id - Team Id
+         * @returns json
+         * @example
+         * const teamId = 16;
+         * const result = await sdv.nfl.getTeamInfo(teamId);
+         */
+        getTeamInfo: async function ({ id } = {}) {
+            assertArguments({ id });
+            const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/football/nfl/teams/${id}`;
+            const res = await http.get(baseUrl, { kind: 'reference' });
+            return res.data;
+        },
+        /**
+         * Gets the team roster information for a specific NFL team.
+         * @memberOf nfl
+         * @async
+         * @function
+         * @param {number} id - Team Id
+         * @returns json
+         * @example
+         * const teamId = 16;
+         * const result = await sdv.nfl.getTeamPlayers(teamId);
+         */
+        getTeamPlayers: async function ({ id } = {}) {
+            assertArguments({ id });
+            const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/football/nfl/teams/${id}`;
+            const params = {
+                enable: "roster"
+            };
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'reference'
+            });
+            return res.data;
         }
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data;
-    },
-    /**
-     * Gets the team standings for the NFL.
-     * @memberOf nfl
-     * @async
-     * @function
-     * @param {number} year - Season
-     * @param {string} group - acceptable group names: 'league','conference','division'
-     * @returns json
-     * @example
-     * const yr = 2021;
-     * const result = await sdv.nfl.getStandings(year = yr);
-     */
-    getStandings: async function ({ year = new Date().getFullYear(), group = 'league' }) {
-        const groupId = group === 'league' ? 1 : group === 'conference' ? 2 : 3;
-        const baseUrl = `https://site.web.api.espn.com/apis/v2/sports/football/nfl/standings`;
-        const params = {
-            region: 'us',
-            lang: 'en',
-            contentorigin: 'espn',
-            season: year,
-            type: 1,
-            level: groupId
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data;
-    },
-    /**
-     * Gets the list of all NFL teams their identification info for ESPN.
-     * @memberOf nfl
-     * @async
-     * @function
-     * @example
-     * const result = await sdv.nfl.getTeamList();
-     */
-    getTeamList: async function () {
-        const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/football/nfl/teams';
-        const params = {
-            limit: 1000
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data;
-    },
-    /**
-     * Gets the team info for a specific NFL team.
-     * @memberOf nfl
-     * @async
-     * @function
-     * @param {number} id - Team Id
-     * @returns json
-     * @example
-     * const teamId = 16;
-     * const result = await sdv.nfl.getTeamInfo(teamId);
-     */
-    getTeamInfo: async function ({ id }) {
-        const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/football/nfl/teams/${id}`;
-        const res = await axios.get(baseUrl);
-        return res.data;
-    },
-    /**
-     * Gets the team roster information for a specific NFL team.
-     * @memberOf nfl
-     * @async
-     * @function
-     * @param {number} id - Team Id
-     * @returns json
-     * @example
-     * const teamId = 16;
-     * const result = await sdv.nfl.getTeamPlayers(teamId);
-     */
-    getTeamPlayers: async function ({ id }) {
-        const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/football/nfl/teams/${id}`;
-        const params = {
-            enable: "roster"
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data;
-    }
+    };
+    return service;
 }
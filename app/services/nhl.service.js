@@ -1,283 +1,378 @@
-import axios from 'axios';
+import { assertArguments, assertPayload } from '../utils/errors.js';
+import { datesParam, fetchEachDay, mergeSchedules } from '../utils/dates.js';
+import { seasonGames } from '../utils/seasons.js';
+import { flattenBoxScore } from '../pbp/boxscore.js';
+import { nhlShotAttempts, nhlShotMetrics } from '../pbp/hockey.js';
 /**
  * Operations for NHL.
  *
  * @namespace nhl
  */
-export default {
-    /**
-     * Gets the NHL game play-by-play data for a specified game.
-     * @memberOf nhl
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.nhl.getPlayByPlay(401272446);
-     */
-    getPlayByPlay: async function (id) {
-        const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/summary';
-        const params = {
-            event: id
-        };
+export default function createNhlService(http) {
+    const service = {
+        /**
+         * Gets the NHL game play-by-play data for a specified game.
+         * @memberOf nhl
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nhl.getPlayByPlay(401272446);
+         */
+        getPlayByPlay: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/summary';
+            const params = {
+                event: id
+            };
 
-        const res = await axios.get(baseUrl, {
-            params
-        });
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            assertPayload(res, 'header.competitions');
 
-        return {
-            teams: res.data.header.competitions[0].competitors,
-            id: parseInt(res.data.header.id),
-            plays: res.data.plays,
-            onIce: res.data.onIce,
-            competitions: res.data.header.competitions,
-            season: res.data.header.season,
-            boxScore: res.data.boxscore,
-            seasonSeries: res.data.seasonseries,
-            standings: res.data.standings
-        };
-    },
-    /**
-     * Gets the NHL game box score data for a specified game.
-     * @memberOf nhl
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.nhl.getBoxScore(401272446);
-     */
-    getBoxScore: async function (id) {
-        const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/summary';
-        const params = {
-            event: id
-        };
+            return {
+                teams: res.data.header.competitions[0].competitors,
+                id: parseInt(res.data.header.id),
+                plays: res.data.plays,
+                onIce: res.data.onIce,
+                competitions: res.data.header.competitions,
+                season: res.data.header.season,
+                boxScore: res.data.boxscore,
+                seasonSeries: res.data.seasonseries,
+                standings: res.data.standings
+            };
+        },
+        /**
+         * Gets the shot attempts of a NHL game with their result, strength state, distance
+         * and angle, see `nhlShotAttempts`.
+         * @memberOf nhl
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nhl.getShotAttempts(401272446);
+         */
+        getShotAttempts: async function (id) {
+            return nhlShotAttempts(await service.getPlayByPlay(id));
+        },
+        /**
+         * Gets the Corsi and Fenwick of a NHL game for each team and player by strength
+         * state, see `nhlShotMetrics`.
+         * @memberOf nhl
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nhl.getShotMetrics(401272446);
+         */
+        getShotMetrics: async function (id) {
+            return nhlShotMetrics(await service.getPlayByPlay(id));
+        },
+        /**
+         * Gets the NHL game box score data for a specified game.
+         * @memberOf nhl
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nhl.getBoxScore(401272446);
+         */
+        getBoxScore: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/summary';
+            const params = {
+                event: id
+            };
 
-        const res = await axios.get(baseUrl, {
-            params
-        });
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            assertPayload(res, 'boxscore', 'header');
 
-        const game = res.data.boxscore;
-        game.id = parseInt(res.data.header.id);
+            const game = res.data.boxscore;
+            game.id = parseInt(res.data.header.id);
 
-        return game;
-    },
-    /**
-     * Gets the NHL game summary data for a specified game.
-     * @memberOf nhl
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.nhl.getSummary(401272446);
-     */
-    getSummary: async function (id) {
-        const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/summary';
-        const params = {
-            event: id
-        };
+            return game;
+        },
+        /**
+         * Gets the box score of a NHL game as player and team rows, see `flattenBoxScore`.
+         * @memberOf nhl
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nhl.getTidyBoxScore(401272446);
+         */
+        getTidyBoxScore: async function (id) {
+            return flattenBoxScore(await service.getBoxScore(id));
+        },
+        /**
+         * Gets the NHL game summary data for a specified game.
+         * @memberOf nhl
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nhl.getSummary(401272446);
+         */
+        getSummary: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/summary';
+            const params = {
+                event: id
+            };
 
-        const res = await axios.get(baseUrl, {
-            params
-        });
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            assertPayload(res, 'header.competitions');
 
-        return {
-            boxScore: res.data.boxscore,
-            gameInfo: res.data.gameInfo,
-            header: res.data.header,
-            teams: res.data.header.competitions[0].competitors,
-            id: parseInt(res.data.header.id),
-            plays: res.data.plays,
-            onIce: res.data.onIce,
-            leaders: res.data.leaders,
-            competitions: res.data.header.competitions,
-            season: res.data.header.season,
-            seasonSeries: res.data.seasonseries,
-            standings: res.data.standings
-        };
-    },
-    /**
-     * Gets the NHL PickCenter data for a specified game.
-     * @memberOf nhl
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.nhl.getPicks(401272446);
-     */
-    getPicks: async function (id) {
-        const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/summary';
-        const params = {
-            event: id
-        };
+            return {
+                boxScore: res.data.boxscore,
+                gameInfo: res.data.gameInfo,
+                header: res.data.header,
+                teams: res.data.header.competitions[0].competitors,
+                id: parseInt(res.data.header.id),
+                plays: res.data.plays,
+                onIce: res.data.onIce,
+                leaders: res.data.leaders,
+                competitions: res.data.header.competitions,
+                season: res.data.header.season,
+                seasonSeries: res.data.seasonseries,
+                standings: res.data.standings
+            };
+        },
+        /**
+         * Gets the NHL PickCenter data for a specified game.
+         * @memberOf nhl
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.nhl.getPicks(401272446);
+         */
+        getPicks: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/summary';
+            const params = {
+                event: id
+            };
 
-        const res = await axios.get(baseUrl, {
-            params
-        });
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            assertPayload(res, 'header.competitions');
 
-        return {
-            id: parseInt(res.data.header.id),
-            gameInfo: res.data.gameInfo,
-            leaders: res.data.leaders,
-            header: res.data.header,
-            teams: res.data.header.competitions[0].competitors,
-            competitions: res.data.header.competitions,
-            pickcenter: res.data.winprobability,
-            againstTheSpread: res.data.againstTheSpread,
-            odds: res.data.odds,
-            seasonSeries: res.data.seasonseries,
-            season: res.data.header.season,
-            standings: res.data.standings
-        };
-    },
-    /**
-     * Gets the NHL schedule data for a specified date if available.
-     * @memberOf nhl
-     * @async
-     * @function
-     * @param {*} year - Year (YYYY)
-     * @param {*} month - Month (MM)
-     * @param {*} day - Day (DD)
-     * @returns json
-     * @example
-     * const result = await sdv.nhl.getSchedule(
-     * year = 2019, month = 11, day = 17
-     * )
-     */
-    getSchedule: async function ({ year = null, month = null, day = null }) {
-        const baseUrl = `http://cdn.espn.com/core/nhl/schedule?dates=${year}${parseInt(month) <= 9 ? "0" + parseInt(month) : parseInt(month)}${parseInt(day) <= 9 ? "0" + parseInt(day) : parseInt(day)}`;
-        const params = {
-            xhr: 1,
-            render: false,
-            device: 'desktop',
-            userab: 18
-        };
+            return {
+                id: parseInt(res.data.header.id),
+                gameInfo: res.data.gameInfo,
+                leaders: res.data.leaders,
+                header: res.data.header,
+                teams: res.data.header.competitions[0].competitors,
+                competitions: res.data.header.competitions,
+                pickcenter: res.data.winprobability,
+                againstTheSpread: res.data.againstTheSpread,
+                odds: res.data.odds,
+                seasonSeries: res.data.seasonseries,
+                season: res.data.header.season,
+                standings: res.data.standings
+            };
+        },
+        /**
+         * Gets the NHL schedule data for a specified date if available.
+         * @memberOf nhl
+         * @async
+         * @function
+         * @param {*} year - Year (YYYY)
+         * @param {*} month - Month (MM)
+         * @param {*} day - Day (DD)
+         * @param {Date|string} date - Date as a `Date` or `'YYYY-MM-DD'` string, instead of year, month and day
+         * @param {*} start - First day of a date range, in any of the forms above
+         * @param {*} end - Last day of the range, which is requested day by day and merged into one result
+         * @returns json
+         * @example
+         * const result = await sdv.nhl.getSchedule(
+         * year = 2019, month = 11, day = 17
+         * )
+         * const range = await sdv.nhl.getSchedule({ start: '2021-02-13', end: '2021-02-15' })
+         */
+        getSchedule: async function (options = {}) {
+            const baseUrl = `http://cdn.espn.com/core/nhl/schedule`;
+            return fetchEachDay(options, async (dates) => {
+                const params = {
+                    dates,
+                    xhr: 1,
+                    render: false,
+                    device: 'desktop',
+                    userab: 18
+                };
+                const res = await http.get(baseUrl, {
+                    params
+                });
+                assertPayload(res, 'content.schedule');
+                return res.data.content.schedule;
+            }, mergeSchedules);
+        },
+        /**
+         * Gets the NHL scoreboard data for a specified date if available.
+         * @memberOf nhl
+         * @async
+         * @function
+         * @param {*} year - Year (YYYY)
+         * @param {*} month - Month (MM)
+         * @param {*} day - Day (DD)
+         * @param {Date|string} date - Date as a `Date` or `'YYYY-MM-DD'` string, instead of year, month and day
+         * @param {*} start - First day of a date range, in any of the forms above
+         * @param {*} end - Last day of the range, which is sent as a single `YYYYMMDD-YYYYMMDD` request
+         * @param {number} limit - Limit on the number of results @default 300
+         * @returns json
+         * @example
+         * const result = await sdv.nhl.getScoreboard(
+         * year = 2019, month = 11, day = 16
+         * )
+         * const range = await sdv.nhl.getScoreboard({ start: '2021-02-13', end: '2021-02-15' })
+         */
+        getScoreboard: async function (options = {}) {
+            const { limit = 300 } = options;
+            const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/scoreboard`;
+            const params = {
+                limit,
+                dates: datesParam(options)
+            };
+            const res = await http.get(baseUrl, {
+                params
+            });
 
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data.content.schedule;
-    },
-    /**
-     * Gets the NHL scoreboard data for a specified date if available.
-     * @memberOf nhl
-     * @async
-     * @function
-     * @param {*} year - Year (YYYY)
-     * @param {*} month - Month (MM)
-     * @param {*} day - Day (DD)
-     * @param {number} limit - Limit on the number of results @default 300
-     * @returns json
-     * @example
-     * const result = await sdv.nhl.getScoreboard(
-     * year = 2019, month = 11, day = 16
-     * )
-     */
-    getScoreboard: async function ({ year, month, day, limit = 300 }) {
-        const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/scoreboard`;
-        const params = {
-            limit
-        };
-        if (year && month && day) {
-            params.dates = `${year}${parseInt(month) <= 9 ? "0" + parseInt(month) : parseInt(month)}${parseInt(day) <= 9 ? "0" + parseInt(day) : parseInt(day)}`;
-        }
-
-        const res = await axios.get(baseUrl, {
-            params
-        });
-
-        return res.data;
-    },
-    /**
-     * Gets the team standings for the NHL.
-     * @memberOf nhl
-     * @async
-     * @function
-     * @param {number} year - Season
-     * @param {string} group - acceptable group names: 'league','conference','division'
-     * @returns json
-     * @example
-     * const yr = 2016;
-     * const result = await sdv.nhl.getStandings(year = yr);
-     */
-    getStandings: async function ({ year = new Date().getFullYear(), group = 'league' }) {
-        const groupId = group === 'league' ? 1 : group === 'conference' ? 2 : 3;
-        const baseUrl = `https://site.web.api.espn.com/apis/v2/sports/hockey/nhl/standings`;
-        const params = {
-            region: 'us',
-            lang: 'en',
-            contentorigin: 'espn',
-            type: 1,
-            level: groupId,
-            sort: 'playoffseed:asc,points:desc,gamesplayed:asc,rotwins:desc',
-            season: year
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data;
-    },
-    /**
-     * Gets the list of all NHL teams their identification info for ESPN.
-     * @memberOf nhl
-     * @async
-     * @function
-     * @example
-     * const result = await sdv.nhl.getTeamList();
-     */
-    getTeamList: async function () {
-        const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/teams';
-        const params = {
-            limit: 1000
-        };
+            return res.data;
+        },
+        /**
+         * Lists every game of a NHL season, walking each day of the ESPN calendar,
+         * a week at a time.
+         * @memberOf nhl
+         * @async
+         * @function
+         * @param {number} season - Season year, e.g. 2021 for 2020-21
+         * @param {number} seasonType - Pre-Season: 1, Regular Season: 2, Postseason: 3; all of them by default
+         * @returns json
+         * @example
+         * const result = await sdv.nhl.getSeasonGames({ season: 2021, seasonType: 2 });
+         */
+        getSeasonGames: async function ({ season, seasonType } = {}) {
+            assertArguments({ season });
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/scoreboard';
+            const fetchScoreboard = async (params) => {
+                const res = await http.get(baseUrl, {
+                    params: { limit: 1000, ...params }
+                });
+                return res.data;
+            };
+            return seasonGames(fetchScoreboard, { season, seasonType });
+        },
+        /**
+         * Gets the team standings for the NHL.
+         * @memberOf nhl
+         * @async
+         * @function
+         * @param {number} year - Season
+         * @param {string} group - acceptable group names: 'league','conference','division'
+         * @returns json
+         * @example
+         * const yr = 2016;
+         * const result = await sdv.nhl.getStandings(year = yr);
+         */
+        getStandings: async function ({ year = new Date().getFullYear(), group = 'league' } = {}) {
+            const groupId = group === 'league' ? 1 : group === 'conference' ? 2 : 3;
+            const baseUrl = `https://site.web.api.espn.com/apis/v2/sports/hockey/nhl/standings`;
+            const params = {
+                region: 'us',
+                lang: 'en',
+                contentorigin: 'espn',
+                type: 1,
+                level: groupId,
+                sort: 'playoffseed:asc,points:desc,gamesplayed:asc,rotwins:desc',
+                season: year
+            };
+            const res = await http.get(baseUrl, {
+                params
+            });
+            return res.data;
+        },
+        /**
+         * Gets the list of all NHL teams their identification info for ESPN.
+         * @memberOf nhl
+         * @async
+         * @function
+         * @example
+         * const result = await sdv.nhl.getTeamList();
+         */
+        getTeamList: async function () {
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/teams';
+            const params = {
+                limit: 1000
+            };
 
-        const res = await axios.get(baseUrl, {
-            params
-        });
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'reference'
+            });
 
-        return res.data;
-    },
-    /**
-     * Gets the team info for a specific NHL team.
-     * @memberOf nhl
-     * @async
-     * @function
-     * @param {number} id - Team Id
-     * @returns json
-     * @example
-     * const teamId = 16;
-     * const result = await sdv.nhl.getTeamInfo(teamId);
-     */
-    getTeamInfo: async function (id) {
-        const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/teams/${id}`;
+            return res.data;
+        },
+        /**
+         * Gets the team info for a specific NHL team.
+         * @memberOf nhl
+         * @async
+         * @function
+         * @param {number} id - Team Id
+         * @returns json
+         * @example
+         * const teamId = 16;
+         * const result = await sdv.nhl.getTeamInfo(teamId);
+         */
+        getTeamInfo: async function (id) {
+            assertArguments({ id });
+            const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/teams/${id}`;
 
-        const res = await axios.get(baseUrl);
-        return res.data;
-    },
-    /**
-     * Gets the team roster information for a specific NHL team.
-     * @memberOf nhl
-     * @async
-     * @function
-     * @param {number} id - Team Id
-     * @returns json
-     * @example
-     * const teamId = 16;
-     * const result = await sdv.nhl.getTeamPlayers(teamId);
-     */
-    getTeamPlayers: async function (id) {
-        const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/teams/${id}`;
-        const params = {
-            enable: "roster"
-        };
+            const res = await http.get(baseUrl, { kind: 'reference' });
+            return res.data;
+        },
+        /**
+         * Gets the team roster information for a specific NHL team.
+         * @memberOf nhl
+         * @async
+         * @function
+         * @param {number} id - Team Id
+         * @returns json
+         * @example
+         * const teamId = 16;
+         * const result = await sdv.nhl.getTeamPlayers(teamId);
+         */
+        getTeamPlayers: async function (id) {
+            assertArguments({ id });
+            const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/teams/${id}`;
+            const params = {
+                enable: "roster"
+            };
 
-        const res = await axios.get(baseUrl, {
-            params
-        });
-
-        return res.data;
-    }
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'reference'
+            });
 
+            return res.data;
+        }
+    };
+    return service;
 }
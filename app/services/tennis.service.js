@@ -1,35 +1,45 @@
-import axios from 'axios';
+import { InvalidArgumentError } from '../utils/errors.js';
+import { datesParam } from '../utils/dates.js';
 /**
  * Operations for Tennis.
  *
  * @namespace tennis
  */
-export default {
-    /**
-     * Gets the scoreboard data for a specified date and league if available.
-     * @memberOf tennis
-     * @async
-     * @function
-     * @param {string} league - Tennis league desired. Default 'atp' Acceptable values:
-     * ['atp', 'wta']
-     * @param {*} year - Year (YYYY)
-     * @param {*} month - Month (MM)
-     * @param {*} day - Day (DD)
-     * @returns json
-     * @example
-     * const result = await sdv.tennis.getScoreboard({
-     * league = 'wta', year = 2023, month = 06, day = 20
-     * })
-     */
-    getScoreboard: async function ({ league = 'atp', year, month, day }) {
-        const baseUrl = `https://site.api.espn.com/apis/site/v2/sports/tennis/${league}/scoreboard`;
-        const params = {};
-        if (year && month && day) {
-            params.dates = `${year}${parseInt(month) <= 9 ? "0" + parseInt(month) : parseInt(month)}${parseInt(day) <= 9 ? "0" + parseInt(day) : parseInt(day)}`;
+export default function createTennisService(http) {
+    return {
+        /**
+         * Gets the scoreboard data for a specified date and league if available.
+         * @memberOf tennis
+         * @async
+         * @function
+         * @param {string} league - Tennis league desired. Default 'atp' Acceptable values:
+         * ['atp', 'wta']
+         * @param {*} year - Year (YYYY)
+         * @param {*} month - Month (MM)
+         * @param {*} day - Day (DD)
+         * @param {Date|string} date - Date as a `Date` or `'YYYY-MM-DD'` string, instead of year, month and day
+         * @param {*} start - First day of a date range, in any of the forms above
+         * @param {*} end - Last day of the range, which is sent as a single `YYYYMMDD-YYYYMMDD` request
+         * @returns json
+         * @example
+         * const result = await sdv.tennis.getScoreboard({
+         * league = 'wta', year = 2023, month = 06, day = 20
+         * })
+         * const range = await sdv.tennis.getScoreboard({ start: '2021-02-13', end: '2021-02-15' })
+         */
+        getScoreboard: async function (options = {}) {
+            const { league = 'atp' } = options;
+            if (!['atp', 'wta'].includes(league)) {
+                throw new InvalidArgumentError(`Unsupported tennis league '${league}', expected 'atp' or 'wta'`, { argument: 'league' });
+            }
+            const baseUrl = `https://site.api.espn.com/apis/site/v2/sports/tennis/${league}/scoreboard`;
+            const params = {
+                dates: datesParam(options)
+            };
+            const res = await http.get(baseUrl, {
+                params,
+            });
+            return res.data;
         }
-        const res = await axios.get(baseUrl, {
-            params,
-        });
-        return res.data;
-    }
-};
\ No newline at end of file
+    };
+}
@@ -1,249 +1,361 @@
-import axios from 'axios';
+import { assertArguments, assertPayload } from '../utils/errors.js';
+import { datesParam, fetchEachDay, mergeSchedules } from '../utils/dates.js';
+import { seasonGames } from '../utils/seasons.js';
+import { tidyBasketballPlays } from '../pbp/basketball.js';
+import { flattenBoxScore } from '../pbp/boxscore.js';
+import { basketballPossessions, basketballStints } from '../pbp/lineups.js';
 /**
  * Operations for WNBA.
  *
  * @namespace wnba
  */
-export default {
-    /**
-     * Gets the WNBA game play-by-play data for a specified game.
-     * @memberOf wnba
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.wnba.getPlayByPlay(401244185);
-     */
-    getPlayByPlay: async function (id) {
-        const baseUrl = 'http://cdn.espn.com/core/wnba/playbyplay';
-        const params = {
-            gameId: id,
-            xhr: 1,
-            render: 'false',
-            userab: 18
-        };
+export default function createWnbaService(http) {
+    const service = {
+        /**
+         * Gets the WNBA game play-by-play data for a specified game.
+         * @memberOf wnba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.wnba.getPlayByPlay(401244185);
+         */
+        getPlayByPlay: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://cdn.espn.com/core/wnba/playbyplay';
+            const params = {
+                gameId: id,
+                xhr: 1,
+                render: 'false',
+                userab: 18
+            };
 
-        const res = await axios.get(baseUrl, {
-            params
-        });
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            assertPayload(res, 'gamepackageJSON.header.competitions');
 
-        return {
-            teams: res.data.gamepackageJSON.header.competitions[0].competitors,
-            id: res.data.gamepackageJSON.header.id,
-            plays: res.data.gamepackageJSON.plays,
-            competitions: res.data.gamepackageJSON.header.competitions,
-            season: res.data.gamepackageJSON.header.season,
-            boxScore: res.data.gamepackageJSON.boxscore,
-            seasonSeries: res.data.gamepackageJSON.seasonseries,
-            standings: res.data.gamepackageJSON.standings
-        };
-    },
-    /**
-     * Gets the WNBA game box score data for a specified game.
-     * @memberOf wnba
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.wnba.getBoxScore(401244185);
-     */
-    getBoxScore: async function (id) {
-        const baseUrl = 'http://cdn.espn.com/core/wnba/boxscore';
-        const params = {
-            gameId: id,
-            xhr: 1,
-            render: false,
-            device: 'desktop',
-            userab: 18
-        };
+            return {
+                teams: res.data.gamepackageJSON.header.competitions[0].competitors,
+                id: res.data.gamepackageJSON.header.id,
+                plays: res.data.gamepackageJSON.plays,
+                competitions: res.data.gamepackageJSON.header.competitions,
+                season: res.data.gamepackageJSON.header.season,
+                boxScore: res.data.gamepackageJSON.boxscore,
+                seasonSeries: res.data.gamepackageJSON.seasonseries,
+                standings: res.data.gamepackageJSON.standings
+            };
+        },
+        /**
+         * Gets the WNBA game play-by-play data for a specified game as one flat row per play,
+         * see `tidyBasketballPlays` for the columns.
+         * @memberOf wnba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.wnba.getTidyPlayByPlay(401244185);
+         */
+        getTidyPlayByPlay: async function (id) {
+            const game = await service.getPlayByPlay(id);
+            return tidyBasketballPlays(game, { league: 'wnba' });
+        },
+        /**
+         * Gets the possessions of a WNBA game, see `basketballPossessions`.
+         * @memberOf wnba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.wnba.getPossessions(401244185);
+         */
+        getPossessions: async function (id) {
+            return basketballPossessions(await service.getTidyPlayByPlay(id));
+        },
+        /**
+         * Gets the lineup stints of a WNBA game, the stretches with the same ten
+         * players on the floor, see `basketballStints`. Starters come from the box score
+         * of the play-by-play, or from `getBoxScore` when it has none.
+         * @memberOf wnba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.wnba.getLineupStints(401244185);
+         */
+        getLineupStints: async function (id) {
+            const game = await service.getPlayByPlay(id);
+            const boxScore = game.boxScore?.players ? game.boxScore : await service.getBoxScore(id);
+            return basketballStints(tidyBasketballPlays(game, { league: 'wnba' }), boxScore);
+        },
+        /**
+         * Gets the WNBA game box score data for a specified game.
+         * @memberOf wnba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.wnba.getBoxScore(401244185);
+         */
+        getBoxScore: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://cdn.espn.com/core/wnba/boxscore';
+            const params = {
+                gameId: id,
+                xhr: 1,
+                render: false,
+                device: 'desktop',
+                userab: 18
+            };
 
-        const res = await axios.get(baseUrl, {
-            params
-        });
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            assertPayload(res, 'gamepackageJSON.boxscore');
 
-        const game = res.data.gamepackageJSON.boxscore;
-        game.id = res.data.gameId;
+            const game = res.data.gamepackageJSON.boxscore;
+            game.id = res.data.gameId;
 
-        return game;
-    },
-    /**
-     * Gets the WNBA game summary data for a specified game.
-     * @memberOf wnba
-     * @async
-     * @function
-     * @param {number} id - Game id.
-     * @returns json
-     * @example
-     * const result = await sdv.wnba.getSummary(401244185);
-     */
-    getSummary: async function (id) {
-        const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/basketball/wnba/summary';
-        const params = {
-            event: id
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return {
-            boxScore: res.data.boxscore,
-            gameInfo: res.data.gameInfo,
-            header: res.data.header,
-            teams: res.data.header.competitions[0].competitors,
-            id: res.data.header.id,
-            plays: res.data.plays,
-            winProbability: res.data.winprobability,
-            leaders: res.data.leaders,
-            competitions: res.data.header.competitions,
-            season: res.data.header.season,
-            seasonSeries: res.data.seasonseries,
-            standings: res.data.standings
-        };
-    },
+            return game;
+        },
+        /**
+         * Gets the box score of a WNBA game as player and team rows, see `flattenBoxScore`.
+         * @memberOf wnba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.wnba.getTidyBoxScore(401244185);
+         */
+        getTidyBoxScore: async function (id) {
+            return flattenBoxScore(await service.getBoxScore(id));
+        },
+        /**
+         * Gets the WNBA game summary data for a specified game.
+         * @memberOf wnba
+         * @async
+         * @function
+         * @param {number} id - Game id.
+         * @returns json
+         * @example
+         * const result = await sdv.wnba.getSummary(401244185);
+         */
+        getSummary: async function (id) {
+            assertArguments({ id });
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/basketball/wnba/summary';
+            const params = {
+                event: id
+            };
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'game'
+            });
+            assertPayload(res, 'header.competitions');
+            return {
+                boxScore: res.data.boxscore,
+                gameInfo: res.data.gameInfo,
+                header: res.data.header,
+                teams: res.data.header.competitions[0].competitors,
+                id: res.data.header.id,
+                plays: res.data.plays,
+                winProbability: res.data.winprobability,
+                leaders: res.data.leaders,
+                competitions: res.data.header.competitions,
+                season: res.data.header.season,
+                seasonSeries: res.data.seasonseries,
+                standings: res.data.standings
+            };
+        },
 
-    /**
-     * Gets the WNBA schedule data for a specified date if available.
-     * @memberOf wnba
-     * @async
-     * @function
-     * @param {*} year - Year (YYYY)
-     * @param {*} month - Month (MM)
-     * @param {*} day - Day (DD)
-     * @returns json
-     * @example
-     * const result = await sdv.wnba.getSchedule(
-     * year = 2019, month = 07, day = 15
-     * )
-     */
-    getSchedule: async function ({ year = null, month = null, day = null }) {
-        const baseUrl = `http://cdn.espn.com/core/wnba/schedule?dates=${year}${parseInt(month) <= 9 ? "0" + parseInt(month) : parseInt(month)}${parseInt(day) <= 9 ? "0" + parseInt(day) : parseInt(day)}`;
-        const params = {
-            xhr: 1,
-            render: false,
-            device: 'desktop',
-            userab: 18
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data.content.schedule;
-    },
+        /**
+         * Gets the WNBA schedule data for a specified date if available.
+         * @memberOf wnba
+         * @async
+         * @function
+         * @param {*} year - Year (YYYY)
+         * @param {*} month - Month (MM)
+         * @param {*} day - Day (DD)
+         * @param {Date|string} date - Date as a `Date` or `'YYYY-MM-DD'` string, instead of year, month and day
+         * @param {*} start - First day of a date range, in any of the forms above
+         * @param {*} end - Last day of the range, which is requested day by day and merged into one result
+         * @returns json
+         * @example
+         * const result = await sdv.wnba.getSchedule(
+         * year = 2019, month = 07, day = 15
+         * )
+         * const range = await sdv.wnba.getSchedule({ start: '2020-08-17', end: '2020-08-23' })
+         */
+        getSchedule: async function (options = {}) {
+            const baseUrl = `http://cdn.espn.com/core/wnba/schedule`;
+            return fetchEachDay(options, async (dates) => {
+                const params = {
+                    dates,
+                    xhr: 1,
+                    render: false,
+                    device: 'desktop',
+                    userab: 18
+                };
+                const res = await http.get(baseUrl, {
+                    params
+                });
+                assertPayload(res, 'content.schedule');
+                return res.data.content.schedule;
+            }, mergeSchedules);
+        },
 
-    /**
-     * Gets the WNBA scoreboard data for a specified date if available.
-     * @memberOf wnba
-     * @async
-     * @function
-     * @param {*} year - Year (YYYY)
-     * @param {*} month - Month (MM)
-     * @param {*} day - Day (DD)
-     * @param {number} limit - Limit on the number of results @default 300
-     * @returns json
-     * @example
-     * const result = await sdv.wnba.getScoreboard(
-     * year = 2019, month = 07, day = 15
-     * )
-     */
-    getScoreboard: async function ({ year, month, day, limit = 300 }) {
-        const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/basketball/wnba/scoreboard`;
-        const params = {
-            limit
-        };
-        if (year && month && day) {
-            params.dates = `${year}${parseInt(month) <= 9 ? "0" + parseInt(month) : parseInt(month)}${parseInt(day) <= 9 ? "0" + parseInt(day) : parseInt(day)}`;
-        }
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data;
-    },
-    /**
-     * Gets the team standings for the WNBA.
-     * @memberOf wnba
-     * @async
-     * @function
-     * @param {number} year - Season
-     * @param {string} group - acceptable group names: 'league','conference'
-     * @returns json
-     * @example
-     * const yr = 2016;
-     * const result = await sdv.wnba.getStandings(year = yr);
-     */
-    getStandings: async function ({ year = new Date().getFullYear(), group = 'league' }) {
-        const groupId = group === 'league' ? 1 : 2;
-        const baseUrl = `https://site.web.api.espn.com/apis/v2/sports/basketball/wnba/standings`;
-        const params = {
-            region: 'us',
-            lang: 'en',
-            contentorigin: 'espn',
-            season: year,
-            type: 0,
-            level: groupId
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data;
-    },
-    /**
-     * Gets the list of all WNBA teams their identification info for ESPN.
-     * @memberOf wnba
-     * @async
-     * @function
-     * @returns json
-     * @example
-     * const result = await sdv.wnba.getTeamList();
-     */
-    getTeamList: async function ({ }) {
-        const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/basketball/wnba/teams';
-        const params = {
-            limit: 1000
-        };
-        const res = await axios.get(baseUrl, {
-            params
-        });
-        return res.data;
-    },
-    /**
-     * Gets the team info for a specific WNBA team.
-     * @memberOf wnba
-     * @async
-     * @function
-     * @param {number} id - Team Id
-     * @returns json
-     * @example
-     * const teamId = 16;
-     * const result = await sdv.wnba.getTeamInfo(teamId);
-     */
-    getTeamInfo: async function (id) {
-        const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/basketball/wnba/teams/${id}`;
+        /**
+         * Gets the WNBA scoreboard data for a specified date if available.
+         * @memberOf wnba
+         * @async
+         * @function
+         * @param {*} year - Year (YYYY)
+         * @param {*} month - Month (MM)
+         * @param {*} day - Day (DD)
+         * @param {Date|string} date - Date as a `Date` or `'YYYY-MM-DD'` string, instead of year, month and day
+         * @param {*} start - First day of a date range, in any of the forms above
+         * @param {*} end - Last day of the range, which is sent as a single `YYYYMMDD-YYYYMMDD` request
+         * @param {number} limit - Limit on the number of results @default 300
+         * @returns json
+         * @example
+         * const result = await sdv.wnba.getScoreboard(
+         * year = 2019, month = 07, day = 15
+         * )
+         * const range = await sdv.wnba.getScoreboard({ start: '2020-08-17', end: '2020-08-23' })
+         */
+        getScoreboard: async function (options = {}) {
+            const { limit = 300 } = options;
+            const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/basketball/wnba/scoreboard`;
+            const params = {
+                limit,
+                dates: datesParam(options)
+            };
+            const res = await http.get(baseUrl, {
+                params
+            });
+            return res.data;
+        },
+        /**
+         * Lists every game of a WNBA season, walking each day of the ESPN calendar,
+         * a week at a time.
+         * @memberOf wnba
+         * @async
+         * @function
+         * @param {number} season - Season year
+         * @param {number} seasonType - Pre-Season: 1, Regular Season: 2, Postseason: 3; all of them by default
+         * @returns json
+         * @example
+         * const result = await sdv.wnba.getSeasonGames({ season: 2021, seasonType: 2 });
+         */
+        getSeasonGames: async function ({ season, seasonType } = {}) {
+            assertArguments({ season });
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/basketball/wnba/scoreboard';
+            const fetchScoreboard = async (params) => {
+                const res = await http.get(baseUrl, {
+                    params: { limit: 1000, ...params }
+                });
+                return res.data;
+            };
+            return seasonGames(fetchScoreboard, { season, seasonType });
+        },
+        /**
+         * Gets the team standings for the WNBA.
+         * @memberOf wnba
+         * @async
+         * @function
+         * @param {number} year - Season
+         * @param {string} group - acceptable group names: 'league','conference'
+         * @returns json
+         * @example
+         * const yr = 2016;
+         * const result = await sdv.wnba.getStandings(year = yr);
+         */
+        getStandings: async function ({ year = new Date().getFullYear(), group = 'league' } = {}) {
+            const groupId = group === 'league' ? 1 : 2;
+            const baseUrl = `https://site.web.api.espn.com/apis/v2/sports/basketball/wnba/standings`;
+            const params = {
+                region: 'us',
+                lang: 'en',
+                contentorigin: 'espn',
+                season: year,
+                type: 0,
+                level: groupId
+            };
+            const res = await http.get(baseUrl, {
+                params
+            });
+            return res.data;
+        },
+        /**
+         * Gets the list of all WNBA teams their identification info for ESPN.
+         * @memberOf wnba
+         * @async
+         * @function
+         * @returns json
+         * @example
+         * const result = await sdv.wnba.getTeamList();
+         */
+        getTeamList: async function ({ } = {}) {
+            const baseUrl = 'http://site.api.espn.com/apis/site/v2/sports/basketball/wnba/teams';
+            const params = {
+                limit: 1000
+            };
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'reference'
+            });
+            return res.data;
+        },
+        /**
+         * Gets the team info for a specific WNBA team.
+         * @memberOf wnba
+         * @async
+         * @function
+         * @param {number} id - Team Id
+         * @returns json
+         * @example
+         * const teamId = 16;
+         * const result = await sdv.wnba.getTeamInfo(teamId);
+         */
+        getTeamInfo: async function (id) {
+            assertArguments({ id });
+            const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/basketball/wnba/teams/${id}`;
 
-        const res = await axios.get(baseUrl);
-        return res.data;
-    },
-    /**
-     * Gets the team roster information for a specific WNBA team.
-     * @memberOf wnba
-     * @async
-     * @function
-     * @param {number} id - Team Id
-     * @returns json
-     * @example
-     * const teamId = 16;
-     * const result = await sdv.wnba.getTeamPlayers(teamId);
-     */
-    getTeamPlayers: async function (id) {
-        const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/basketball/wnba/teams/${id}`;
-        const params = {
-            enable: "roster"
-        };
+            const res = await http.get(baseUrl, { kind: 'reference' });
+            return res.data;
+        },
+        /**
+         * Gets the team roster information for a specific WNBA team.
+         * @memberOf wnba
+         * @async
+         * @function
+         * @param {number} id - Team Id
+         * @returns json
+         * @example
+         * const teamId = 16;
+         * const result = await sdv.wnba.getTeamPlayers(teamId);
+         */
+        getTeamPlayers: async function (id) {
+            assertArguments({ id });
+            const baseUrl = `http://site.api.espn.com/apis/site/v2/sports/basketball/wnba/teams/${id}`;
+            const params = {
+                enable: "roster"
+            };
 
-        const res = await axios.get(baseUrl, {
-            params
-        });
+            const res = await http.get(baseUrl, {
+                params,
+                kind: 'reference'
+            });
 
-        return res.data;
-    }
+            return res.data;
+        }
+    };
+    return service;
 }
-
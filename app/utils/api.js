@@ -0,0 +1,553 @@
+import { readFileSync } from 'fs';
+import http from 'http';
+import {
+    InvalidArgumentError,
+    NotFoundError,
+    RateLimitedError,
+    TimeoutError,
+    UpstreamError,
+    UpstreamSchemaChangedError
+} from './errors.js';
+import { executeGraphql } from './graphql.js';
+
+const { version } = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+/*
+ * Every route is `GET`, answers JSON and is listed in the OpenAPI document
+ * served at `/openapi.json`. A route names the namespace and method it calls,
+ * its path and query parameters, and how they become the method's arguments.
+ * Query parameters are checked against their declared type before the call;
+ * unknown ones are rejected. Errors answer `{ error: { name, message, status,
+ * league, method, argument } }` with the status matching the error class;
+ * errors of no library class answer 500 and only `'Internal server error'`.
+ * `/graphql`, served with the `graphql` option, takes GraphQL queries, see
+ * `executeGraphql`, by `POST` with a JSON body `{ query, variables,
+ * operationName }` or by `GET` with the same query parameters, and answers
+ * `{ data, errors }`, every error carrying the fields above in its `extensions`.
+ */
+
+const date = (description) => ({ type: 'date', description });
+const integer = (description, extra = {}) => ({ type: 'integer', description, ...extra });
+const string = (description, extra = {}) => ({ type: 'string', description, ...extra });
+
+const DATES = {
+    date: date('Day, YYYY-MM-DD'),
+    start: date('First day of a date range, YYYY-MM-DD'),
+    end: date('Last day of a date range, YYYY-MM-DD')
+};
+const LIMIT = { limit: integer('Maximum number of events') };
+const SEASON_TYPE = integer('1 preseason, 2 regular season, 3 postseason, 4 off season', { enum: [1, 2, 3, 4] });
+const YEAR = integer('Season year');
+const COLLEGE_GROUP = integer('ESPN group, e.g. 80 for FBS or 50 for Division I');
+const STANDINGS_GROUP = string('Standings level', { enum: ['league', 'conference', 'division'] });
+
+// league-specific query parameters, by method
+const LEAGUE_QUERY = {
+    cfb: {
+        getScoreboard: { groups: COLLEGE_GROUP, seasontype: SEASON_TYPE },
+        getSchedule: { groups: COLLEGE_GROUP, seasontype: SEASON_TYPE },
+        getSeasonGames: { groups: COLLEGE_GROUP },
+        getConferences: { group: COLLEGE_GROUP },
+        getStandings: { group: COLLEGE_GROUP },
+        getTeamList: { group: COLLEGE_GROUP }
+    },
+    mbb: {
+        getScoreboard: { group: COLLEGE_GROUP, seasontype: SEASON_TYPE },
+        getSchedule: { group: COLLEGE_GROUP, seasontype: SEASON_TYPE },
+        getSeasonGames: { group: COLLEGE_GROUP },
+        getConferences: { group: COLLEGE_GROUP },
+        getStandings: { group: COLLEGE_GROUP },
+        getTeamList: { group: COLLEGE_GROUP }
+    },
+    wbb: {
+        getScoreboard: { group: COLLEGE_GROUP, seasontype: SEASON_TYPE },
+        getSchedule: { groups: COLLEGE_GROUP, seasontype: SEASON_TYPE, ...LIMIT },
+        getSeasonGames: { group: COLLEGE_GROUP },
+        getConferences: { group: COLLEGE_GROUP },
+        getStandings: { group: COLLEGE_GROUP },
+        getTeamList: { group: COLLEGE_GROUP }
+    }
+};
+
+// routes under `/{league}/games/{id}`, taking the game id
+const GAME_ROUTES = [
+    ['pbp', 'getPlayByPlay', 'Play-by-play of a game'],
+    ['tidy-pbp', 'getTidyPlayByPlay', 'Play-by-play of a game, one flat row per play'],
+    ['possessions', 'getPossessions', 'Possessions of a game'],
+    ['lineups', 'getLineupStints', 'Lineup stints of a game'],
+    ['plate-appearances', 'getPlateAppearances', 'Plate appearances of a game'],
+    ['pitches', 'getPitches', 'Pitches of a game'],
+    ['annotated-plate-appearances', 'getAnnotatedPlateAppearances', 'Plate appearances of a game with RE24 and WPA'],
+    ['shot-attempts', 'getShotAttempts', 'Shot attempts of a game'],
+    ['shot-metrics', 'getShotMetrics', 'Corsi and Fenwick of a game'],
+    ['box', 'getBoxScore', 'Box score of a game'],
+    ['tidy-box', 'getTidyBoxScore', 'Box score of a game as player and team rows'],
+    ['summary', 'getSummary', 'Summary of a game'],
+    ['picks', 'getPicks', 'Pick center data of a game']
+];
+
+// routes under `/{league}`: path, method, summary, query, arguments
+const LEAGUE_ROUTES = [
+    ['/scoreboard', 'getScoreboard', 'Scoreboard of a day or date range', { ...DATES, ...LIMIT }],
+    ['/schedule', 'getSchedule', 'Schedule of a day or date range', DATES],
+    ['/weekly-schedule', 'getWeeklySchedule', 'Schedule of a week', { week: integer('Week'), year: YEAR, seasonType: SEASON_TYPE }],
+    ['/seasons/{season}/games', 'getSeasonGames', 'Every game of a season', { seasonType: SEASON_TYPE }],
+    ['/standings', 'getStandings', 'Standings of a season', { year: YEAR, group: STANDINGS_GROUP }],
+    ['/conferences', 'getConferences', 'Conferences of a season', { year: YEAR }],
+    ['/rankings', 'getRankings', 'Poll rankings of a week', { year: YEAR, week: integer('Week') }],
+    ['/teams', 'getTeamList', 'Teams of the league', {}],
+    ['/teams/{id}', 'getTeamInfo', 'Details of a team', {}, (params, query, league) => [league === 'nfl' ? { id: params.id } : params.id]],
+    ['/teams/{id}/players', 'getTeamPlayers', 'Roster of a team', {}, (params, query, league) => [league === 'nfl' ? { id: params.id } : params.id]],
+    ['/recruits/players', 'getPlayerRankings', 'Recruiting rankings of players', {
+        year: YEAR,
+        page: integer('Page, 50 players per page'),
+        group: string('Institution type', { enum: ['HighSchool', 'JuniorCollege', 'PrepSchool'] }),
+        position: string('Position'),
+        state: string('State')
+    }],
+    ['/recruits/schools', 'getSchoolRankings', 'Recruiting rankings of schools', {
+        year: { ...YEAR, required: true },
+        page: integer('Page, 50 schools per page')
+    }, (params, query) => [query.year, query.page]],
+    ['/recruits/schools/{school}/commits', 'getSchoolCommits', 'Commits of a school', {
+        year: { ...YEAR, required: true }
+    }, (params, query) => [params.school, query.year]]
+];
+
+const NCAA_RANKINGS = {
+    rankingPeriod: integer('Ranking period', { required: true }),
+    gameHigh: string('Game-high statistics', { enum: ['Y', 'N'] }),
+    category: integer('Statistic category', { required: true })
+};
+
+const DIVISION = '/ncaa/sports/{sport}/seasons/{season}/divisions/{division}';
+
+// routes of the namespaces that are not ESPN leagues
+const OTHER_ROUTES = [
+    ['ncaa', '/ncaa/scoreboard/{sport}/{division}/{date}', 'getScoreboard', 'NCAA scoreboard of a day', {}],
+    ['ncaa', '/ncaa/scoreboard/{sport}/{division}', 'getScoreboard', 'NCAA scoreboard of a date range', { start: DATES.start, end: DATES.end }],
+    ['ncaa', '/ncaa/games/{id}', 'getInfo', 'NCAA game details', {}, (params) => [params.id]],
+    ['ncaa', '/ncaa/games/{id}/box', 'getBoxScore', 'NCAA box score of a game', {}, (params) => [params.id]],
+    ['ncaa', '/ncaa/games/{id}/pbp', 'getPlayByPlay', 'NCAA play-by-play of a game', {}, (params) => [params.id]],
+    ['ncaa', '/ncaa/redirect', 'getRedirectUrl', 'Game id behind an NCAA game url', { url: string('Game url', { required: true }) }, (params, query) => [query.url]],
+    ['ncaa', '/ncaa/sports', 'getSports', 'NCAA sports', {}, () => []],
+    ['ncaa', '/ncaa/sports/{sport}/seasons', 'getSeasons', 'Seasons of an NCAA sport', {}, (params) => [params.sport]],
+    ['ncaa', '/ncaa/sports/{sport}/seasons/{season}/divisions', 'getDivisions', 'Divisions of an NCAA sport and season', {},
+        (params) => [params.sport, params.season]],
+    ['ncaa', `${DIVISION}/stats`, 'getSportDivisionData', 'Statistic categories and ranking periods of an NCAA division', {
+        type: string('Statistics of', { enum: ['individual', 'team'] }),
+        gameHigh: { type: 'boolean', description: 'Game-high statistics' }
+    }, (params, query) => [params.sport, params.season, params.division, query.type, query.gameHigh]],
+    ['ncaa', `${DIVISION}/players`, 'getPlayerData', 'NCAA player statistics', NCAA_RANKINGS,
+        (params, query) => [params.sport, params.season, params.division, query.rankingPeriod, query.gameHigh, query.category]],
+    ['ncaa', `${DIVISION}/teams`, 'getTeamData', 'NCAA team statistics', NCAA_RANKINGS,
+        (params, query) => [params.sport, params.season, params.division, query.rankingPeriod, query.gameHigh, query.category]],
+    ['tennis', '/tennis/scoreboard', 'getScoreboard', 'Tennis scoreboard of a day or date range', {
+        league: string('Tour', { enum: ['atp', 'wta'] }),
+        ...DATES
+    }]
+];
+
+// path parameters taken as numbers
+const INTEGER_PATH_PARAMS = ['season'];
+// largest GraphQL request body, in bytes
+const BODY_LIMIT = 1024 * 1024;
+const INTERNAL_ERROR = 'Internal server error';
+
+function objectArguments(params, query) {
+    return [{ ...params, ...query }];
+}
+
+/**
+ * Lists the routes of the API server for the namespaces of a client. Every
+ * data method (`get...`) of every namespace has a route; `ncaa.extractSelectList`,
+ * which parses a page already loaded, has none.
+ * @param {object} client - the default client or one made by `createClient`
+ * @returns {object[]} routes `{ path, namespace, method, summary, query, args }`, `path` in
+ * OpenAPI form (`/nba/games/{id}/pbp`) and `args(params, query)` giving the method arguments
+ */
+export function apiRoutes(client) {
+    const routes = [];
+    const add = (namespace, path, method, summary, query = {}, args = objectArguments) => {
+        if (typeof client?.[namespace]?.[method] === 'function') {
+            routes.push({ path, namespace, method, summary, query, args: (params, values) => args(params, values, namespace) });
+        }
+    };
+    for (const league of ['cfb', 'mbb', 'mlb', 'nba', 'nfl', 'nhl', 'wbb', 'wnba']) {
+        for (const [segment, method, summary] of GAME_ROUTES) {
+            add(league, `/${league}/games/{id}/${segment}`, method, summary, {}, (params) => [params.id]);
+        }
+        for (const [path, method, summary, query, args] of LEAGUE_ROUTES) {
+            add(league, `/${league}${path}`, method, summary, { ...query, ...LEAGUE_QUERY[league]?.[method] }, args);
+        }
+    }
+    for (const [namespace, path, method, summary, query, args] of OTHER_ROUTES) {
+        add(namespace, path, method, summary, query, args);
+    }
+    return routes;
+}
+
+function pathValue(name, value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (err) {
+        throw new InvalidArgumentError(`Invalid percent-encoding in ${name}: ${value}`, { argument: name, cause: err });
+    }
+}
+
+function pathPattern(path) {
+    const names = [];
+    const source = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, name) => {
+        names.push(name);
+        return '([^/]+)';
+    });
+    return { names, pattern: new RegExp(`^${source}/?$`) };
+}
+
+function queryValue(name, value, spec) {
+    let parsed = value;
+    if (spec.type === 'integer') {
+        if (!/^-?\d+$/.test(value)) {
+            throw new InvalidArgumentError(`Query parameter '${name}' must be an integer, got '${value}'`, { argument: name });
+        }
+        parsed = Number(value);
+    } else if (spec.type === 'boolean') {
+        if (!['true', 'false'].includes(value)) {
+            throw new InvalidArgumentError(`Query parameter '${name}' must be true or false, got '${value}'`, { argument: name });
+        }
+        parsed = value === 'true';
+    } else if (spec.type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw new InvalidArgumentError(`Query parameter '${name}' must be a YYYY-MM-DD date, got '${value}'`, { argument: name });
+    }
+    if (spec.enum && !spec.enum.includes(parsed)) {
+        throw new InvalidArgumentError(`Query parameter '${name}' must be one of ${spec.enum.join(', ')}, got '${value}'`, { argument: name });
+    }
+    return parsed;
+}
+
+// checks the query string of a request against the parameters of its route
+function readQuery(searchParams, spec) {
+    const query = {};
+    for (const name of new Set(searchParams.keys())) {
+        if (!spec[name]) {
+            const known = Object.keys(spec);
+            throw new InvalidArgumentError(`Unknown query parameter '${name}'${known.length ? `, expected ${known.join(', ')}` : ''}`, { argument: name });
+        }
+        const values = searchParams.getAll(name);
+        if (values.length > 1) {
+            throw new InvalidArgumentError(`Query parameter '${name}' is given more than once`, { argument: name });
+        }
+        query[name] = queryValue(name, values[0], spec[name]);
+    }
+    const missing = Object.keys(spec).find((name) => spec[name].required && query[name] === undefined);
+    if (missing) {
+        throw new InvalidArgumentError(`Missing required query parameter '${missing}'`, { argument: missing });
+    }
+    return query;
+}
+
+/**
+ * HTTP status of an error thrown by a route.
+ * @param {Error} err - the error
+ * @returns {number} status
+ */
+export function errorStatus(err) {
+    if (err instanceof InvalidArgumentError) {
+        // 413 for a request body over the limit
+        return err.status === 413 ? 413 : 400;
+    }
+    if (err instanceof NotFoundError) {
+        return 404;
+    }
+    if (err instanceof RateLimitedError) {
+        return 429;
+    }
+    if (err instanceof TimeoutError) {
+        return 504;
+    }
+    if (err instanceof UpstreamSchemaChangedError || err instanceof UpstreamError) {
+        return 502;
+    }
+    return 500;
+}
+
+// unexpected errors answer a generic message, their details go to `onError`
+function errorBody(err, status) {
+    const internal = status === 500;
+    return {
+        error: {
+            name: internal ? 'Error' : err?.name ?? 'Error',
+            message: internal ? INTERNAL_ERROR : err?.message ?? String(err),
+            status,
+            league: err?.league,
+            method: err?.method,
+            argument: err?.argument
+        }
+    };
+}
+
+const JSON_TYPES = { date: { type: 'string', format: 'date' }, integer: { type: 'integer' }, string: { type: 'string' }, boolean: { type: 'boolean' } };
+
+function parameterSchema(spec) {
+    return { ...JSON_TYPES[spec.type], ...(spec.enum ? { enum: spec.enum } : {}) };
+}
+
+/**
+ * Builds the OpenAPI 3.1 document of a set of routes.
+ * @param {object[]} routes - see `apiRoutes`
+ * @returns {object} OpenAPI document
+ */
+export function openApiDocument(routes) {
+    const paths = {
+        '/health': {
+            get: {
+                operationId: 'health',
+                summary: 'Health of the server',
+                responses: { 200: { description: 'The server is up', content: { 'application/json': { schema: { $ref: '#/components/schemas/Health' } } } } }
+            }
+        }
+    };
+    const operations = new Set();
+    for (const route of routes) {
+        const { names } = pathPattern(route.path);
+        // a method served by two routes, such as the NCAA scoreboard of a day and of a range
+        const operationId = operations.has(`${route.namespace}.${route.method}`)
+            ? `${route.namespace}.${route.method}.${names.join('.')}`
+            : `${route.namespace}.${route.method}`;
+        operations.add(operationId);
+        paths[route.path] = {
+            get: {
+                operationId,
+                summary: route.summary,
+                tags: [route.namespace],
+                parameters: [
+                    ...names.map((name) => ({
+                        name,
+                        in: 'path',
+                        required: true,
+                        schema: INTEGER_PATH_PARAMS.includes(name) ? { type: 'integer' } : name === 'date' ? JSON_TYPES.date : { type: 'string' }
+                    })),
+                    ...Object.entries(route.query).map(([name, spec]) => ({
+                        name,
+                        in: 'query',
+                        required: Boolean(spec.required),
+                        description: spec.description,
+                        schema: parameterSchema(spec)
+                    }))
+                ],
+                responses: {
+                    200: { description: `Result of \`${route.namespace}.${route.method}\``, content: { 'application/json': { schema: {} } } },
+                    400: { $ref: '#/components/responses/Error' },
+                    404: { $ref: '#/components/responses/Error' },
+                    429: { $ref: '#/components/responses/Error' },
+                    502: { $ref: '#/components/responses/Error' },
+                    504: { $ref: '#/components/responses/Error' }
+                }
+            }
+        };
+    }
+    return {
+        openapi: '3.1.0',
+        info: { title: 'sportsdataverse API', version },
+        paths,
+        components: {
+            schemas: {
+                Health: {
+                    type: 'object',
+                    properties: { status: { type: 'string' }, version: { type: 'string' }, uptime: { type: 'number' } }
+                },
+                Error: {
+                    type: 'object',
+                    properties: {
+                        error: {
+                            type: 'object',
+                            required: ['name', 'message', 'status'],
+                            properties: {
+                                name: { type: 'string' },
+                                message: { type: 'string' },
+                                status: { type: 'integer' },
+                                league: { type: 'string' },
+                                method: { type: 'string' },
+                                argument: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            },
+            responses: {
+                Error: { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+            }
+        }
+    };
+}
+
+function parseJson(text, argument) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new InvalidArgumentError(`Invalid JSON in ${argument}: ${err.message}`, { argument });
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const collect = (chunk) => {
+            size += chunk.length;
+            if (size > BODY_LIMIT) {
+                // the rest of the body is read and dropped so the answer still reaches the client
+                req.off('data', collect);
+                req.resume();
+                reject(new InvalidArgumentError(`Request body larger than ${BODY_LIMIT} bytes`, { argument: 'body', status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', collect);
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// `{ query, variables, operationName }` of a GraphQL request
+async function graphqlRequest(req, url) {
+    let request;
+    if (req.method === 'GET') {
+        const variables = url.searchParams.get('variables');
+        request = {
+            query: url.searchParams.get('query'),
+            variables: variables ? parseJson(variables, 'variables') : undefined,
+            operationName: url.searchParams.get('operationName') ?? undefined
+        };
+    } else {
+        request = parseJson(await readBody(req), 'body') ?? {};
+    }
+    if (typeof request.query !== 'string' || request.query.trim() === '') {
+        throw new InvalidArgumentError('Missing required argument: query', { argument: 'query' });
+    }
+    return { query: request.query, variables: request.variables ?? undefined, operationName: request.operationName ?? undefined };
+}
+
+// a GraphQL error with the fields of the error of the service it comes from
+function graphqlError(err, onError) {
+    const original = err.originalError;
+    const status = original ? errorStatus(original) : null;
+    if (status === 500) {
+        onError(original);
+    }
+    return {
+        ...err.toJSON(),
+        ...(status === 500 ? { message: INTERNAL_ERROR } : {}),
+        extensions: { ...err.extensions, ...(original ? errorBody(original, status).error : {}) }
+    };
+}
+
+function send(res, status, data, headers = {}) {
+    res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * HTTP API over the service methods of a client, see above and `apiRoutes`:
+ * `GET /nba/games/401283399/pbp`, `GET /ncaa/scoreboard/basketball-men/d1/2021-02-15`,
+ * `GET /health`, `GET /openapi.json` and, with `graphql: true`, `POST /graphql`.
+ * @param {object} options
+ * @param {object} options.client - client whose methods are served, the default client when started from `server.js`
+ * @param {number} options.port - port to listen on, 0 picks a free one
+ * @param {string} options.host - interface to bind
+ * @param {string|false} options.cors - `access-control-allow-origin` sent with every response, `'*'` by default
+ * @param {boolean} options.graphql - serve `/graphql`, false by default since one query can
+ * make many upstream requests
+ * @param {function} options.onError - called with every error answered with status 500,
+ * whose body only says `'Internal server error'`; `console.error` by default
+ * @returns {object} `{ server, url, routes, listen(), close() }`
+ * @example
+ * const api = createApiServer({ client: sdv, port: 3000 });
+ * await api.listen();
+ */
+export function createApiServer({ client, port = 0, host = '127.0.0.1', cors = '*', graphql = false, onError = console.error } = {}) {
+    const routes = apiRoutes(client).map((route) => ({ ...route, ...pathPattern(route.path) }));
+    const document = openApiDocument(routes);
+    const started = Date.now();
+    const corsHeaders = cors ? { 'access-control-allow-origin': cors } : {};
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const fail = (err) => {
+            const status = errorStatus(err);
+            if (status === 500) {
+                onError(err);
+            }
+            const retryAfter = err?.retryAfter ? { 'retry-after': String(Math.ceil(err.retryAfter / 1000)) } : {};
+            send(res, status, errorBody(err, status), { ...corsHeaders, ...retryAfter });
+        };
+        if (req.method === 'OPTIONS' && cors) {
+            res.writeHead(204, { ...corsHeaders, 'access-control-allow-methods': graphql ? 'GET, POST, OPTIONS' : 'GET, OPTIONS', 'access-control-allow-headers': 'content-type' });
+            return res.end();
+        }
+        if (url.pathname === '/graphql' && graphql && ['GET', 'POST'].includes(req.method)) {
+            try {
+                const result = await executeGraphql(client, await graphqlRequest(req, url));
+                // a query that does not parse or validate has no data
+                return send(res, result.data === undefined ? 400 : 200, { ...result, ...(result.errors ? { errors: result.errors.map((err) => graphqlError(err, onError)) } : {}) }, corsHeaders);
+            } catch (err) {
+                if (err.status === 413) {
+                    res.setHeader('connection', 'close');
+                }
+                return fail(err);
+            }
+        }
+        if (req.method !== 'GET') {
+            return send(res, 405, errorBody({ name: 'MethodNotAllowedError', message: `Unsupported method ${req.method}, the API is read-only` }, 405),
+                { ...corsHeaders, allow: 'GET' });
+        }
+        if (url.pathname === '/health') {
+            return send(res, 200, { status: 'ok', version, uptime: (Date.now() - started) / 1000 }, corsHeaders);
+        }
+        if (url.pathname === '/openapi.json') {
+            return send(res, 200, document, corsHeaders);
+        }
+        let match;
+        const route = routes.find((candidate) => (match = url.pathname.match(candidate.pattern)));
+        if (!route) {
+            return fail(new NotFoundError(`No route for GET ${url.pathname}, see /openapi.json`));
+        }
+        try {
+            const params = Object.fromEntries(route.names.map((name, index) => [name, pathValue(name, match[index + 1])]));
+            for (const name of INTEGER_PATH_PARAMS.filter((key) => params[key] !== undefined)) {
+                params[name] = queryValue(name, params[name], { type: 'integer' });
+            }
+            const query = readQuery(url.searchParams, route.query);
+            const result = await client[route.namespace][route.method](...route.args(params, query));
+            send(res, 200, result ?? null, corsHeaders);
+        } catch (err) {
+            fail(err);
+        }
+    });
+
+    const api = {
+        server,
+        url: null,
+        routes,
+        listen: function () {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.off('error', reject);
+                    const address = server.address();
+                    const name = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+                    api.url = `http://${name}:${address.port}`;
+                    resolve(api);
+                });
+            });
+        },
+        close: function () {
+            return new Promise((resolve, reject) => {
+                server.close((err) => (err ? reject(err) : resolve()));
+                server.closeAllConnections();
+            });
+        }
+    };
+    return api;
+}
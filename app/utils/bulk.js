@@ -0,0 +1,170 @@
+import { mkdir, readFile, rename, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import { InvalidArgumentError } from './errors.js';
+import { createLimiter } from './rateLimit.js';
+
+/**
+ * Data kinds of `loadSeason` and the service method that fetches each of them.
+ */
+export const LOAD_KINDS = {
+    pbp: 'getPlayByPlay',
+    box: 'getBoxScore',
+    summary: 'getSummary'
+};
+
+const LEAGUES = ['cfb', 'mbb', 'mlb', 'nba', 'nfl', 'nhl', 'wbb', 'wnba'];
+// completed fetches between two saves of the manifest
+const CHECKPOINT_EVERY = 25;
+
+/*
+ * A season is loaded into `{dir}/{league}/{season}`: one JSON file per game and
+ * kind in `{kind}/{gameId}.json`, and `manifest.json` with the state of every
+ * game and kind, `done` or `failed` with the error of the last attempt. The
+ * manifest is saved every few fetches and at the end; a fetch whose file exists
+ * counts as done even when the manifest was not saved after it, so a crashed
+ * load loses no work. Running the load again fetches what is missing or failed.
+ */
+
+async function exists(file) {
+    try {
+        await stat(file);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// writes through a temporary file so a crash never leaves half a file behind
+async function writeJson(file, value) {
+    await mkdir(path.dirname(file), { recursive: true });
+    const temporary = `${file}.${process.pid}.tmp`;
+    await writeFile(temporary, JSON.stringify(value));
+    await rename(temporary, file);
+}
+
+async function readManifest(file, league, season) {
+    try {
+        const manifest = JSON.parse(await readFile(file, 'utf8'));
+        if (manifest.league === league && String(manifest.season) === String(season)) {
+            return manifest;
+        }
+    } catch (err) {
+        if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) {
+            throw err;
+        }
+    }
+    return { league, season: Number(season), games: {} };
+}
+
+/**
+ * Error of a failed fetch, as saved in the manifest.
+ * @param {Error} err - error thrown by a service
+ * @returns {object} `{ name, message, status, code }`
+ */
+export function errorRecord(err) {
+    return {
+        name: err?.name ?? 'Error',
+        message: err?.message ?? String(err),
+        status: err?.status ?? null,
+        code: err?.code ?? null
+    };
+}
+
+/**
+ * Fetches the play-by-play, box score and/or summary of every game of a
+ * season, resuming where an earlier run stopped, see above. Errors of single
+ * games are recorded in the manifest and returned, never thrown; games that are
+ * not completed yet are left for a later run.
+ * @param {object} client - the default client or one made by `createClient`
+ * @param {object} options
+ * @param {string} options.league - `'nba'`, `'wnba'`, `'mbb'`, `'wbb'`, `'nfl'`, `'cfb'`, `'nhl'` or `'mlb'`
+ * @param {number} options.season - season year, see `getSeasonGames`
+ * @param {number} [options.seasonType] - season type, every type by default
+ * @param {string[]} [options.kinds] - any of `'pbp'`, `'box'` and `'summary'`, all of them by default
+ * @param {string} [options.dir] - output directory, `'.sdv-data'` by default
+ * @param {number} [options.concurrency] - games fetched at once, 4 by default; the client's rate
+ * limits still apply
+ * @param {function} [options.onProgress] - called after every fetch with `{ gameId, kind, status,
+ * error, completed, total }`
+ * @returns {Promise<object>} `{ dir, manifest, games, fetched, skipped, pending, failed }`, `failed`
+ * listing `{ gameId, kind, error }`
+ * @example
+ * const result = await loadSeason(sdv, { league: 'mbb', season: 2021, kinds: ['pbp'] });
+ */
+export async function loadSeason(client, { league, season, seasonType, kinds = Object.keys(LOAD_KINDS), dir = '.sdv-data', concurrency = 4, onProgress } = {}) {
+    if (!LEAGUES.includes(league) || !client?.[league]) {
+        throw new InvalidArgumentError(`Unsupported league '${league}', expected one of ${LEAGUES.join(', ')}`, { argument: 'league' });
+    }
+    const unknown = kinds.filter((kind) => !LOAD_KINDS[kind]);
+    if (unknown.length > 0 || kinds.length === 0) {
+        throw new InvalidArgumentError(`Unknown kinds ${JSON.stringify(unknown)}, expected some of ${Object.keys(LOAD_KINDS).join(', ')}`, { argument: 'kinds' });
+    }
+    const service = client[league];
+    const root = path.join(dir, league, String(season));
+    const manifestFile = path.join(root, 'manifest.json');
+    const manifest = await readManifest(manifestFile, league, season);
+
+    const games = await service.getSeasonGames({ season, seasonType });
+    const tasks = [];
+    let pending = 0;
+    let skipped = 0;
+    for (const game of games) {
+        const entry = manifest.games[game.id] || { kinds: {} };
+        manifest.games[game.id] = { ...entry, date: game.date, seasonType: game.seasonType, completed: game.completed };
+        if (!game.completed) {
+            pending += 1;
+            continue;
+        }
+        for (const kind of kinds) {
+            const file = path.join(kind, `${game.id}.json`);
+            if (entry.kinds[kind]?.status === 'done' || await exists(path.join(root, file))) {
+                entry.kinds[kind] = { ...entry.kinds[kind], status: 'done', file };
+                skipped += 1;
+            } else {
+                tasks.push({ gameId: game.id, kind, file });
+            }
+        }
+    }
+
+    // saves run one after the other; a failed one is made up for by the next,
+    // only the last save of the load throws
+    let saving = Promise.resolve();
+    const save = () => {
+        manifest.updated = new Date().toISOString();
+        const snapshot = JSON.parse(JSON.stringify(manifest));
+        saving = saving.catch(() => {}).then(() => writeJson(manifestFile, snapshot));
+        return saving;
+    };
+    const checkpoint = () => save().catch(() => {});
+    await checkpoint();
+
+    const limiter = createLimiter({ concurrency });
+    const failed = [];
+    let completed = 0;
+    let fetched = 0;
+    await Promise.all(tasks.map((task) => limiter.schedule(async () => {
+        const record = manifest.games[task.gameId].kinds;
+        const attempts = (record[task.kind]?.attempts ?? 0) + 1;
+        let error = null;
+        try {
+            const data = await service[LOAD_KINDS[task.kind]](task.gameId);
+            await writeJson(path.join(root, task.file), data);
+            record[task.kind] = { status: 'done', file: task.file, attempts };
+            fetched += 1;
+        } catch (err) {
+            error = errorRecord(err);
+            record[task.kind] = { status: 'failed', attempts, error };
+            failed.push({ gameId: task.gameId, kind: task.kind, error });
+        }
+        completed += 1;
+        if (completed % CHECKPOINT_EVERY === 0) {
+            await checkpoint();
+        }
+        if (onProgress) {
+            onProgress({ gameId: task.gameId, kind: task.kind, status: record[task.kind].status, error, completed, total: tasks.length });
+        }
+    })));
+    await save();
+
+    return { dir: root, manifest: manifestFile, games: games.length, fetched, skipped, pending, failed };
+}
@@ -0,0 +1,168 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import path from 'path';
+import { requestUrl } from './url.js';
+
+/**
+ * Default time-to-live in milliseconds per kind of response. `final` and `live`
+ * apply to game requests depending on the state of the game in the payload,
+ * `reference` to slow-moving data such as team lists and conferences.
+ */
+export const defaultTtl = {
+    default: 60 * 1000,
+    reference: 24 * 60 * 60 * 1000,
+    live: 10 * 1000,
+    final: Infinity
+};
+
+/**
+ * Builds the cache key of a request from its url and its non-empty params,
+ * sorted so the order params were given in does not matter.
+ * @param {object} request - `{ method, url, params }`
+ * @returns {string} key
+ */
+export function cacheKey(request) {
+    return `${(request.method || 'get').toUpperCase()} ${requestUrl(request)}`;
+}
+
+/**
+ * Reads the state of a game from an ESPN or NCAA game payload.
+ * @param {object} data - response payload
+ * @returns {'final'|'live'|'unknown'} state
+ */
+export function gameState(data) {
+    const competition = data?.gamepackageJSON?.header?.competitions?.[0] || data?.header?.competitions?.[0];
+    const type = competition?.status?.type;
+    if (type) {
+        if (type.completed || type.state === 'post') {
+            return 'final';
+        }
+        return type.state === 'in' ? 'live' : 'unknown';
+    }
+    const ncaa = String(data?.status?.gameState || data?.meta?.status || data?.gameState || '').toLowerCase();
+    if (ncaa === 'final' || ncaa === 'f') {
+        return 'final';
+    }
+    if (ncaa === 'live' || ncaa === 'i') {
+        return 'live';
+    }
+    return 'unknown';
+}
+
+/**
+ * Time-to-live for a response of the given kind.
+ * @param {string} kind - `game`, `reference` or undefined
+ * @param {object} response - transport response
+ * @param {object} ttl - ttl table, see `defaultTtl`
+ * @returns {number} milliseconds
+ */
+export function ttlFor(kind, response, ttl = defaultTtl) {
+    if (kind === 'game') {
+        const state = gameState(response.data);
+        return state === 'unknown' ? ttl.default : ttl[state];
+    }
+    return ttl[kind] ?? ttl.default;
+}
+
+/**
+ * In-memory least-recently-used cache store.
+ *
+ * Stores implement `get(key)`, `set(key, value, ttl)`, `delete(key)` and
+ * `clear()`, all of which may return promises; `get` resolves to `undefined`
+ * for missing or expired entries.
+ * @param {object} options
+ * @param {number} options.maxEntries - entries kept before the least recently used is evicted
+ * @returns {object} cache store
+ */
+export function createMemoryCache({ maxEntries = 500 } = {}) {
+    const entries = new Map();
+    return {
+        get: async function (key) {
+            const entry = entries.get(key);
+            if (!entry) {
+                return undefined;
+            }
+            entries.delete(key);
+            if (entry.expires <= Date.now()) {
+                return undefined;
+            }
+            entries.set(key, entry);
+            return entry.value;
+        },
+        set: async function (key, value, ttl) {
+            entries.delete(key);
+            entries.set(key, { value, expires: Date.now() + ttl });
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        delete: async function (key) {
+            entries.delete(key);
+        },
+        clear: async function () {
+            entries.clear();
+        },
+        size: () => entries.size
+    };
+}
+
+/**
+ * On-disk cache store keeping one JSON file per request.
+ * @param {object} options
+ * @param {string} options.dir - cache directory
+ * @returns {object} cache store
+ */
+export function createFileCache({ dir = '.sdv-cache' } = {}) {
+    const file = (key) => path.join(dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+    return {
+        get: async function (key) {
+            let entry;
+            try {
+                entry = JSON.parse(await readFile(file(key), 'utf8'));
+            } catch (err) {
+                return undefined;
+            }
+            if (entry.expires !== null && entry.expires <= Date.now()) {
+                await rm(file(key), { force: true });
+                return undefined;
+            }
+            return entry.value;
+        },
+        set: async function (key, value, ttl) {
+            await mkdir(dir, { recursive: true });
+            const expires = ttl === Infinity ? null : Date.now() + ttl;
+            await writeFile(file(key), JSON.stringify({ key, expires, value }));
+        },
+        delete: async function (key) {
+            await rm(file(key), { force: true });
+        },
+        clear: async function () {
+            await rm(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Normalizes the `cache` client option into `{ store, ttl }`, or null when
+ * caching is off.
+ * @param {boolean|object} options - `true` for an in-memory cache, or
+ * `{ store, ttl, maxEntries, dir }` where `store` is `'memory'`, `'filesystem'`
+ * or a custom store object
+ * @returns {object|null}
+ */
+export function resolveCache(options) {
+    if (!options) {
+        return null;
+    }
+    const settings = options === true ? {} : options;
+    let store = settings.store || 'memory';
+    if (store === 'memory') {
+        store = createMemoryCache(settings);
+    } else if (store === 'filesystem') {
+        store = createFileCache(settings);
+    }
+    return {
+        store,
+        ttl: { ...defaultTtl, ...settings.ttl }
+    };
+}
@@ -0,0 +1,305 @@
+import { InvalidArgumentError, NotFoundError, RateLimitedError, TimeoutError, UpstreamError } from './errors.js';
+import { tableColumns, toCsv } from './export.js';
+
+/**
+ * Exit codes of the `sdv` command.
+ */
+export const EXIT_CODES = {
+    ok: 0,
+    error: 1,
+    usage: 2,
+    notFound: 3,
+    network: 4
+};
+
+const FORMATS = ['json', 'csv', 'table'];
+// options of the command itself, never passed to the method
+const OWN_OPTIONS = ['format', 'pretty', 'rows', 'help'];
+const SHORT_OPTIONS = { f: 'format', h: 'help' };
+const BOOLEAN_OPTIONS = ['pretty', 'help'];
+// widest table cell, longer values are cut
+const CELL_WIDTH = 40;
+
+/*
+ * Every method of a namespace is a command named after it without `get`, in
+ * kebab case: `getScoreboard` is `scoreboard`, `getTidyBoxScore` is
+ * `tidy-box-score`. Options are passed to the method as one object, in camel
+ * case: `--season-type 2` is `{ seasonType: 2 }`. Methods taking a game or team
+ * id take it as the first argument, and methods with positional parameters take
+ * them as arguments or options by name.
+ */
+
+const ALIASES = {
+    pbp: 'getPlayByPlay',
+    box: 'getBoxScore',
+    games: 'getSeasonGames',
+    recruits: 'getPlayerRankings',
+    teams: 'getTeamList',
+    team: 'getTeamInfo',
+    roster: 'getTeamPlayers'
+};
+
+const ID_METHODS = [
+    'getPlayByPlay', 'getTidyPlayByPlay', 'getPossessions', 'getLineupStints', 'getPlateAppearances',
+    'getPitches', 'getAnnotatedPlateAppearances', 'getShotAttempts', 'getShotMetrics', 'getBoxScore', 'getTidyBoxScore',
+    'getSummary', 'getPicks', 'getTeamInfo', 'getTeamPlayers', 'getInfo'
+];
+
+// methods taking an options object holding the id
+const ID_OPTIONS = ['nfl.getTeamInfo', 'nfl.getTeamPlayers'];
+
+const RANKINGS = ['sport', 'season', 'division', 'rankingPeriod', 'gameHigh', 'category'];
+
+const POSITIONAL = {
+    getSchoolRankings: ['year', 'page'],
+    getSchoolCommits: ['school', 'year'],
+    getRedirectUrl: ['url'],
+    getSeasons: ['sport'],
+    getDivisions: ['sport', 'season'],
+    getSportDivisionData: ['sport', 'season', 'division', 'type', 'gameHigh'],
+    getPlayerData: RANKINGS,
+    getTeamData: RANKINGS
+};
+
+// codes of errors raised by fixtures and configuration, surfaced like transport errors
+const LOCAL_ERROR_CODES = ['ENOFIXTURE', 'EOPTIONALDEP'];
+
+const USAGE = `Usage: sdv <namespace> <command> [id] [--option value ...] [--format json|csv|table] [--pretty]
+
+Namespaces: cfb, mbb, mlb, nba, ncaa, nfl, nhl, tennis, wbb, wnba
+Run "sdv <namespace> --help" for its commands.
+
+Options:
+  -f, --format   json (default), csv or table
+      --pretty   indent JSON output
+      --rows     dotted path of the rows of csv and table output, e.g. events
+  -h, --help     show this help
+
+Examples:
+  sdv nba scoreboard --date 2024-01-15
+  sdv ncaa pbp 5764053
+  sdv cfb recruits --year 2024 --page 2 --format table
+
+Exit codes: 0 ok, 1 error (including a missing fixture), 2 invalid usage, 3 not found, 4 network error.`;
+
+function commandName(method) {
+    return method.replace(/^get/, '').replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+function camelCase(name) {
+    return name.replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+// integers read as numbers, ids beyond the safe range kept as text
+function optionValue(value) {
+    if (/^-?\d{1,15}$/.test(value)) {
+        return Number(value);
+    }
+    return value === 'true' ? true : value === 'false' ? false : value;
+}
+
+function parseArgv(argv) {
+    const positionals = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        const match = arg.match(/^(?:--([^=]+)|-([a-zA-Z]))(?:=(.*))?$/);
+        if (!match) {
+            positionals.push(arg);
+            continue;
+        }
+        const name = match[2] ? SHORT_OPTIONS[match[2]] : camelCase(match[1]);
+        if (!name) {
+            throw new InvalidArgumentError(`Unknown option ${arg}`, { argument: arg });
+        }
+        if (match[3] !== undefined) {
+            options[name] = optionValue(match[3]);
+        } else if (BOOLEAN_OPTIONS.includes(name) || i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+            options[name] = true;
+        } else {
+            options[name] = optionValue(argv[++i]);
+        }
+    }
+    return { positionals, options };
+}
+
+// data methods of a service; `ncaa.extractSelectList` parses a page already
+// loaded, so it is left out of the commands and the API routes
+function methods(service) {
+    return Object.keys(service).filter((method) => /^get[A-Z]/.test(method));
+}
+
+function namespaceUsage(name, service) {
+    const aliases = Object.entries(ALIASES).filter(([, method]) => service[method]);
+    const commands = methods(service).map((method) => {
+        const alias = aliases.filter(([, target]) => target === method).map(([short]) => short);
+        return `  ${commandName(method)}${alias.length ? ` (${alias.join(', ')})` : ''}`;
+    });
+    return `Usage: sdv ${name} <command> [id] [--option value ...]\n\nCommands:\n${commands.join('\n')}`;
+}
+
+function findMethod(service, command) {
+    if (ALIASES[command] && service[ALIASES[command]]) {
+        return ALIASES[command];
+    }
+    return methods(service).find((method) => commandName(method) === command);
+}
+
+// the arguments of a method call, see above
+function methodArguments(namespace, method, positionals, options) {
+    if (POSITIONAL[method]) {
+        const names = POSITIONAL[method];
+        return names.map((name, index) => (positionals[index] !== undefined ? optionValue(positionals[index]) : options[name]));
+    }
+    if (ID_OPTIONS.includes(`${namespace}.${method}`)) {
+        return [{ ...options, ...(positionals[0] !== undefined ? { id: optionValue(positionals[0]) } : {}) }];
+    }
+    if (ID_METHODS.includes(method)) {
+        const { id, ...rest } = options;
+        const value = positionals[0] !== undefined ? optionValue(positionals[0]) : id;
+        if (value === undefined) {
+            throw new InvalidArgumentError(`Missing the id of ${namespace} ${commandName(method)}`, { argument: 'id' });
+        }
+        return Object.keys(rest).length > 0 ? [value, rest] : [value];
+    }
+    if (positionals.length > 0) {
+        throw new InvalidArgumentError(`Unexpected argument ${positionals[0]}, ${namespace} ${commandName(method)} takes options only`, { argument: positionals[0] });
+    }
+    return [options];
+}
+
+function valueAt(result, dotted) {
+    return dotted.split('.').reduce((value, key) => value?.[key], result);
+}
+
+// the table of a result for csv and table output
+function resultRows(result, dotted) {
+    if (dotted) {
+        const rows = valueAt(result, String(dotted));
+        if (!Array.isArray(rows)) {
+            throw new InvalidArgumentError(`No rows at ${dotted} in the result`, { argument: 'rows' });
+        }
+        return rows;
+    }
+    if (Array.isArray(result)) {
+        return result;
+    }
+    if (Array.isArray(result?.events)) {
+        return result.events;
+    }
+    const tables = Object.entries(result || {})
+        .filter(([, value]) => Array.isArray(value) && value.length > 0 && value.every((row) => row && typeof row === 'object'));
+    if (tables.length > 1) {
+        throw new InvalidArgumentError(`The result holds several tables, pick one with --rows: ${tables.map(([key]) => key).join(', ')}`, { argument: 'rows' });
+    }
+    return tables.length === 1 ? tables[0][1] : [result];
+}
+
+function cell(value) {
+    const text = value === null ? '' : String(value).replace(/\s+/g, ' ');
+    return text.length > CELL_WIDTH ? `${text.slice(0, CELL_WIDTH - 1)}…` : text;
+}
+
+function toTable(rows) {
+    const columns = tableColumns(rows.map((row) => (row && typeof row === 'object' ? row : { value: row })));
+    const cells = columns.map((column) => [column.name, ...column.values.map(cell)]);
+    const widths = cells.map((column) => Math.max(...column.map((text) => text.length)));
+    const line = (index) => cells.map((column, i) => column[index].padEnd(widths[i])).join('  ').trimEnd();
+    const lines = [line(0), widths.map((width) => '-'.repeat(width)).join('  ')];
+    for (let index = 1; index <= rows.length; index++) {
+        lines.push(line(index));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+function format(result, options) {
+    if (options.format === 'csv') {
+        return toCsv(resultRows(result, options.rows));
+    }
+    if (options.format === 'table') {
+        return toTable(resultRows(result, options.rows));
+    }
+    return `${JSON.stringify(result, null, options.pretty ? 2 : 0)}\n`;
+}
+
+/**
+ * Exit code of an error thrown while running a command.
+ * @param {Error} err - the error
+ * @returns {number} see `EXIT_CODES`
+ */
+export function exitCode(err) {
+    // failures of the local setup, not of the upstream
+    if (LOCAL_ERROR_CODES.includes(err?.code)) {
+        return EXIT_CODES.error;
+    }
+    if (err instanceof InvalidArgumentError) {
+        return EXIT_CODES.usage;
+    }
+    if (err instanceof NotFoundError) {
+        return EXIT_CODES.notFound;
+    }
+    if (err instanceof TimeoutError || err instanceof RateLimitedError || err instanceof UpstreamError) {
+        return EXIT_CODES.network;
+    }
+    return EXIT_CODES.error;
+}
+
+/**
+ * Runs the `sdv` command: calls a service method of the client and writes its
+ * result as JSON, CSV or a text table, see above.
+ * @param {string[]} argv - command line arguments, without `node` and the script
+ * @param {object} io
+ * @param {object} io.client - the default client or one made by `createClient`
+ * @param {object} [io.stdout] - stream the result is written to, `process.stdout` by default
+ * @param {object} [io.stderr] - stream errors and help are written to, `process.stderr` by default
+ * @returns {Promise<number>} exit code, see `EXIT_CODES`
+ * @example
+ * process.exitCode = await runCli(['nba', 'scoreboard', '--date', '2024-01-15'], { client: sdv });
+ */
+export async function runCli(argv, { client, stdout = process.stdout, stderr = process.stderr } = {}) {
+    let parsed;
+    try {
+        parsed = parseArgv(argv);
+    } catch (err) {
+        stderr.write(`${err.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.usage;
+    }
+    const { positionals, options } = parsed;
+    const [namespace, command, ...rest] = positionals;
+    const service = client?.[namespace];
+    if (!namespace || (!service && options.help)) {
+        (options.help ? stdout : stderr).write(`${USAGE}\n`);
+        return options.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+    if (!service) {
+        stderr.write(`Unknown namespace '${namespace}'\n\n${USAGE}\n`);
+        return EXIT_CODES.usage;
+    }
+    const usage = namespaceUsage(namespace, service);
+    if (options.help) {
+        stdout.write(`${usage}\n`);
+        return EXIT_CODES.ok;
+    }
+    const method = command && findMethod(service, command);
+    if (!method) {
+        stderr.write(`${command ? `Unknown command '${command}'` : 'Missing command'}\n\n${usage}\n`);
+        return EXIT_CODES.usage;
+    }
+    if (options.format !== undefined && !FORMATS.includes(options.format)) {
+        stderr.write(`Unknown format '${options.format}', expected ${FORMATS.join(', ')}\n`);
+        return EXIT_CODES.usage;
+    }
+    const methodOptions = Object.fromEntries(Object.entries(options).filter(([name]) => !OWN_OPTIONS.includes(name)));
+    try {
+        const result = await service[method](...methodArguments(namespace, method, rest, methodOptions));
+        stdout.write(format(result, options));
+        return EXIT_CODES.ok;
+    } catch (err) {
+        stderr.write(`${err.name}: ${err.message}\n`);
+        return exitCode(err);
+    }
+}
@@ -0,0 +1,164 @@
+import { InvalidArgumentError } from './errors.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:$|T)/;
+
+/*
+ * Every date-taking method accepts its date in one of these forms:
+ *
+ * - a `Date`, read in local time
+ * - an ISO `YYYY-MM-DD` string (a trailing time is ignored)
+ * - `{ year, month, day }`, numbers or strings
+ * - `{ date }` holding any of the above, next to the other options of the method
+ * - `{ start, end }`, an inclusive range of two of the above
+ *
+ * Methods called without a date leave the choice of day to the upstream; a
+ * `{ year, month, day }` missing one of its parts is an error.
+ */
+
+function invalid(value, argument) {
+    return new InvalidArgumentError(`Invalid date ${JSON.stringify(value)}, expected a Date, a 'YYYY-MM-DD' string or { year, month, day }`, { argument });
+}
+
+/**
+ * Reads a single date.
+ * @param {Date|string|object} value - `Date`, `'YYYY-MM-DD'` or `{ year, month, day }`
+ * @param {string} argument - argument name reported when the date is invalid
+ * @returns {number} UTC midnight of the day in milliseconds
+ */
+export function toDay(value, argument = 'date') {
+    let year, month, day;
+    if (value instanceof Date) {
+        [year, month, day] = [value.getFullYear(), value.getMonth() + 1, value.getDate()];
+    } else if (typeof value === 'string') {
+        const match = value.match(ISO_DATE);
+        if (!match) {
+            throw invalid(value, argument);
+        }
+        [year, month, day] = match.slice(1).map(Number);
+    } else if (value && typeof value === 'object') {
+        [year, month, day] = [value.year, value.month, value.day].map((part) => parseInt(part, 10));
+    }
+    const time = Date.UTC(year, month - 1, day);
+    const parsed = new Date(time);
+    if (Number.isNaN(time) || parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) {
+        throw invalid(value, argument);
+    }
+    return time;
+}
+
+/**
+ * Formats a day as ESPN expects it.
+ * @param {number} time - UTC midnight of the day, see `toDay`
+ * @returns {string} `YYYYMMDD`
+ */
+export function formatDay(time) {
+    return new Date(time).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Splits a formatted day into padded parts, as the NCAA urls expect them.
+ * @param {string} date - `YYYYMMDD`
+ * @returns {object} `{ year, month, day }` strings
+ */
+export function dateParts(date) {
+    return { year: date.slice(0, 4), month: date.slice(4, 6), day: date.slice(6, 8) };
+}
+
+/**
+ * Reads the date or date range of the options of a method.
+ * @param {Date|string|object} options - options of the method, or the date itself
+ * @returns {object|null} `{ start, end }` as UTC milliseconds, null when no date is given
+ * @throws {InvalidArgumentError} when `year`, `month` and `day` are given in part, naming the missing one
+ */
+export function resolveDates(options = {}) {
+    if (options instanceof Date || typeof options === 'string') {
+        options = { date: options };
+    }
+    const { date, start, end, year, month, day } = options || {};
+    if (start !== undefined || end !== undefined) {
+        const from = toDay(start ?? end, 'start');
+        const to = toDay(end ?? start, 'end');
+        if (to < from) {
+            throw new InvalidArgumentError(`Date range ends before it starts: ${formatDay(from)}-${formatDay(to)}`, { argument: 'end' });
+        }
+        if ((to - from) / DAY >= MAX_RANGE_DAYS) {
+            throw new InvalidArgumentError(`Date range spans more than ${MAX_RANGE_DAYS} days`, { argument: 'end' });
+        }
+        return { start: from, end: to };
+    }
+    if (date !== undefined && date !== null) {
+        const time = toDay(date);
+        return { start: time, end: time };
+    }
+    const parts = { year, month, day };
+    const given = Object.keys(parts).filter((part) => parts[part] !== undefined && parts[part] !== null && parts[part] !== '');
+    if (given.length === 0) {
+        return null;
+    }
+    // a partial date would otherwise go out as no date at all, the upstream's today
+    const missing = Object.keys(parts).find((part) => !given.includes(part));
+    if (missing) {
+        throw new InvalidArgumentError(`Incomplete date ${JSON.stringify(parts)}, missing '${missing}'`, { argument: missing });
+    }
+    const time = toDay(parts);
+    return { start: time, end: time };
+}
+
+/**
+ * ESPN `dates` parameter for endpoints that take ranges, such as the scoreboards.
+ * @param {Date|string|object} options - see `resolveDates`
+ * @returns {string|undefined} `YYYYMMDD` or `YYYYMMDD-YYYYMMDD`, undefined without a date
+ */
+export function datesParam(options) {
+    const range = resolveDates(options);
+    if (!range) {
+        return undefined;
+    }
+    if (range.start === range.end) {
+        return formatDay(range.start);
+    }
+    return `${formatDay(range.start)}-${formatDay(range.end)}`;
+}
+
+/**
+ * Every day of the date or date range of the options of a method.
+ * @param {Date|string|object} options - see `resolveDates`
+ * @returns {string[]} `YYYYMMDD` days, empty without a date
+ */
+export function eachDay(options) {
+    const range = resolveDates(options);
+    const days = [];
+    for (let time = range?.start; range && time <= range.end; time += DAY) {
+        days.push(formatDay(time));
+    }
+    return days;
+}
+
+/**
+ * Requests one result per day for endpoints that take a single day and merges
+ * them into one. Without a date `fetchDay` is called once with `undefined`.
+ * @param {Date|string|object} options - see `resolveDates`
+ * @param {function} fetchDay - `(date) => Promise`, `date` being `YYYYMMDD`
+ * @param {function} merge - `(merged, result) => merged`
+ * @returns {Promise<*>} merged result
+ */
+export async function fetchEachDay(options, fetchDay, merge) {
+    const days = eachDay(options);
+    if (days.length <= 1) {
+        return fetchDay(days[0]);
+    }
+    const results = await Promise.all(days.map((date) => fetchDay(date)));
+    return results.reduce(merge);
+}
+
+/**
+ * Merges schedules, which are keyed by day.
+ * @param {object} merged - schedule
+ * @param {object} schedule - schedule of the next day
+ * @returns {object} schedule
+ */
+export function mergeSchedules(merged, schedule) {
+    return { ...merged, ...schedule };
+}
@@ -0,0 +1,190 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { parseRetryAfter } from './retry.js';
+
+/**
+ * Base class of every error thrown by the services. Carries the upstream
+ * context of the failure; `league` and `method` are filled in by the client.
+ */
+export class SdvError extends Error {
+    constructor(message, { league, method, url, status, code, cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.league = league;
+        this.method = method;
+        this.url = url;
+        this.status = status;
+        this.code = code;
+        if (cause !== undefined) {
+            this.cause = cause;
+        }
+    }
+}
+
+/** The upstream has no such resource, e.g. a nonexistent game id. */
+export class NotFoundError extends SdvError {}
+
+/** The upstream throttled the request (HTTP 429). `retryAfter` is in milliseconds when known. */
+export class RateLimitedError extends SdvError {
+    constructor(message, context = {}) {
+        super(message, context);
+        this.retryAfter = context.retryAfter ?? null;
+    }
+}
+
+/** The request did not complete within the configured timeout. */
+export class TimeoutError extends SdvError {}
+
+/** Any other failed request: 5xx responses and network errors. */
+export class UpstreamError extends SdvError {}
+
+/**
+ * The upstream answered, but not with the payload shape the service expects.
+ * `issues` lists every mismatch when the error comes from schema validation.
+ */
+export class UpstreamSchemaChangedError extends SdvError {
+    constructor(message, context = {}) {
+        super(message, context);
+        this.field = context.field;
+        this.issues = context.issues ?? [];
+    }
+}
+
+/** A service was called with missing or unsupported arguments. */
+export class InvalidArgumentError extends SdvError {
+    constructor(message, context = {}) {
+        super(message, context);
+        this.argument = context.argument;
+    }
+}
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Maps an error thrown by a transport onto the matching library error.
+ * @param {Error} error - transport error, axios-shaped (`response.status`, `code`)
+ * @param {string} url - full request url
+ * @returns {SdvError}
+ */
+export function fromTransportError(error, url) {
+    if (error instanceof SdvError) {
+        return error;
+    }
+    const status = error?.response?.status;
+    const context = { url, status, code: error?.code, cause: error };
+    if (status === 404) {
+        return new NotFoundError(`Resource not found (404): ${url}`, context);
+    }
+    if (status === 429) {
+        const headers = error.response.headers || {};
+        return new RateLimitedError(`Rate limited by upstream (429): ${url}`, {
+            ...context,
+            retryAfter: parseRetryAfter(headers['retry-after'] ?? headers['Retry-After'])
+        });
+    }
+    if (!status && TIMEOUT_CODES.includes(error?.code)) {
+        return new TimeoutError(`Request timed out: ${url}`, context);
+    }
+    const reason = status ? `status ${status}` : (error?.code || error?.message);
+    return new UpstreamError(`Request failed with ${reason}: ${url}`, context);
+}
+
+/**
+ * Throws `UpstreamSchemaChangedError` unless every dotted path exists in the
+ * response payload.
+ * @param {object} response - transport response
+ * @param {...string} paths - e.g. `'gamepackageJSON.header.competitions'`
+ */
+export function assertPayload(response, ...paths) {
+    for (const field of paths) {
+        let value = response.data;
+        for (const key of field.split('.')) {
+            value = value === null || value === undefined ? undefined : value[key];
+        }
+        if (value === undefined || value === null) {
+            throw new UpstreamSchemaChangedError(`Expected field '${field}' missing from response: ${response.url}`, {
+                url: response.url,
+                status: response.status,
+                field
+            });
+        }
+    }
+}
+
+/**
+ * Throws `InvalidArgumentError` when a required argument is missing.
+ * @param {object} args - arguments by name
+ */
+export function assertArguments(args) {
+    for (const [argument, value] of Object.entries(args)) {
+        if (value === undefined || value === null || value === '') {
+            throw new InvalidArgumentError(`Missing required argument '${argument}'`, { argument });
+        }
+    }
+}
+
+// the service method call in progress, counting the upstream responses it received
+const serviceCalls = new AsyncLocalStorage();
+
+// messages of a TypeError thrown when a payload lacks a field or has another type
+const PAYLOAD_TYPE_ERRORS = /^Cannot (read|destructure) propert|is not iterable|is not a function|^Cannot convert undefined or null to object/;
+
+/**
+ * Counts an upstream response towards the service method call in progress, see
+ * `withErrorContext`. Called by the HTTP layer for every response.
+ */
+export function noteResponse() {
+    const call = serviceCalls.getStore();
+    if (call) {
+        call.responses += 1;
+    }
+}
+
+/**
+ * Wraps every method of a service so thrown errors carry the league and
+ * method name. A `TypeError` reading a missing or mistyped field once the
+ * call has received an upstream response is reported as
+ * `UpstreamSchemaChangedError`, with the `TypeError` as `cause`; other
+ * `TypeError`s, such as those of arguments the method cannot use, are thrown
+ * unchanged.
+ * @param {string} league - namespace name, e.g. `'nba'`
+ * @param {object} service - service object
+ * @returns {object} service
+ */
+export function withErrorContext(league, service) {
+    const wrapped = {};
+    for (const [method, fn] of Object.entries(service)) {
+        if (typeof fn !== 'function') {
+            wrapped[method] = fn;
+            continue;
+        }
+        const decorate = (err, call) => {
+            let error = err;
+            if (err instanceof TypeError && call.responses > 0 && PAYLOAD_TYPE_ERRORS.test(err.message)) {
+                error = new UpstreamSchemaChangedError(`Unexpected response shape: ${err.message}`, { cause: err });
+            }
+            if (error instanceof SdvError && !error.league) {
+                error.league = league;
+                error.method = method;
+                error.message = `${league}.${method}: ${error.message}`;
+            }
+            return error;
+        };
+        wrapped[method] = function (...args) {
+            // a method calling another shares its count
+            const call = serviceCalls.getStore() ?? { responses: 0 };
+            let result;
+            try {
+                result = serviceCalls.run(call, () => fn.apply(this, args));
+            } catch (err) {
+                throw decorate(err, call);
+            }
+            if (result && typeof result.then === 'function') {
+                return result.catch((err) => {
+                    throw decorate(err, call);
+                });
+            }
+            return result;
+        };
+    }
+    return wrapped;
+}
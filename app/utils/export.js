@@ -0,0 +1,248 @@
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { InvalidArgumentError } from './errors.js';
+import { importOptional } from './optional.js';
+
+/**
+ * Column types of exported tables.
+ */
+export const COLUMN_TYPES = ['boolean', 'integer', 'float', 'string', 'json', 'null'];
+
+const FORMATS = {
+    '.csv': 'csv',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson',
+    '.arrow': 'arrow',
+    '.feather': 'arrow',
+    '.ipc': 'arrow',
+    '.parquet': 'parquet'
+};
+
+/*
+ * Tables are arrays of row objects, as returned by the tidy play-by-play, box
+ * score, lineup and season helpers. Nested plain objects, such as the team of a
+ * scoreboard event, are flattened into dotted columns (`team.id`) and arrays are
+ * kept as JSON text. Every format gets the same columns in the same order, the
+ * union of the row keys in first-seen order, typed from all the values of the
+ * column: all booleans make a boolean column, all numbers a float column, all
+ * objects a json column, no value at all a null column and anything else a
+ * string column. Numbers are never inferred as integers, and a column with no
+ * value in a game is written with Arrow's null type or Parquet's NULL logical
+ * type, which readers such as pyarrow and DuckDB promote to the type the column
+ * has in other games, so a column keeps its type across games; pass
+ * `types: { period: 'integer' }` to say otherwise.
+ */
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function flattenRow(row, prefix = '', target = {}) {
+    for (const [key, value] of Object.entries(row)) {
+        if (isPlainObject(value) && Object.keys(value).length > 0) {
+            flattenRow(value, `${prefix}${key}.`, target);
+        } else {
+            target[`${prefix}${key}`] = value instanceof Date ? value.toISOString() : value;
+        }
+    }
+    return target;
+}
+
+function inferType(values) {
+    const present = values.filter((value) => value !== null && value !== undefined && !(typeof value === 'number' && Number.isNaN(value)));
+    if (present.length === 0) {
+        return 'null';
+    }
+    if (present.every((value) => typeof value === 'boolean')) {
+        return 'boolean';
+    }
+    if (present.every((value) => typeof value === 'number')) {
+        return 'float';
+    }
+    if (present.every((value) => typeof value === 'object')) {
+        return 'json';
+    }
+    return 'string';
+}
+
+function convert(value, type, name) {
+    if (value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value)) || type === 'null') {
+        return null;
+    }
+    switch (type) {
+    case 'boolean':
+        return value === true || value === 'true' || value === 1;
+    case 'integer': {
+        const number = Number(value);
+        if (!Number.isInteger(number)) {
+            throw new InvalidArgumentError(`Column '${name}' holds ${JSON.stringify(value)}, not an integer`, { argument: 'types' });
+        }
+        return number;
+    }
+    case 'float': {
+        const number = Number(value);
+        return Number.isNaN(number) ? null : number;
+    }
+    case 'json':
+        return JSON.stringify(value);
+    default:
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+function checkRows(rows) {
+    if (!Array.isArray(rows)) {
+        throw new InvalidArgumentError('Expected an array of rows', { argument: 'rows' });
+    }
+}
+
+/**
+ * Finds the columns of a table and their types, see above.
+ * @param {object[]} rows - table rows
+ * @param {object} [options]
+ * @param {object} [options.types] - column types by name, overriding the inferred ones:
+ * `'boolean'`, `'integer'`, `'float'`, `'string'`, `'json'` or `'null'`
+ * @returns {object[]} columns `{ name, type }`
+ * @example
+ * const schema = tableSchema(plays, { types: { period: 'integer' } });
+ */
+export function tableSchema(rows, { types = {} } = {}) {
+    checkRows(rows);
+    const unknown = Object.entries(types).filter(([, type]) => !COLUMN_TYPES.includes(type));
+    if (unknown.length > 0) {
+        throw new InvalidArgumentError(`Unknown column type '${unknown[0][1]}' for '${unknown[0][0]}', expected one of ${COLUMN_TYPES.join(', ')}`, { argument: 'types' });
+    }
+    const values = new Map();
+    for (const row of rows.map((entry) => flattenRow(entry))) {
+        for (const [name, value] of Object.entries(row)) {
+            if (!values.has(name)) {
+                values.set(name, []);
+            }
+            values.get(name).push(value);
+        }
+    }
+    return [...values.entries()].map(([name, column]) => ({ name, type: types[name] || inferType(column) }));
+}
+
+/**
+ * Columns of a table with their values converted to the column type.
+ * @param {object[]} rows - table rows
+ * @param {object} [options] - `types`, see `tableSchema`
+ * @returns {object[]} columns `{ name, type, values }`, `values` holding one value per row
+ */
+export function tableColumns(rows, options) {
+    const schema = tableSchema(rows, options);
+    const flat = rows.map((row) => flattenRow(row));
+    return schema.map((column) => ({ ...column, values: flat.map((row) => convert(row[column.name], column.type, column.name)) }));
+}
+
+function csvField(value) {
+    if (value === null) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes a table as CSV text: a header line and a line per row, fields quoted
+ * when they hold commas, quotes or line breaks, missing values left empty.
+ * @param {object[]} rows - table rows
+ * @param {object} [options] - `types`, see `tableSchema`
+ * @returns {string} CSV text
+ * @example
+ * await fs.writeFile('plays.csv', toCsv(await sdv.nba.getTidyPlayByPlay(401283399)));
+ */
+export function toCsv(rows, options = {}) {
+    const columns = tableColumns(rows, options);
+    const lines = [columns.map((column) => csvField(column.name)).join(',')];
+    rows.forEach((row, index) => {
+        lines.push(columns.map((column) => csvField(column.values[index])).join(','));
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Writes a table as newline delimited JSON, one object per row holding every
+ * column, missing values as null.
+ * @param {object[]} rows - table rows
+ * @param {object} [options] - `types`, see `tableSchema`
+ * @returns {string} NDJSON text
+ * @example
+ * const text = toNdjson((await sdv.nhl.getTidyBoxScore(401272446)).players);
+ */
+export function toNdjson(rows, options = {}) {
+    const columns = tableColumns(rows, options);
+    return rows.map((row, index) => `${JSON.stringify(Object.fromEntries(columns.map((column) => [column.name, column.values[index]])))}\n`).join('');
+}
+
+/**
+ * Writes a table in the Apache Arrow IPC file format, or the stream format
+ * with `stream: true`.
+ * @param {object[]} rows - table rows
+ * @param {object} [options] - `types`, see `tableSchema`
+ * @param {boolean} [options.stream] - write the IPC stream format
+ * @returns {Promise<Uint8Array>} Arrow IPC bytes
+ * @throws {SdvError} with code `EOPTIONALDEP` when apache-arrow is not installed
+ * @example
+ * const bytes = await toArrow(await sdv.nfl.getSeasonGames({ season: 2020 }));
+ */
+export async function toArrow(rows, { stream = false, ...options } = {}) {
+    const arrow = await importOptional('apache-arrow', 'toArrow');
+    const arrowTypes = {
+        boolean: () => new arrow.Bool(),
+        integer: () => new arrow.Int32(),
+        float: () => new arrow.Float64(),
+        string: () => new arrow.Utf8(),
+        json: () => new arrow.Utf8(),
+        null: () => new arrow.Null()
+    };
+    const vectors = Object.fromEntries(tableColumns(rows, options)
+        .map((column) => [column.name, arrow.vectorFromArray(column.values, arrowTypes[column.type]())]));
+    return arrow.tableToIPC(new arrow.Table(vectors), stream ? 'stream' : 'file');
+}
+
+/**
+ * Writes a table as an Apache Parquet file.
+ * @param {object[]} rows - table rows
+ * @param {object} [options] - `types`, see `tableSchema`
+ * @returns {Promise<Uint8Array>} Parquet bytes
+ * @throws {SdvError} with code `EOPTIONALDEP` when hyparquet-writer is not installed
+ * @example
+ * const bytes = await toParquet(await sdv.mlb.getPitches(401472105));
+ */
+export async function toParquet(rows, options = {}) {
+    const { parquetWriteBuffer, schemaFromColumnData } = await importOptional('hyparquet-writer', 'toParquet');
+    const parquetTypes = { boolean: 'BOOLEAN', integer: 'INT32', float: 'DOUBLE', string: 'STRING', json: 'STRING' };
+    const columns = tableColumns(rows, options);
+    const columnData = columns.map((column) => ({ name: column.name, data: column.values, ...(column.type === 'null' ? {} : { type: parquetTypes[column.type] }) }));
+    // Parquet has no null physical type, null columns are optional INT32 with the NULL logical type
+    const schemaOverrides = Object.fromEntries(columns.filter((column) => column.type === 'null')
+        .map((column) => [column.name, { name: column.name, type: 'INT32', repetition_type: 'OPTIONAL', logical_type: { type: 'NULL' } }]));
+    const schema = schemaFromColumnData({ columnData, schemaOverrides });
+    return new Uint8Array(parquetWriteBuffer({ columnData: columnData.map(({ name, data }) => ({ name, data })), schema }));
+}
+
+/**
+ * Writes a table to a file, in the format given by its extension: `.csv`,
+ * `.ndjson` or `.jsonl`, `.arrow`, `.feather` or `.ipc`, and `.parquet`.
+ * Missing directories are created.
+ * @param {object[]} rows - table rows
+ * @param {string} file - path of the file
+ * @param {object} [options] - `types`, see `tableSchema`
+ * @param {string} [options.format] - `'csv'`, `'ndjson'`, `'arrow'` or `'parquet'`, overriding the extension
+ * @returns {Promise<object>} `{ file, format, rows, columns }`, the number of rows and columns written
+ * @example
+ * await writeTable((await sdv.nba.getTidyBoxScore(401283399)).players, 'box/401283399.parquet');
+ */
+export async function writeTable(rows, file, { format, ...options } = {}) {
+    const resolved = format || FORMATS[path.extname(String(file)).toLowerCase()];
+    if (!['csv', 'ndjson', 'arrow', 'parquet'].includes(resolved)) {
+        throw new InvalidArgumentError(`Unknown export format for '${file}', expected a ${Object.keys(FORMATS).join(', ')} file`, { argument: 'format' });
+    }
+    const writers = { csv: toCsv, ndjson: toNdjson, arrow: toArrow, parquet: toParquet };
+    const data = await writers[resolved](rows, options);
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, data);
+    return { file, format: resolved, rows: rows.length, columns: tableSchema(rows, options).length };
+}
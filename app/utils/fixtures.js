@@ -0,0 +1,113 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { cacheKey } from './cache.js';
+import { requestUrl } from './url.js';
+
+const MODES = ['replay', 'record', 'auto'];
+
+/**
+ * Location of the fixture of a request: one directory per host and path
+ * segment, the file named after a hash of the full request url.
+ * @param {string} dir - fixture root directory
+ * @param {object} request - `{ method, url, params }`
+ * @returns {string} file path
+ */
+export function fixturePath(dir, request) {
+    const url = new URL(request.url);
+    const segments = url.pathname.split('/').filter(Boolean).map((segment) => segment.replace(/[^\w.-]/g, '_'));
+    const hash = createHash('sha1').update(cacheKey(request)).digest('hex').slice(0, 12);
+    return path.join(dir, url.host.replace(/[^\w.-]/g, '_'), ...segments, `${hash}.json`);
+}
+
+function replayed(fixture) {
+    if (fixture.error) {
+        const error = new Error(fixture.error.message);
+        error.code = fixture.error.code;
+        error.response = fixture.error.response;
+        throw error;
+    }
+    return fixture.response;
+}
+
+function pick(headers = {}) {
+    const contentType = headers['content-type'] ?? headers['Content-Type'];
+    return contentType ? { 'content-type': String(contentType) } : {};
+}
+
+/**
+ * Reads the fixture settings of the default client from `SDV_FIXTURES`
+ * (`replay`, `record` or `auto`) and `SDV_FIXTURES_DIR`.
+ * @param {object} env - environment variables
+ * @returns {object|false}
+ */
+export function fixturesFromEnv(env = process.env) {
+    if (!env.SDV_FIXTURES) {
+        return false;
+    }
+    return { mode: env.SDV_FIXTURES, dir: env.SDV_FIXTURES_DIR };
+}
+
+/**
+ * Wraps a transport with record/replay fixtures.
+ *
+ * - `replay` serves fixtures only and fails with code `ENOFIXTURE` when one is missing
+ * - `record` always calls the transport and saves what it returns
+ * - `auto` serves existing fixtures and records the missing ones
+ *
+ * Upstream error responses (e.g. 404) are recorded and replayed as errors.
+ * Hand-written fixtures carry `synthetic: true` next to `request` and
+ * `response`; recorded ones never do.
+ * @param {function} transport - transport to wrap
+ * @param {object|false} options - `{ mode, dir }`, `false` disables fixtures
+ * @returns {function} transport
+ */
+export function withFixtures(transport, options) {
+    if (!options) {
+        return transport;
+    }
+    const { mode = 'replay', dir = 'fixtures' } = options;
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown fixture mode '${mode}', expected one of ${MODES.join(', ')}`);
+    }
+
+    async function record(request, file) {
+        const entry = { request: { method: (request.method || 'get').toUpperCase(), url: requestUrl(request) } };
+        let response;
+        try {
+            response = await transport(request);
+            entry.response = { status: response.status, headers: pick(response.headers), data: response.data, url: response.url };
+        } catch (err) {
+            if (!err.response) {
+                throw err;
+            }
+            entry.error = {
+                message: err.message,
+                code: err.code,
+                response: { status: err.response.status, headers: pick(err.response.headers), data: err.response.data }
+            };
+        }
+        await mkdir(path.dirname(file), { recursive: true });
+        await writeFile(file, JSON.stringify(entry, null, 2) + '\n');
+        return replayed(entry);
+    }
+
+    return async function (request) {
+        const file = fixturePath(dir, request);
+        if (mode === 'record') {
+            return record(request, file);
+        }
+        let fixture;
+        try {
+            fixture = JSON.parse(await readFile(file, 'utf8'));
+        } catch (err) {
+            if (mode === 'auto' && err.code === 'ENOENT') {
+                return record(request, file);
+            }
+            const error = new Error(`No fixture for ${requestUrl(request)} at ${file}`);
+            error.code = 'ENOFIXTURE';
+            throw error;
+        }
+        return replayed(fixture);
+    };
+}
@@ -0,0 +1,514 @@
+import { InvalidArgumentError } from './errors.js';
+import { importOptional } from './optional.js';
+import { gameRow } from './seasons.js';
+import { standingsGroups } from './standings.js';
+import { flattenBoxScore, PLAYER_KEYS, TEAM_KEYS } from '../pbp/boxscore.js';
+import { footballPlays } from '../pbp/football.js';
+
+const FOOTBALL = ['cfb', 'nfl'];
+// methods taking an options object holding the id
+const ID_OPTIONS = ['nfl.getTeamInfo', 'nfl.getTeamPlayers'];
+// most ids of one `games` field
+const MAX_GAME_IDS = 50;
+// deepest nesting of fields in a query, introspection fields aside
+const MAX_DEPTH = 8;
+// most service calls of one set of loaders, so of one request by default
+const MAX_CALLS = 200;
+
+/*
+ * Objects of the schema are resolved lazily from the league services: a game
+ * of a scoreboard carries its teams and score, and only reads its box score or
+ * plays when asked for them; a game asked for by id reads its summary for the
+ * rest. Every service call goes through the loaders of the request, see
+ * `createGraphqlLoaders`, so a game, team or standings asked for twice in one
+ * query is fetched once. Box score and standings stats are lists of
+ * `{ name, value, displayValue }`, named as the columns of `flattenBoxScore`
+ * and the stats of ESPN.
+ *
+ * A query can fan out into many upstream requests, so it is limited three ways:
+ * `games` takes at most 50 ids, fields nest at most 8 deep, and the loaders of a
+ * request make at most 200 service calls, the calls past that failing with
+ * `InvalidArgumentError`.
+ */
+
+/**
+ * Schema of the GraphQL layer, in the GraphQL schema language.
+ */
+export const GRAPHQL_SCHEMA = `
+enum League { cfb mbb mlb nba nfl nhl wbb wnba }
+
+type Query {
+    "Games of a day or date range, see getScoreboard"
+    scoreboard(league: League!, date: String, start: String, end: String, limit: Int): Scoreboard!
+    game(league: League!, id: ID!): Game!
+    games(league: League!, ids: [ID!]!): [Game!]!
+    team(league: League!, id: ID!): Team!
+    "Standings of a season, see getStandings"
+    standings(league: League!, year: Int, group: String): [Standing!]!
+}
+
+type Scoreboard {
+    league: League!
+    season: Int
+    games: [Game!]!
+}
+
+type Game {
+    id: ID!
+    league: League!
+    date: String
+    season: Int
+    seasonType: Int
+    week: Int
+    status: String
+    completed: Boolean!
+    neutralSite: Boolean!
+    home: Competitor
+    away: Competitor
+    competitors: [Competitor!]!
+    boxScore: BoxScore!
+    plays(scoringOnly: Boolean, limit: Int): [Play!]!
+}
+
+type Competitor {
+    homeAway: String
+    score: Float
+    winner: Boolean
+    team: Team!
+}
+
+type Team {
+    id: ID!
+    league: League!
+    abbreviation: String
+    displayName: String
+    location: String
+    name: String
+    color: String
+    logo: String
+    roster: [Athlete!]!
+}
+
+type Athlete {
+    id: ID!
+    league: League!
+    displayName: String
+    jersey: String
+    position: String
+    team: Team
+}
+
+type BoxScore {
+    players: [PlayerLine!]!
+    teams: [TeamLine!]!
+}
+
+"Stats of an athlete in a game, one line per stat group in football, baseball and hockey"
+type PlayerLine {
+    athlete: Athlete!
+    team: Team
+    homeAway: String
+    category: String
+    starter: Boolean
+    didNotPlay: Boolean
+    ejected: Boolean
+    stats(names: [String!]): [Stat!]!
+}
+
+type TeamLine {
+    team: Team!
+    homeAway: String
+    stats(names: [String!]): [Stat!]!
+}
+
+type Play {
+    id: ID!
+    sequence: Int
+    period: Int
+    clock: String
+    type: String
+    text: String
+    scoringPlay: Boolean
+    scoreValue: Float
+    homeScore: Float
+    awayScore: Float
+    wallclock: String
+    team: Team
+    participants: [Athlete!]!
+}
+
+type Standing {
+    team: Team!
+    groupId: ID!
+    group: String
+    season: Int
+    wins: Float
+    losses: Float
+    stats(names: [String!]): [Stat!]!
+}
+
+type Stat {
+    name: String!
+    value: Float
+    displayValue: String
+}
+`;
+
+let schema;
+
+async function graphqlSchema() {
+    if (!schema) {
+        const { buildSchema } = await importOptional('graphql', 'executeGraphql');
+        schema = buildSchema(GRAPHQL_SCHEMA);
+    }
+    return schema;
+}
+
+function number(value) {
+    const parsed = value === null || value === undefined || value === '' ? NaN : Number(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function text(value) {
+    return value === null || value === undefined ? null : String(value);
+}
+
+function service(client, league) {
+    if (!client?.[league]) {
+        throw new InvalidArgumentError(`The client has no '${league}' namespace`, { argument: 'league' });
+    }
+    return client[league];
+}
+
+function call(client, league, method, id) {
+    return service(client, league)[method](ID_OPTIONS.includes(`${league}.${method}`) ? { id } : id);
+}
+
+function statList(row, keys, names) {
+    return Object.entries(row)
+        .filter(([name]) => !keys.includes(name) && (!names || names.includes(name)))
+        .map(([name, value]) => ({ name, value: typeof value === 'number' ? value : null, displayValue: text(value) }));
+}
+
+// rows of a box score, flattened once however many fields read them
+const flattened = new WeakMap();
+
+async function boxRows(context, league, gameId) {
+    const box = await context.loaders.boxScore.load({ league, id: String(gameId) });
+    if (!flattened.has(box)) {
+        flattened.set(box, flattenBoxScore(box, { gameId: String(gameId) }));
+    }
+    return flattened.get(box);
+}
+
+function teamNode(context, league, data) {
+    const id = String(data.id);
+    let info;
+    // a field of the team as given, or of its team info when missing
+    const field = (read) => async () => {
+        const own = read(data);
+        if (own !== undefined && own !== null) {
+            return own;
+        }
+        info = info || context.loaders.teamInfo.load({ league, id });
+        const result = await info;
+        return read(result?.team ?? result) ?? null;
+    };
+    return {
+        id,
+        league,
+        abbreviation: field((team) => team.abbreviation),
+        displayName: field((team) => team.displayName),
+        location: field((team) => team.location),
+        name: field((team) => team.name),
+        color: field((team) => team.color),
+        logo: field((team) => team.logo ?? team.logos?.[0]?.href),
+        roster: async () => {
+            const result = await context.loaders.teamPlayers.load({ league, id });
+            // football rosters are grouped by position
+            const athletes = (result?.team ?? result)?.athletes || [];
+            return athletes.flatMap((entry) => entry.items ?? [entry]).map((athlete) => athleteNode(context, league, { ...athlete, team: { id } }));
+        }
+    };
+}
+
+// an athlete of a box score or roster, or a play participant read from the box score of its game
+function athleteNode(context, league, data, gameId) {
+    const id = String(data.id);
+    const line = async () => (gameId === undefined ? undefined : (await boxRows(context, league, gameId)).players.find((row) => row.athleteId === id));
+    const field = (read, fromLine) => async () => {
+        const own = read(data);
+        return own !== undefined && own !== null ? own : fromLine((await line()) || {}) ?? null;
+    };
+    return {
+        id,
+        league,
+        displayName: field((athlete) => athlete.displayName ?? athlete.fullName, (row) => row.athleteName),
+        jersey: field((athlete) => text(athlete.jersey), (row) => text(row.jersey)),
+        position: field((athlete) => athlete.position?.abbreviation ?? athlete.position, (row) => row.position),
+        team: async () => {
+            if (data.team?.id !== undefined) {
+                return teamNode(context, league, data.team);
+            }
+            const row = await line();
+            return row?.teamId ? teamNode(context, league, { id: row.teamId, abbreviation: row.teamAbbreviation }) : null;
+        }
+    };
+}
+
+// `teams` the teams of the game by id, as play-by-play results list them
+function playNode(context, league, gameId, play, teams) {
+    const teamId = play.team?.id ?? play.start?.team?.id;
+    return {
+        id: String(play.id),
+        sequence: number(play.sequenceNumber),
+        period: number(play.period?.number),
+        clock: text(play.clock?.displayValue),
+        type: text(play.type?.text),
+        text: text(play.text),
+        scoringPlay: play.scoringPlay ?? null,
+        scoreValue: number(play.scoreValue),
+        homeScore: number(play.homeScore),
+        awayScore: number(play.awayScore),
+        wallclock: text(play.wallclock),
+        team: teamId === undefined ? null : teamNode(context, league, teams.get(String(teamId)) ?? { id: teamId }),
+        participants: (play.participants || [])
+            .filter((participant) => participant.athlete?.id !== undefined)
+            .map((participant) => athleteNode(context, league, participant.athlete, gameId))
+    };
+}
+
+function competitorNode(context, league, entry) {
+    return {
+        homeAway: text(entry.homeAway),
+        score: number(entry.score?.value ?? entry.score),
+        winner: entry.winner ?? null,
+        team: teamNode(context, league, entry.team ?? { id: entry.id })
+    };
+}
+
+// a game of a scoreboard, or a game read from its summary when `event` is missing
+function gameNode(context, league, id, event) {
+    const gameId = String(id);
+    let header;
+    const info = async () => {
+        header = header || (event ? Promise.resolve(event) : context.loaders.summary.load({ league, id: gameId }).then((summary) => summary?.header ?? {}));
+        return header;
+    };
+    const field = (name) => async () => {
+        const value = gameRow(await info())[name];
+        return Number.isNaN(value) ? null : value;
+    };
+    const competitors = async () => ((await info()).competitions?.[0]?.competitors || []).map((entry) => competitorNode(context, league, entry));
+    const side = (homeAway) => async () => (await competitors()).find((entry) => entry.homeAway === homeAway) ?? null;
+    return {
+        id: gameId,
+        league,
+        date: field('date'),
+        season: field('season'),
+        seasonType: field('seasonType'),
+        week: field('week'),
+        status: field('status'),
+        completed: field('completed'),
+        neutralSite: field('neutralSite'),
+        home: side('home'),
+        away: side('away'),
+        competitors,
+        boxScore: async () => {
+            const { players, teams } = await boxRows(context, league, gameId);
+            return {
+                players: players.filter((row) => row.athleteId).map((row) => ({
+                    athlete: athleteNode(context, league, {
+                        id: row.athleteId,
+                        displayName: row.athleteName,
+                        jersey: row.jersey,
+                        position: row.position,
+                        team: row.teamId === null ? undefined : { id: row.teamId, abbreviation: row.teamAbbreviation }
+                    }),
+                    team: row.teamId === null ? null : teamNode(context, league, { id: row.teamId, abbreviation: row.teamAbbreviation }),
+                    homeAway: row.homeAway,
+                    category: row.category ?? null,
+                    starter: row.starter ?? null,
+                    didNotPlay: row.didNotPlay ?? null,
+                    ejected: row.ejected ?? null,
+                    stats: ({ names }) => statList(row, PLAYER_KEYS, names)
+                })),
+                teams: teams.map((row) => ({
+                    team: teamNode(context, league, { id: row.teamId, abbreviation: row.teamAbbreviation }),
+                    homeAway: row.homeAway,
+                    stats: ({ names }) => statList(row, TEAM_KEYS, names)
+                }))
+            };
+        },
+        plays: async ({ scoringOnly, limit }) => {
+            checkLimit(limit);
+            const playByPlay = await context.loaders.playByPlay.load({ league, id: gameId });
+            const plays = (FOOTBALL.includes(league) ? footballPlays(playByPlay) : playByPlay?.plays || [])
+                .filter((play) => !scoringOnly || play.scoringPlay);
+            const teams = new Map((playByPlay?.teams || []).filter((entry) => entry.team?.id).map((entry) => [String(entry.team.id), entry.team]));
+            return plays.slice(0, limit ?? plays.length).map((play) => playNode(context, league, gameId, play, teams));
+        }
+    };
+}
+
+// options without the arguments the query left out
+function checkLimit(limit) {
+    if (limit !== undefined && limit !== null && limit < 0) {
+        throw new InvalidArgumentError(`Invalid limit ${limit}, expected 0 or more`, { argument: 'limit' });
+    }
+}
+
+function options(args) {
+    return Object.fromEntries(Object.entries(args).filter(([name, value]) => name !== 'league' && value !== undefined && value !== null));
+}
+
+const root = {
+    scoreboard: async ({ league, ...args }, context) => {
+        checkLimit(args.limit);
+        const scoreboard = await context.loaders.scoreboard.load({ league, options: options(args) });
+        return {
+            league,
+            season: number(scoreboard?.season?.year),
+            games: (scoreboard?.events || []).map((event) => gameNode(context, league, event.id, { ...event, season: event.season ?? scoreboard.season }))
+        };
+    },
+    game: ({ league, id }, context) => gameNode(context, league, id),
+    games: ({ league, ids }, context) => {
+        if (ids.length > MAX_GAME_IDS) {
+            throw new InvalidArgumentError(`At most ${MAX_GAME_IDS} game ids are taken, got ${ids.length}`, { argument: 'ids' });
+        }
+        return ids.map((id) => gameNode(context, league, id));
+    },
+    team: ({ league, id }, context) => teamNode(context, league, { id }),
+    standings: async ({ league, ...args }, context) => {
+        const standings = await context.loaders.standings.load({ league, options: options(args) });
+        return standingsGroups(standings).flatMap((group) => group.standings.entries.map((entry) => {
+            const values = Object.fromEntries((entry.stats || []).map((stat) => [stat.name ?? stat.type, stat.value ?? stat.displayValue ?? null]));
+            return {
+                team: teamNode(context, league, entry.team),
+                groupId: String(group.id ?? group.name),
+                group: text(group.name),
+                season: number(group.standings.season ?? args.year),
+                wins: number(values.wins),
+                losses: number(values.losses),
+                stats: ({ names }) => statList(values, [], names)
+            };
+        }));
+    }
+};
+
+// validation rule rejecting operations whose fields nest deeper than MAX_DEPTH
+function depthLimit(GraphQLError) {
+    return (context) => {
+        const fragments = Object.fromEntries(context.getDocument().definitions
+            .filter((definition) => definition.kind === 'FragmentDefinition')
+            .map((definition) => [definition.name.value, definition]));
+        const depth = (selectionSet, spread) => Math.max(0, ...selectionSet.selections.map((selection) => {
+            if (selection.kind === 'Field') {
+                if (selection.name.value.startsWith('__')) {
+                    return 0;
+                }
+                return 1 + (selection.selectionSet ? depth(selection.selectionSet, spread) : 0);
+            }
+            if (selection.kind === 'InlineFragment') {
+                return depth(selection.selectionSet, spread);
+            }
+            // fragment cycles are reported by the rules of the specification
+            const fragment = fragments[selection.name.value];
+            return fragment && !spread.includes(fragment) ? depth(fragment.selectionSet, [...spread, fragment]) : 0;
+        }));
+        return {
+            OperationDefinition(node) {
+                const deepest = depth(node.selectionSet, []);
+                if (deepest > MAX_DEPTH) {
+                    context.reportError(new GraphQLError(`Query depth ${deepest} is over the limit of ${MAX_DEPTH}`, { nodes: [node] }));
+                }
+            }
+        };
+    };
+}
+
+/**
+ * Loaders of one GraphQL request, one per service method, keyed by league and
+ * id or options. A loader calls the method once per distinct key of a request
+ * however many fields ask for it, and keeps the result for the rest of the
+ * request; errors are kept per key. Loaders are made per request so results
+ * are never shared between requests, the client cache being the place for that.
+ * Together the loaders make at most 200 calls.
+ * @param {object} client - the default client or one made by `createClient`
+ * @returns {Promise<object>} `{ summary, boxScore, playByPlay, teamInfo, teamPlayers, scoreboard,
+ * standings }`, `DataLoader`s taking `{ league, id }` or `{ league, options }`
+ * @example
+ * const loaders = await createGraphqlLoaders(sdv);
+ * const [first, second] = await loaders.boxScore.loadMany([{ league: 'nba', id: '401283399' }, { league: 'nba', id: '401283400' }]);
+ */
+export async function createGraphqlLoaders(client) {
+    const { default: DataLoader } = await importOptional('dataloader', 'createGraphqlLoaders');
+    let calls = 0;
+    const loader = (load) => new DataLoader(
+        (keys) => Promise.all(keys.map(async (key) => {
+            try {
+                calls += 1;
+                if (calls > MAX_CALLS) {
+                    throw new InvalidArgumentError(`The query needs more than ${MAX_CALLS} service calls`, { argument: 'query' });
+                }
+                return await load(key);
+            } catch (err) {
+                return err instanceof Error ? err : new Error(String(err));
+            }
+        })),
+        { cacheKeyFn: (key) => JSON.stringify(key) }
+    );
+    const byId = (method) => loader(({ league, id }) => call(client, league, method, id));
+    return {
+        summary: byId('getSummary'),
+        boxScore: byId('getBoxScore'),
+        playByPlay: byId('getPlayByPlay'),
+        teamInfo: byId('getTeamInfo'),
+        teamPlayers: byId('getTeamPlayers'),
+        scoreboard: loader(({ league, options }) => service(client, league).getScoreboard(options)),
+        standings: loader(({ league, options }) => service(client, league).getStandings(options))
+    };
+}
+
+/**
+ * Runs a GraphQL query against the league services of a client, see
+ * `GRAPHQL_SCHEMA`. Needs the `graphql` and `dataloader` packages, optional
+ * dependencies of this one.
+ * @param {object} client - the default client or one made by `createClient`
+ * @param {object} request
+ * @param {string} request.query - GraphQL document
+ * @param {object} [request.variables] - values of its variables
+ * @param {string} [request.operationName] - operation to run when the document holds several
+ * @param {object} [request.loaders] - loaders to share with other queries, new ones by default,
+ * see `createGraphqlLoaders`
+ * @returns {Promise<object>} `{ data, errors }`, errors being `GraphQLError`s whose
+ * `originalError` is the error of the service
+ * @throws {SdvError} with code `EOPTIONALDEP` when graphql or dataloader is not installed
+ * @example
+ * const result = await executeGraphql(sdv, {
+ *     query: '{ games(league: nba, ids: ["401283399"]) { home { score team { abbreviation } } } }'
+ * });
+ */
+export async function executeGraphql(client, { query, variables, operationName, loaders } = {}) {
+    const { execute, GraphQLError, parse, specifiedRules, validate } = await importOptional('graphql', 'executeGraphql');
+    const schema = await graphqlSchema();
+    let document;
+    try {
+        document = parse(query);
+    } catch (err) {
+        return { errors: [err] };
+    }
+    const errors = validate(schema, document, [...specifiedRules, depthLimit(GraphQLError)]);
+    if (errors.length > 0) {
+        return { errors };
+    }
+    return execute({
+        schema,
+        document,
+        rootValue: root,
+        contextValue: { client, loaders: loaders || await createGraphqlLoaders(client) },
+        variableValues: variables,
+        operationName
+    });
+}
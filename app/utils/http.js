@@ -0,0 +1,156 @@
+import axios from 'axios';
+import { cacheKey, resolveCache, ttlFor } from './cache.js';
+import { fromTransportError, noteResponse } from './errors.js';
+import { withFixtures } from './fixtures.js';
+import { withRateLimit } from './rateLimit.js';
+import { withRetry } from './retry.js';
+import { mockHosts, requestUrl, resolveUrl } from './url.js';
+
+/**
+ * Settings applied to every client unless overridden in `createClient(options)`.
+ */
+export const defaults = {
+    timeout: 0,
+    userAgent: null,
+    headers: {},
+    proxy: undefined,
+    hosts: {},
+    hooks: {},
+    retry: {},
+    rateLimit: {},
+    cache: false,
+    fixtures: false,
+    mockServer: null
+};
+
+/**
+ * Builds the default transport on top of an axios instance.
+ *
+ * A transport is an async function receiving a normalized request
+ * `{ method, url, params, headers, timeout, proxy }` and resolving to
+ * `{ status, headers, data, url }`, where `url` is the final url after redirects.
+ * @param {object} instance - axios instance, a fresh one is created when omitted
+ * @returns {function} transport
+ */
+export function createAxiosTransport(instance = axios.create()) {
+    return async function (request) {
+        const config = {
+            method: request.method,
+            url: request.url,
+            params: request.params,
+            headers: request.headers,
+            timeout: request.timeout
+        };
+        if (request.proxy !== undefined) {
+            config.proxy = request.proxy;
+        }
+        const res = await instance.request(config);
+        return {
+            status: res.status,
+            headers: res.headers,
+            data: res.data,
+            url: res.request?.res?.responseUrl || request.url
+        };
+    };
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+function toList(hook) {
+    if (!hook) {
+        return [];
+    }
+    return Array.isArray(hook) ? hook : [hook];
+}
+
+// undefined params are left out of the url, e.g. `dates` when no date is given
+function definedParams(params) {
+    return params && Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Creates the HTTP layer shared by the services of one client.
+ * @param {object} options - see `defaults`
+ * @param {function} options.transport - custom transport, defaults to axios
+ * @param {object|false} options.retry - retry policy overrides (see `defaultRetry`), `false` disables retries
+ * @param {object|false} options.rateLimit - per-host limits (see `defaultRateLimit`), `false` disables limiting
+ * @param {object|boolean} options.cache - response cache (see `resolveCache`), off by default
+ * @param {object|false} options.fixtures - record/replay fixtures `{ mode, dir }` (see `withFixtures`), off by default
+ * @param {string} options.mockServer - base url of a mock server (see `createMockServer`) every
+ * upstream host is sent to; explicit `hosts` overrides still win
+ * @param {object} options.hooks - `beforeRequest(request)`, `afterResponse(response, request)`
+ * and `beforeError(error, request)`, each a function or an array of functions; transport
+ * failures reach `beforeError` already mapped onto the errors of `errors.js`
+ * @returns {object} `{ options, cache, get(url, { params, headers, kind }) }`, where `kind`
+ * (`'game'` or `'reference'`) selects the cache ttl of the request
+ */
+export function createHttp(options = {}) {
+    const settings = {
+        ...defaults,
+        ...options,
+        headers: { ...defaults.headers, ...options.headers },
+        hosts: { ...defaults.hosts, ...mockHosts(options.mockServer), ...options.hosts }
+    };
+    const hooks = {
+        beforeRequest: toList(settings.hooks.beforeRequest),
+        afterResponse: toList(settings.hooks.afterResponse),
+        beforeError: toList(settings.hooks.beforeError)
+    };
+    const transport = withFixtures(
+        withRetry(
+            withRateLimit(settings.transport || createAxiosTransport(), settings.rateLimit),
+            settings.retry
+        ),
+        settings.fixtures
+    );
+    const cache = resolveCache(settings.cache);
+
+    return {
+        options: settings,
+        cache: cache?.store,
+        get: async function (url, { params, headers, kind } = {}) {
+            let request = {
+                method: 'get',
+                url: resolveUrl(url, settings.hosts),
+                params: definedParams(params),
+                kind: kind,
+                headers: {
+                    ...(settings.userAgent ? { 'User-Agent': settings.userAgent } : {}),
+                    ...settings.headers,
+                    ...headers
+                },
+                timeout: settings.timeout,
+                proxy: settings.proxy
+            };
+            for (const hook of hooks.beforeRequest) {
+                request = (await hook(request)) || request;
+            }
+
+            const key = cache && cacheKey(request);
+            let response = cache && await cache.store.get(key);
+            if (response) {
+                response = { ...clone(response), cached: true };
+            } else {
+                try {
+                    response = await transport(request);
+                } catch (err) {
+                    let error = fromTransportError(err, requestUrl(request));
+                    for (const hook of hooks.beforeError) {
+                        error = (await hook(error, request)) || error;
+                    }
+                    throw error;
+                }
+                const ttl = cache && ttlFor(request.kind, response, cache.ttl);
+                if (ttl > 0) {
+                    await cache.store.set(key, clone(response), ttl);
+                }
+            }
+
+            noteResponse();
+            for (const hook of hooks.afterResponse) {
+                response = (await hook(response, request)) || response;
+            }
+            return response;
+        }
+    };
+}
@@ -0,0 +1,113 @@
+import { access, readFile } from 'fs/promises';
+import http from 'http';
+import { InvalidArgumentError } from './errors.js';
+import { fixturePath } from './fixtures.js';
+
+async function findFixture(dir, host, pathAndQuery) {
+    for (const scheme of ['http', 'https']) {
+        const url = `${scheme}://${host}${pathAndQuery}`;
+        try {
+            return JSON.parse(await readFile(fixturePath(dir, { method: 'get', url }), 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+    }
+    return null;
+}
+
+function send(res, status, headers, data) {
+    const json = typeof data !== 'string';
+    const body = json ? JSON.stringify(data) : data;
+    res.writeHead(status, {
+        'content-type': json ? 'application/json; charset=utf-8' : 'text/html; charset=utf-8',
+        ...headers
+    });
+    res.end(body);
+}
+
+/**
+ * Local stand-in for the ESPN and NCAA hosts, serving recorded fixtures (see
+ * `withFixtures`). Requests take the upstream host as first path segment,
+ * e.g. `GET /site.api.espn.com/apis/site/v2/sports/basketball/nba/teams`;
+ * point a client at it with `createClient({ mockServer: server.url })`.
+ *
+ * Recorded error responses are served with their status, recorded redirects
+ * as a 302 to the final url, and requests without a fixture get a 404.
+ * @param {object} options
+ * @param {string} options.dir - fixture directory; the npm package ships no fixtures, record
+ * them with `SDV_FIXTURES=record` or point at test/fixtures of a repository checkout
+ * @param {number} options.port - port to listen on, 0 picks a free one
+ * @param {string} options.host - interface to bind
+ * @returns {object} `{ server, url, listen(), close() }`, `listen()` rejecting when `dir` does not exist
+ * @example
+ * const mock = createMockServer({ dir: 'test/fixtures', port: 4000 });
+ * await mock.listen();
+ * const client = createClient({ mockServer: mock.url });
+ */
+export function createMockServer({ dir, port = 0, host = '127.0.0.1' } = {}) {
+    if (!dir) {
+        throw new InvalidArgumentError('createMockServer needs a fixture directory', { argument: 'dir' });
+    }
+    // final urls of recorded redirects, served from the fixture of the original request
+    const redirects = new Map();
+
+    const server = http.createServer(async (req, res) => {
+        const match = req.url.match(/^\/([^/?]+)(\/[^?]*)?(\?.*)?$/);
+        if (req.method !== 'GET' || !match) {
+            return send(res, req.method === 'GET' ? 404 : 405, {}, { error: `Unsupported request ${req.method} ${req.url}` });
+        }
+        const [, upstreamHost, pathname = '/', search = ''] = match;
+        let fixture;
+        try {
+            fixture = redirects.get(req.url) || await findFixture(dir, upstreamHost, pathname + search);
+        } catch (err) {
+            return send(res, 500, {}, { error: err.message });
+        }
+        if (!fixture) {
+            return send(res, 404, {}, { error: `No fixture for ${upstreamHost}${pathname}${search}` });
+        }
+        if (fixture.error) {
+            const response = fixture.error.response || {};
+            return send(res, response.status || 502, response.headers, response.data ?? '');
+        }
+        const final = fixture.response.url && new URL(fixture.response.url);
+        const location = final && `/${final.host}${final.pathname}${final.search}`;
+        if (final && `${final.host}${final.pathname}` !== `${upstreamHost}${pathname}`) {
+            redirects.set(location, fixture);
+            res.writeHead(302, { location });
+            return res.end();
+        }
+        send(res, fixture.response.status, fixture.response.headers, fixture.response.data);
+    });
+
+    const mock = {
+        server,
+        url: null,
+        listen: async function () {
+            try {
+                await access(dir);
+            } catch {
+                throw new Error(`Fixture directory not found: ${dir}`);
+            }
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.off('error', reject);
+                    const address = server.address();
+                    const name = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+                    mock.url = `http://${name}:${address.port}`;
+                    resolve(mock);
+                });
+            });
+        },
+        close: function () {
+            return new Promise((resolve, reject) => {
+                server.close((err) => (err ? reject(err) : resolve()));
+                server.closeAllConnections();
+            });
+        }
+    };
+    return mock;
+}
@@ -0,0 +1,24 @@
+import { SdvError } from './errors.js';
+
+/**
+ * Imports an optional dependency of the package. Exports, the warehouse and the
+ * GraphQL endpoint need packages the services do not, so they are listed under
+ * `optionalDependencies` and loaded only when first used.
+ * @param {string} name - package name
+ * @param {string} feature - what needs it, for the error message
+ * @returns {Promise<object>} the module namespace
+ * @throws {SdvError} with code `EOPTIONALDEP` when the package is not installed
+ * @example
+ * const { default: Database } = await importOptional('better-sqlite3', 'openWarehouse');
+ */
+export async function importOptional(name, feature) {
+    try {
+        return await import(name);
+    } catch (error) {
+        // a package that is installed but fails to load keeps its own error
+        if (error?.code !== 'ERR_MODULE_NOT_FOUND' || !String(error.message).includes(`'${name}'`)) {
+            throw error;
+        }
+        throw new SdvError(`Install ${name} to use ${feature}: npm install ${name}`, { code: 'EOPTIONALDEP', cause: error });
+    }
+}
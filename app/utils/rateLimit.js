@@ -0,0 +1,142 @@
+import { InvalidArgumentError } from './errors.js';
+
+/**
+ * Default per-host limits. Keys match the host itself and its subdomains, so
+ * `247sports.com` also covers `{school}.247sports.com`, and all matching hosts
+ * share one bucket and one queue. Hosts without an entry use `default`.
+ */
+export const defaultRateLimit = {
+    default: { requestsPerSecond: 10, burst: 10, concurrency: 8 },
+    hosts: {
+        'stats.ncaa.org': { requestsPerSecond: 1, burst: 2, concurrency: 2 },
+        '247sports.com': { requestsPerSecond: 1, burst: 2, concurrency: 2 },
+        'data.ncaa.com': { requestsPerSecond: 5, burst: 5, concurrency: 4 }
+    }
+};
+
+// rates and concurrency must be positive: 0 would wait forever, use `Infinity` or `rateLimit: false` for no limit
+function checkLimits(limits, host) {
+    for (const name of ['requestsPerSecond', 'burst', 'concurrency']) {
+        const value = limits[name];
+        if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+            throw new InvalidArgumentError(`Rate limit ${name}${host ? ` of ${host}` : ''} must be a positive number or Infinity, got ${value}`, { argument: name });
+        }
+    }
+}
+
+/**
+ * Creates a token-bucket rate limiter combined with a max-concurrency queue.
+ * Tasks start in the order they were scheduled.
+ * @param {object} limits
+ * @param {number} limits.requestsPerSecond - token refill rate, `Infinity` for no rate limit
+ * @param {number} limits.burst - bucket capacity
+ * @param {number} limits.concurrency - max tasks in flight, `Infinity` for no limit
+ * @returns {object} `{ schedule(task), pending(), active() }`
+ * @throws {InvalidArgumentError} when a limit is not a positive number
+ */
+export function createLimiter(limits = {}) {
+    checkLimits(limits);
+    const { requestsPerSecond = Infinity, burst = 1, concurrency = Infinity } = limits;
+    const capacity = Math.max(1, burst);
+    const queue = [];
+    let tokens = capacity;
+    let updated = Date.now();
+    let active = 0;
+    let timer = null;
+
+    function refill() {
+        const now = Date.now();
+        if (requestsPerSecond === Infinity) {
+            tokens = capacity;
+            return;
+        }
+        tokens = Math.min(capacity, tokens + (now - updated) / 1000 * requestsPerSecond);
+        updated = now;
+    }
+
+    function drain() {
+        while (queue.length && active < concurrency) {
+            refill();
+            if (tokens < 1) {
+                if (!timer) {
+                    const wait = Math.ceil((1 - tokens) / requestsPerSecond * 1000);
+                    timer = setTimeout(() => {
+                        timer = null;
+                        drain();
+                    }, wait);
+                }
+                return;
+            }
+            tokens -= 1;
+            active++;
+            const { task, resolve, reject } = queue.shift();
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    drain();
+                });
+        }
+    }
+
+    return {
+        schedule: function (task) {
+            return new Promise((resolve, reject) => {
+                queue.push({ task, resolve, reject });
+                drain();
+            });
+        },
+        pending: () => queue.length,
+        active: () => active
+    };
+}
+
+/**
+ * Finds the configured limits and bucket key for a host, preferring the most
+ * specific configured key.
+ * @param {string} host - request host
+ * @param {object} config - `{ default, hosts }`
+ * @returns {object} `{ key, limits }`
+ */
+export function matchHost(host, config) {
+    const keys = Object.keys(config.hosts).sort((a, b) => b.length - a.length);
+    for (const key of keys) {
+        if (host === key || host.endsWith(`.${key}`)) {
+            return { key, limits: config.hosts[key] };
+        }
+    }
+    return { key: host, limits: config.default };
+}
+
+/**
+ * Wraps a transport so every request goes through the limiter of its host.
+ * @param {function} transport - transport to wrap
+ * @param {object|false} options - `{ default, hosts }` overrides merged over
+ * `defaultRateLimit`, `false` disables limiting
+ * @returns {function} transport
+ * @throws {InvalidArgumentError} when a limit is not a positive number
+ */
+export function withRateLimit(transport, options = {}) {
+    if (options === false) {
+        return transport;
+    }
+    const config = {
+        default: { ...defaultRateLimit.default, ...options.default },
+        hosts: { ...defaultRateLimit.hosts }
+    };
+    for (const [key, limits] of Object.entries(options.hosts || {})) {
+        config.hosts[key] = { ...(config.hosts[key] || config.default), ...limits };
+    }
+    checkLimits(config.default, 'default');
+    Object.entries(config.hosts).forEach(([key, limits]) => checkLimits(limits, key));
+    const limiters = new Map();
+
+    return async function (request) {
+        const { key, limits } = matchHost(new URL(request.url).host, config);
+        if (!limiters.has(key)) {
+            limiters.set(key, createLimiter(limits));
+        }
+        return limiters.get(key).schedule(() => transport(request));
+    };
+}
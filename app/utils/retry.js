@@ -0,0 +1,103 @@
+/**
+ * Default retry policy shared by every upstream (ESPN, NCAA, 247Sports).
+ */
+export const defaultRetry = {
+    attempts: 3,
+    minDelay: 250,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: true,
+    maxRetryAfter: 60000,
+    statuses: [408, 425, 429, 500, 502, 503, 504],
+    codes: ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'],
+    onRetry: null
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed request is worth another attempt. Responses with a status
+ * (e.g. a 404 for a nonexistent game id) are only retried when the status is
+ * listed in `policy.statuses`; errors without a response are retried when
+ * their code is a transient network failure.
+ * @param {Error} error - error thrown by the transport
+ * @param {object} policy - retry policy
+ * @returns {boolean}
+ */
+export function isRetryable(error, policy = defaultRetry) {
+    const status = error?.response?.status;
+    if (status) {
+        return policy.statuses.includes(status);
+    }
+    return policy.codes.includes(error?.code);
+}
+
+/**
+ * Parses a `Retry-After` header, given either in seconds or as an HTTP date.
+ * @param {string} value - header value
+ * @param {number} now - current time in milliseconds
+ * @returns {number|null} delay in milliseconds
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) {
+        return null;
+    }
+    return Math.max(0, date - now);
+}
+
+/**
+ * Delay before the given retry (1-based), exponential with optional jitter.
+ * @param {number} retry - retry number
+ * @param {object} policy - retry policy
+ * @returns {number} delay in milliseconds
+ */
+export function backoff(retry, policy = defaultRetry) {
+    const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, retry - 1));
+    if (!policy.jitter) {
+        return delay;
+    }
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Wraps a transport so failed requests are retried according to `options`.
+ * @param {function} transport - transport to wrap
+ * @param {object|false} options - retry policy overrides, `false` disables retries
+ * @returns {function} transport
+ */
+export function withRetry(transport, options = {}) {
+    if (options === false) {
+        return transport;
+    }
+    const policy = { ...defaultRetry, ...options };
+
+    return async function (request) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await transport(request);
+            } catch (error) {
+                if (attempt >= policy.attempts || !isRetryable(error, policy)) {
+                    throw error;
+                }
+                const headers = error.response?.headers || {};
+                const retryAfter = parseRetryAfter(headers['retry-after'] ?? headers['Retry-After']);
+                if (retryAfter !== null && retryAfter > policy.maxRetryAfter) {
+                    throw error;
+                }
+                const delay = retryAfter ?? backoff(attempt, policy);
+                if (policy.onRetry) {
+                    policy.onRetry({ error, request, attempt, delay });
+                }
+                await sleep(delay);
+            }
+        }
+    };
+}
@@ -0,0 +1,197 @@
+import { UpstreamSchemaChangedError } from './errors.js';
+
+const MODES = ['strict', 'lenient'];
+const MAX_ISSUES = 50;
+
+/*
+ * Schemas are plain values:
+ *
+ * - a type name, `'string'`, `'number'`, `'boolean'`, `'object'`, `'array'` or
+ *   `'any'`, unions such as `'string|number'`, optional with a `?` suffix
+ * - `[item]` for an array whose items all match `item`
+ * - `{ key: schema }` for an object; keys it does not list are allowed
+ * - `exact({ key: schema })` for an object whose other keys are reported as unexpected
+ * - `optional(schema)` for an object or array that may be missing
+ */
+
+/**
+ * Object schema that reports keys it does not list as unexpected.
+ * @param {object} fields - schema per key
+ * @returns {object} schema
+ */
+export function exact(fields) {
+    return { fields, exact: true };
+}
+
+/**
+ * Object or array schema that may be missing altogether.
+ * @param {*} schema - schema of the value when present
+ * @returns {object} schema
+ */
+export function optional(schema) {
+    return { schema, optional: true };
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function check(schema, value, path, issues) {
+    if (schema && schema.optional === true && 'schema' in schema) {
+        if (value === undefined || value === null) {
+            return;
+        }
+        return check(schema.schema, value, path, issues);
+    }
+    if (typeof schema === 'string') {
+        const isOptional = schema.endsWith('?');
+        const types = schema.replace(/\?$/, '').split('|');
+        if (value === undefined || value === null) {
+            if (!isOptional) {
+                issues.push({ path, problem: 'missing', expected: types.join('|') });
+            }
+            return;
+        }
+        if (!types.includes('any') && !types.includes(typeOf(value))) {
+            issues.push({ path, problem: 'type', expected: types.join('|'), actual: typeOf(value) });
+        }
+        return;
+    }
+    if (Array.isArray(schema)) {
+        if (value === undefined || value === null) {
+            return issues.push({ path, problem: 'missing', expected: 'array' });
+        }
+        if (!Array.isArray(value)) {
+            return issues.push({ path, problem: 'type', expected: 'array', actual: typeOf(value) });
+        }
+        for (const item of value) {
+            check(schema[0], item, `${path}[]`, issues);
+        }
+        return;
+    }
+    const fields = schema.exact ? schema.fields : schema;
+    if (value === undefined || value === null) {
+        return issues.push({ path, problem: 'missing', expected: 'object' });
+    }
+    if (typeOf(value) !== 'object') {
+        return issues.push({ path, problem: 'type', expected: 'object', actual: typeOf(value) });
+    }
+    for (const [key, field] of Object.entries(fields)) {
+        check(field, value[key], path ? `${path}.${key}` : key, issues);
+    }
+    if (schema.exact) {
+        for (const key of Object.keys(value)) {
+            if (!(key in fields) && value[key] !== undefined) {
+                issues.push({ path: path ? `${path}.${key}` : key, problem: 'unexpected', actual: typeOf(value[key]) });
+            }
+        }
+    }
+}
+
+/**
+ * Validates a value against a schema.
+ * @param {*} schema - see `exact`
+ * @param {*} value - value to validate
+ * @returns {object[]} issues `{ path, problem, expected, actual }`, one per path,
+ * where `problem` is `'missing'`, `'unexpected'` or `'type'` and array items share
+ * a `[]` path; empty when the value matches
+ */
+export function validate(schema, value) {
+    const issues = [];
+    check(schema, value, '', issues);
+    const seen = new Set();
+    return issues.filter((issue) => {
+        const key = `${issue.problem} ${issue.path}`;
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    }).slice(0, MAX_ISSUES);
+}
+
+/**
+ * Warning emitted in lenient mode when a payload no longer matches its schema.
+ */
+export class SchemaDriftWarning extends Error {
+    constructor(league, method, issues) {
+        super(`Schema drift in ${league}.${method}: ${describe(issues)}`);
+        this.name = 'SchemaDriftWarning';
+        this.code = 'SDV_SCHEMA_DRIFT';
+        this.league = league;
+        this.method = method;
+        this.issues = issues;
+    }
+}
+
+function describe(issues) {
+    const shown = issues.slice(0, 5).map((issue) => `${issue.problem} '${issue.path || '(root)'}'`);
+    return shown.join(', ') + (issues.length > shown.length ? ` and ${issues.length - shown.length} more` : '');
+}
+
+/**
+ * Normalizes the `validate` client option.
+ * @param {boolean|string|object} options - `'strict'`, `'lenient'` (or `true`), or
+ * `{ mode, onDrift }`
+ * @returns {object|null} `{ mode, onDrift }`, null when validation is off
+ */
+export function resolveValidation(options) {
+    if (!options) {
+        return null;
+    }
+    const settings = options === true ? {} : typeof options === 'string' ? { mode: options } : options;
+    const mode = settings.mode || 'lenient';
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown validation mode '${mode}', expected one of ${MODES.join(', ')}`);
+    }
+    return { mode, onDrift: settings.onDrift || null };
+}
+
+/**
+ * Wraps the methods of a service that have a schema so their results are
+ * validated. In `strict` mode drift rejects with `UpstreamSchemaChangedError`
+ * carrying the `issues`; in `lenient` mode the result is returned and a
+ * `SchemaDriftWarning` is passed to `onDrift`, or to `process.emitWarning`
+ * when no `onDrift` is given.
+ * @param {string} league - namespace name
+ * @param {object} service - service object
+ * @param {object} schemas - schema per method name
+ * @param {boolean|string|object} options - see `resolveValidation`
+ * @returns {object} service
+ */
+export function withValidation(league, service, schemas = {}, options) {
+    const settings = resolveValidation(options);
+    if (!settings) {
+        return service;
+    }
+    const wrapped = { ...service };
+    for (const [method, schema] of Object.entries(schemas)) {
+        const fn = service[method];
+        if (typeof fn !== 'function') {
+            continue;
+        }
+        wrapped[method] = async function (...args) {
+            const result = await fn.apply(this, args);
+            const issues = validate(schema, result);
+            if (issues.length) {
+                if (settings.mode === 'strict') {
+                    throw new UpstreamSchemaChangedError(`Response does not match the expected schema: ${describe(issues)}`, {
+                        field: issues[0].path,
+                        issues
+                    });
+                }
+                const warning = new SchemaDriftWarning(league, method, issues);
+                if (settings.onDrift) {
+                    settings.onDrift(warning);
+                } else {
+                    process.emitWarning(warning);
+                }
+            }
+            return result;
+        };
+    }
+    return wrapped;
+}
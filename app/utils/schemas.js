@@ -0,0 +1,230 @@
+import { exact, optional } from './schema.js';
+
+/*
+ * Expected shapes of the results of getPlayByPlay, getBoxScore, getSummary and
+ * getScoreboard per namespace, see `withValidation`. Result objects built by the
+ * services are `exact`; upstream objects list the fields the library and its
+ * users rely on and allow any others.
+ */
+
+const team = { id: 'string', displayName: 'string?', abbreviation: 'string?' };
+
+const competitor = { id: 'string', homeAway: 'string', team, score: 'string?' };
+
+const status = { type: { state: 'string', completed: 'boolean' } };
+
+const competition = { id: 'string', date: 'string', competitors: [competitor], status: optional(status) };
+
+const season = { year: 'number', type: 'number' };
+
+const header = { id: 'string', season, competitions: [competition] };
+
+const boxScore = {
+    teams: optional([{ team, statistics: ['object'] }]),
+    players: optional([{ team, statistics: [{ athletes: [{ athlete: { id: 'string' }, stats: ['string'] }] }] }])
+};
+
+const gameBoxScore = { ...boxScore, id: 'number|string' };
+
+const play = {
+    id: 'string',
+    type: { id: 'string', text: 'string' },
+    period: { number: 'number' },
+    awayScore: 'number',
+    homeScore: 'number',
+    clock: optional({ displayValue: 'string' }),
+    team: optional({ id: 'string' }),
+    participants: optional([{ athlete: { id: 'string' } }])
+};
+
+const position = { down: 'number?', distance: 'number?', yardLine: 'number?', yardsToEndzone: 'number?' };
+
+const footballPlay = { ...play, start: optional(position), end: optional(position), statYardage: 'number?' };
+
+const drives = { previous: optional([{ id: 'string', plays: [footballPlay] }]) };
+
+const scoringPlay = { id: 'string', type: { id: 'string', text: 'string' }, awayScore: 'number', homeScore: 'number' };
+
+const winProbability = { playId: 'string', homeWinPercentage: 'number' };
+
+const scoreboard = {
+    leagues: [{ id: 'string', calendar: 'array?' }],
+    events: [{ id: 'string', date: 'string', competitions: [competition] }]
+};
+
+function basketballResults({ seasonSeries }) {
+    const gameExtras = seasonSeries ? { seasonSeries: 'array?', standings: 'object?' } : {};
+    return {
+        getPlayByPlay: exact({
+            id: 'string|number',
+            teams: [competitor],
+            plays: [play],
+            competitions: [competition],
+            season,
+            boxScore,
+            ...gameExtras
+        }),
+        getBoxScore: gameBoxScore,
+        getScoreboard: scoreboard
+    };
+}
+
+const mbb = {
+    ...basketballResults({ seasonSeries: false }),
+    getSummary: exact({
+        boxScore,
+        gameInfo: 'object?',
+        leaders: 'array?',
+        winProbability: optional([winProbability]),
+        header,
+        plays: optional([play]),
+        standings: 'object?'
+    })
+};
+
+// nba and mlb read the game fields of their summaries from a `gamepackageJSON`
+// the summary endpoint does not send, so those stay optional
+function summaryWithGamepackage(playSchema) {
+    return exact({
+        boxScore,
+        gameInfo: 'object?',
+        header,
+        teams: optional([competitor]),
+        id: 'string|number?',
+        plays: optional([playSchema]),
+        winProbability: optional([winProbability]),
+        leaders: 'array?',
+        competitions: optional([competition]),
+        season: optional(season),
+        seasonSeries: 'array?',
+        standings: 'object?'
+    });
+}
+
+const football = {
+    getPlayByPlay: exact({
+        id: 'string|number',
+        teams: [competitor],
+        drives,
+        competitions: [competition],
+        season,
+        week: 'number?',
+        boxScore,
+        scoringPlays: optional([scoringPlay]),
+        standings: 'object?'
+    }),
+    getBoxScore: gameBoxScore,
+    getSummary: exact({
+        id: 'number',
+        boxScore,
+        gameInfo: 'object?',
+        drives: optional(drives),
+        leaders: 'array?',
+        header,
+        teams: [competitor],
+        scoringPlays: optional([scoringPlay]),
+        winProbability: optional([winProbability]),
+        competitions: [competition],
+        season,
+        week: 'number?',
+        standings: 'object?'
+    }),
+    getScoreboard: scoreboard
+};
+
+const hockeyPlay = { ...play, strength: optional({ abbreviation: 'string' }) };
+
+const hockeyGame = {
+    teams: [competitor],
+    id: 'number',
+    plays: [hockeyPlay],
+    onIce: 'array?',
+    competitions: [competition],
+    season,
+    boxScore,
+    seasonSeries: 'array?',
+    standings: 'object?'
+};
+
+const baseballPlay = {
+    ...play,
+    atBatId: 'string?',
+    summaryType: 'string?',
+    outs: 'number?',
+    pitchVelocity: 'number?',
+    pitchCount: optional({ balls: 'number', strikes: 'number' })
+};
+
+const ncaaMeta = { teams: [{ id: 'string', shortName: 'string', homeTeam: 'string' }] };
+
+export const schemas = {
+    cfb: football,
+    nfl: football,
+    mbb,
+    wbb: mbb,
+    nba: {
+        ...basketballResults({ seasonSeries: true }),
+        getSummary: summaryWithGamepackage(play)
+    },
+    wnba: {
+        ...basketballResults({ seasonSeries: true }),
+        getSummary: exact({
+            boxScore,
+            gameInfo: 'object?',
+            header,
+            teams: [competitor],
+            id: 'string',
+            plays: [play],
+            winProbability: optional([winProbability]),
+            leaders: 'array?',
+            competitions: [competition],
+            season,
+            seasonSeries: 'array?',
+            standings: 'object?'
+        })
+    },
+    mlb: {
+        getPlayByPlay: exact({
+            teams: [competitor],
+            id: 'string|number',
+            plays: [baseballPlay],
+            competitions: [competition],
+            season,
+            boxScore,
+            seasonSeries: 'array?',
+            standings: 'object?'
+        }),
+        getBoxScore: gameBoxScore,
+        getSummary: summaryWithGamepackage(baseballPlay),
+        getScoreboard: scoreboard
+    },
+    nhl: {
+        getPlayByPlay: exact(hockeyGame),
+        getBoxScore: gameBoxScore,
+        getSummary: exact({ ...hockeyGame, boxScore, gameInfo: 'object?', header, leaders: 'array?' }),
+        getScoreboard: scoreboard
+    },
+    tennis: {
+        getScoreboard: {
+            leagues: [{ id: 'string' }],
+            events: [{
+                id: 'string',
+                date: 'string',
+                groupings: optional([{ competitions: [{ id: 'string', competitors: [{ id: 'string', athlete: 'object?' }] }] }])
+            }]
+        }
+    },
+    ncaa: {
+        getPlayByPlay: {
+            meta: ncaaMeta,
+            periods: [{ periodNumber: 'string', playStats: [{ time: 'string', score: 'string', visitorText: 'string', homeText: 'string' }] }]
+        },
+        getBoxScore: {
+            meta: ncaaMeta,
+            teams: [{ teamId: 'string', playerStats: ['object'] }]
+        },
+        getScoreboard: {
+            games: [{ game: { gameID: 'string', gameState: 'string', home: { names: { short: 'string' } }, away: { names: { short: 'string' } } } }]
+        }
+    }
+};
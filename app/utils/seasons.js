@@ -0,0 +1,104 @@
+import { InvalidArgumentError } from './errors.js';
+import { formatDay, toDay } from './dates.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+// days of a day calendar asked for in one scoreboard request
+const DAYS_PER_REQUEST = 7;
+const OFF_SEASON = 4;
+
+/*
+ * ESPN scoreboards carry the calendar of their season in `leagues[0].calendar`:
+ * football lists weeks per season type (`{ value, entries: [{ value, ... }] }`),
+ * the other leagues list the days with games as ISO dates. A scoreboard asked
+ * for with `dates` set to a year returns the calendar of that season.
+ */
+
+function checkSeason(season, seasonType) {
+    if (!/^\d{4}$/.test(String(season))) {
+        throw new InvalidArgumentError(`Invalid season ${JSON.stringify(season)}, expected a year such as 2021`, { argument: 'season' });
+    }
+    if (seasonType !== undefined && seasonType !== null && ![1, 2, 3, 4].includes(Number(seasonType))) {
+        throw new InvalidArgumentError(`Invalid seasonType ${JSON.stringify(seasonType)}, expected 1 (pre), 2 (regular), 3 (post) or 4 (off)`, { argument: 'seasonType' });
+    }
+}
+
+// scoreboard requests covering the calendar, see above
+function calendarRequests(season, seasonType, calendar) {
+    if (calendar.some((entry) => Array.isArray(entry?.entries))) {
+        return calendar
+            .filter((type) => (seasonType ? Number(type.value) === Number(seasonType) : Number(type.value) !== OFF_SEASON))
+            .flatMap((type) => (type.entries || []).map((week) => ({ dates: season, seasontype: type.value, week: week.value })));
+    }
+    const days = [...new Set(calendar
+        .map((entry) => (typeof entry === 'string' ? entry : entry?.startDate))
+        .filter(Boolean)
+        .map((date) => toDay(date.slice(0, 10))))].sort((a, b) => a - b);
+    const requests = [];
+    for (let i = 0; i < days.length;) {
+        const start = days[i];
+        while (i < days.length && days[i] - start < DAYS_PER_REQUEST * DAY) {
+            i++;
+        }
+        const end = days[i - 1];
+        requests.push({
+            dates: start === end ? formatDay(start) : `${formatDay(start)}-${formatDay(end)}`,
+            ...(seasonType ? { seasontype: seasonType } : {})
+        });
+    }
+    return requests;
+}
+
+/**
+ * Reads a game of a scoreboard.
+ * @param {object} event - scoreboard event
+ * @param {number} season - season year, used when the event has none
+ * @param {object} request - scoreboard parameters the event was fetched with
+ * @returns {object} `{ id, date, season, seasonType, week, status, completed, homeTeamId,
+ * awayTeamId, neutralSite }`
+ */
+export function gameRow(event, season, request = {}) {
+    const competition = event.competitions?.[0] || {};
+    const competitor = (side) => (competition.competitors || []).find((entry) => entry.homeAway === side);
+    const status = competition.status ?? event.status;
+    return {
+        id: String(event.id),
+        date: event.date ?? competition.date ?? null,
+        season: Number(event.season?.year ?? season),
+        seasonType: event.season?.type !== undefined ? Number(event.season.type) : request.seasontype === undefined ? null : Number(request.seasontype),
+        week: event.week?.number ?? (request.week === undefined ? null : Number(request.week)),
+        status: status?.type?.name ?? null,
+        completed: Boolean(status?.type?.completed),
+        homeTeamId: competitor('home')?.team?.id ?? competitor('home')?.id ?? null,
+        awayTeamId: competitor('away')?.team?.id ?? competitor('away')?.id ?? null,
+        neutralSite: Boolean(competition.neutralSite)
+    };
+}
+
+/**
+ * Lists every game of a season by walking the calendar of the scoreboard.
+ * Games listed on more than one scoreboard are kept once, and games of other
+ * season types than `seasonType` are left out.
+ * @param {function} fetchScoreboard - `(params) => Promise`, resolving to the scoreboard for
+ * the given `dates`, `seasontype` and `week` parameters
+ * @param {object} options
+ * @param {number} options.season - season year, as ESPN numbers them
+ * @param {number} [options.seasonType] - 1 pre, 2 regular, 3 postseason; every type but the off season by default
+ * @returns {Promise<object[]>} games `{ id, date, season, seasonType, week, status, completed,
+ * homeTeamId, awayTeamId, neutralSite }` in date order, `week` null outside football
+ */
+export async function seasonGames(fetchScoreboard, { season, seasonType } = {}) {
+    checkSeason(season, seasonType);
+    const board = await fetchScoreboard({ dates: season });
+    const requests = calendarRequests(season, seasonType, board?.leagues?.[0]?.calendar || []);
+    const boards = await Promise.all(requests.map((params) => fetchScoreboard(params)));
+    const games = new Map();
+    boards.forEach((scoreboard, index) => {
+        for (const event of scoreboard?.events || []) {
+            const row = gameRow(event, season, requests[index]);
+            if (!games.has(row.id) && (!seasonType || row.seasonType === null || row.seasonType === Number(seasonType))) {
+                games.set(row.id, row);
+            }
+        }
+    });
+    return [...games.values()].sort((a, b) => String(a.date).localeCompare(String(b.date)) || a.id.localeCompare(b.id));
+}
@@ -0,0 +1,14 @@
+/*
+ * ESPN standings responses nest their groups: a league holds conferences,
+ * which may hold divisions, and any level may carry `standings.entries`.
+ */
+
+/**
+ * Groups of a standings response holding entries, at any depth.
+ * @param {object} node - result of `getStandings`, or one of its children
+ * @returns {object[]} groups, `{ id, name, standings: { season, entries } }`
+ */
+export function standingsGroups(node) {
+    const own = node?.standings?.entries ? [node] : [];
+    return own.concat((node?.children || []).flatMap(standingsGroups));
+}
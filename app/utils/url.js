@@ -0,0 +1,64 @@
+/**
+ * Rewrites the origin of `url` when its host has an override, e.g.
+ * `{ 'site.api.espn.com': 'http://localhost:8080/espn' }`. A `*.` key covers
+ * the subdomains of a host, and `{host}` in a base url stands for the host of
+ * the request: `{ '*.247sports.com': 'http://localhost:8080/{host}' }`.
+ * @param {string} url - absolute url
+ * @param {object} hosts - host to base url map
+ * @returns {string} url
+ */
+export function resolveUrl(url, hosts = {}) {
+    const parsed = new URL(url);
+    const wildcard = Object.keys(hosts).find((key) => key.startsWith('*.') && parsed.host.endsWith(key.slice(1)));
+    const base = hosts[parsed.host] || (wildcard && hosts[wildcard]);
+    if (!base) {
+        return url;
+    }
+    return base.replace('{host}', parsed.host).replace(/\/+$/, '') + parsed.pathname + parsed.search;
+}
+
+/**
+ * Full url of a request, its non-empty params merged into the query string
+ * in sorted order.
+ * @param {object} request - `{ url, params }`
+ * @returns {string} url
+ */
+export function requestUrl(request) {
+    const url = new URL(request.url);
+    for (const [key, value] of Object.entries(request.params || {})) {
+        if (value !== undefined && value !== null) {
+            url.searchParams.set(key, value);
+        }
+    }
+    url.searchParams.sort();
+    return url.toString();
+}
+
+/**
+ * Hosts the services call that the mock server can stand in for.
+ */
+export const MOCK_HOSTS = [
+    'site.api.espn.com',
+    'site.web.api.espn.com',
+    'cdn.espn.com',
+    'data.ncaa.com',
+    'stats.ncaa.org',
+    'ncaa.com',
+    'www.ncaa.com',
+    '247sports.com',
+    '*.247sports.com'
+];
+
+/**
+ * Host overrides sending every upstream host to a mock server, which takes
+ * the original host as the first path segment: `<base>/<host>/<path>`.
+ * @param {string} base - mock server url, e.g. `http://localhost:4000`
+ * @returns {object} host to base url map
+ */
+export function mockHosts(base) {
+    if (!base) {
+        return {};
+    }
+    const root = base.replace(/\/+$/, '');
+    return Object.fromEntries(MOCK_HOSTS.map((host) => [host, `${root}/${host.startsWith('*.') ? '{host}' : host}`]));
+}
@@ -0,0 +1,470 @@
+import { mkdir } from 'fs/promises';
+import path from 'path';
+import { errorRecord } from './bulk.js';
+import { resolveDates } from './dates.js';
+import { InvalidArgumentError } from './errors.js';
+import { importOptional } from './optional.js';
+import { createLimiter } from './rateLimit.js';
+import { gameRow } from './seasons.js';
+import { standingsGroups } from './standings.js';
+import { flattenBoxScore, PLAYER_KEYS, TEAM_KEYS } from '../pbp/boxscore.js';
+import { footballPlays } from '../pbp/football.js';
+
+const LEAGUES = ['cfb', 'mbb', 'mlb', 'nba', 'nfl', 'nhl', 'wbb', 'wnba'];
+const FOOTBALL = ['cfb', 'nfl'];
+const DAY = 24 * 60 * 60 * 1000;
+// days of the range asked for in one scoreboard request
+const DAYS_PER_REQUEST = 7;
+
+/**
+ * Tables of the warehouse. Ids are ESPN ids, kept as text; box score and
+ * standings stats are JSON objects keyed by the column names of
+ * `flattenBoxScore` and the stat names of ESPN, read with `json_extract`.
+ * Every row is replaced when it is loaded again. DuckDB reads the file with
+ * `ATTACH 'warehouse.sqlite' (TYPE sqlite)`.
+ */
+export const WAREHOUSE_SCHEMA = `
+-- one row per game of a scoreboard; loaded_at is set once its box score and plays are in
+CREATE TABLE IF NOT EXISTS games (
+    id TEXT PRIMARY KEY,
+    league TEXT NOT NULL,
+    season INTEGER,
+    season_type INTEGER,
+    week INTEGER,
+    date TEXT,
+    status TEXT,
+    completed INTEGER NOT NULL DEFAULT 0,
+    neutral_site INTEGER NOT NULL DEFAULT 0,
+    home_team_id TEXT,
+    away_team_id TEXT,
+    home_score REAL,
+    away_score REAL,
+    loaded_at TEXT,
+    updated_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS games_league_date ON games (league, date);
+
+-- team ids are only unique within a league
+CREATE TABLE IF NOT EXISTS teams (
+    league TEXT NOT NULL,
+    id TEXT NOT NULL,
+    abbreviation TEXT,
+    display_name TEXT,
+    location TEXT,
+    name TEXT,
+    color TEXT,
+    logo TEXT,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (league, id)
+);
+
+-- team_id is the team of the last box score the athlete played in
+CREATE TABLE IF NOT EXISTS athletes (
+    league TEXT NOT NULL,
+    id TEXT NOT NULL,
+    display_name TEXT,
+    jersey TEXT,
+    position TEXT,
+    team_id TEXT,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (league, id)
+);
+
+-- one row per play; drive_id for football only, data holds the play as ESPN sent it
+CREATE TABLE IF NOT EXISTS plays (
+    game_id TEXT NOT NULL,
+    id TEXT NOT NULL,
+    sequence INTEGER,
+    period INTEGER,
+    clock TEXT,
+    team_id TEXT,
+    drive_id TEXT,
+    type_id TEXT,
+    type TEXT,
+    text TEXT,
+    scoring_play INTEGER,
+    score_value REAL,
+    home_score REAL,
+    away_score REAL,
+    wallclock TEXT,
+    data TEXT,
+    PRIMARY KEY (game_id, id)
+);
+
+-- one row per athlete and stat group (category is '' outside football, baseball and hockey)
+CREATE TABLE IF NOT EXISTS player_box (
+    game_id TEXT NOT NULL,
+    athlete_id TEXT NOT NULL,
+    category TEXT NOT NULL,
+    team_id TEXT,
+    home_away TEXT,
+    starter INTEGER,
+    did_not_play INTEGER,
+    ejected INTEGER,
+    stats TEXT NOT NULL,
+    PRIMARY KEY (game_id, athlete_id, category)
+);
+
+CREATE TABLE IF NOT EXISTS team_box (
+    game_id TEXT NOT NULL,
+    team_id TEXT NOT NULL,
+    home_away TEXT,
+    stats TEXT NOT NULL,
+    PRIMARY KEY (game_id, team_id)
+);
+
+-- one row per team and standings group (league, conference or division)
+CREATE TABLE IF NOT EXISTS standings (
+    league TEXT NOT NULL,
+    season INTEGER NOT NULL,
+    group_id TEXT NOT NULL,
+    group_name TEXT,
+    team_id TEXT NOT NULL,
+    wins REAL,
+    losses REAL,
+    stats TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (league, season, group_id, team_id)
+);
+`;
+
+// `INSERT ... ON CONFLICT DO UPDATE` replacing every column but the key
+function upsertSql(table, columns, key) {
+    const updates = columns.filter((column) => !key.includes(column)).map((column) => `${column} = excluded.${column}`);
+    return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((column) => `@${column}`).join(', ')})
+        ON CONFLICT (${key.join(', ')}) DO UPDATE SET ${updates.join(', ')}`;
+}
+
+const STATEMENTS = {
+    game: upsertSql('games', ['id', 'league', 'season', 'season_type', 'week', 'date', 'status', 'completed', 'neutral_site', 'home_team_id', 'away_team_id', 'home_score', 'away_score', 'updated_at'], ['id']),
+    team: upsertSql('teams', ['league', 'id', 'abbreviation', 'display_name', 'location', 'name', 'color', 'logo', 'updated_at'], ['league', 'id']),
+    athlete: upsertSql('athletes', ['league', 'id', 'display_name', 'jersey', 'position', 'team_id', 'updated_at'], ['league', 'id']),
+    play: upsertSql('plays', ['game_id', 'id', 'sequence', 'period', 'clock', 'team_id', 'drive_id', 'type_id', 'type', 'text', 'scoring_play', 'score_value', 'home_score', 'away_score', 'wallclock', 'data'], ['game_id', 'id']),
+    playerBox: upsertSql('player_box', ['game_id', 'athlete_id', 'category', 'team_id', 'home_away', 'starter', 'did_not_play', 'ejected', 'stats'], ['game_id', 'athlete_id', 'category']),
+    teamBox: upsertSql('team_box', ['game_id', 'team_id', 'home_away', 'stats'], ['game_id', 'team_id']),
+    standing: upsertSql('standings', ['league', 'season', 'group_id', 'group_name', 'team_id', 'wins', 'losses', 'stats', 'updated_at'], ['league', 'season', 'group_id', 'team_id']),
+    loaded: 'UPDATE games SET loaded_at = @loaded_at WHERE id = @id',
+    deletePlays: 'DELETE FROM plays WHERE game_id = ?',
+    deletePlayerBox: 'DELETE FROM player_box WHERE game_id = ?',
+    deleteTeamBox: 'DELETE FROM team_box WHERE game_id = ?'
+};
+
+function flag(value) {
+    return value === null || value === undefined ? null : value ? 1 : 0;
+}
+
+function number(value) {
+    const parsed = value === null || value === undefined || value === '' ? NaN : Number(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function text(value) {
+    return value === null || value === undefined ? null : String(value);
+}
+
+function stats(row, keys) {
+    return JSON.stringify(Object.fromEntries(Object.entries(row).filter(([key]) => !keys.includes(key))));
+}
+
+function teamRow(league, team, updated) {
+    return {
+        league,
+        id: String(team.id),
+        abbreviation: text(team.abbreviation),
+        display_name: text(team.displayName),
+        location: text(team.location),
+        name: text(team.name),
+        color: text(team.color),
+        logo: text(team.logo ?? team.logos?.[0]?.href),
+        updated_at: updated
+    };
+}
+
+function playRow(gameId, play) {
+    return {
+        game_id: gameId,
+        id: String(play.id),
+        sequence: number(play.sequenceNumber),
+        period: number(play.period?.number),
+        clock: text(play.clock?.displayValue),
+        team_id: text(play.team?.id ?? play.start?.team?.id),
+        drive_id: text(play.driveId),
+        type_id: text(play.type?.id),
+        type: text(play.type?.text),
+        text: text(play.text),
+        scoring_play: flag(play.scoringPlay),
+        score_value: number(play.scoreValue),
+        home_score: number(play.homeScore),
+        away_score: number(play.awayScore),
+        wallclock: text(play.wallclock),
+        data: JSON.stringify(play)
+    };
+}
+
+/**
+ * Opens a SQLite warehouse, creating the file and its tables, see
+ * `WAREHOUSE_SCHEMA`, when missing. Every `upsert` method writes in one
+ * transaction and returns the number of rows written.
+ * @param {string} [file] - path of the database, `'.sdv-data/warehouse.sqlite'` by default
+ * @returns {Promise<object>} `{ db, file, upsertGames, upsertBoxScore, upsertPlays, upsertStandings,
+ * markLoaded, loadedGames, close }`, `db` being the `better-sqlite3` database
+ * @throws {SdvError} with code `EOPTIONALDEP` when better-sqlite3 is not installed
+ * @example
+ * const warehouse = await openWarehouse('nba.sqlite');
+ * const rows = warehouse.db.prepare('SELECT * FROM games WHERE league = ?').all('nba');
+ */
+export async function openWarehouse(file = path.join('.sdv-data', 'warehouse.sqlite')) {
+    const { default: Database } = await importOptional('better-sqlite3', 'openWarehouse');
+    if (file !== ':memory:') {
+        await mkdir(path.dirname(file), { recursive: true });
+    }
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(WAREHOUSE_SCHEMA);
+    const statements = Object.fromEntries(Object.entries(STATEMENTS).map(([name, sql]) => [name, db.prepare(sql)]));
+    const write = (fn) => db.transaction(fn);
+
+    const warehouse = {
+        db,
+        file,
+        /**
+         * Saves the games of a scoreboard and their teams.
+         * @param {string} league - league of the scoreboard
+         * @param {object} scoreboard - result of `getScoreboard`
+         * @returns {number} games written
+         */
+        upsertGames: write((league, scoreboard) => {
+            const updated = new Date().toISOString();
+            for (const event of scoreboard?.events || []) {
+                const game = gameRow(event, scoreboard.season?.year);
+                const competitors = event.competitions?.[0]?.competitors || [];
+                const score = (side) => number(competitors.find((entry) => entry.homeAway === side)?.score?.value ?? competitors.find((entry) => entry.homeAway === side)?.score);
+                statements.game.run({
+                    id: game.id,
+                    league,
+                    season: game.season,
+                    season_type: game.seasonType,
+                    week: game.week,
+                    date: game.date,
+                    status: game.status,
+                    completed: flag(game.completed),
+                    neutral_site: flag(game.neutralSite),
+                    home_team_id: text(game.homeTeamId),
+                    away_team_id: text(game.awayTeamId),
+                    home_score: score('home'),
+                    away_score: score('away'),
+                    updated_at: updated
+                });
+                competitors.filter((entry) => entry.team?.id).forEach((entry) => statements.team.run(teamRow(league, entry.team, updated)));
+            }
+            return scoreboard?.events?.length ?? 0;
+        }),
+        /**
+         * Saves the player and team rows of a box score and its athletes,
+         * replacing the rows the game had.
+         * @param {string} league - league of the game
+         * @param {object} boxScore - result of `getBoxScore`
+         * @param {string} gameId - id of the game
+         * @returns {number} player and team rows written
+         */
+        upsertBoxScore: write((league, boxScore, gameId) => {
+            const updated = new Date().toISOString();
+            const { players, teams } = flattenBoxScore(boxScore, { gameId });
+            statements.deletePlayerBox.run(String(gameId));
+            statements.deleteTeamBox.run(String(gameId));
+            for (const row of players.filter((entry) => entry.athleteId)) {
+                statements.playerBox.run({
+                    game_id: String(gameId),
+                    athlete_id: row.athleteId,
+                    category: row.category ?? '',
+                    team_id: row.teamId,
+                    home_away: row.homeAway,
+                    starter: flag(row.starter),
+                    did_not_play: flag(row.didNotPlay),
+                    ejected: flag(row.ejected),
+                    stats: stats(row, PLAYER_KEYS)
+                });
+                statements.athlete.run({
+                    league,
+                    id: row.athleteId,
+                    display_name: row.athleteName,
+                    jersey: row.jersey,
+                    position: row.position,
+                    team_id: row.teamId,
+                    updated_at: updated
+                });
+            }
+            for (const row of teams) {
+                statements.teamBox.run({ game_id: String(gameId), team_id: row.teamId, home_away: row.homeAway, stats: stats(row, TEAM_KEYS) });
+            }
+            return players.length + teams.length;
+        }),
+        /**
+         * Saves the plays of a game, replacing the plays it had.
+         * @param {string} league - league of the game
+         * @param {object} playByPlay - result of `getPlayByPlay`
+         * @param {string} gameId - id of the game
+         * @returns {number} plays written
+         */
+        upsertPlays: write((league, playByPlay, gameId) => {
+            const plays = FOOTBALL.includes(league) ? footballPlays(playByPlay) : playByPlay?.plays || [];
+            statements.deletePlays.run(String(gameId));
+            plays.filter((play) => play.id !== undefined).forEach((play) => statements.play.run(playRow(String(gameId), play)));
+            return plays.length;
+        }),
+        /**
+         * Saves standings and their teams.
+         * @param {string} league - league of the standings
+         * @param {object} standings - result of `getStandings`
+         * @param {number} season - season, used when the standings have none
+         * @returns {number} rows written
+         */
+        upsertStandings: write((league, standings, season) => {
+            const updated = new Date().toISOString();
+            let count = 0;
+            for (const group of standingsGroups(standings)) {
+                for (const entry of group.standings.entries) {
+                    const values = Object.fromEntries((entry.stats || []).map((stat) => [stat.name ?? stat.type, stat.value ?? stat.displayValue ?? null]));
+                    statements.standing.run({
+                        league,
+                        season: number(group.standings.season ?? season),
+                        group_id: String(group.id ?? group.name),
+                        group_name: text(group.name),
+                        team_id: String(entry.team.id),
+                        wins: number(values.wins),
+                        losses: number(values.losses),
+                        stats: JSON.stringify(values),
+                        updated_at: updated
+                    });
+                    statements.team.run(teamRow(league, entry.team, updated));
+                    count += 1;
+                }
+            }
+            return count;
+        }),
+        /**
+         * Marks a game as loaded, so `updateWarehouse` skips it.
+         * @param {string} gameId - id of the game
+         */
+        markLoaded(gameId) {
+            statements.loaded.run({ id: String(gameId), loaded_at: new Date().toISOString() });
+        },
+        /**
+         * Ids of the loaded games of a league.
+         * @param {string} league - league of the games
+         * @returns {Set<string>} game ids
+         */
+        loadedGames(league) {
+            return new Set(db.prepare('SELECT id FROM games WHERE league = ? AND loaded_at IS NOT NULL').pluck().all(league));
+        },
+        close() {
+            db.close();
+        }
+    };
+    return warehouse;
+}
+
+/**
+ * Brings a warehouse up to date for a league and date range: saves the games
+ * of the scoreboards of the range, the box score and plays of every completed
+ * game not loaded yet, and the standings of the season. Games in progress are
+ * saved from the scoreboard and loaded by a later run. Errors of single games
+ * are returned, never thrown, and leave the game to be loaded again.
+ * @param {object} client - the default client or one made by `createClient`
+ * @param {object} options
+ * @param {string} options.league - `'nba'`, `'wnba'`, `'mbb'`, `'wbb'`, `'nfl'`, `'cfb'`, `'nhl'` or `'mlb'`
+ * @param {Date|string|object} options.start - first day of the range, see `getScoreboard`
+ * @param {Date|string|object} [options.end] - last day of the range, `start` by default
+ * @param {string} [options.file] - path of the database, see `openWarehouse`
+ * @param {object} [options.warehouse] - an open warehouse, instead of `file`, left open
+ * @param {number|boolean} [options.standings] - season of the standings, the latest season of the
+ * range's games by default, false to skip them
+ * @param {boolean} [options.refresh] - load every completed game again
+ * @param {number} [options.concurrency] - games fetched at once, 4 by default
+ * @param {function} [options.onProgress] - called after every game with `{ gameId, status, completed, total }`
+ * @returns {Promise<object>} `{ file, games, loaded, skipped, pending, standings, failed }`, `failed`
+ * listing `{ gameId, kind, error }`
+ * @example
+ * const result = await updateWarehouse(sdv, { league: 'nba', start: '2021-05-10', end: '2021-05-16', file: 'nba.sqlite' });
+ */
+export async function updateWarehouse(client, { league, start, end, file, warehouse, standings = true, refresh = false, concurrency = 4, onProgress } = {}) {
+    if (!LEAGUES.includes(league) || !client?.[league]) {
+        throw new InvalidArgumentError(`Unsupported league '${league}', expected one of ${LEAGUES.join(', ')}`, { argument: 'league' });
+    }
+    const range = resolveDates({ start, end });
+    if (!range) {
+        throw new InvalidArgumentError('Missing required argument: start', { argument: 'start' });
+    }
+    const service = client[league];
+    const target = warehouse || await openWarehouse(file);
+    const day = (time) => new Date(time).toISOString().slice(0, 10);
+    try {
+        const requests = [];
+        for (let from = range.start; from <= range.end; from += DAYS_PER_REQUEST * DAY) {
+            requests.push({ start: day(from), end: day(Math.min(range.end, from + (DAYS_PER_REQUEST - 1) * DAY)), limit: 1000 });
+        }
+        const boards = await Promise.all(requests.map((params) => service.getScoreboard(params)));
+        const games = new Map();
+        boards.forEach((board) => {
+            target.upsertGames(league, board);
+            (board?.events || []).forEach((event) => games.set(String(event.id), gameRow(event, board.season?.year)));
+        });
+
+        const loaded = refresh ? new Set() : target.loadedGames(league);
+        const completed = [...games.values()].filter((game) => game.completed);
+        const tasks = completed.filter((game) => !loaded.has(game.id));
+        const failed = [];
+        const limiter = createLimiter({ concurrency });
+        let done = 0;
+        let count = 0;
+        await Promise.all(tasks.map((game) => limiter.schedule(async () => {
+            const fetches = [
+                ['box', () => service.getBoxScore(game.id), (data) => target.upsertBoxScore(league, data, game.id)],
+                ['pbp', () => service.getPlayByPlay(game.id), (data) => target.upsertPlays(league, data, game.id)]
+            ];
+            let ok = true;
+            for (const [kind, fetch, save] of fetches) {
+                try {
+                    save(await fetch());
+                } catch (err) {
+                    ok = false;
+                    failed.push({ gameId: game.id, kind, error: errorRecord(err) });
+                }
+            }
+            if (ok) {
+                target.markLoaded(game.id);
+                count += 1;
+            }
+            done += 1;
+            if (onProgress) {
+                onProgress({ gameId: game.id, status: ok ? 'done' : 'failed', completed: done, total: tasks.length });
+            }
+        })));
+
+        let standingsRows = 0;
+        const season = standings === true
+            ? Math.max(...[...games.values()].map((game) => game.season).filter(Boolean))
+            : standings;
+        if (standings !== false && Number.isFinite(season)) {
+            try {
+                standingsRows = target.upsertStandings(league, await service.getStandings({ year: season }), season);
+            } catch (err) {
+                failed.push({ gameId: null, kind: 'standings', error: errorRecord(err) });
+            }
+        }
+
+        return {
+            file: target.file,
+            games: games.size,
+            loaded: count,
+            skipped: completed.length - tasks.length,
+            pending: games.size - completed.length,
+            standings: standingsRows,
+            failed
+        };
+    } finally {
+        if (!warehouse) {
+            target.close();
+        }
+    }
+}
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { createMockServer } from '../app/utils/mockServer.js';
+
+const usage = `Usage: sdv-mock-server --dir <fixtures> [--port 4000] [--host 127.0.0.1]
+
+Serves the recorded ESPN and NCAA fixtures of --dir, which is required: the
+package ships no fixtures, record them with SDV_FIXTURES=record or use
+test/fixtures of a repository checkout. Point clients at it with
+createClient({ mockServer: 'http://127.0.0.1:4000' }) or SDV_MOCK_SERVER.`;
+
+let args;
+try {
+    args = parseArgs({
+        options: {
+            port: { type: 'string', short: 'p', default: '4000' },
+            host: { type: 'string', default: '127.0.0.1' },
+            dir: { type: 'string', short: 'd' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    }).values;
+} catch (err) {
+    console.error(`${err.message}\n\n${usage}`);
+    process.exit(2);
+}
+
+if (args.help) {
+    console.log(usage);
+    process.exit(0);
+}
+if (!args.dir) {
+    console.error(`Missing --dir\n\n${usage}`);
+    process.exit(2);
+}
+
+const mock = createMockServer({ port: Number(args.port), host: args.host, dir: args.dir });
+try {
+    await mock.listen();
+} catch (err) {
+    console.error(`Could not start the mock server: ${err.message}`);
+    process.exit(1);
+}
+console.log(`Mock ESPN/NCAA server listening on ${mock.url}`);
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => mock.close().then(() => process.exit(0)));
+}
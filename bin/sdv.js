@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+import sdv from '../app/app.js';
+import { runCli } from '../app/utils/cli.js';
+
+process.exitCode = await runCli(process.argv.slice(2), { client: sdv });
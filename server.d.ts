@@ -0,0 +1,4 @@
+import sdv from './types/index.js';
+
+export * from './types/index.js';
+export default sdv;
@@ -1,3 +1,29 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
 import sdv from './app/app.js';
+import { createApiServer } from './app/utils/api.js';
 
-export default sdv;
\ No newline at end of file
+export * from './app/app.js';
+export default sdv;
+
+// `node server.js` (npm start) serves the HTTP API, and `/graphql` with SDV_GRAPHQL=1;
+// importing the package does not
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const api = createApiServer({
+        client: sdv,
+        port: Number(process.env.PORT || 3000),
+        host: process.env.HOST || '127.0.0.1',
+        graphql: process.env.SDV_GRAPHQL === '1'
+    });
+    try {
+        await api.listen();
+    } catch (err) {
+        console.error(`Could not start the API server: ${err.message}`);
+        process.exit(1);
+    }
+    console.log(`sportsdataverse API listening on ${api.url}, routes at ${api.url}/openapi.json`);
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => api.close().then(() => process.exit(0)));
+    }
+}
@@ -0,0 +1,127 @@
+import should from 'should';
+import app, { apiRoutes, createApiServer } from '../app/app.js';
+import { NotFoundError, RateLimitedError } from '../app/utils/errors.js';
+
+describe('API server', () => {
+
+    let api;
+
+    async function get(path, options) {
+        const res = await fetch(`${api.url}${path}`, options);
+        return { status: res.status, headers: res.headers, body: await res.json() };
+    }
+
+    before(async () => {
+        api = await createApiServer({ client: app }).listen();
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('should have a route for every method of every namespace', () => {
+        const routes = apiRoutes(app);
+        for (const [namespace, service] of Object.entries(app)) {
+            for (const method of Object.keys(service).filter((name) => name.startsWith('get'))) {
+                should(routes.some((route) => route.namespace === namespace && route.method === method)).be.true(`${namespace}.${method}`);
+            }
+        }
+        should(routes.map((route) => route.path)).containEql('/nba/games/{id}/pbp');
+        should(routes.map((route) => route.path)).containEql('/ncaa/scoreboard/{sport}/{division}/{date}');
+        should(new Set(routes.map((route) => route.path)).size).equal(routes.length);
+    });
+
+    it('should serve the methods of the client as JSON', async () => {
+        const health = await get('/health');
+        should(health).have.properties({ status: 200 });
+        should(health.body).have.properties({ status: 'ok' });
+        should(health.headers.get('access-control-allow-origin')).equal('*');
+
+        const pbp = await get('/nba/games/401283399/pbp');
+        should(pbp.status).equal(200);
+        should(pbp.headers.get('content-type')).equal('application/json; charset=utf-8');
+        should(pbp.body.id).equal('401283399');
+
+        const games = await get('/nba/seasons/2021/games?seasonType=2');
+        should(games.body.map((game) => game.id)).eql(['401283400', '401283399']);
+        const teams = await get('/nba/games/401283399/tidy-box');
+        should(teams.body.teams).have.length(2);
+        const ncaa = await get('/ncaa/scoreboard/basketball-men/d1/2021-02-15');
+        should(ncaa.status).equal(200);
+        should(ncaa.body).not.be.empty();
+    });
+
+    it('should check query parameters and answer errors with one body shape', async () => {
+        const unknown = await get('/nba/scoreboard?day=15');
+        should(unknown.status).equal(400);
+        should(unknown.body.error).have.properties({ name: 'InvalidArgumentError', status: 400, argument: 'day' });
+        should((await get('/nba/seasons/2021/games?seasonType=9')).body.error.argument).equal('seasonType');
+        should((await get('/nba/scoreboard?limit=ten')).status).equal(400);
+        should((await get('/cfb/recruits/schools')).body.error).have.properties({ argument: 'year' });
+        should((await get('/nba/scoreboard?date=2021-02-30')).body.error).have.properties({ status: 400, league: 'nba', method: 'getScoreboard' });
+        const route = await get('/nba/games');
+        should(route.status).equal(404);
+        should(route.body.error.name).equal('NotFoundError');
+        should((await get('/nba/games/401283399/pbp', { method: 'POST' })).status).equal(405);
+        should((await get('/nba/games/401283400/box')).body.error).have.properties({ name: 'UpstreamError', status: 502, method: 'getBoxScore' });
+        const escape = await get('/nba/games/%E0%A4%A/pbp');
+        should(escape.status).equal(400);
+        should(escape.body.error).have.properties({ name: 'InvalidArgumentError', argument: 'id' });
+    });
+
+    it('should map upstream errors to their status', async () => {
+        const client = {
+            nba: {
+                getBoxScore: async () => {
+                    throw new NotFoundError('Resource not found (404)', { status: 404 });
+                },
+                getSummary: async () => {
+                    throw new RateLimitedError('Rate limited by upstream (429)', { status: 429, retryAfter: 1500 });
+                },
+                getPlayByPlay: async () => {
+                    throw new TypeError('Cannot read secret of /srv/config.json');
+                }
+            }
+        };
+        const logged = [];
+        const server = await createApiServer({ client, cors: false, onError: (err) => logged.push(err) }).listen();
+        try {
+            const box = await fetch(`${server.url}/nba/games/1/box`);
+            should(box.status).equal(404);
+            should(box.headers.has('access-control-allow-origin')).be.false();
+            const summary = await fetch(`${server.url}/nba/games/1/summary`);
+            should(summary.status).equal(429);
+            should(summary.headers.get('retry-after')).equal('2');
+            should((await summary.json()).error).have.properties({ name: 'RateLimitedError', status: 429 });
+            const pbp = await fetch(`${server.url}/nba/games/1/pbp`);
+            should(pbp.status).equal(500);
+            should((await pbp.json()).error).eql({ name: 'Error', message: 'Internal server error', status: 500 });
+            should(logged.map((err) => err.message)).eql(['Cannot read secret of /srv/config.json']);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('should describe its routes in an OpenAPI document', async () => {
+        const { status, body } = await get('/openapi.json');
+        should(status).equal(200);
+        should(body.openapi).equal('3.1.0');
+        should(Object.keys(body.paths)).have.length(api.routes.length + 1);
+        const operation = body.paths['/nba/seasons/{season}/games'].get;
+        should(operation).have.properties({ operationId: 'nba.getSeasonGames', tags: ['nba'] });
+        should(operation.parameters).eql([
+            { name: 'season', in: 'path', required: true, schema: { type: 'integer' } },
+            {
+                name: 'seasonType',
+                in: 'query',
+                required: false,
+                description: '1 preseason, 2 regular season, 3 postseason, 4 off season',
+                schema: { type: 'integer', enum: [1, 2, 3, 4] }
+            }
+        ]);
+        should(body.paths['/ncaa/scoreboard/{sport}/{division}'].get.operationId).equal('ncaa.getScoreboard.sport.division');
+        const operations = Object.values(body.paths).map((path) => path.get.operationId);
+        should(new Set(operations).size).equal(operations.length);
+    });
+
+});
@@ -0,0 +1,127 @@
+import should from 'should';
+import { baseState, mlbPitches, mlbPlateAppearances } from '../app/pbp/baseball.js';
+
+let sequence = 0;
+
+function play(summaryType, type, fields = {}) {
+    sequence += 1;
+    return {
+        id: String(sequence),
+        summaryType,
+        type: { text: type, type: type.toLowerCase().replace(/ /g, '-') },
+        text: fields.text || type,
+        period: { type: 'Bottom', number: 3 },
+        team: { id: H },
+        homeScore: 1,
+        awayScore: 0,
+        outs: 1,
+        ...fields
+    };
+}
+
+function batter(atBatId, batterId, fields = {}) {
+    return play('N', 'Start Batter/Pitcher', {
+        atBatId,
+        participants: [{ athlete: { id: batterId }, type: 'batter' }, { athlete: { id: 'p1' }, type: 'pitcher' }],
+        bats: { type: 'LEFT' },
+        ...fields
+    });
+}
+
+function pitch(atBatId, type, before, after, fields = {}) {
+    return play('P', type, {
+        atBatId,
+        pitchCount: { balls: before[0], strikes: before[1] },
+        resultCount: { balls: after[0], strikes: after[1] },
+        pitchVelocity: 95,
+        pitchType: { id: '1', text: 'Four-seam FB', abbreviation: 'FF' },
+        ...fields
+    });
+}
+
+const H = '16';
+const A = '5';
+const onFirst = { onFirst: { athlete: { id: 'r1' } } };
+
+// with a runner on first and one out, b1 walks on four pitches, a wild pitch scores
+// a run during b2's plate appearance and b2 flies out, doubling the runner off
+const plays = [
+    play('I', 'Start Inning', { outs: 0 }),
+    batter('ab1', 'b1', onFirst),
+    pitch('ab1', 'Ball', [0, 0], [1, 0], { pitchCoordinate: { x: 120, y: 160 } }),
+    pitch('ab1', 'Foul Ball', [1, 0], [1, 1]),
+    pitch('ab1', 'Ball', [1, 1], [2, 1]),
+    pitch('ab1', 'Ball', [2, 1], [3, 1]),
+    pitch('ab1', 'Ball', [3, 1], [4, 1]),
+    play('A', 'Walk', { atBatId: 'ab1', text: 'b1 walked, r1 to second.', onFirst: { athlete: { id: 'b1' } }, onSecond: { athlete: { id: 'r1' } } }),
+    batter('ab2', 'b2', { onFirst: { athlete: { id: 'b1' } }, onSecond: { athlete: { id: 'r1' } } }),
+    pitch('ab2', 'Strike Swinging', [0, 0], [0, 1]),
+    play('R', 'Wild Pitch', { atBatId: 'ab2', text: 'r1 scored on wild pitch.', homeScore: 2, onFirst: { athlete: { id: 'b1' } } }),
+    pitch('ab2', 'In Play', [0, 1], [0, 1], { homeScore: 2 }),
+    play('A', 'Fly Out', { atBatId: 'ab2', text: 'b2 flied out to left, b1 doubled off first.', outs: 3, homeScore: 2 }),
+    play('I', 'End Inning', { outs: 3, homeScore: 2 })
+];
+
+const game = {
+    id: '401',
+    teams: [{ id: H, homeAway: 'home', team: { id: H } }, { id: A, homeAway: 'away', team: { id: A } }],
+    plays
+};
+
+describe('MLB plate appearances and pitches', () => {
+
+    it('should write base states', () => {
+        should(baseState({ first: 'a', second: null, third: 'c' })).equal('1_3');
+        should(baseState({})).equal('___');
+    });
+
+    it('should list plate appearances with the state before and after', () => {
+        const [walk, flyOut] = mlbPlateAppearances(game);
+        should(walk).have.properties({
+            gameId: '401',
+            number: 1,
+            inning: 3,
+            half: 'bottom',
+            battingTeamId: H,
+            fieldingTeamId: A,
+            homeAway: 'home',
+            batterId: 'b1',
+            pitcherId: 'p1',
+            batterHand: 'LEFT',
+            outsBefore: 1,
+            baseStateBefore: '1__',
+            runnerOnFirstBefore: 'r1',
+            outsAfter: 1,
+            baseStateAfter: '12_',
+            runnerOnSecondAfter: 'r1',
+            resultType: 'walk',
+            pitches: 5,
+            balls: 4,
+            strikes: 1,
+            runs: 0
+        });
+        // the type settles the result even though the text mentions a double play
+        should(flyOut).have.properties({ baseStateBefore: '12_', outsAfter: 3, baseStateAfter: '___', resultType: 'field out', runs: 1, rbi: 0, homeScoreBefore: 1, homeScore: 2 });
+    });
+
+    it('should not take a triple play for a triple', () => {
+        const [appearance] = mlbPlateAppearances({
+            ...game,
+            plays: [
+                play('I', 'Start Inning', { outs: 0 }),
+                batter('ab3', 'b3', { outs: 0, onFirst: { athlete: { id: 'r1' } }, onSecond: { athlete: { id: 'r2' } } }),
+                play('A', 'Triple Play', { atBatId: 'ab3', text: 'b3 lined into triple play, shortstop to second to first.', outs: 3 })
+            ]
+        });
+        should(appearance).have.properties({ resultType: 'double play', outsAfter: 3 });
+    });
+
+    it('should list pitches with their count and location', () => {
+        const pitches = mlbPitches(game);
+        should(pitches).have.length(7);
+        should(pitches.map((row) => row.resultType)).eql(['ball', 'foul', 'ball', 'ball', 'ball', 'swinging strike', 'in play']);
+        should(pitches[0]).have.properties({ atBatId: 'ab1', pitchNumber: null, gamePitchNumber: 1, pitcherPitchNumber: 1, batterId: 'b1', pitcherId: 'p1', balls: 0, strikes: 0, ballsAfter: 1, velocity: 95, pitchTypeAbbreviation: 'FF', coordinateX: 120, coordinateY: 160 });
+        should(pitches[1]).have.properties({ coordinateX: null, coordinateY: null });
+        should(pitches[6]).have.properties({ batterId: 'b2', pitcherPitchNumber: 7, balls: 0, strikes: 1 });
+    });
+});
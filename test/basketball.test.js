@@ -0,0 +1,109 @@
+import should from 'should';
+import { InvalidArgumentError } from '../app/app.js';
+import { tidyBasketballPlays } from '../app/pbp/basketball.js';
+import { clockSeconds } from '../app/pbp/clock.js';
+
+function play(fields) {
+    return {
+        type: { id: '92', text: 'Jump Shot' },
+        awayScore: 0,
+        homeScore: 0,
+        scoringPlay: false,
+        scoreValue: 0,
+        shootingPlay: false,
+        ...fields
+    };
+}
+
+const game = {
+    id: '401',
+    teams: [
+        { id: '16', homeAway: 'home', team: { id: '16' } },
+        { id: '5', homeAway: 'away', team: { id: '5' } }
+    ],
+    plays: [
+        play({ id: '1', sequenceNumber: '1', type: { id: '615', text: 'Jumpball' }, period: { number: 1 }, clock: { displayValue: '20:00' }, team: { id: '16' }, coordinate: { x: -214748340, y: -214748365 } }),
+        play({
+            id: '2',
+            text: 'Home Wing makes Three Point Jumper. Assisted by Home Guard.',
+            period: { number: 1 },
+            clock: { displayValue: '19:31' },
+            team: { id: '16' },
+            homeScore: 3,
+            scoringPlay: true,
+            scoreValue: 3,
+            shootingPlay: true,
+            coordinate: { x: 3, y: 26 },
+            participants: [{ athlete: { id: '1002' } }, { athlete: { id: '1001' } }]
+        }),
+        play({
+            id: '3',
+            type: { id: '97', text: 'MadeFreeThrow' },
+            text: 'Away Guard made Free Throw.',
+            period: { number: 2 },
+            clock: { displayValue: '0:05.5' },
+            team: { id: '5' },
+            homeScore: 3,
+            awayScore: 1,
+            scoringPlay: true,
+            scoreValue: 1,
+            shootingPlay: true,
+            participants: [{ athlete: { id: '2001' } }]
+        }),
+        play({ id: '4', type: { id: '574', text: 'LayUpShot' }, text: 'Away Center missed Layup.', period: { number: 3 }, clock: { displayValue: '4:10' }, team: { id: '5' }, homeScore: '3', awayScore: '1', shootingPlay: true })
+    ]
+};
+
+describe('Basketball play-by-play', () => {
+
+    it('should read display clocks as seconds left', () => {
+        should(clockSeconds('11:45')).equal(705);
+        should(clockSeconds('45.2')).equal(45.2);
+        should(clockSeconds('0:05.5')).equal(5.5);
+        should(clockSeconds('')).be.null();
+        should(clockSeconds(undefined)).be.null();
+    });
+
+    it('should flatten one row per play with elapsed time across halves and overtime', () => {
+        const rows = tidyBasketballPlays(game, { league: 'mbb' });
+        should(rows).have.length(4);
+        should(rows.map((row) => row.gameSecondsElapsed)).eql([0, 29, 2394.5, 2450]);
+        should(rows.map((row) => row.periodSecondsElapsed)).eql([0, 29, 1194.5, 50]);
+        should(rows[0]).have.properties({
+            gameId: '401',
+            playId: '1',
+            sequenceNumber: 1,
+            period: 1,
+            clockSeconds: 1200,
+            teamId: '16',
+            homeAway: 'home',
+            shotType: null,
+            shotValue: null,
+            coordinateX: null,
+            athlete1Id: null
+        });
+    });
+
+    it('should classify shots, assists and scores before and after each play', () => {
+        const [, three, freeThrow, layup] = tidyBasketballPlays(game, { league: 'nba' });
+        should(three).have.properties({
+            shotMade: true,
+            shotType: 'jump shot',
+            shotValue: 3,
+            coordinateX: 3,
+            coordinateY: 26,
+            athlete1Id: '1002',
+            assistAthleteId: '1001',
+            homeScoreBefore: 0,
+            homeScore: 3,
+            homeScoreDifferential: 3,
+            awayScoreDifferential: -3
+        });
+        should(freeThrow).have.properties({ shotType: 'free throw', shotValue: 1, homeAway: 'away', assistAthleteId: null, awayScoreBefore: 0, awayScore: 1, gameSecondsElapsed: 1434.5 });
+        should(layup).have.properties({ shotMade: false, shotType: 'layup', shotValue: 2, homeScore: 3, awayScore: 1, homeScoreBefore: 3, awayScoreBefore: 1 });
+    });
+
+    it('should reject leagues it has no period lengths for', () => {
+        should(() => tidyBasketballPlays(game, { league: 'nhl' })).throw(InvalidArgumentError, { argument: 'league' });
+    });
+});
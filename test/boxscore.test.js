@@ -0,0 +1,119 @@
+import should from 'should';
+import { boxScoreValue, flattenBoxScore, PLAYER_KEYS, TEAM_KEYS } from '../app/pbp/boxscore.js';
+
+const basketball = {
+    id: 401283399,
+    teams: [
+        {
+            team: { id: '5', abbreviation: 'CLE' },
+            homeAway: 'away',
+            statistics: [
+                { name: 'fieldGoalsMade-fieldGoalsAttempted', displayValue: '40-85', label: 'FG' },
+                { name: 'fieldGoalPct', displayValue: '47.1', label: 'Field Goal %' },
+                { name: 'thirdDownEff', displayValue: '5-12' },
+                { name: 'possessionTime', displayValue: '31:12' }
+            ]
+        }
+    ],
+    players: [
+        {
+            team: { id: '5', abbreviation: 'CLE' },
+            statistics: [
+                {
+                    keys: ['minutes', 'fieldGoalsMade-fieldGoalsAttempted', 'plusMinus', 'points'],
+                    athletes: [
+                        { athlete: { id: '1', displayName: 'A Guard', jersey: '1', position: { abbreviation: 'PG' } }, starter: true, stats: ['30', '7-14', '+3', '18'] },
+                        { athlete: { id: '2', displayName: 'B Bench' }, starter: false, didNotPlay: true, stats: [] }
+                    ]
+                }
+            ]
+        }
+    ]
+};
+
+describe('Box score flattening', () => {
+
+    it('should convert box score values to numbers', () => {
+        should(boxScoreValue('18')).equal(18);
+        should(boxScoreValue('+3')).equal(3);
+        should(boxScoreValue('-2')).equal(-2);
+        should(boxScoreValue('.275')).equal(0.275);
+        should(boxScoreValue('57.1%')).equal(57.1);
+        should(boxScoreValue('18:32')).equal(1112);
+        should(boxScoreValue('--')).be.null();
+        should(boxScoreValue('')).be.null();
+        should(boxScoreValue('28t')).equal('28t');
+    });
+
+    it('should split made-attempted values and keep athlete, team and game ids', () => {
+        const { players, teams } = flattenBoxScore(basketball);
+        should(players).have.length(2);
+        should(players[0]).have.properties({
+            gameId: '401283399',
+            teamId: '5',
+            teamAbbreviation: 'CLE',
+            homeAway: 'away',
+            athleteId: '1',
+            athleteName: 'A Guard',
+            jersey: '1',
+            position: 'PG',
+            category: null,
+            starter: true,
+            didNotPlay: false,
+            minutes: 30,
+            fieldGoalsMade: 7,
+            fieldGoalsAttempted: 14,
+            plusMinus: 3,
+            points: 18
+        });
+        should(players[1]).have.properties({ didNotPlay: true, minutes: null, fieldGoalsMade: null, fieldGoalsAttempted: null });
+        should(teams[0]).have.properties({
+            gameId: '401283399',
+            teamId: '5',
+            homeAway: 'away',
+            fieldGoalsMade: 40,
+            fieldGoalsAttempted: 85,
+            fieldGoalPct: 47.1,
+            thirdDownConversions: 5,
+            thirdDownAttempts: 12,
+            possessionTime: 1872
+        });
+    });
+
+    it('should give a row per stat group and read baseball groups', () => {
+        const { players, teams } = flattenBoxScore({
+            teams: [{ team: { id: '16' }, homeAway: 'home', statistics: [{ name: 'batting', stats: [{ name: 'hits', displayValue: '8' }] }, { name: 'pitching', stats: [{ name: 'hits', displayValue: '5' }] }] }],
+            players: [
+                {
+                    team: { id: '16' },
+                    statistics: [
+                        { type: 'batting', keys: ['hits-atBats', 'avg'], athletes: [{ athlete: { id: '7' }, stats: ['1-4', '.275'] }] },
+                        { type: 'pitching', keys: ['fullInnings.partInnings', 'pitches-strikes', 'ERA'], athletes: [{ athlete: { id: '7' }, stats: ['6.2', '98-64', '3.12'] }] }
+                    ]
+                }
+            ]
+        }, { gameId: 401472105 });
+        should(players.map((row) => row.category)).eql(['batting', 'pitching']);
+        should(players[0]).have.properties({ gameId: '401472105', homeAway: 'home', starter: null, hits: 1, atBats: 4, avg: 0.275 });
+        should(players[1]).have.properties({ fullInnings: 6, partInnings: 2, pitches: 98, strikes: 64, ERA: 3.12 });
+        should(teams[0]).have.properties({ battingHits: 8, pitchingHits: 5 });
+    });
+
+    it('should name hockey columns and skip empty box scores', () => {
+        const { players } = flattenBoxScore({
+            players: [{ team: { id: '2' }, statistics: [{ name: 'forwards', keys: ['+/-', 'toi', 'fo%'], athletes: [{ athlete: { id: '201' }, stats: ['-1', '18:32', '57.1'] }] }] }]
+        });
+        should(players[0]).have.properties({ gameId: null, category: 'forwards', plusMinus: -1, toi: 1112, foPct: 57.1 });
+        should(flattenBoxScore({})).eql({ players: [], teams: [] });
+    });
+
+    it('should list every column that is not a stat as a key', () => {
+        // rows without stats hold only the columns every row has
+        const { players, teams } = flattenBoxScore({
+            teams: [{ team: { id: '16' }, homeAway: 'home', statistics: [] }],
+            players: [{ team: { id: '16' }, statistics: [{ keys: [], athletes: [{ athlete: { id: '1' }, ejected: true }] }] }]
+        });
+        should(Object.keys(players[0]).sort()).eql([...PLAYER_KEYS].sort());
+        should(Object.keys(teams[0]).sort()).eql([...TEAM_KEYS].sort());
+    });
+});
@@ -0,0 +1,110 @@
+import should from 'should';
+import { rmSync } from 'fs';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import app from '../app/app.js';
+import { LOAD_KINDS, loadSeason } from '../app/utils/bulk.js';
+import { InvalidArgumentError, NotFoundError } from '../app/utils/errors.js';
+
+function game(id, completed = true) {
+    return { id, date: '2021-02-15T19:00Z', seasonType: 2, completed };
+}
+
+// a client whose nba service serves three games and fails `failing` once per id
+function fakeClient(calls, failing = []) {
+    const failed = new Set();
+    const fetch = (kind) => async (id) => {
+        calls.push(`${kind}:${id}`);
+        if (failing.includes(`${kind}:${id}`) && !failed.has(`${kind}:${id}`)) {
+            failed.add(`${kind}:${id}`);
+            throw new NotFoundError(`No ${kind} for ${id}`, { status: 404 });
+        }
+        return { id, kind };
+    };
+    return {
+        nba: {
+            getSeasonGames: async () => [game('1'), game('2'), game('3', false)],
+            getPlayByPlay: fetch('pbp'),
+            getBoxScore: fetch('box'),
+            getSummary: fetch('summary')
+        }
+    };
+}
+
+describe('Season loader', () => {
+
+    let dir;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'sdv-bulk-'));
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should save every completed game and record errors instead of aborting', async () => {
+        const calls = [];
+        const progress = [];
+        const result = await loadSeason(fakeClient(calls, ['box:2']), {
+            league: 'nba', season: 2021, kinds: ['pbp', 'box'], dir, concurrency: 2, onProgress: (event) => progress.push(event)
+        });
+        should(calls.sort()).eql(['box:1', 'box:2', 'pbp:1', 'pbp:2']);
+        should(result).have.properties({ dir: path.join(dir, 'nba', '2021'), games: 3, fetched: 3, skipped: 0, pending: 1 });
+        should(result.failed).eql([{ gameId: '2', kind: 'box', error: { name: 'NotFoundError', message: 'No box for 2', status: 404, code: null } }]);
+        should(progress).have.length(4);
+        should(progress[3]).have.properties({ completed: 4, total: 4 });
+        should(JSON.parse(await readFile(path.join(result.dir, 'pbp', '2.json'), 'utf8'))).eql({ id: '2', kind: 'pbp' });
+        const manifest = JSON.parse(await readFile(result.manifest, 'utf8'));
+        should(manifest.games['1'].kinds.box).eql({ status: 'done', file: path.join('box', '1.json'), attempts: 1 });
+        should(manifest.games['2'].kinds.box).have.properties({ status: 'failed', attempts: 1 });
+        should(manifest.games['3']).have.properties({ completed: false, kinds: {} });
+    });
+
+    it('should resume with what is missing or failed', async () => {
+        const calls = [];
+        const client = fakeClient(calls, ['pbp:1']);
+        await loadSeason(client, { league: 'nba', season: 2021, kinds: ['pbp'], dir });
+        // a file saved after the last checkpoint of a crashed run
+        await mkdir(path.join(dir, 'nba', '2021', 'summary'), { recursive: true });
+        await writeFile(path.join(dir, 'nba', '2021', 'summary', '2.json'), '{}');
+        calls.length = 0;
+        const result = await loadSeason(client, { league: 'nba', season: 2021, dir });
+        should(calls.sort()).eql(['box:1', 'box:2', 'pbp:1', 'summary:1']);
+        should(result).have.properties({ fetched: 4, skipped: 2, failed: [] });
+        const manifest = JSON.parse(await readFile(result.manifest, 'utf8'));
+        should(manifest.games['1'].kinds.pbp).have.properties({ status: 'done', attempts: 2 });
+        should(manifest.games['2'].kinds.summary.status).equal('done');
+    });
+
+    it('should keep saving the manifest after a save fails', async () => {
+        const root = path.join(dir, 'nba', '2021');
+        // a directory in place of the temporary file fails the first save
+        const blocked = path.join(root, `manifest.json.${process.pid}.tmp`);
+        await mkdir(blocked, { recursive: true });
+        const result = await loadSeason(fakeClient([]), {
+            league: 'nba', season: 2021, kinds: ['pbp'], dir, concurrency: 1, onProgress: () => rmSync(blocked, { recursive: true, force: true })
+        });
+        should(result.fetched).equal(2);
+        const manifest = JSON.parse(await readFile(result.manifest, 'utf8'));
+        should(manifest.games['2'].kinds.pbp.status).equal('done');
+    });
+
+    it('should load a season through the services of a client', async () => {
+        const result = await loadSeason(app, { league: 'nba', season: 2021, seasonType: 2, kinds: ['pbp'], dir });
+        should(result).have.properties({ games: 2, fetched: 1 });
+        // the fixtures hold the play-by-play of one of the two games
+        should(result.failed.map((failure) => failure.gameId)).eql(['401283400']);
+        const pbp = JSON.parse(await readFile(path.join(result.dir, 'pbp', '401283399.json'), 'utf8'));
+        should(pbp.id).equal('401283399');
+    });
+
+    it('should reject unknown leagues and kinds', async () => {
+        const client = fakeClient([]);
+        should(Object.keys(LOAD_KINDS)).eql(['pbp', 'box', 'summary']);
+        await should(loadSeason(client, { league: 'tennis', season: 2021, dir })).be.rejectedWith(InvalidArgumentError, { argument: 'league' });
+        await should(loadSeason(client, { league: 'nba', season: 2021, kinds: ['odds'], dir })).be.rejectedWith(InvalidArgumentError, { argument: 'kinds' });
+    });
+
+});
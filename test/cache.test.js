@@ -0,0 +1,120 @@
+import should from 'should';
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createClient, createMemoryCache, createFileCache } from '../app/app.js';
+import { cacheKey, gameState, ttlFor, defaultTtl } from '../app/utils/cache.js';
+
+function countingTransport(data, calls = []) {
+    return async (request) => {
+        calls.push(request);
+        return { status: 200, headers: {}, data: JSON.parse(JSON.stringify(data)), url: request.url };
+    };
+}
+
+function espnGame(state, completed) {
+    return {
+        gameId: 401283399,
+        gamepackageJSON: {
+            header: { id: '401283399', competitions: [{ competitors: [], status: { type: { state, completed } } }] },
+            boxscore: { teams: [] }
+        }
+    };
+}
+
+describe('Response Cache', () => {
+
+    it('should serve repeated requests for a final game from the cache', async () => {
+        const calls = [];
+        const client = createClient({ transport: countingTransport(espnGame('post', true), calls), cache: true });
+        const first = await client.nba.getBoxScore(401283399);
+        const second = await client.nba.getBoxScore(401283399);
+        should(calls).have.length(1);
+        should(second).eql(first);
+    });
+
+    it('should not share mutable results between cache hits', async () => {
+        const client = createClient({ transport: countingTransport(espnGame('post', true)), cache: true });
+        const first = await client.nba.getBoxScore(401283399);
+        first.teams.push('mutated');
+        const second = await client.nba.getBoxScore(401283399);
+        should(second.teams).be.empty();
+    });
+
+    it('should apply the ttl of the game state and request kind', () => {
+        const response = (data) => ({ data });
+        should(ttlFor('game', response(espnGame('post', true)))).equal(Infinity);
+        should(ttlFor('game', response(espnGame('in', false)))).equal(defaultTtl.live);
+        should(ttlFor('game', response(espnGame('pre', false)))).equal(defaultTtl.default);
+        should(ttlFor('reference', response({}))).equal(defaultTtl.reference);
+        should(ttlFor(undefined, response({}), { ...defaultTtl, default: 5 })).equal(5);
+        should(gameState({ status: { gameState: 'final' } })).equal('final');
+        should(gameState({ header: { competitions: [{ status: { type: { state: 'in' } } }] } })).equal('live');
+    });
+
+    it('should not cache when the ttl is zero', async () => {
+        const calls = [];
+        const client = createClient({
+            transport: countingTransport(espnGame('in', false), calls),
+            cache: { ttl: { live: 0 } }
+        });
+        await client.nba.getBoxScore(401283399);
+        await client.nba.getBoxScore(401283399);
+        should(calls).have.length(2);
+    });
+
+    it('should key requests on the url and sorted non-empty params', () => {
+        const a = cacheKey({ url: 'http://cdn.espn.com/core/nba/boxscore', params: { xhr: 1, gameId: 1, device: undefined } });
+        const b = cacheKey({ method: 'get', url: 'http://cdn.espn.com/core/nba/boxscore?gameId=1', params: { xhr: 1 } });
+        should(a).equal(b);
+        should(a).equal('GET http://cdn.espn.com/core/nba/boxscore?gameId=1&xhr=1');
+    });
+
+    it('should evict the least recently used memory entries', async () => {
+        const store = createMemoryCache({ maxEntries: 2 });
+        await store.set('a', 1, Infinity);
+        await store.set('b', 2, Infinity);
+        await store.get('a');
+        await store.set('c', 3, Infinity);
+        should(await store.get('b')).be.undefined();
+        should(await store.get('a')).equal(1);
+        await store.set('d', 4, -1);
+        should(await store.get('d')).be.undefined();
+    });
+
+    it('should persist entries in a filesystem store', async () => {
+        const dir = await mkdtemp(path.join(os.tmpdir(), 'sdv-cache-'));
+        try {
+            const calls = [];
+            const options = { transport: countingTransport({ teams: [1] }, calls), cache: { store: 'filesystem', dir } };
+            await createClient(options).nba.getTeamList();
+            const data = await createClient(options).nba.getTeamList();
+            should(data).eql({ teams: [1] });
+            should(calls).have.length(1);
+
+            const store = createFileCache({ dir });
+            await store.set('expired', 1, -1);
+            should(await store.get('expired')).be.undefined();
+            await store.clear();
+            should(await store.get('expired')).be.undefined();
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should accept a custom store', async () => {
+        const entries = {};
+        const store = {
+            get: (key) => entries[key],
+            set: (key, value) => { entries[key] = value; },
+            delete: (key) => { delete entries[key]; },
+            clear: () => {}
+        };
+        const calls = [];
+        const client = createClient({ transport: countingTransport({}, calls), cache: { store } });
+        await client.nhl.getTeamInfo(16);
+        await client.nhl.getTeamInfo(16);
+        should(calls).have.length(1);
+        should(Object.keys(entries)).eql(['GET http://site.api.espn.com/apis/site/v2/sports/hockey/nhl/teams/16']);
+    });
+});
@@ -20,6 +20,26 @@ describe('CFB Games', () => {
 
     });
 
+    it('should populate tidy play by play rows for the given game id', async () => {
+        const rows = await app.cfb.getTidyPlayByPlay(gameId)
+        should(rows).not.be.empty();
+        should(rows[0]).have.properties({ gameId: String(gameId), driveNumber: 1, playType: 'kickoff' });
+        should(rows.filter((row) => row.turnover).map((row) => row.playType)).eql(['pass']);
+        should(rows.filter((row) => row.touchdown)).have.length(2);
+        should(rows.find((row) => row.playType === 'pass' && row.receiverId)).have.property('receiverName').which.is.a.String();
+
+    });
+
+
+    it('should populate player and team box score rows for the given game id', async () => {
+        const { players, teams } = await app.cfb.getTidyBoxScore(gameId)
+        const passing = players.filter((row) => row.category === 'passing');
+        should(passing).not.be.empty();
+        should(passing.every((row) => row.completions <= row.passingAttempts)).be.true();
+        should(teams[0].thirdDownConversions).be.belowOrEqual(teams[0].thirdDownAttempts);
+
+    });
+
     it('should populate box score data for the given game id', async () => {
         const data = await app.cfb.getBoxScore(gameId)
         should(data).exist;
@@ -117,6 +137,15 @@ describe('CFB Scoreboard', () => {
 
     });
 
+    it('should list the games of the given season', async () => {
+        const games = await app.cfb.getSeasonGames({ season: 2020, seasonType: 2 })
+        should(games).not.be.empty();
+        should(new Set(games.map((game) => game.id)).size).equal(games.length);
+        should(games.every((game) => game.seasonType === 2 && game.homeTeamId && game.awayTeamId)).be.true();
+        should(games.every((game) => game.week > 0)).be.true();
+
+    });
+
     it('should return a promise for scoreboard data for the current week and year', async () => {
         const data = await app.cfb.getScoreboard({})
         should(data).exist;
@@ -236,4 +265,33 @@ describe('CFB Recruiting', () => {
         should(data).be.json;
         should(data).not.be.empty;
     });
-});
\ No newline at end of file
+});
+
+describe('CFB Schedule', () => {
+
+    it('should populate schedule data for the given date', async () => {
+        const data = await app.cfb.getSchedule({
+            year: 2020,
+            month: 10,
+            day: 31
+        })
+        should(data).exist;
+        should(data).be.json;
+        should(data).not.be.empty;
+
+    });
+});
+
+describe('CFB Conferences', () => {
+
+    it('should populate conferences for the given year and group', async () => {
+        const data = await app.cfb.getConferences({
+            year: 2020,
+            group: 80
+        })
+        should(data).exist;
+        should(data).be.json;
+        should(data).not.be.empty;
+
+    });
+});
@@ -0,0 +1,93 @@
+import should from 'should';
+import app from '../app/app.js';
+import { EXIT_CODES, runCli } from '../app/utils/cli.js';
+import { NotFoundError, TimeoutError, UpstreamError } from '../app/utils/errors.js';
+
+function stream() {
+    return { text: '', write(chunk) { this.text += chunk; } };
+}
+
+async function run(argv, client = app) {
+    const stdout = stream();
+    const stderr = stream();
+    const code = await runCli(argv, { client, stdout, stderr });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+describe('Command line', () => {
+
+    it('should call the method of a command with its id and options', async () => {
+        const calls = [];
+        const record = (name) => async (...args) => {
+            calls.push([name, ...args]);
+            return [];
+        };
+        const client = {
+            cfb: { getPlayerRankings: record('getPlayerRankings'), getSchoolRankings: record('getSchoolRankings') },
+            mlb: { getAnnotatedPlateAppearances: record('getAnnotatedPlateAppearances') },
+            nfl: { getTeamInfo: record('getTeamInfo'), getSeasonGames: record('getSeasonGames') }
+        };
+        should((await run(['cfb', 'recruits', '--year', '2024', '--page=2', '--position', 'PG'], client)).code).equal(0);
+        await run(['cfb', 'school-rankings', '2021', '--page', '3'], client);
+        await run(['mlb', 'annotated-plate-appearances', '401472105', '--format', 'csv'], client);
+        await run(['nfl', 'team', '16'], client);
+        await run(['nfl', 'games', '--season', '2020', '--season-type', '2', '--pretty'], client);
+        should(calls).eql([
+            ['getPlayerRankings', { year: 2024, page: 2, position: 'PG' }],
+            ['getSchoolRankings', 2021, 3],
+            ['getAnnotatedPlateAppearances', 401472105],
+            ['getTeamInfo', { id: 16 }],
+            ['getSeasonGames', { season: 2020, seasonType: 2 }]
+        ]);
+    });
+
+    it('should write JSON, CSV and table output', async () => {
+        const json = await run(['nba', 'scoreboard', '--date', '2021-02-15']);
+        should(json).have.properties({ code: 0, stderr: '' });
+        should(JSON.parse(json.stdout).events).have.length(2);
+        should((await run(['nba', 'pbp', '401283399', '--pretty'])).stdout).startWith('{\n  "teams"');
+
+        const csv = (await run(['nba', 'games', '--season', '2021', '--season-type', '2', '-f', 'csv'])).stdout.trim().split('\n');
+        should(csv[0]).equal('id,date,season,seasonType,week,status,completed,homeTeamId,awayTeamId,neutralSite');
+        should(csv).have.length(3);
+
+        const table = (await run(['nba', 'tidy-box-score', '401283399', '--format', 'table', '--rows', 'teams'])).stdout.split('\n');
+        should(table[0]).match(/^gameId +teamId +teamAbbreviation +homeAway +fieldGoalsMade/);
+        should(table[1]).match(/^-+ +-+/);
+        should(table[2]).startWith('401283399');
+        const several = await run(['nba', 'tidy-box-score', '401283399', '--format', 'table']);
+        should(several).have.properties({ code: EXIT_CODES.usage, stdout: '' });
+        should(several.stderr).containEql('--rows: players, teams');
+    });
+
+    it('should exit with a code per kind of error', async () => {
+        const client = {
+            nba: {
+                getBoxScore: async () => {
+                    throw new NotFoundError('Resource not found (404)', { status: 404 });
+                },
+                getSummary: async () => {
+                    throw new TimeoutError('Request timed out');
+                },
+                getPicks: async () => {
+                    throw new UpstreamError('Upstream error (503)', { status: 503 });
+                }
+            }
+        };
+        should((await run(['nba', 'box', '1'], client)).code).equal(EXIT_CODES.notFound);
+        should((await run(['nba', 'summary', '1'], client)).code).equal(EXIT_CODES.network);
+        should((await run(['nba', 'picks', '1'], client)).code).equal(EXIT_CODES.network);
+        // the fixtures have no box score of this game
+        should((await run(['nba', 'box', '401283400'])).code).equal(EXIT_CODES.error);
+        should((await run(['nba', 'box'], client)).code).equal(EXIT_CODES.usage);
+        should((await run(['nba', 'odds'], client)).stderr).startWith("Unknown command 'odds'");
+        should((await run(['xfl', 'scoreboard'])).code).equal(EXIT_CODES.usage);
+        should((await run(['nba', 'scoreboard', '--format', 'xml'])).code).equal(EXIT_CODES.usage);
+        should((await run([])).code).equal(EXIT_CODES.usage);
+        const help = await run(['nba', '--help']);
+        should(help.code).equal(EXIT_CODES.ok);
+        should(help.stdout).containEql('  box-score (box)\n');
+        should((await run(['ncaa', '--help'])).stdout).not.containEql('select');
+    });
+
+});
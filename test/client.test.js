@@ -0,0 +1,73 @@
+import should from 'should';
+import { createClient } from '../app/app.js';
+
+function fakeTransport(data, calls = []) {
+    return async (request) => {
+        calls.push(request);
+        return { status: 200, headers: {}, data, url: request.url };
+    };
+}
+
+describe('Client', () => {
+
+    it('should route service calls through the injected transport', async () => {
+        const calls = [];
+        const client = createClient({ transport: fakeTransport({ events: [] }, calls) });
+        const data = await client.nba.getScoreboard({ year: 2021, month: 2, day: 15 });
+        should(data).eql({ events: [] });
+        should(calls).have.length(1);
+        should(calls[0].url).equal('http://site.api.espn.com/apis/site/v2/sports/basketball/nba/scoreboard');
+        should(calls[0].params).have.property('dates', '20210215');
+    });
+
+    it('should apply per-client timeout, user agent and host overrides', async () => {
+        const calls = [];
+        const client = createClient({
+            transport: fakeTransport({}, calls),
+            timeout: 2500,
+            userAgent: 'sdv-test',
+            hosts: { 'site.api.espn.com': 'http://localhost:8080/espn/' }
+        });
+        await client.nhl.getTeamInfo(16);
+        should(calls[0].url).equal('http://localhost:8080/espn/apis/site/v2/sports/hockey/nhl/teams/16');
+        should(calls[0].timeout).equal(2500);
+        should(calls[0].headers).have.property('User-Agent', 'sdv-test');
+    });
+
+    it('should keep differently configured clients independent', async () => {
+        const first = [];
+        const second = [];
+        const a = createClient({ transport: fakeTransport({}, first), timeout: 100 });
+        const b = createClient({ transport: fakeTransport({}, second), timeout: 200 });
+        await a.wnba.getTeamInfo(1);
+        await b.wnba.getTeamInfo(1);
+        should(first[0].timeout).equal(100);
+        should(second[0].timeout).equal(200);
+    });
+
+    it('should run request, response and error hooks', async () => {
+        const client = createClient({
+            transport: fakeTransport({ value: 1 }),
+            hooks: {
+                beforeRequest: (request) => ({ ...request, params: { ...request.params, extra: 'yes' } }),
+                afterResponse: [(response, request) => ({ ...response, data: { ...response.data, extra: request.params.extra } })]
+            }
+        });
+        const data = await client.nba.getTeamList();
+        should(data).eql({ value: 1, extra: 'yes' });
+
+        const failing = createClient({
+            transport: async () => { throw new Error('socket hang up'); },
+            hooks: { beforeError: (error) => new Error(`wrapped: ${error.message}`) }
+        });
+        await should(failing.nba.getTeamList()).be.rejectedWith(/^wrapped: .*socket hang up/);
+    });
+
+    it('should expose the final redirect url to ncaa.getRedirectUrl', async () => {
+        const client = createClient({
+            transport: async (request) => ({ status: 200, headers: {}, data: '', url: 'https://www.ncaa.com/game/5764053' })
+        });
+        const gameId = await client.ncaa.getRedirectUrl('game/basketball-men/d3/2019/02/15/old-url');
+        should(gameId).equal(5764053);
+    });
+});
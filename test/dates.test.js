@@ -0,0 +1,99 @@
+import should from 'should';
+import { createClient, InvalidArgumentError } from '../app/app.js';
+import { datesParam, eachDay, toDay } from '../app/utils/dates.js';
+
+// answers every request from `respond`, keeping the requests
+function capturing(respond, requests = []) {
+    return createClient({
+        retry: false,
+        rateLimit: false,
+        transport: async (request) => {
+            requests.push(request);
+            return { status: 200, headers: {}, data: respond(request), url: request.url };
+        }
+    });
+}
+
+describe('Dates', () => {
+
+    it('should read Date objects, ISO strings and date parts alike', () => {
+        const expected = Date.UTC(2021, 1, 5);
+        should(toDay(new Date(2021, 1, 5, 23, 30))).equal(expected);
+        should(toDay('2021-02-05')).equal(expected);
+        should(toDay('2021-02-05T12:00:00Z')).equal(expected);
+        should(toDay({ year: 2021, month: '02', day: 5 })).equal(expected);
+        should(datesParam({ year: '2021', month: '2', day: '5' })).equal('20210205');
+        should(datesParam(new Date(2021, 1, 5))).equal('20210205');
+        should(datesParam({ date: '2021-02-05', limit: 10 })).equal('20210205');
+    });
+
+    it('should leave the date out when none is given', () => {
+        should(datesParam({})).be.undefined();
+        should(datesParam()).be.undefined();
+        should(eachDay({})).eql([]);
+    });
+
+    it('should reject a date given in part, naming the missing part', () => {
+        should(() => datesParam({ year: 2021, month: 2 })).throw(InvalidArgumentError, { argument: 'day' });
+        should(() => datesParam({ month: 2, day: 5 })).throw(InvalidArgumentError, { argument: 'year' });
+        should(() => eachDay({ year: 2021, day: 5 })).throw(/missing 'month'/);
+    });
+
+    it('should expand ranges into days and format them for ESPN', () => {
+        should(datesParam({ start: '2021-02-27', end: { year: 2021, month: 3, day: 2 } })).equal('20210227-20210302');
+        should(eachDay({ start: '2021-02-27', end: '2021-03-02' })).eql(['20210227', '20210228', '20210301', '20210302']);
+        should(eachDay({ start: '2021-02-27' })).eql(['20210227']);
+        should(datesParam({ start: '2021-02-27', end: '2021-02-27' })).equal('20210227');
+    });
+
+    it('should reject invalid dates and ranges', () => {
+        should(() => toDay('2021-02-30')).throw(InvalidArgumentError, { argument: 'date' });
+        should(() => toDay('02/15/2021')).throw(/expected a Date, a 'YYYY-MM-DD' string/);
+        should(() => toDay(new Date('not a date'))).throw(InvalidArgumentError);
+        should(() => datesParam({ year: 2021, month: 13, day: 1 })).throw(InvalidArgumentError);
+        should(() => datesParam({ start: '2021-03-02', end: '2021-02-27' })).throw(InvalidArgumentError, { argument: 'end' });
+        should(() => datesParam({ start: '2020-01-01', end: '2021-12-31' })).throw(/more than 366 days/);
+    });
+
+    it('should not send a date to the schedule when none is given', async () => {
+        const requests = [];
+        const client = capturing(() => ({ content: { schedule: { 20210516: { games: [] } } } }), requests);
+        await client.nba.getSchedule();
+        await client.wbb.getSchedule({ date: '2021-02-15' });
+        should(requests[0].url).equal('http://cdn.espn.com/core/nba/schedule');
+        should(requests[0].params).not.have.property('dates');
+        should(requests[1].params).have.properties({ dates: '20210215', groups: 50 });
+    });
+
+    it('should request a schedule range day by day and merge the days', async () => {
+        const requests = [];
+        const client = capturing((request) => ({ content: { schedule: { [request.params.dates]: { games: [] } } } }), requests);
+        const schedule = await client.mlb.getSchedule({ start: new Date(2023, 3, 14), end: '2023-04-16' });
+        should(requests.map((request) => request.params.dates)).eql(['20230414', '20230415', '20230416']);
+        should(Object.keys(schedule)).eql(['20230414', '20230415', '20230416']);
+    });
+
+    it('should send scoreboard ranges to ESPN as one request', async () => {
+        const requests = [];
+        const client = capturing(() => ({ events: [] }), requests);
+        await client.nfl.getScoreboard({ start: '2020-11-26', end: '2020-11-30' });
+        await client.tennis.getScoreboard({ league: 'wta', date: new Date(2021, 1, 15) });
+        should(requests[0].params).have.properties({ dates: '20201126-20201130', limit: 300 });
+        should(requests[1].params).have.property('dates', '20210215');
+    });
+
+    it('should merge the games of an ncaa scoreboard range', async () => {
+        const requests = [];
+        const client = capturing((request) => ({ updated_at: request.url, games: [{ game: { url: request.url } }] }), requests);
+        const data = await client.ncaa.getScoreboard({ sport: 'basketball-men', division: 'd1', start: '2021-02-14', end: '2021-02-15' });
+        should(requests.map((request) => request.url)).eql([
+            'https://data.ncaa.com/casablanca/scoreboard/basketball-men/d1/2021/02/14/scoreboard.json',
+            'https://data.ncaa.com/casablanca/scoreboard/basketball-men/d1/2021/02/15/scoreboard.json'
+        ]);
+        should(data.games).have.length(2);
+        const error = await client.ncaa.getScoreboard({ sport: 'football', division: 'fbs' }).catch((err) => err);
+        should(error).be.instanceOf(InvalidArgumentError);
+        should(error.argument).equal('date');
+        should(error.method).equal('getScoreboard');
+    });
+});
@@ -0,0 +1,116 @@
+import should from 'should';
+import {
+    createClient,
+    SdvError,
+    NotFoundError,
+    RateLimitedError,
+    TimeoutError,
+    UpstreamError,
+    UpstreamSchemaChangedError,
+    InvalidArgumentError
+} from '../app/app.js';
+import { noteResponse, withErrorContext } from '../app/utils/errors.js';
+
+function failingTransport(error) {
+    return async () => { throw error; };
+}
+
+function respondingTransport(data, url) {
+    return async (request) => ({ status: 200, headers: {}, data, url: url || request.url });
+}
+
+function httpError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers };
+    return error;
+}
+
+describe('Errors', () => {
+
+    it('should report a nonexistent game id as NotFoundError with context', async () => {
+        const client = createClient({ transport: failingTransport(httpError(404)) });
+        const error = await client.nba.getPlayByPlay(1).catch((err) => err);
+        should(error).be.instanceOf(NotFoundError);
+        should(error).be.instanceOf(SdvError);
+        should(error.league).equal('nba');
+        should(error.method).equal('getPlayByPlay');
+        should(error.status).equal(404);
+        should(error.url).equal('http://cdn.espn.com/core/nba/playbyplay?gameId=1&render=false&userab=18&xhr=1');
+        should(error.message).startWith('nba.getPlayByPlay: ');
+    });
+
+    it('should map throttling, timeouts and other failures', async () => {
+        const throttled = createClient({ transport: failingTransport(httpError(429, { 'retry-after': '3600' })) });
+        const rateLimited = await throttled.nhl.getTeamList().catch((err) => err);
+        should(rateLimited).be.instanceOf(RateLimitedError);
+        should(rateLimited.retryAfter).equal(3600000);
+        const retryDate = new Date(Date.now() + 120000).toUTCString();
+        const dated = createClient({ transport: failingTransport(httpError(429, { 'retry-after': retryDate })), retry: false });
+        should((await dated.nhl.getTeamList().catch((err) => err)).retryAfter).be.within(110000, 120000);
+
+        const timeout = Object.assign(new Error('timeout of 10ms exceeded'), { code: 'ECONNABORTED' });
+        const slow = createClient({ transport: failingTransport(timeout), retry: false });
+        should(await slow.mlb.getTeamList().catch((err) => err)).be.instanceOf(TimeoutError);
+
+        const broken = createClient({ transport: failingTransport(httpError(500)), retry: false });
+        const upstream = await broken.wnba.getTeamInfo(1).catch((err) => err);
+        should(upstream).be.instanceOf(UpstreamError);
+        should(upstream.status).equal(500);
+        should(upstream.cause).be.instanceOf(Error);
+    });
+
+    it('should report a payload without gamepackageJSON as UpstreamSchemaChangedError', async () => {
+        const client = createClient({ transport: respondingTransport({ gameId: 401283399 }) });
+        const error = await client.nba.getPlayByPlay(401283399).catch((err) => err);
+        should(error).be.instanceOf(UpstreamSchemaChangedError);
+        should(error.field).equal('gamepackageJSON.header.competitions');
+        should(error.league).equal('nba');
+        should(error.status).equal(200);
+    });
+
+    it('should report unexpected payload shapes caught as TypeErrors', async () => {
+        const client = createClient({ transport: respondingTransport({ boxscore: {}, header: { competitions: {} } }) });
+        const error = await client.nhl.getSummary(401272446).catch((err) => err);
+        should(error).be.instanceOf(UpstreamSchemaChangedError);
+        should(error.cause).be.instanceOf(TypeError);
+        should(error.method).equal('getSummary');
+    });
+
+    it('should keep TypeErrors thrown before any upstream response', async () => {
+        const service = withErrorContext('nba', {
+            getBroken: async (options) => options.id
+        });
+        const error = await service.getBroken().catch((err) => err);
+        should(error).be.instanceOf(TypeError);
+        should(error).not.be.instanceOf(SdvError);
+
+        const reading = withErrorContext('nba', {
+            getPayload: async () => {
+                noteResponse();
+                return {}.payload.id;
+            }
+        });
+        const changed = await reading.getPayload().catch((err) => err);
+        should(changed).be.instanceOf(UpstreamSchemaChangedError);
+        should(changed.cause).be.instanceOf(TypeError);
+    });
+
+    it('should report an unmatched ncaa redirect as UpstreamSchemaChangedError', async () => {
+        const client = createClient({ transport: respondingTransport('', 'https://www.ncaa.com/scoreboard') });
+        const error = await client.ncaa.getRedirectUrl('game/old-url').catch((err) => err);
+        should(error).be.instanceOf(UpstreamSchemaChangedError);
+        should(error.url).equal('https://www.ncaa.com/scoreboard');
+    });
+
+    it('should reject missing or unsupported arguments before any request', async () => {
+        const calls = [];
+        const client = createClient({ transport: async (request) => { calls.push(request); return { status: 200, data: {} }; } });
+        const missing = await client.cfb.getBoxScore().catch((err) => err);
+        should(missing).be.instanceOf(InvalidArgumentError);
+        should(missing.argument).equal('id');
+        should(await client.ncaa.getSeasons().catch((err) => err)).be.instanceOf(InvalidArgumentError);
+        should(await client.ncaa.getScoreboard({ sport: 'football' }).catch((err) => err)).be.instanceOf(InvalidArgumentError);
+        should(await client.tennis.getScoreboard({ league: 'itf' }).catch((err) => err)).be.instanceOf(InvalidArgumentError);
+        should(calls).be.empty();
+    });
+});
@@ -0,0 +1,117 @@
+import should from 'should';
+import { tableFromIPC } from 'apache-arrow';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { parquetMetadata, parquetReadObjects } from 'hyparquet';
+import { tmpdir } from 'os';
+import path from 'path';
+import app from '../app/app.js';
+import { tableSchema, toArrow, toCsv, toNdjson, toParquet, writeTable } from '../app/utils/export.js';
+import { InvalidArgumentError, SdvError } from '../app/utils/errors.js';
+import { importOptional } from '../app/utils/optional.js';
+
+const rows = [
+    { gameId: '401283399', period: 1, text: 'Make 26-foot, "three"', scoringPlay: true, team: { id: '5', abbreviation: 'CLE' }, athletes: ['1', '2'] },
+    { gameId: '401283399', period: 2.5, text: null, scoringPlay: false, shotDistance: 12 },
+    { gameId: 401283400, period: null, scoringPlay: null }
+];
+
+describe('Table export', () => {
+
+    let dir;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'sdv-export-'));
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should type every column from all of its values', () => {
+        should(tableSchema(rows)).eql([
+            { name: 'gameId', type: 'string' },
+            { name: 'period', type: 'float' },
+            { name: 'text', type: 'string' },
+            { name: 'scoringPlay', type: 'boolean' },
+            { name: 'team.id', type: 'string' },
+            { name: 'team.abbreviation', type: 'string' },
+            { name: 'athletes', type: 'json' },
+            { name: 'shotDistance', type: 'float' }
+        ]);
+        should(tableSchema(rows, { types: { shotDistance: 'integer' } })[7].type).equal('integer');
+        should(() => tableSchema(rows, { types: { period: 'date' } })).throw(InvalidArgumentError, { argument: 'types' });
+        should(() => toCsv(rows, { types: { period: 'integer' } })).throw(InvalidArgumentError, { argument: 'types' });
+    });
+
+    it('should write CSV and NDJSON with the same columns', () => {
+        should(toCsv(rows)).equal([
+            'gameId,period,text,scoringPlay,team.id,team.abbreviation,athletes,shotDistance',
+            '401283399,1,"Make 26-foot, ""three""",true,5,CLE,"[""1"",""2""]",',
+            '401283399,2.5,,false,,,,12',
+            '401283400,,,,,,,',
+            ''
+        ].join('\n'));
+        const lines = toNdjson(rows).trim().split('\n').map((line) => JSON.parse(line));
+        should(lines).have.length(3);
+        should(lines[2]).eql({
+            gameId: '401283400',
+            period: null,
+            text: null,
+            scoringPlay: null,
+            'team.id': null,
+            'team.abbreviation': null,
+            athletes: null,
+            shotDistance: null
+        });
+        should(lines[0].athletes).equal('["1","2"]');
+        should(toCsv([])).equal('\n');
+    });
+
+    it('should write Arrow and Parquet files that read back with their types', async () => {
+        const arrow = tableFromIPC(await toArrow(rows, { types: { shotDistance: 'integer' } }));
+        should(arrow.schema.fields.map((field) => String(field.type))).eql(['Utf8', 'Float64', 'Utf8', 'Bool', 'Utf8', 'Utf8', 'Utf8', 'Int32']);
+        should(arrow.numRows).equal(3);
+        should(arrow.get(1).toJSON()).have.properties({ period: 2.5, scoringPlay: false, shotDistance: 12 });
+        should(tableFromIPC(await toArrow(rows, { stream: true })).numRows).equal(3);
+
+        const parquet = await toParquet(rows);
+        should(Buffer.from(parquet.subarray(0, 4)).toString()).equal('PAR1');
+        const read = await parquetReadObjects({ file: parquet.buffer });
+        should(read[0]).have.properties({ gameId: '401283399', period: 1, scoringPlay: true, 'team.abbreviation': 'CLE' });
+        should(read[2]).have.properties({ gameId: '401283400', period: null, scoringPlay: null });
+    });
+
+    it('should type columns without a value as null in every format', async () => {
+        const game = [{ gameId: '1', shotDistance: null }, { gameId: '1' }];
+        should(tableSchema(game)[1]).eql({ name: 'shotDistance', type: 'null' });
+        should(toCsv(game)).equal('gameId,shotDistance\n1,\n1,\n');
+        should(String(tableFromIPC(await toArrow(game)).schema.fields[1].type)).equal('Null');
+        const parquet = await toParquet(game);
+        should(parquetMetadata(parquet.buffer).schema[2]).have.properties({ name: 'shotDistance', logical_type: { type: 'NULL' } });
+        should(await parquetReadObjects({ file: parquet.buffer })).eql([{ gameId: '1', shotDistance: null }, { gameId: '1', shotDistance: null }]);
+    });
+
+    it('should write library tables to files by extension', async () => {
+        const { players } = await app.nba.getTidyBoxScore(401283399);
+        const csv = await writeTable(players, path.join(dir, 'box', 'players.csv'));
+        should(csv).have.properties({ format: 'csv', rows: players.length });
+        should((await readFile(csv.file, 'utf8')).split('\n')[0]).startWith('gameId,teamId,teamAbbreviation,homeAway,athleteId');
+        const parquet = await writeTable(players, path.join(dir, 'players.data'), { format: 'parquet' });
+        should(parquet.columns).equal(csv.columns);
+        const read = await parquetReadObjects({ file: new Uint8Array(await readFile(parquet.file)).buffer });
+        should(read).have.length(players.length);
+        should(read[0].gameId).equal(players[0].gameId);
+        const games = await writeTable(await app.nba.getSeasonGames({ season: 2021, seasonType: 2 }), path.join(dir, 'games.ndjson'));
+        should(games).have.properties({ format: 'ndjson', rows: 2 });
+        await should(writeTable(players, path.join(dir, 'players.xlsx'))).be.rejectedWith(InvalidArgumentError, { argument: 'format' });
+    });
+
+    it('should name the optional dependency to install when it is missing', async () => {
+        await should(importOptional('sdv-not-installed', 'toArrow')).be.rejectedWith(SdvError, {
+            code: 'EOPTIONALDEP',
+            message: 'Install sdv-not-installed to use toArrow: npm install sdv-not-installed'
+        });
+        should((await importOptional('hyparquet-writer', 'toParquet')).parquetWriteBuffer).be.a.Function();
+    });
+
+});
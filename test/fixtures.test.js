@@ -0,0 +1,75 @@
+import should from 'should';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createClient } from '../app/app.js';
+import { fixturePath, fixturesFromEnv, withFixtures } from '../app/utils/fixtures.js';
+
+function countingTransport(data, calls = []) {
+    return async (request) => {
+        calls.push(request);
+        return { status: 200, headers: { 'content-type': 'application/json', 'x-extra': '1' }, data, url: request.url };
+    };
+}
+
+describe('Fixtures', () => {
+
+    let dir;
+    const request = { method: 'get', url: 'http://site.api.espn.com/apis/site/v2/sports/basketball/nba/teams/16', params: { enable: 'roster' } };
+
+    beforeEach(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'sdv-fixtures-'));
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should record responses and replay them without calling the transport', async () => {
+        const calls = [];
+        const recorder = withFixtures(countingTransport({ team: { id: '16' } }, calls), { mode: 'record', dir });
+        await recorder(request);
+        const file = fixturePath(dir, request);
+        should(file).startWith(path.join(dir, 'site.api.espn.com', 'apis', 'site', 'v2'));
+        const saved = JSON.parse(await readFile(file, 'utf8'));
+        should(saved.request.url).equal(`${request.url}?enable=roster`);
+        should(saved.response.headers).eql({ 'content-type': 'application/json' });
+
+        const replayer = withFixtures(countingTransport({}, calls), { mode: 'replay', dir });
+        const response = await replayer(request);
+        should(response.data).eql({ team: { id: '16' } });
+        should(calls).have.length(1);
+    });
+
+    it('should fail with ENOFIXTURE when replaying a request that was never recorded', async () => {
+        const replayer = withFixtures(countingTransport({}), { mode: 'replay', dir });
+        await should(replayer(request)).be.rejectedWith({ code: 'ENOFIXTURE' });
+    });
+
+    it('should record only the missing fixtures in auto mode', async () => {
+        const calls = [];
+        const auto = withFixtures(countingTransport({ value: 1 }, calls), { mode: 'auto', dir });
+        await auto(request);
+        await auto(request);
+        await auto({ ...request, params: { enable: 'stats' } });
+        should(calls).have.length(2);
+    });
+
+    it('should record and replay upstream error responses', async () => {
+        const failing = async () => {
+            const error = new Error('Request failed with status code 404');
+            error.response = { status: 404, headers: {}, data: 'Not Found' };
+            throw error;
+        };
+        await should(withFixtures(failing, { mode: 'record', dir })(request)).be.rejectedWith({ response: { status: 404 } });
+
+        const client = createClient({ transport: countingTransport({}), fixtures: { mode: 'replay', dir }, retry: false });
+        await should(client.nba.getTeamPlayers(16)).be.rejectedWith({ name: 'NotFoundError' });
+    });
+
+    it('should reject unknown modes and read settings from the environment', () => {
+        should(() => withFixtures(countingTransport({}), { mode: 'rewind', dir })).throw(/Unknown fixture mode/);
+        should(fixturesFromEnv({})).equal(false);
+        should(fixturesFromEnv({ SDV_FIXTURES: 'auto', SDV_FIXTURES_DIR: dir })).eql({ mode: 'auto', dir });
+    });
+});
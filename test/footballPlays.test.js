@@ -0,0 +1,128 @@
+import should from 'should';
+import { footballPlays, footballPlayType, secondsRemaining, tidyFootballPlays } from '../app/pbp/football.js';
+
+let sequence = 0;
+
+function play(type, text, start = {}, fields = {}) {
+    sequence += 1;
+    return {
+        id: String(sequence),
+        sequenceNumber: String(sequence),
+        type: { text: type },
+        text,
+        period: { number: 1 },
+        clock: { displayValue: '10:00' },
+        start: { team: { id: '27' }, ...start },
+        homeScore: 0,
+        awayScore: 0,
+        ...fields
+    };
+}
+
+const game = {
+    id: '401',
+    teams: [
+        { id: '27', homeAway: 'home', team: { id: '27', abbreviation: 'TB' } },
+        { id: '12', homeAway: 'away', team: { id: '12', abbreviation: 'KC' } }
+    ],
+    drives: {
+        previous: [
+            {
+                id: 'd1',
+                result: 'FUMBLE',
+                plays: [
+                    play('Pass Reception', '(14:10) (Shotgun) T.Brady pass short right to M.Evans to TB 45 for 12 yards (T.Mathieu).',
+                        { down: 1, distance: 10, yardsToEndzone: 67 },
+                        { statYardage: 12, participants: [{ athlete: { id: '2330' } }, { athlete: { id: '16737' } }] }),
+                    play('Rush', '(13:30) L.Fournette up the middle to KC 40 for 3 yards (C.Jones).', { down: 1, distance: 10, yardsToEndzone: 43 }),
+                    play('Fumble Recovery (Opponent)', '(13:00) T.Brady sacked at KC 48 for -8 yards (F.Clark). FUMBLES (F.Clark), recovered by KC-C.Jones at KC 48.',
+                        { down: 2, distance: 7, yardsToEndzone: 40 })
+                ]
+            }
+        ],
+        current: {
+            id: 'd2',
+            result: 'TD',
+            plays: [
+                play('Passing Touchdown', 'Travis Kelce 20 Yd pass from Patrick Mahomes (Harrison Butker Kick)',
+                    { team: { id: '12' }, down: 3, distance: 5, yardsToEndzone: 20 },
+                    { scoringPlay: true, awayScore: 7, participants: [{ athlete: { id: '3139477' }, type: 'passer' }, { athlete: { id: '15847' }, type: 'receiver' }] }),
+                play('Extra Point Good', 'Harrison Butker extra point GOOD', { team: { id: '12' } }, { scoringPlay: true, awayScore: 7 })
+            ]
+        }
+    }
+};
+
+describe('Football play-by-play', () => {
+
+    it('should standardize play types from the type and the text', () => {
+        should(footballPlayType({ type: { text: 'Rushing Touchdown' } })).equal('rush');
+        should(footballPlayType({ type: { text: 'Pass Interception Return' } })).equal('pass');
+        should(footballPlayType({ type: { text: 'Blocked Punt' } })).equal('punt');
+        should(footballPlayType({ type: { text: 'Field Goal Missed' } })).equal('field goal');
+        should(footballPlayType({ type: { text: 'Two-Point Conversion' } })).equal('two point');
+        should(footballPlayType({ type: { text: 'End of Half' } })).equal('end of period');
+        should(footballPlayType({ type: { text: 'Fumble Recovery (Own)' }, text: 'J.Allen scrambles left end to BUF 30 for 4 yards.' })).equal('rush');
+        should(footballPlayType({ type: { text: 'Coin Toss' } })).equal('other');
+    });
+
+    it('should list the plays of every drive, the current one last', () => {
+        should(footballPlays(game).map((p) => p.driveId)).eql(['d1', 'd1', 'd1', 'd2', 'd2']);
+        const live = { drives: { previous: game.drives.previous, current: game.drives.previous[0] } };
+        should(footballPlays(live)).have.length(3);
+    });
+
+    it('should read the time left in regulation and in overtime', () => {
+        should(secondsRemaining({ period: { number: 1 }, clock: { displayValue: '15:00' } })).equal(3600);
+        should(secondsRemaining({ period: { number: 4 }, clock: { displayValue: '2:00' } })).equal(120);
+        should(secondsRemaining({ period: { number: 5 }, clock: { displayValue: '8:30' } })).equal(510);
+        should(secondsRemaining({ period: { number: 1 } })).be.null();
+    });
+
+    it('should flatten drives with their number and the line of scrimmage', () => {
+        const rows = tidyFootballPlays(game);
+        should(rows.map((row) => [row.driveNumber, row.driveResult])).eql([[1, 'FUMBLE'], [1, 'FUMBLE'], [1, 'FUMBLE'], [2, 'TD'], [2, 'TD']]);
+        should(rows[0]).have.properties({
+            gameId: '401',
+            driveId: 'd1',
+            sequenceNumber: 1,
+            clockSeconds: 600,
+            secondsRemaining: 3300,
+            offenseTeamId: '27',
+            defenseTeamId: '12',
+            homeAway: 'home',
+            down: 1,
+            distance: 10,
+            yardsToGoal: 67,
+            yardsGained: 12
+        });
+        should(rows[4]).have.properties({ playType: 'extra point', down: null, distance: null, homeAway: 'away', scoringPlay: true, touchdown: false });
+    });
+
+    it('should read passers, rushers and receivers from the text and the participants', () => {
+        const [reception, rush, sack, touchdown] = tidyFootballPlays(game);
+        should(reception).have.properties({ playType: 'pass', pass: true, passerName: 'T.Brady', passerId: '2330', receiverName: 'M.Evans', receiverId: '16737', rusherName: null });
+        should(rush).have.properties({ playType: 'rush', rush: true, rusherName: 'L.Fournette', rusherId: null });
+        should(sack).have.properties({ playType: 'sack', pass: true, passerName: 'T.Brady' });
+        should(touchdown).have.properties({ passerName: 'Patrick Mahomes', passerId: '3139477', receiverName: 'Travis Kelce', receiverId: '15847' });
+    });
+
+    it('should flag turnovers and scores', () => {
+        const [reception, , sack, touchdown] = tidyFootballPlays(game);
+        should(reception).have.properties({ turnover: false, fumbleLost: false, interception: false, touchdown: false });
+        should(sack).have.properties({ fumbleLost: true, turnover: true });
+        should(touchdown).have.properties({ touchdown: true, scoringPlay: true, awayScore: 7 });
+    });
+
+    it('should only count field goals that are good', () => {
+        const kicks = (...plays) => tidyFootballPlays({ ...game, drives: { previous: [{ id: 'd1', plays }] } });
+        const rows = kicks(
+            play('Field Goal Good', 'Ryan Succop 38 Yd Field Goal', { down: 4, distance: 3, yardsToEndzone: 20 }, { scoringPlay: true, homeScore: 3 }),
+            play('Field Goal Good', '(5:02) R.Succop 38 yard field goal is GOOD, Center-Z.Triner, Holder-B.Pinion.', { down: 4, distance: 3, yardsToEndzone: 20 }),
+            play('Field Goal Missed', '(5:02) R.Succop 52 yard field goal is No Good, Wide Right, Center-Z.Triner, Holder-B.Pinion.', { down: 4, distance: 3, yardsToEndzone: 34 }),
+            play('Blocked Field Goal', '(5:02) R.Succop 45 yard field goal is BLOCKED (C.Jones), Center-Z.Triner, Holder-B.Pinion.', { down: 4, distance: 3, yardsToEndzone: 27 }),
+            play('Field Goal Missed', 'Ryan Succop 52 Yd FG MISSED, good snap', { down: 4, distance: 3, yardsToEndzone: 34 })
+        );
+        should(rows.map((row) => row.fieldGoalMade)).eql([true, true, false, false, false]);
+    });
+});
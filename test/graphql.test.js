@@ -0,0 +1,197 @@
+import should from 'should';
+import app, { createApiServer, executeGraphql } from '../app/app.js';
+import { NotFoundError } from '../app/utils/errors.js';
+
+// results of graphql-js are objects without prototype
+async function execute(client, request) {
+    return JSON.parse(JSON.stringify(await executeGraphql(client, request)));
+}
+
+describe('GraphQL', () => {
+
+    it('should resolve games, box scores, plays, teams and standings from the services', async () => {
+        const { data, errors } = await execute(app, {
+            query: `query ($id: ID!) {
+                game(league: nba, id: $id) {
+                    season status completed
+                    home { score team { abbreviation logo } }
+                    boxScore { players { athlete { displayName team { abbreviation } } stats(names: ["points"]) { name value } } }
+                    plays(limit: 2) { period clock team { abbreviation } participants { displayName } }
+                }
+                scoreboard(league: nba, date: "2021-02-15") { season games { id away { team { abbreviation } } } }
+                standings(league: nba, year: 2020) { team { abbreviation } wins losses }
+                team(league: nba, id: "16") { displayName roster { displayName position } }
+            }`,
+            variables: { id: '401283399' }
+        });
+        should(errors).be.undefined();
+        should(data.game).have.properties({ season: 2021, status: 'STATUS_FINAL', completed: true });
+        should(data.game.home).eql({ score: 28, team: { abbreviation: 'MIN', logo: 'https://a.espncdn.com/i/teamlogos/min.png' } });
+        const [player] = data.game.boxScore.players;
+        should(player.athlete).eql({ displayName: 'Cleveland Guard', team: { abbreviation: 'CLE' } });
+        should(player.stats).eql([{ name: 'points', value: 18 }]);
+        should(data.game.plays[0]).have.properties({ period: 1, clock: '12:00', team: { abbreviation: 'MIN' } });
+        should(data.game.plays[0].participants.map((athlete) => athlete.displayName)).eql(['Minnesota Center', 'Cleveland Center', 'Minnesota Guard']);
+        should(data.scoreboard.games.map((game) => game.id)).eql(['401283399', '401283400']);
+        should(data.standings[0]).eql({ team: { abbreviation: 'MIN' }, wins: 10, losses: 5 });
+        should(data.team.roster[0]).eql({ displayName: 'Minnesota Player 1', position: 'G' });
+    });
+
+    it('should call every service method once per game of a request', async () => {
+        const calls = [];
+        const boxScore = (id) => ({
+            teams: [{ team: { id: '16', abbreviation: 'MIN' }, homeAway: 'home', statistics: [{ name: 'points', displayValue: String(id) }] }],
+            players: [{
+                team: { id: '16', abbreviation: 'MIN' },
+                statistics: [{ keys: ['points'], athletes: [{ athlete: { id: `${id}1`, displayName: 'Minnesota Guard' }, stats: ['12'] }] }]
+            }]
+        });
+        const client = {
+            nba: {
+                getBoxScore: async (id) => {
+                    calls.push(`box:${id}`);
+                    return boxScore(id);
+                },
+                getSummary: async (id) => {
+                    calls.push(`summary:${id}`);
+                    return {};
+                },
+                getTeamInfo: async (id) => {
+                    calls.push(`team:${id}`);
+                    return { team: { id, displayName: 'Minnesota Timberwolves' } };
+                }
+            }
+        };
+        const ids = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+        const query = `query ($ids: [ID!]!) {
+            games(league: nba, ids: $ids) {
+                boxScore { players { athlete { displayName team { displayName } } } teams { stats(names: ["points"]) { value } } }
+            }
+            again: game(league: nba, id: "1") { boxScore { teams { homeAway } } }
+        }`;
+        const { data, errors } = await execute(client, { query, variables: { ids: [...ids, '1', '2'] } });
+        should(errors).be.undefined();
+        should(data.games).have.length(12);
+        should(data.games.map((game) => game.boxScore.teams[0].stats[0].value)).eql([...ids, '1', '2'].map(Number));
+        should(data.games[0].boxScore.players[0].athlete.team.displayName).equal('Minnesota Timberwolves');
+        should(calls.filter((call) => call.startsWith('box:')).sort()).eql(ids.map((id) => `box:${id}`).sort());
+        should(calls.filter((call) => call.startsWith('team:'))).eql(['team:16']);
+        should(calls.some((call) => call.startsWith('summary:'))).be.false();
+
+        // loaders are made per request
+        calls.length = 0;
+        await execute(client, { query, variables: { ids: ['1'] } });
+        should(calls).eql(['box:1', 'team:16']);
+    });
+
+    it('should limit the ids, depth and service calls of a query', async () => {
+        let calls = 0;
+        const client = {
+            nba: {
+                getBoxScore: async () => {
+                    calls += 1;
+                    return { teams: [] };
+                },
+                getPlayByPlay: async () => {
+                    calls += 1;
+                    return { plays: [] };
+                }
+            }
+        };
+        const ids = (from, count) => Array.from({ length: count }, (value, index) => String(from + index));
+        const tooMany = await execute(client, { query: 'query ($ids: [ID!]!) { games(league: nba, ids: $ids) { id } }', variables: { ids: ids(1, 51) } });
+        should(tooMany.errors[0]).have.properties({ message: 'At most 50 game ids are taken, got 51' });
+
+        const deep = await execute(client, { query: '{ team(league: nba, id: "16") { roster { team { roster { team { roster { team { roster { id } } } } } } } } }' });
+        should(deep.data).be.undefined();
+        should(deep.errors[0].message).equal('Query depth 9 is over the limit of 8');
+        const introspection = await execute(client, { query: '{ __schema { types { fields { type { ofType { ofType { ofType { ofType { ofType { name } } } } } } } } } }' });
+        should(introspection.errors).be.undefined();
+
+        // 2 calls per game, 201 in all
+        const query = `query ($a: [ID!]!, $b: [ID!]!, $c: [ID!]!) {
+            a: games(league: nba, ids: $a) { boxScore { teams { homeAway } } plays { id } }
+            b: games(league: nba, ids: $b) { boxScore { teams { homeAway } } plays { id } }
+            c: games(league: nba, ids: $c) { boxScore { teams { homeAway } } }
+        }`;
+        const expensive = await execute(client, { query, variables: { a: ids(1, 50), b: ids(51, 50), c: ids(101, 1) } });
+        should(calls).equal(200);
+        should(expensive.errors.map((error) => error.message)).eql(['The query needs more than 200 service calls']);
+    });
+
+    it('should reject a negative limit', async () => {
+        let calls = 0;
+        const client = {
+            nba: {
+                getScoreboard: async () => {
+                    calls += 1;
+                    return { events: [] };
+                },
+                getPlayByPlay: async () => {
+                    calls += 1;
+                    return { plays: [{ id: '1' }, { id: '2' }] };
+                }
+            }
+        };
+        const scoreboard = await execute(client, { query: '{ scoreboard(league: nba, limit: -1) { league } }' });
+        should(scoreboard.errors[0]).have.properties({ message: 'Invalid limit -1, expected 0 or more' });
+        const plays = await execute(client, { query: '{ game(league: nba, id: "1") { plays(limit: -1) { id } } }' });
+        should(plays.errors[0]).have.properties({ message: 'Invalid limit -1, expected 0 or more' });
+        should(calls).equal(0);
+        const none = await execute(client, { query: '{ game(league: nba, id: "1") { plays(limit: 0) { id } } }' });
+        should(none.data.game.plays).eql([]);
+    });
+
+    it('should serve /graphql with the fields of service errors', async () => {
+        const client = {
+            nba: {
+                getBoxScore: async () => {
+                    throw new NotFoundError('Resource not found (404)', { status: 404 });
+                },
+                getPlayByPlay: async () => {
+                    throw new TypeError('Cannot read secret of /srv/config.json');
+                }
+            }
+        };
+        const logged = [];
+        const api = await createApiServer({ client, graphql: true, onError: (err) => logged.push(err) }).listen();
+        try {
+            const post = (body) => fetch(`${api.url}/graphql`, { method: 'POST', headers: { 'content-type': 'application/json' }, body });
+            const missing = await post(JSON.stringify({ query: '{ game(league: nba, id: "1") { id boxScore { teams { homeAway } } } }' }));
+            should(missing.status).equal(200);
+            const body = await missing.json();
+            should(body.data).be.null();
+            should(body.errors[0]).have.properties({ message: 'Resource not found (404)', path: ['game', 'boxScore'] });
+            should(body.errors[0].extensions).have.properties({ name: 'NotFoundError', status: 404 });
+            const failed = await (await post(JSON.stringify({ query: '{ game(league: nba, id: "1") { plays { period } } }' }))).json();
+            should(failed.errors[0]).have.properties({ message: 'Internal server error', path: ['game', 'plays'] });
+            should(failed.errors[0].extensions).have.properties({ message: 'Internal server error', status: 500 });
+            should(logged).have.length(1);
+
+            const get = await fetch(`${api.url}/graphql?query=${encodeURIComponent('{ games(league: nba, ids: ["1", "2"]) { id } }')}`);
+            should(await get.json()).eql({ data: { games: [{ id: '1' }, { id: '2' }] } });
+            const invalid = await post(JSON.stringify({ query: '{ game(league: xfl, id: "1") { id } }' }));
+            should(invalid.status).equal(400);
+            should((await invalid.json()).errors[0].message).containEql('xfl');
+            should((await post('{')).status).equal(400);
+            should((await (await post('{}')).json()).error).have.properties({ name: 'InvalidArgumentError', argument: 'query' });
+            const large = await post(JSON.stringify({ query: `{ game(league: nba, id: "1") { id } }${' '.repeat(1024 * 1024)}` }));
+            should(large.status).equal(413);
+            should((await large.json()).error).have.properties({ name: 'InvalidArgumentError', status: 413, argument: 'body' });
+        } finally {
+            await api.close();
+        }
+    });
+
+    it('should only serve /graphql when asked to', async () => {
+        const api = await createApiServer({ client: app }).listen();
+        try {
+            const query = encodeURIComponent('{ game(league: nba, id: "401283399") { id } }');
+            should((await fetch(`${api.url}/graphql?query=${query}`)).status).equal(404);
+            should((await fetch(`${api.url}/graphql`, { method: 'POST', body: '{}' })).status).equal(405);
+        } finally {
+            await api.close();
+        }
+    });
+
+});
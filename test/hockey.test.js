@@ -0,0 +1,96 @@
+import should from 'should';
+import { nhlShotAttempts, nhlShotMetrics } from '../app/pbp/hockey.js';
+
+let sequence = 0;
+
+function play(period, team, type, x, y, strength = 'ev', fields = {}) {
+    sequence += 1;
+    return {
+        id: String(sequence),
+        type: { text: type },
+        text: fields.text || type,
+        period: { number: period },
+        clock: { displayValue: '10:00' },
+        team: { id: team },
+        coordinate: { x, y },
+        participants: [{ athlete: { id: `${team}-shooter` } }],
+        strength: { abbreviation: strength },
+        scoringPlay: type === 'Goal',
+        shootingPlay: true,
+        ...fields
+    };
+}
+
+function skaters(team, count) {
+    return Array.from({ length: count }, (_, index) => ({ athlete: { id: `${team}-${index}` }, team: { id: team } }));
+}
+
+const H = '16';
+const A = '2';
+
+// H attacks the right net in the first period and the left one in the second
+const plays = [
+    play(1, H, 'Shot', 79, 0),
+    play(1, H, 'Goal', 89, 10, 'ev', { text: 'Home Winger Wrist Shot Goal' }),
+    play(1, A, 'Missed Shot', -59, 30),
+    play(1, A, 'Blocked Shot', -60, 0, 'pp'),
+    play(1, H, 'Faceoff', 0, 0, 'ev', { shootingPlay: false }),
+    play(2, H, 'Shot', -95, 5, 'sh', { text: 'Home Center Wrap-around saved by Away Goalie' }),
+    play(2, H, 'Shootout Goal', -80, 0)
+];
+
+const game = {
+    id: '401',
+    teams: [{ id: H, homeAway: 'home', team: { id: H } }, { id: A, homeAway: 'away', team: { id: A } }],
+    plays,
+    onIce: [
+        { playId: '1', athletes: [...skaters(H, 5), ...skaters(A, 5), { athlete: { id: 'goalie' }, team: { id: A }, position: { abbreviation: 'G' } }] },
+        { playId: '4', athletes: [...skaters(H, 4), ...skaters(A, 5)] }
+    ]
+};
+
+describe('NHL shot attempts', () => {
+
+    it('should classify attempts and skip other events and shootouts', () => {
+        const attempts = nhlShotAttempts(game);
+        should(attempts.map((attempt) => [attempt.result, attempt.corsi, attempt.fenwick])).eql([
+            ['shot', true, true],
+            ['goal', true, true],
+            ['miss', true, true],
+            ['block', true, false],
+            ['shot', true, true]
+        ]);
+        should(attempts[1]).have.properties({ gameId: '401', teamId: H, homeAway: 'home', shooterId: `${H}-shooter`, shotType: 'wrist shot' });
+        should(attempts[4].shotType).equal('wrap-around');
+    });
+
+    it('should measure distance and angle to the net each team attacks', () => {
+        const [slot, goalLine, point, , behind] = nhlShotAttempts(game);
+        should(slot).have.properties({ distance: 10, angle: 0 });
+        should(goalLine).have.properties({ distance: 10, angle: 90 });
+        should(point.distance).equal(42.4);
+        should(point.angle).equal(45);
+        // behind the net H attacks in the second period
+        should(behind.angle).be.above(90);
+    });
+
+    it('should read strength states from the skaters on the ice, else from ESPN', () => {
+        const attempts = nhlShotAttempts(game);
+        should(attempts.map((attempt) => attempt.strength)).eql(['5v5', '5v5', '5v5', 'pp', 'pk']);
+    });
+
+    it('should count Corsi and Fenwick for teams and players by strength', () => {
+        const { teams, players } = nhlShotMetrics(game);
+        const home = (strength) => teams.find((row) => row.teamId === H && row.strength === strength);
+        should(home('all')).have.properties({ homeAway: 'home', cf: 3, ca: 2, ff: 3, fa: 1, cfPct: 60, ffPct: 75, goalsFor: 1, shotsFor: 3 });
+        should(home('5v5')).have.properties({ cf: 2, ca: 1, cfPct: 66.7 });
+        should(home('pk')).have.properties({ cf: 1, ca: 1, ff: 1, fa: 0 });
+        should(teams.find((row) => row.teamId === A && row.strength === 'pp')).have.properties({ cf: 1, ca: 1, ff: 0, fa: 1 });
+
+        const skater = players.find((row) => row.athleteId === `${H}-0` && row.strength === 'all');
+        should(skater).have.properties({ cf: 1, ca: 1, ff: 1, fa: 0, cfPct: 50 });
+        should(players.some((row) => row.athleteId === 'goalie' && row.cf === 0 && row.ca === 1 && row.strength === '5v5')).be.true();
+        const shooter = players.find((row) => row.athleteId === `${H}-shooter` && row.strength === 'all');
+        should(shooter).have.properties({ icf: 3, iff: 3, goals: 1, cf: null, cfPct: null });
+    });
+});
@@ -0,0 +1,111 @@
+import should from 'should';
+import { tidyBasketballPlays } from '../app/pbp/basketball.js';
+import { basketballLineups, basketballPossessions, basketballStints, boxScoreRosters } from '../app/pbp/lineups.js';
+
+let sequence = 0;
+
+function play(period, clock, team, type, fields = {}) {
+    sequence += 1;
+    return {
+        id: String(sequence),
+        sequenceNumber: String(sequence),
+        period: { number: period },
+        clock: { displayValue: clock },
+        team: team ? { id: team } : undefined,
+        type: { id: '0', text: type },
+        text: fields.text || type,
+        scoringPlay: false,
+        scoreValue: 0,
+        shootingPlay: false,
+        ...fields,
+        participants: (fields.participants || []).map((id) => ({ athlete: { id } }))
+    };
+}
+
+function scored(points, home, away) {
+    return { scoringPlay: true, scoreValue: points, shootingPlay: true, homeScore: home, awayScore: away };
+}
+
+const H = '16';
+const A = '5';
+
+// home H wins the tip, scores an and-one, A turns it over, H misses and A rebounds,
+// A makes two free throws; a substitution and a new period follow
+const plays = [
+    play(1, '12:00', H, 'Jumpball', { participants: ['h5', 'a5', 'h1'], homeScore: 0, awayScore: 0 }),
+    play(1, '11:40', H, 'Driving Layup Shot', { ...scored(2, 2, 0), participants: ['h1'] }),
+    play(1, '11:40', A, 'Shooting Foul', { participants: ['a2', 'h1'], homeScore: 2, awayScore: 0 }),
+    play(1, '11:40', H, 'Free Throw - 1 of 1', { ...scored(1, 3, 0), participants: ['h1'] }),
+    play(1, '11:20', A, 'Bad Pass\nTurnover', { participants: ['a1', 'h2'], homeScore: 3, awayScore: 0 }),
+    play(1, '11:05', H, 'Jump Shot', { shootingPlay: true, participants: ['h3'], homeScore: 3, awayScore: 0 }),
+    play(1, '11:03', A, 'Defensive Rebound', { participants: ['a5'], homeScore: 3, awayScore: 0 }),
+    play(1, '10:50', H, 'Personal Foul', { participants: ['h4', 'a3'], homeScore: 3, awayScore: 0 }),
+    play(1, '10:50', H, 'Substitution', { text: 'h6 enters the game for h4', participants: ['h6', 'h4'], homeScore: 3, awayScore: 0 }),
+    play(1, '10:50', A, 'Free Throw - 1 of 2', { ...scored(1, 3, 1), participants: ['a3'] }),
+    play(1, '10:50', A, 'Free Throw - 2 of 2', { ...scored(1, 3, 2), participants: ['a3'] }),
+    play(1, '0:00', null, 'End Period', { text: 'End of the 1st Quarter', homeScore: 3, awayScore: 2 }),
+    // h4 starts the second quarter without a logged substitution and is replaced by h7
+    play(2, '11:30', A, 'Jump Shot', { ...scored(2, 3, 4), participants: ['a1'] }),
+    play(2, '11:00', H, 'Substitution', { text: 'h7 enters the game for h4', participants: ['h7', 'h4'], homeScore: 3, awayScore: 4 }),
+    play(2, '10:40', H, 'Jump Shot', { ...scored(2, 5, 4), participants: ['h6'] })
+];
+
+const game = {
+    id: '401',
+    teams: [{ id: H, homeAway: 'home', team: { id: H } }, { id: A, homeAway: 'away', team: { id: A } }],
+    plays
+};
+
+const boxScore = {
+    players: [
+        { team: { id: H }, statistics: [{ athletes: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'h7'].map((id, index) => ({ athlete: { id }, starter: index < 5 })) }] },
+        { team: { id: A }, statistics: [{ athletes: ['a1', 'a2', 'a3', 'a4', 'a5', 'a6'].map((id, index) => ({ athlete: { id }, starter: index < 5 })) }] }
+    ]
+};
+
+const rows = tidyBasketballPlays(game, { league: 'nba' });
+
+describe('Basketball possessions and lineups', () => {
+
+    it('should split possessions on made shots, free throws, turnovers, rebounds and period ends', () => {
+        const possessions = basketballPossessions(rows);
+        should(possessions.map((possession) => [possession.homeAway, possession.points, possession.endReason])).eql([
+            ['home', 3, 'free throws'],
+            ['away', 0, 'turnover'],
+            ['home', 0, 'defensive rebound'],
+            ['away', 2, 'free throws'],
+            ['home', 0, 'end of period'],
+            ['away', 2, 'made shot'],
+            ['home', 2, 'made shot']
+        ]);
+        should(possessions[0]).have.properties({ number: 1, period: 1, teamId: H, startPlayId: rows[0].playId, startGameSeconds: 0, endGameSeconds: 20 });
+        should(possessions[1]).have.properties({ startGameSeconds: 20, endGameSeconds: 40 });
+    });
+
+    it('should read teams and starters from the box score', () => {
+        const { teams, starters } = boxScoreRosters(boxScore);
+        should(teams).have.properties({ h7: H, a6: A });
+        should(starters[H]).eql(['h1', 'h2', 'h3', 'h4', 'h5']);
+    });
+
+    it('should track the players on the floor through substitutions and periods', () => {
+        const lineups = basketballLineups(rows, boxScore);
+        should(lineups[0].homePlayerIds).eql(['h1', 'h2', 'h3', 'h4', 'h5']);
+        should(lineups[0].awayPlayerIds).eql(['a1', 'a2', 'a3', 'a4', 'a5']);
+        should(lineups[8].homePlayerIds).eql(['h1', 'h2', 'h3', 'h5', 'h6']);
+        // h4 and h6 appear in the second quarter before entering it, the rest comes from the end of the first
+        should(lineups[12].homePlayerIds).eql(['h1', 'h2', 'h3', 'h4', 'h6']);
+        should(lineups[14].homePlayerIds).eql(['h1', 'h2', 'h3', 'h6', 'h7']);
+    });
+
+    it('should group plays into stints with their time and points', () => {
+        const stints = basketballStints(rows, boxScore);
+        should(stints.map((stint) => [stint.period, stint.startGameSeconds, stint.endGameSeconds, stint.seconds, stint.homePoints, stint.awayPoints])).eql([
+            [1, 0, 70, 70, 3, 0],
+            [1, 70, 720, 650, 0, 2],
+            [2, 720, 780, 60, 0, 2],
+            [2, 780, 800, 20, 2, 0]
+        ]);
+        should(stints[3].homePlayerIds).eql(['h1', 'h2', 'h3', 'h6', 'h7']);
+    });
+});
@@ -20,6 +20,36 @@ describe('MBB Games', () => {
 
     });
 
+    it('should populate tidy play by play rows for the given game id', async () => {
+        const data = await app.mbb.getTidyPlayByPlay(gameId)
+        should(data).be.an.Array();
+        should(data).not.be.empty();
+        should(data[0]).have.properties({ gameId: String(gameId), period: 1 });
+        should(data[data.length - 1].gameSecondsElapsed).be.above(data[0].gameSecondsElapsed);
+
+    });
+
+    it('should populate possessions and lineup stints for the given game id', async () => {
+        const rows = await app.mbb.getTidyPlayByPlay(gameId)
+        const possessions = await app.mbb.getPossessions(gameId)
+        const stints = await app.mbb.getLineupStints(gameId)
+        const points = possessions.reduce((sum, possession) => sum + possession.points, 0);
+        should(points).equal(rows[rows.length - 1].homeScore + rows[rows.length - 1].awayScore);
+        should(stints).not.be.empty();
+        should(stints[0].homePlayerIds).have.length(5);
+        should(stints[0].awayPlayerIds).have.length(5);
+
+    });
+
+    it('should populate player and team box score rows for the given game id', async () => {
+        const { players, teams } = await app.mbb.getTidyBoxScore(gameId)
+        should(players).not.be.empty();
+        should(teams).have.length(2);
+        should(players.every((row) => row.athleteId && row.gameId === String(gameId))).be.true();
+        should(players.every((row) => row.didNotPlay || row.fieldGoalsMade <= row.fieldGoalsAttempted)).be.true();
+
+    });
+
     it('should populate box score data for the given game id', async () => {
         const data = await app.mbb.getBoxScore(gameId)
         should(data).exist;
@@ -77,6 +107,14 @@ describe('MBB Scoreboard', () => {
 
     });
 
+    it('should list the games of the given season', async () => {
+        const games = await app.mbb.getSeasonGames({ season: 2021, seasonType: 2 })
+        should(games).not.be.empty();
+        should(new Set(games.map((game) => game.id)).size).equal(games.length);
+        should(games.every((game) => game.seasonType === 2 && game.homeTeamId && game.awayTeamId)).be.true();
+
+    });
+
     it('should return a promise for scoreboard data for the current week and year', async () => {
         const data = await app.mbb.getScoreboard({})
         should(data).exist;
@@ -195,4 +233,33 @@ describe('MBB Recruiting', () => {
         should(data).not.be.empty;
 
     });
-});
\ No newline at end of file
+});
+
+describe('MBB Schedule', () => {
+
+    it('should populate schedule data for the given date', async () => {
+        const data = await app.mbb.getSchedule({
+            year: 2021,
+            month: 2,
+            day: 15
+        })
+        should(data).exist;
+        should(data).be.json;
+        should(data).not.be.empty;
+
+    });
+});
+
+describe('MBB Conferences', () => {
+
+    it('should populate conferences for the given year and group', async () => {
+        const data = await app.mbb.getConferences({
+            year: 2021,
+            group: 50
+        })
+        should(data).exist;
+        should(data).be.json;
+        should(data).not.be.empty;
+
+    });
+});
@@ -22,6 +22,35 @@ describe('MLB Games', () => {
 
     });
 
+    it('should populate plate appearances and pitches for the given game id', async () => {
+        const appearances = await app.mlb.getPlateAppearances(gameId)
+        const pitches = await app.mlb.getPitches(gameId)
+        should(appearances).not.be.empty();
+        should(appearances.reduce((sum, appearance) => sum + appearance.pitches, 0)).equal(pitches.length);
+        should(appearances[0]).have.properties({ inning: 1, half: 'top', outsBefore: 0, baseStateBefore: '___' });
+        should(appearances.find((appearance) => appearance.resultType === 'home run').rbi).be.above(0);
+        should(pitches.every((pitch) => pitch.velocity > 0 && pitch.batterId && pitch.pitcherId)).be.true();
+
+    });
+
+    it('should populate run and win expectancy for the plate appearances of the given game id', async () => {
+        const appearances = await app.mlb.getAnnotatedPlateAppearances(gameId)
+        should(appearances).not.be.empty();
+        const homeRun = appearances.find((appearance) => appearance.resultType === 'home run');
+        should(homeRun.re24).be.above(1);
+        should(homeRun.wpa).be.above(0);
+        should(appearances.every((appearance) => appearance.weBefore >= 0 && appearance.weBefore <= 1)).be.true();
+
+    });
+
+    it('should populate player and team box score rows for the given game id', async () => {
+        const { players, teams } = await app.mlb.getTidyBoxScore(gameId)
+        should(players.filter((row) => row.category === 'batting').every((row) => row.hits <= row.atBats)).be.true();
+        should(players.find((row) => row.category === 'pitching').fullInnings).be.a.Number();
+        should(teams[0].battingHits).be.a.Number();
+
+    });
+
     it('should populate box score data for the given game id', async () => {
         const data = await app.mlb.getBoxScore(gameId)
         should(data).exist;
@@ -83,6 +112,14 @@ describe('MLB Scoreboard', () => {
 
     });
 
+    it('should list the games of the given season', async () => {
+        const games = await app.mlb.getSeasonGames({ season: 2023, seasonType: 2 })
+        should(games).not.be.empty();
+        should(new Set(games.map((game) => game.id)).size).equal(games.length);
+        should(games.every((game) => game.seasonType === 2 && game.homeTeamId && game.awayTeamId)).be.true();
+
+    });
+
     it('should return a promise for scoreboard data for the current week and year', async () => {
         const data = await app.mlb.getScoreboard({})
 
@@ -153,4 +190,19 @@ describe('MLB Teams', () => {
         should(data).not.be.empty;
 
     });
-});
\ No newline at end of file
+});
+
+describe('MLB Schedule', () => {
+
+    it('should populate schedule data for the given date', async () => {
+        const data = await app.mlb.getSchedule({
+            year: 2023,
+            month: 4,
+            day: 15
+        })
+        should(data).exist;
+        should(data).be.json;
+        should(data).not.be.empty;
+
+    });
+});
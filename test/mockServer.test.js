@@ -0,0 +1,75 @@
+import should from 'should';
+import { createClient, createMockServer } from '../app/app.js';
+import { mockHosts, resolveUrl } from '../app/utils/url.js';
+
+describe('Mock server', () => {
+
+    let mock;
+    let client;
+
+    before(async () => {
+        mock = await createMockServer({ dir: process.env.SDV_FIXTURES_DIR }).listen();
+        client = createClient({ mockServer: mock.url, retry: false, rateLimit: false });
+    });
+
+    after(async () => {
+        await mock.close();
+    });
+
+    it('should send every upstream host to the mock server unless overridden', async () => {
+        const hosts = mockHosts('http://127.0.0.1:4000/');
+        should(hosts['cdn.espn.com']).equal('http://127.0.0.1:4000/cdn.espn.com');
+        should(hosts['stats.ncaa.org']).equal('http://127.0.0.1:4000/stats.ncaa.org');
+        should(resolveUrl('http://floridastate.247sports.com/Season/2021-Football/Commits', hosts))
+            .equal('http://127.0.0.1:4000/floridastate.247sports.com/Season/2021-Football/Commits');
+
+        const requests = [];
+        const offline = createClient({
+            mockServer: 'http://mock',
+            hosts: { 'cdn.espn.com': 'http://other' },
+            transport: async (request) => {
+                requests.push(request);
+                return { status: 200, headers: {}, data: { content: { schedule: {} } }, url: request.url };
+            }
+        });
+        await offline.nba.getTeamList();
+        await offline.nba.getSchedule({ year: 2021, month: 5, day: 16 });
+        should(requests.map((request) => request.url)).eql([
+            'http://mock/site.api.espn.com/apis/site/v2/sports/basketball/nba/teams',
+            'http://other/core/nba/schedule'
+        ]);
+        should(requests[1].params).have.property('dates', '20210516');
+    });
+
+    it('should serve ESPN site api, cdn and NCAA casablanca fixtures', async () => {
+        const summary = await client.nba.getSummary(401283399);
+        should(summary.header.id).equal('401283399');
+        const pbp = await client.nfl.getPlayByPlay(401220403);
+        should(pbp).have.property('drives');
+        const info = await client.ncaa.getInfo(5764053);
+        should(info.status.gameState).equal('final');
+    });
+
+    it('should serve the stats.ncaa.org pages and follow recorded redirects', async () => {
+        const sports = await client.ncaa.getSports();
+        should(sports.sports).not.be.empty;
+        const gameId = await client.ncaa.getRedirectUrl('/game/basketball-men/d3/2019/02/15/emory-rochester');
+        should(gameId).equal(5764053);
+    });
+
+    it('should serve the recruiting pages of 247sports', async () => {
+        const rankings = await client.cfb.getPlayerRankings({ year: 2021 });
+        should(rankings).be.an.Array().and.not.be.empty();
+        const commits = await client.cfb.getSchoolCommits('floridastate', 2021);
+        should(commits).be.an.Array().and.not.be.empty();
+    });
+
+    it('should answer 404 for requests without a fixture', async () => {
+        await should(client.nba.getSummary(1)).be.rejectedWith({ name: 'NotFoundError', status: 404 });
+    });
+
+    it('should not start without its fixture directory', async () => {
+        should(() => createMockServer()).throw({ name: 'InvalidArgumentError', argument: 'dir' });
+        await should(createMockServer({ dir: 'no-such-fixtures' }).listen()).be.rejectedWith('Fixture directory not found: no-such-fixtures');
+    });
+});
@@ -21,6 +21,36 @@ describe('NBA Games', () => {
 
     });
 
+    it('should populate tidy play by play rows for the given game id', async () => {
+        const data = await app.nba.getTidyPlayByPlay(gameId)
+        should(data).be.an.Array();
+        should(data).not.be.empty();
+        should(data[0]).have.properties({ gameId: String(gameId), period: 1 });
+        should(data[data.length - 1].gameSecondsElapsed).be.above(data[0].gameSecondsElapsed);
+
+    });
+
+    it('should populate possessions and lineup stints for the given game id', async () => {
+        const rows = await app.nba.getTidyPlayByPlay(gameId)
+        const possessions = await app.nba.getPossessions(gameId)
+        const stints = await app.nba.getLineupStints(gameId)
+        const points = possessions.reduce((sum, possession) => sum + possession.points, 0);
+        should(points).equal(rows[rows.length - 1].homeScore + rows[rows.length - 1].awayScore);
+        should(stints).not.be.empty();
+        should(stints[0].homePlayerIds).have.length(5);
+        should(stints[0].awayPlayerIds).have.length(5);
+
+    });
+
+    it('should populate player and team box score rows for the given game id', async () => {
+        const { players, teams } = await app.nba.getTidyBoxScore(gameId)
+        should(players).not.be.empty();
+        should(teams).have.length(2);
+        should(players.every((row) => row.athleteId && row.gameId === String(gameId))).be.true();
+        should(players.every((row) => row.didNotPlay || row.fieldGoalsMade <= row.fieldGoalsAttempted)).be.true();
+
+    });
+
     it('should populate box score data for the given game id', async () => {
         const data = await app.nba.getBoxScore(gameId)
         should(data).exist;
@@ -78,6 +108,14 @@ describe('NBA Scoreboard', () => {
 
     });
 
+    it('should list the games of the given season', async () => {
+        const games = await app.nba.getSeasonGames({ season: 2021, seasonType: 2 })
+        should(games).not.be.empty();
+        should(new Set(games.map((game) => game.id)).size).equal(games.length);
+        should(games.every((game) => game.seasonType === 2 && game.homeTeamId && game.awayTeamId)).be.true();
+
+    });
+
     it('should return a promise for scoreboard data for the current week and year', async () => {
         const data = await app.nba.getScoreboard({})
         should(data).exist;
@@ -97,6 +135,15 @@ describe('NBA Scoreboard', () => {
         should(data).not.be.empty;
 
     });
+
+    it('should populate scoreboard data for a date range', async () => {
+        const data = await app.nba.getScoreboard({
+            start: '2021-05-10',
+            end: '2021-05-16'
+        })
+        should(data.events).not.be.empty();
+
+    });
 });
 
 describe('NBA Standings', () => {
@@ -147,4 +194,36 @@ describe('NBA Teams', () => {
         should(data).not.be.empty;
 
     });
-});
\ No newline at end of file
+});
+
+describe('NBA Schedule', () => {
+
+    it('should populate schedule data for the given date', async () => {
+        const data = await app.nba.getSchedule({
+            year: 2021,
+            month: 5,
+            day: 16
+        })
+        should(data).exist;
+        should(data).be.json;
+        should(data).not.be.empty;
+
+    });
+
+    it('should populate schedule data without a date', async () => {
+        const data = await app.nba.getSchedule()
+        should(data).exist;
+        should(data).be.json;
+        should(data).not.be.empty;
+
+    });
+
+    it('should merge the schedules of a date range', async () => {
+        const data = await app.nba.getSchedule({
+            start: '2021-05-15',
+            end: '2021-05-16'
+        })
+        should(data).have.keys('20210515', '20210516');
+
+    });
+});
@@ -42,4 +42,57 @@ describe('NCAA Scoreboard', () => {
         should(data).not.be.empty;
 
     });
-});
\ No newline at end of file
+});
+describe('NCAA Redirects', () => {
+
+    it('should return the game id an older game url redirects to', async () => {
+        const data = await app.ncaa.getRedirectUrl('/game/basketball-men/d3/2019/02/15/emory-rochester')
+        should(data).equal(5764053);
+
+    });
+});
+
+describe('NCAA Stats', () => {
+
+    it('should return a promise for the list of sports', async () => {
+        const data = await app.ncaa.getSports()
+        should(data).have.property('sports');
+        should(data.sports).not.be.empty;
+
+    });
+
+    it('should return a promise for the seasons of a sport', async () => {
+        const data = await app.ncaa.getSeasons('MFB')
+        should(data).have.property('seasons');
+        should(data.seasons).not.be.empty;
+
+    });
+
+    it('should return a promise for the divisions of a sport and season', async () => {
+        const data = await app.ncaa.getDivisions('MFB', '2017')
+        should(data).have.property('divisions');
+        should(data.divisions).not.be.empty;
+
+    });
+
+    it('should return a promise for the ranking periods and categories of a division', async () => {
+        const data = await app.ncaa.getSportDivisionData('MFB', '2017', '11', 'individual', false)
+        should(data.rankingsPeriods).not.be.empty;
+        should(data.categories).not.be.empty;
+
+    });
+
+    it('should return a promise for player rankings of a category', async () => {
+        const data = await app.ncaa.getPlayerData('MFB', '2017', '11', '52', 'N', '20')
+        should(data).be.an.Array();
+        should(data).not.be.empty;
+
+    });
+
+    it('should return a promise for team rankings of a category', async () => {
+        const data = await app.ncaa.getTeamData('MFB', '2017', '11', '52', 'N', '20')
+        should(data).be.an.Array();
+        should(data).not.be.empty;
+
+    });
+});
@@ -21,6 +21,26 @@ describe('NFL Games', () => {
 
     });
 
+    it('should populate tidy play by play rows for the given game id', async () => {
+        const rows = await app.nfl.getTidyPlayByPlay(gameId)
+        should(rows).not.be.empty();
+        should(rows[0]).have.properties({ gameId: String(gameId), driveNumber: 1, playType: 'kickoff' });
+        should(rows.filter((row) => row.turnover).map((row) => row.playType)).eql(['pass']);
+        should(rows.filter((row) => row.touchdown)).have.length(2);
+        should(rows.find((row) => row.playType === 'pass' && row.receiverId)).have.property('receiverName').which.is.a.String();
+
+    });
+
+
+    it('should populate player and team box score rows for the given game id', async () => {
+        const { players, teams } = await app.nfl.getTidyBoxScore(gameId)
+        const passing = players.filter((row) => row.category === 'passing');
+        should(passing).not.be.empty();
+        should(passing.every((row) => row.completions <= row.passingAttempts)).be.true();
+        should(teams[0].thirdDownConversions).be.belowOrEqual(teams[0].thirdDownAttempts);
+
+    });
+
     it('should populate box score data for the given game id', async () => {
         const data = await app.nfl.getBoxScore(gameId)
         should(data).exist;
@@ -79,6 +99,15 @@ describe('NFL Scoreboard', () => {
 
     });
 
+    it('should list the games of the given season', async () => {
+        const games = await app.nfl.getSeasonGames({ season: 2020, seasonType: 2 })
+        should(games).not.be.empty();
+        should(new Set(games.map((game) => game.id)).size).equal(games.length);
+        should(games.every((game) => game.seasonType === 2 && game.homeTeamId && game.awayTeamId)).be.true();
+        should(games.every((game) => game.week > 0)).be.true();
+
+    });
+
     it('should return a promise for scoreboard data for the current week and year', async () => {
         const data = await app.nfl.getScoreboard({})
         should(data).exist;
@@ -102,8 +131,9 @@ describe('NFL Scoreboard', () => {
 
 describe('NFL Weekly Schedule', () => {
 
-    it('should populate schedule data for the first week of regular season for the current year', async () => {
-        const data = await app.nfl.getWeeklySchedule({})
+    it('should populate schedule data for the first week of regular season by default', async () => {
+        // the year defaults to the current one, given here so the fixture keeps replaying
+        const data = await app.nfl.getWeeklySchedule({ year: 2026 })
         should(data).exist;
         should(data).be.json;
         should(data).not.be.empty;
@@ -193,3 +223,18 @@ describe('NFL Teams', () => {
 
     });
 });
+
+describe('NFL Schedule', () => {
+
+    it('should populate schedule data for the given date', async () => {
+        const data = await app.nfl.getSchedule({
+            year: 2020,
+            month: 11,
+            day: 29
+        })
+        should(data).exist;
+        should(data).be.json;
+        should(data).not.be.empty;
+
+    });
+});
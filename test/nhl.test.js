@@ -21,6 +21,25 @@ describe('NHL Games', () => {
 
     });
 
+    it('should populate shot attempts and shot metrics for the given game id', async () => {
+        const attempts = await app.nhl.getShotAttempts(gameId)
+        const { teams } = await app.nhl.getShotMetrics(gameId)
+        should(attempts).not.be.empty();
+        should(attempts.every((attempt) => attempt.distance > 0)).be.true();
+        const all = teams.filter((row) => row.strength === 'all');
+        should(all).have.length(2);
+        should(all[0].cf).equal(all[1].ca);
+        should(all.reduce((sum, row) => sum + row.cf, 0)).equal(attempts.length);
+
+    });
+
+    it('should populate player and team box score rows for the given game id', async () => {
+        const { players, teams } = await app.nhl.getTidyBoxScore(gameId)
+        should(players.filter((row) => row.category === 'forwards').every((row) => typeof row.toi === 'number')).be.true();
+        should(teams.map((row) => row.homeAway).sort()).eql(['away', 'home']);
+
+    });
+
     it('should populate box score data for the given game id', async () => {
         const data = await app.nhl.getBoxScore(gameId)
         should(data).exist;
@@ -79,6 +98,14 @@ describe('NHL Scoreboard', () => {
 
     });
 
+    it('should list the games of the given season', async () => {
+        const games = await app.nhl.getSeasonGames({ season: 2021, seasonType: 2 })
+        should(games).not.be.empty();
+        should(new Set(games.map((game) => game.id)).size).equal(games.length);
+        should(games.every((game) => game.seasonType === 2 && game.homeTeamId && game.awayTeamId)).be.true();
+
+    });
+
     it('should return a promise for scoreboard data for the current week and year', async () => {
         const data = await app.nhl.getScoreboard({})
         should(data).exist;
@@ -149,3 +176,18 @@ describe('NHL Teams', () => {
 
     });
 });
+
+describe('NHL Schedule', () => {
+
+    it('should populate schedule data for the given date', async () => {
+        const data = await app.nhl.getSchedule({
+            year: 2021,
+            month: 2,
+            day: 15
+        })
+        should(data).exist;
+        should(data).be.json;
+        should(data).not.be.empty;
+
+    });
+});
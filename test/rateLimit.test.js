@@ -0,0 +1,67 @@
+import should from 'should';
+import { createClient } from '../app/app.js';
+import { InvalidArgumentError } from '../app/utils/errors.js';
+import { createLimiter, matchHost, defaultRateLimit } from '../app/utils/rateLimit.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function slowTransport(stats) {
+    return async (request) => {
+        stats.active++;
+        stats.peak = Math.max(stats.peak, stats.active);
+        stats.started.push(Date.now());
+        await delay(20);
+        stats.active--;
+        return { status: 200, headers: {}, data: {}, url: request.url };
+    };
+}
+
+describe('Rate Limiter', () => {
+
+    it('should cap concurrent requests per host', async () => {
+        const stats = { active: 0, peak: 0, started: [] };
+        const client = createClient({
+            transport: slowTransport(stats),
+            rateLimit: { hosts: { 'stats.ncaa.org': { requestsPerSecond: Infinity, concurrency: 2 } } }
+        });
+        await Promise.all([1, 2, 3, 4, 5].map(() => client.ncaa.getPlayerData('MFB', '2017', '11', '52', 'N', '20')));
+        should(stats.peak).equal(2);
+        should(stats.started).have.length(5);
+    });
+
+    it('should space requests according to the token bucket', async () => {
+        const limiter = createLimiter({ requestsPerSecond: 50, burst: 1, concurrency: Infinity });
+        const started = [];
+        await Promise.all([1, 2, 3].map(() => limiter.schedule(async () => started.push(Date.now()))));
+        should(started[2] - started[0]).be.aboveOrEqual(35);
+    });
+
+    it('should propagate task failures and keep draining the queue', async () => {
+        const limiter = createLimiter({ concurrency: 1 });
+        const failing = limiter.schedule(async () => { throw new Error('boom'); });
+        const passing = limiter.schedule(async () => 'ok');
+        await should(failing).be.rejectedWith('boom');
+        should(await passing).equal('ok');
+        should(limiter.pending()).equal(0);
+    });
+
+    it('should share one bucket between a host and its subdomains', () => {
+        should(matchHost('floridastate.247sports.com', defaultRateLimit).key).equal('247sports.com');
+        should(matchHost('247sports.com', defaultRateLimit).key).equal('247sports.com');
+        should(matchHost('cdn.espn.com', defaultRateLimit)).eql({ key: 'cdn.espn.com', limits: defaultRateLimit.default });
+    });
+
+    it('should pass requests straight through when disabled', async () => {
+        const stats = { active: 0, peak: 0, started: [] };
+        const client = createClient({ transport: slowTransport(stats), rateLimit: false });
+        await Promise.all([1, 2, 3, 4].map(() => client.ncaa.getPlayerData('MFB', '2017', '11', '52', 'N', '20')));
+        should(stats.peak).equal(4);
+    });
+
+    it('should reject rates and concurrency that are not positive', () => {
+        should(() => createLimiter({ requestsPerSecond: 0 })).throw(InvalidArgumentError, { argument: 'requestsPerSecond' });
+        should(() => createLimiter({ concurrency: -1 })).throw(InvalidArgumentError, { argument: 'concurrency' });
+        should(() => createClient({ rateLimit: { hosts: { 'stats.ncaa.org': { requestsPerSecond: 0 } } } })).throw(/requestsPerSecond of stats\.ncaa\.org/);
+        should(() => createLimiter({ requestsPerSecond: Infinity, concurrency: Infinity })).not.throw();
+    });
+});
@@ -0,0 +1,98 @@
+import should from 'should';
+import { createClient } from '../app/app.js';
+import { backoff, isRetryable, parseRetryAfter } from '../app/utils/retry.js';
+
+function httpError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers };
+    return error;
+}
+
+function networkError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+}
+
+function flakyTransport(failures, calls = []) {
+    return async (request) => {
+        calls.push(request);
+        if (failures.length) {
+            throw failures.shift();
+        }
+        return { status: 200, headers: {}, data: { ok: true }, url: request.url };
+    };
+}
+
+describe('Retry Policy', () => {
+
+    it('should retry transient 5xx responses and socket resets', async () => {
+        const calls = [];
+        const client = createClient({
+            transport: flakyTransport([httpError(503), networkError('ECONNRESET')], calls),
+            retry: { minDelay: 1 }
+        });
+        const data = await client.nba.getTeamList();
+        should(data).eql({ ok: true });
+        should(calls).have.length(3);
+    });
+
+    it('should not retry a 404 for a nonexistent game id', async () => {
+        const calls = [];
+        const client = createClient({
+            transport: flakyTransport([httpError(404)], calls),
+            retry: { minDelay: 1 }
+        });
+        await should(client.nba.getTeamList()).be.rejectedWith(/404/);
+        should(calls).have.length(1);
+    });
+
+    it('should give up after the configured number of attempts', async () => {
+        const calls = [];
+        const client = createClient({
+            transport: flakyTransport([httpError(500), httpError(500), httpError(500)], calls),
+            retry: { attempts: 2, minDelay: 1 }
+        });
+        await should(client.nba.getTeamList()).be.rejectedWith(/500/);
+        should(calls).have.length(2);
+    });
+
+    it('should honor Retry-After and report each retry', async () => {
+        const retries = [];
+        const client = createClient({
+            transport: flakyTransport([httpError(429, { 'retry-after': '0' })]),
+            retry: { minDelay: 5000, onRetry: (info) => retries.push(info) }
+        });
+        await client.nba.getTeamList();
+        should(retries).have.length(1);
+        should(retries[0].delay).equal(0);
+        should(retries[0].attempt).equal(1);
+    });
+
+    it('should not retry when Retry-After exceeds maxRetryAfter or retries are disabled', async () => {
+        const calls = [];
+        const client = createClient({
+            transport: flakyTransport([httpError(429, { 'retry-after': '3600' })], calls)
+        });
+        await should(client.nba.getTeamList()).be.rejectedWith(/429/);
+        const disabled = createClient({
+            transport: flakyTransport([httpError(503)], calls),
+            retry: false
+        });
+        await should(disabled.nba.getTeamList()).be.rejectedWith(/503/);
+        should(calls).have.length(2);
+    });
+
+    it('should classify errors and compute delays', () => {
+        should(isRetryable(httpError(502))).be.true();
+        should(isRetryable(httpError(404))).be.false();
+        should(isRetryable(networkError('ETIMEDOUT'))).be.true();
+        should(isRetryable(new TypeError('boom'))).be.false();
+        should(parseRetryAfter('2')).equal(2000);
+        should(parseRetryAfter(new Date(11000).toUTCString(), 1000)).equal(10000);
+        should(parseRetryAfter('soon')).be.null();
+        should(backoff(1, { minDelay: 100, maxDelay: 1000, factor: 2, jitter: false })).equal(100);
+        should(backoff(3, { minDelay: 100, maxDelay: 1000, factor: 2, jitter: false })).equal(400);
+        should(backoff(10, { minDelay: 100, maxDelay: 1000, factor: 2, jitter: false })).equal(1000);
+    });
+});
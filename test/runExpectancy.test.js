@@ -0,0 +1,77 @@
+import should from 'should';
+import { InvalidArgumentError } from '../app/app.js';
+import { annotateMlbPlateAppearances, RUN_EXPECTANCY, runExpectancy, runExpectancyMatrix, winExpectancy } from '../app/models/baseball.js';
+
+function appearance(number, baseStateBefore, outsBefore, outsAfter, runs, fields = {}) {
+    return { gameId: '1', inning: 1, half: 'top', number, baseStateBefore, outsBefore, outsAfter, runs, ...fields };
+}
+
+function atBat(id, batter, type, before, after, scores = {}) {
+    const runners = (state) => ({
+        onFirst: state.bases[0] === '1' ? { athlete: { id: 'r1' } } : undefined,
+        onSecond: state.bases[1] === '2' ? { athlete: { id: 'r2' } } : undefined,
+        onThird: state.bases[2] === '3' ? { athlete: { id: 'r3' } } : undefined
+    });
+    const base = { atBatId: id, period: { type: 'Bottom', number: 9 }, team: { id: '16' }, awayScore: 3 };
+    return [
+        { ...base, summaryType: 'N', type: { text: 'Start Batter/Pitcher' }, outs: before.outs, homeScore: scores.before ?? 2, participants: [{ athlete: { id: batter }, type: 'batter' }], ...runners(before) },
+        { ...base, summaryType: 'A', type: { text: type }, outs: after.outs, homeScore: scores.after ?? 2, ...runners(after) }
+    ];
+}
+
+// bottom of the ninth, down one: a single, then a walk-off double
+const game = {
+    id: '401',
+    teams: [{ id: '16', homeAway: 'home', team: { id: '16' } }, { id: '5', homeAway: 'away', team: { id: '5' } }],
+    plays: [
+        { summaryType: 'I', type: { text: 'Start Inning' }, period: { type: 'Bottom', number: 9 }, team: { id: '16' }, outs: 0, homeScore: 2, awayScore: 3 },
+        ...atBat('ab1', 'b1', 'Single', { outs: 2, bases: '___' }, { outs: 2, bases: '1__' }),
+        ...atBat('ab2', 'b2', 'Double', { outs: 2, bases: '1__' }, { outs: 2, bases: '_2_' }, { before: 2, after: 4 })
+    ]
+};
+
+describe('MLB run and win expectancy', () => {
+
+    it('should read run expectancy from the bundled matrix', () => {
+        should(runExpectancy('___', 0)).equal(0.481);
+        should(runExpectancy('123', 0)).be.above(runExpectancy('123', 1)).and.above(runExpectancy('123', 2));
+        should(runExpectancy('1_3', 2)).be.above(runExpectancy('1__', 2));
+        should(runExpectancy('123', 3)).equal(0);
+        should(() => runExpectancy('4__', 0)).throw(InvalidArgumentError, { argument: 'baseState' });
+    });
+
+    it('should build a matrix from the runs scored in the rest of each half-inning', () => {
+        const inning = [
+            appearance(1, '___', 0, 0, 0),
+            appearance(2, '1__', 0, 0, 1),
+            appearance(3, '1__', 0, 1, 0),
+            appearance(4, '1__', 1, 3, 0)
+        ];
+        // a walk-off without a third out is left out
+        const walkOff = [appearance(5, '___', 0, 0, 1, { inning: 9, half: 'bottom' })];
+        const matrix = runExpectancyMatrix([inning, walkOff]);
+        should(matrix.runs['___'][0]).equal(1);
+        should(matrix.runs['1__'][0]).equal(0.5);
+        should(matrix.scoring['1__'][0]).equal(0.5);
+        should(matrix.counts['1__']).eql([2, 1, 0]);
+        should(matrix.runs['123']).eql(RUN_EXPECTANCY.runs['123']);
+    });
+
+    it('should favour the home team by the score, the inning and the runners', () => {
+        should(winExpectancy({ inning: 1, half: 'top' })).be.within(0.5, 0.53);
+        should(winExpectancy({ inning: 5, half: 'top', homeLead: 3 })).be.above(0.8);
+        should(winExpectancy({ inning: 9, half: 'bottom', outs: 2, baseState: '123', homeLead: -1 })).be.above(winExpectancy({ inning: 9, half: 'bottom', outs: 2, homeLead: -1 }));
+        should(winExpectancy({ inning: 9, half: 'bottom', outs: 3, homeLead: -1 })).equal(0);
+        should(winExpectancy({ inning: 9, half: 'top', outs: 3, homeLead: 1 })).equal(1);
+        should(() => winExpectancy({ inning: 0, half: 'top' })).throw(InvalidArgumentError);
+    });
+
+    it('should annotate plate appearances with RE24 and WPA for the batting team', () => {
+        const [single, double] = annotateMlbPlateAppearances(game);
+        should(single).have.properties({ reBefore: 0.098, reAfter: 0.214, re24: 0.116 });
+        should(single.wpa).be.above(0);
+        should(double).have.properties({ runs: 2, weAfter: 1 });
+        should(double.re24).be.approximately(runExpectancy('_2_', 2) - runExpectancy('1__', 2) + 2, 1e-3);
+        should(double.wpa).be.approximately(1 - double.weBefore, 1e-4);
+    });
+});
@@ -0,0 +1,92 @@
+import should from 'should';
+import { createClient, SchemaDriftWarning, UpstreamSchemaChangedError } from '../app/app.js';
+import { exact, optional, validate } from '../app/utils/schema.js';
+
+const fixtures = { mode: 'replay', dir: process.env.SDV_FIXTURES_DIR };
+
+// rewrites the payload of every response, standing in for an upstream change
+function drifting(change) {
+    return { afterResponse: (response) => ({ ...response, data: change(JSON.parse(JSON.stringify(response.data))) }) };
+}
+
+describe('Schema validation', () => {
+
+    it('should report missing, unexpected and mistyped fields once per path', () => {
+        const schema = exact({ id: 'string', plays: [{ period: { number: 'number' } }], clock: optional({ displayValue: 'string' }), note: 'string?' });
+        should(validate(schema, { id: '1', plays: [{ period: { number: 1 } }] })).eql([]);
+        const issues = validate(schema, { id: 1, plays: [{ period: {} }, { period: { number: '2' } }, { period: {} }], extra: true });
+        should(issues).eql([
+            { path: 'id', problem: 'type', expected: 'string', actual: 'number' },
+            { path: 'plays[].period.number', problem: 'missing', expected: 'number' },
+            { path: 'plays[].period.number', problem: 'type', expected: 'number', actual: 'string' },
+            { path: 'extra', problem: 'unexpected', actual: 'boolean' }
+        ]);
+    });
+
+    it('should accept the recorded payloads of every league', async () => {
+        const drifts = [];
+        const client = createClient({ fixtures, validate: { mode: 'lenient', onDrift: (warning) => drifts.push(warning) } });
+        await client.nba.getPlayByPlay(401283399);
+        await client.nfl.getSummary(401220403);
+        await client.nhl.getBoxScore(401272446);
+        await client.mlb.getPlayByPlay(401472105);
+        await client.wbb.getScoreboard({});
+        await client.ncaa.getBoxScore(5764053);
+        should(drifts).eql([]);
+    });
+
+    it('should reject drift in strict mode with the list of issues', async () => {
+        const client = createClient({
+            fixtures,
+            validate: 'strict',
+            hooks: drifting((data) => {
+                data.gamepackageJSON.plays.forEach((play) => delete play.period);
+                return data;
+            })
+        });
+        const error = await client.wnba.getPlayByPlay(401244185).then(() => null, (err) => err);
+        should(error).be.instanceOf(UpstreamSchemaChangedError);
+        should(error.league).equal('wnba');
+        should(error.method).equal('getPlayByPlay');
+        should(error.field).equal('plays[].period');
+        should(error.issues).eql([{ path: 'plays[].period', problem: 'missing', expected: 'object' }]);
+    });
+
+    it('should return the result and report drift in lenient mode', async () => {
+        const drifts = [];
+        const client = createClient({
+            fixtures,
+            validate: { mode: 'lenient', onDrift: (warning) => drifts.push(warning) },
+            hooks: drifting((data) => {
+                data.events[0].competitions[0].competitors[0].team.id = 16;
+                return data;
+            })
+        });
+        const data = await client.nba.getScoreboard({});
+        should(data.events).not.be.empty();
+        should(drifts).have.length(1);
+        should(drifts[0]).be.instanceOf(SchemaDriftWarning);
+        should(drifts[0]).have.properties({ league: 'nba', method: 'getScoreboard', code: 'SDV_SCHEMA_DRIFT' });
+        should(drifts[0].issues).eql([{ path: 'events[].competitions[].competitors[].team.id', problem: 'type', expected: 'string', actual: 'number' }]);
+    });
+
+    it('should emit a process warning in lenient mode without onDrift', async () => {
+        const client = createClient({
+            fixtures,
+            validate: 'lenient',
+            hooks: drifting((data) => ({ ...data, boxscore: { ...data.boxscore, teams: 'none' } }))
+        });
+        const warned = new Promise((resolve) => process.once('warning', resolve));
+        await client.nhl.getBoxScore(401272446);
+        const warning = await warned;
+        should(warning.name).equal('SchemaDriftWarning');
+        should(warning.issues[0]).have.properties({ path: 'teams', problem: 'type' });
+    });
+
+    it('should leave results unchecked unless enabled', async () => {
+        const client = createClient({ fixtures, hooks: drifting(() => ({ gamepackageJSON: { boxscore: {} } })) });
+        const data = await client.nba.getBoxScore(401283399);
+        should(data).have.property('id', undefined);
+        should(() => createClient({ validate: 'paranoid' })).throw(/Unknown validation mode/);
+    });
+});
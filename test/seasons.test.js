@@ -0,0 +1,88 @@
+import should from 'should';
+import { seasonGames } from '../app/utils/seasons.js';
+import { InvalidArgumentError } from '../app/utils/errors.js';
+
+function event(id, date, type, fields = {}) {
+    return {
+        id,
+        date,
+        season: { year: 2020, type },
+        competitions: [{
+            neutralSite: false,
+            status: { type: { name: 'STATUS_FINAL', completed: true } },
+            competitors: [
+                { homeAway: 'home', team: { id: '1' } },
+                { homeAway: 'away', team: { id: '2' } }
+            ],
+            ...fields
+        }]
+    };
+}
+
+function scoreboards(calendar, events) {
+    const requests = [];
+    const fetchScoreboard = async (params) => {
+        requests.push(params);
+        return { leagues: [{ calendar }], events: events(params) };
+    };
+    return { requests, fetchScoreboard };
+}
+
+describe('Season games', () => {
+
+    it('should walk the weeks of a football calendar and keep each game once', async () => {
+        const calendar = [
+            { value: '1', entries: [{ value: '1' }] },
+            { value: '2', entries: [{ value: '1' }, { value: '2' }] },
+            { value: '4', entries: [] }
+        ];
+        const { requests, fetchScoreboard } = scoreboards(calendar, (params) => {
+            if (!params.week) {
+                return [];
+            }
+            return params.seasontype === '1'
+                ? [event('9', '2020-08-29T17:00Z', 1)]
+                : [event('10', '2020-09-13T17:00Z', 2, { neutralSite: true }), event('11', '2020-09-10T00:20Z', 2)];
+        });
+        const games = await seasonGames(fetchScoreboard, { season: 2020 });
+        should(requests).eql([
+            { dates: 2020 },
+            { dates: 2020, seasontype: '1', week: '1' },
+            { dates: 2020, seasontype: '2', week: '1' },
+            { dates: 2020, seasontype: '2', week: '2' }
+        ]);
+        should(games.map((game) => game.id)).eql(['9', '11', '10']);
+        should(games[2]).eql({
+            id: '10',
+            date: '2020-09-13T17:00Z',
+            season: 2020,
+            seasonType: 2,
+            week: 1,
+            status: 'STATUS_FINAL',
+            completed: true,
+            homeTeamId: '1',
+            awayTeamId: '2',
+            neutralSite: true
+        });
+    });
+
+    it('should ask for a day calendar a week at a time and filter the season type', async () => {
+        const calendar = ['2021-05-16T07:00Z', '2021-05-17T07:00Z', '2021-05-28T07:00Z'];
+        const { requests, fetchScoreboard } = scoreboards(calendar, (params) => (params.dates === 2021
+            ? []
+            : [event('1', '2021-05-16T23:30Z', 2), event('2', '2021-05-28T23:30Z', 3)]));
+        const games = await seasonGames(fetchScoreboard, { season: 2021, seasonType: 3 });
+        should(requests.slice(1)).eql([
+            { dates: '20210516-20210517', seasontype: 3 },
+            { dates: '20210528', seasontype: 3 }
+        ]);
+        should(games.map((game) => [game.id, game.week])).eql([['2', null]]);
+    });
+
+    it('should reject invalid seasons', async () => {
+        const { fetchScoreboard } = scoreboards([], () => []);
+        await should(seasonGames(fetchScoreboard, { season: '20-21' })).be.rejectedWith(InvalidArgumentError, { argument: 'season' });
+        await should(seasonGames(fetchScoreboard, { season: 2021, seasonType: 5 })).be.rejectedWith(InvalidArgumentError, { argument: 'seasonType' });
+    });
+
+});
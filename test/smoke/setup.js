@@ -0,0 +1,7 @@
+import { fileURLToPath } from 'url';
+
+// The smoke suite checks the shapes of real upstream responses. The first run
+// records them from the live hosts into test/smoke/fixtures, later runs replay
+// them; `SDV_FIXTURES=record npm run test:smoke` refreshes them.
+process.env.SDV_FIXTURES ||= 'auto';
+process.env.SDV_FIXTURES_DIR ||= fileURLToPath(new URL('./fixtures', import.meta.url));
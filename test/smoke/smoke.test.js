@@ -0,0 +1,38 @@
+import should from 'should';
+import app from '../../app/app.js';
+
+describe('Recorded upstream responses', () => {
+
+    it('should read a real NBA scoreboard and the box score of one of its games', async () => {
+        const scoreboard = await app.nba.getScoreboard({ date: '2024-01-15' });
+        should(scoreboard.events).not.be.empty();
+        const [event] = scoreboard.events;
+        should(event.competitions[0].competitors).have.length(2);
+        should(event.competitions[0].competitors[0].team).have.properties(['id', 'abbreviation']);
+        const box = await app.nba.getTidyBoxScore(event.id);
+        should(box.teams).have.length(2);
+        should(box.players.filter((row) => typeof row.points === 'number')).not.be.empty();
+    });
+
+    it('should read a real NFL play-by-play', async () => {
+        const scoreboard = await app.nfl.getScoreboard({ date: '2023-12-25' });
+        const plays = await app.nfl.getTidyPlayByPlay(scoreboard.events[0].id);
+        should(plays).not.be.empty();
+        should(plays.filter((play) => play.playType === 'pass')).not.be.empty();
+    });
+
+    it('should read a real NCAA scoreboard', async () => {
+        const scoreboard = await app.ncaa.getScoreboard({ sport: 'basketball-men', division: 'd1', date: '2024-02-15' });
+        should(scoreboard.games).not.be.empty();
+    });
+
+    it('should read real 247Sports recruiting rankings', async () => {
+        const players = await app.cfb.getPlayerRankings({ year: 2024 });
+        should(players).not.be.empty();
+        for (const player of players.slice(0, 10)) {
+            should(player.name).not.be.empty();
+            should(player.highSchool).not.be.empty();
+        }
+    });
+
+});
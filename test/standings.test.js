@@ -0,0 +1,19 @@
+import should from 'should';
+import { standingsGroups } from '../app/utils/standings.js';
+
+function group(id, children, entries) {
+    return { id, name: `Group ${id}`, ...(entries ? { standings: { season: 2023, entries } } : {}), ...(children ? { children } : {}) };
+}
+
+describe('Standings', () => {
+
+    it('should find the groups holding entries at any depth', () => {
+        const standings = group('league', [
+            group('east', null, [{ team: { id: '1' } }]),
+            group('west', [group('pacific', null, [{ team: { id: '2' } }]), group('empty', [])])
+        ]);
+        should(standingsGroups(standings).map((entry) => entry.id)).eql(['east', 'pacific']);
+        should(standingsGroups(group('league', null, [])).map((entry) => entry.id)).eql(['league']);
+        should(standingsGroups(undefined)).eql([]);
+    });
+});
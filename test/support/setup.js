@@ -0,0 +1,6 @@
+import { fileURLToPath } from 'url';
+
+// The league suites run against the recorded fixtures in test/fixtures unless
+// SDV_FIXTURES says otherwise, e.g. `SDV_FIXTURES=record npm test` to refresh them.
+process.env.SDV_FIXTURES ||= 'replay';
+process.env.SDV_FIXTURES_DIR ||= fileURLToPath(new URL('../fixtures', import.meta.url));
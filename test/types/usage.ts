@@ -0,0 +1,85 @@
+// Compiled by `npm run test:types` to check the published typings against typical usage.
+import sdv, { createApiServer, createClient, createMockServer, executeGraphql, flattenBoxScore, footballPlays, loadSeason, NotFoundError, runExpectancyMatrix, SdvError, tableSchema, tidyBasketballPlays, updateWarehouse, writeTable } from '../../server.js';
+import type { Drive, GameBoxScore, MlbPlay, NbaSummary, NcaaScoreboard, Schedule, Scoreboard } from '../../server.js';
+
+async function main(): Promise<void> {
+    const client = createClient({ timeout: 5000, retry: { attempts: 2 }, cache: { store: 'memory', ttl: { live: 5000 } } });
+
+    const summary: NbaSummary = await sdv.nba.getSummary(401283399);
+    const home = summary.header.competitions[0].competitors.find((c) => c.homeAway === 'home');
+    const name: string | undefined = home?.team.displayName;
+
+    const pbp = await client.nfl.getPlayByPlay(401220403);
+    const drives: Drive[] = pbp.drives.previous ?? [];
+    const yards: number[] = drives.flatMap((drive) => drive.plays.map((play) => play.statYardage ?? 0));
+
+    const box: GameBoxScore = await client.wnba.getBoxScore('401244185');
+    const starters = box.players?.[0].statistics[0].athletes.filter((a) => a.starter).map((a) => a.athlete.id);
+
+    const rows = await client.mbb.getTidyPlayByPlay(401260281);
+    const threes = rows.filter((row) => row.shotValue === 3 && row.shotMade).map((row) => row.gameSecondsElapsed);
+    const retidied = tidyBasketballPlays(await client.nba.getPlayByPlay(401283399), { league: 'nba' });
+    const stints = await client.wnba.getLineupStints(401244185);
+    const fives = stints.filter((stint) => stint.seconds > 60).map((stint) => stint.homePlayerIds.join('-'));
+    const points = (await client.wbb.getPossessions(401264909)).reduce((sum, possession) => sum + possession.points, 0);
+    const passers = (await client.nfl.getTidyPlayByPlay(401220403)).filter((row) => row.playType === 'pass').map((row) => row.passerName);
+    const driveIds = footballPlays(await client.cfb.getPlayByPlay(401256194)).map((play) => play.driveId);
+
+    const slot = (await client.nhl.getShotAttempts(401272446)).filter((attempt) => attempt.distance !== null && attempt.distance < 20);
+    const evenStrength = (await client.nhl.getShotMetrics(401272446)).teams.filter((row) => row.strength === '5v5').map((row) => row.cfPct);
+
+    const mlb = await client.mlb.getPlayByPlay(401472105);
+    const velocities = mlb.plays.filter((p: MlbPlay) => p.summaryType === 'P').map((p) => p.pitchVelocity);
+    const twoStrikes = (await client.mlb.getPitches(401472105)).filter((pitch) => pitch.strikes === 2).map((pitch) => pitch.velocity);
+    const loaded = (await client.mlb.getPlateAppearances(401472105)).filter((appearance) => appearance.baseStateBefore === '123');
+    const matrix = runExpectancyMatrix([mlb]);
+    const clutch = (await client.mlb.getAnnotatedPlateAppearances(401472105, { matrix })).filter((appearance) => (appearance.wpa ?? 0) > 0.1);
+
+    const timeOnIce = (await client.nhl.getTidyBoxScore(401272446)).players.filter((row) => row.category === 'forwards').map((row) => row.toi);
+    const fieldGoals = flattenBoxScore(await client.nba.getBoxScore(401283399)).teams.map((row) => row.fieldGoalsMade);
+
+    const scoreboard: Scoreboard = await client.cfb.getScoreboard({ year: 2020, month: 10, day: 31, groups: 80 });
+    const neutral = (await client.nfl.getSeasonGames({ season: 2020, seasonType: 2 })).filter((game) => game.neutralSite).map((game) => game.week);
+    const { failed } = await loadSeason(client, { league: 'mbb', season: 2021, kinds: ['pbp', 'box'], onProgress: (event) => event.error?.status });
+    const exported = await writeTable(timeOnIce.map((toi) => ({ toi })), 'box/401272446.parquet', { types: { toi: 'integer' } });
+    const columns = tableSchema(await client.nba.getSeasonGames({ season: 2021 })).filter((column) => column.type === 'boolean');
+    const loadedGames = (await updateWarehouse(client, { league: 'nba', start: '2021-05-10', end: new Date(2021, 4, 16), file: 'nba.sqlite' })).loaded;
+    const api = await createApiServer({ client, port: 3000, cors: false }).listen();
+    const boxScores = (await executeGraphql(client, { query: 'query ($ids: [ID!]!) { games(league: nba, ids: $ids) { boxScore { players { athlete { displayName } } } } }', variables: { ids: ['401283399'] } })).data?.games;
+    const gameRoutes = api.routes.filter((route) => route.path.includes('/games/{id}')).map((route) => route.path);
+    const ncaa: NcaaScoreboard = await client.ncaa.getScoreboard({ sport: 'basketball-men', division: 'd1', year: 2021, month: 2, day: 15 });
+    const week: Scoreboard = await client.nfl.getScoreboard({ start: '2020-11-26', end: new Date(2020, 10, 30), limit: 50 });
+    const today: Schedule = await client.nba.getSchedule(new Date());
+    const days = await client.ncaa.getScoreboard({ sport: 'football', division: 'fbs', start: { year: 2020, month: 10, day: 30 }, end: '2020-10-31' });
+    const recruits = await client.mbb.getPlayerRankings({ year: 2021, position: 'PG' });
+    const team = await client.nfl.getTeamInfo({ id: 16 });
+    const weekly = await client.nfl.getWeeklySchedule({ week: 2, year: 2023, seasonType: 2 });
+    const tennis = await client.tennis.getScoreboard({ league: 'wta' });
+    const sports = await client.ncaa.getSports();
+    const gameId: number = await client.ncaa.getRedirectUrl('/game/basketball-men/d3/2019/02/15/emory-rochester');
+
+    const validated = createClient({ validate: { mode: 'lenient', onDrift: (warning) => warning.issues.map((issue) => issue.path) } });
+
+    const mock = await createMockServer({ dir: 'test/fixtures', port: 0 }).listen();
+    const offline = createClient({ mockServer: mock.url, rateLimit: false });
+    await mock.close();
+
+    try {
+        await client.nba.getSummary(1);
+    } catch (err) {
+        if (err instanceof NotFoundError) {
+            const where: string | undefined = `${err.league}.${err.method} ${err.status}`;
+        } else if (err instanceof SdvError) {
+            const url: string | undefined = err.url;
+        }
+    }
+
+    // @ts-expect-error nfl.getTeamInfo takes an options object
+    await client.nfl.getTeamInfo(16);
+    // @ts-expect-error unknown fixture mode
+    createClient({ fixtures: { mode: 'rewind' } });
+
+    void [validated, name, yards, starters, threes, retidied, fives, points, driveIds, passers, slot, evenStrength, velocities, twoStrikes, loaded, clutch, timeOnIce, fieldGoals, scoreboard, neutral, failed, exported, columns, loadedGames, boxScores, gameRoutes, ncaa, week, today, days, recruits, team, weekly, tennis, sports, gameId, offline];
+}
+
+void main;
@@ -0,0 +1,130 @@
+import should from 'should';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import app from '../app/app.js';
+import { InvalidArgumentError } from '../app/utils/errors.js';
+import { openWarehouse, updateWarehouse } from '../app/utils/warehouse.js';
+
+describe('Warehouse', () => {
+
+    let dir;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'sdv-warehouse-'));
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should load the games of a date range with their box scores, plays and standings', async () => {
+        const file = path.join(dir, 'nba.sqlite');
+        const progress = [];
+        const result = await updateWarehouse(app, {
+            league: 'nba', start: '2021-05-10', end: '2021-05-16', standings: 2020, file, onProgress: (event) => progress.push(event)
+        });
+        should(result).have.properties({ file, games: 2, loaded: 1, skipped: 0, pending: 0 });
+        should(result.standings).be.above(0);
+        // the fixtures hold the box score and plays of one of the two games
+        should(result.failed.map((failure) => [failure.gameId, failure.kind])).eql([['401283400', 'box'], ['401283400', 'pbp']]);
+        should(progress.map((event) => event.status).sort()).eql(['done', 'failed']);
+
+        const warehouse = await openWarehouse(file);
+        try {
+            const { db } = warehouse;
+            should(db.prepare('SELECT id, league, season, season_type, completed, home_team_id, home_score FROM games ORDER BY id').all()).eql([
+                { id: '401283399', league: 'nba', season: 2021, season_type: 2, completed: 1, home_team_id: '16', home_score: 101 },
+                { id: '401283400', league: 'nba', season: 2021, season_type: 2, completed: 1, home_team_id: '5', home_score: 99 }
+            ]);
+            should(db.prepare('SELECT abbreviation FROM teams WHERE league = ? AND id = ?').pluck().get('nba', '5')).equal('CLE');
+            should(db.prepare('SELECT count(*) FROM plays WHERE game_id = ?').pluck().get('401283399')).be.above(0);
+            const box = db.prepare('SELECT * FROM player_box WHERE game_id = ? ORDER BY athlete_id').all('401283399');
+            should(box.length).be.above(0);
+            should(JSON.parse(box[0].stats)).have.property('points');
+            should(db.prepare('SELECT count(*) FROM athletes').pluck().get()).equal(new Set(box.map((row) => row.athlete_id)).size);
+            should(db.prepare('SELECT count(*) FROM team_box WHERE game_id = ?').pluck().get('401283399')).equal(2);
+            should(db.prepare("SELECT json_extract(stats, '$.wins') = wins FROM standings LIMIT 1").pluck().get()).equal(1);
+            should([...warehouse.loadedGames('nba')]).eql(['401283399']);
+        } finally {
+            warehouse.close();
+        }
+    });
+
+    it('should upsert by id and only fetch games that are not loaded', async () => {
+        const calls = [];
+        const scoreboard = (status) => ({
+            season: { year: 2021 },
+            events: [{
+                id: '1',
+                date: '2021-05-16T23:30Z',
+                season: { year: 2021, type: 2 },
+                competitions: [{
+                    status: { type: { name: status, completed: status === 'STATUS_FINAL' } },
+                    competitors: [{ homeAway: 'home', score: '3', team: { id: '16', abbreviation: 'MIN' } }, { homeAway: 'away', score: '2', team: { id: '5' } }]
+                }]
+            }]
+        });
+        let status = 'STATUS_IN_PROGRESS';
+        const client = {
+            nba: {
+                getScoreboard: async (params) => {
+                    calls.push(`scoreboard:${params.start}:${params.end}`);
+                    return params.start === '2021-05-16' ? scoreboard(status) : { events: [] };
+                },
+                getBoxScore: async (id) => {
+                    calls.push(`box:${id}`);
+                    return { teams: [{ team: { id: '16' }, homeAway: 'home', statistics: [{ name: 'points', displayValue: '3' }] }] };
+                },
+                getPlayByPlay: async (id) => {
+                    calls.push(`pbp:${id}`);
+                    return { plays: [{ id: '11', sequenceNumber: '1', period: { number: 1 }, text: 'Tip', team: { id: '16' } }] };
+                }
+            }
+        };
+        const warehouse = await openWarehouse(':memory:');
+        const options = { league: 'nba', start: '2021-05-09', end: '2021-05-16', standings: false, warehouse };
+        should(await updateWarehouse(client, options)).have.properties({ games: 1, loaded: 0, pending: 1 });
+        should(calls).eql(['scoreboard:2021-05-09:2021-05-15', 'scoreboard:2021-05-16:2021-05-16']);
+
+        status = 'STATUS_FINAL';
+        calls.length = 0;
+        should(await updateWarehouse(client, options)).have.properties({ games: 1, loaded: 1, pending: 0 });
+        should(calls.slice(2)).eql(['box:1', 'pbp:1']);
+        calls.length = 0;
+        should(await updateWarehouse(client, options)).have.properties({ loaded: 0, skipped: 1 });
+        should(calls).have.length(2);
+        await updateWarehouse(client, { ...options, refresh: true });
+
+        const { db } = warehouse;
+        should(db.prepare('SELECT status, completed, home_score FROM games').all()).eql([{ status: 'STATUS_FINAL', completed: 1, home_score: 3 }]);
+        should(db.prepare('SELECT count(*) FROM plays').pluck().get()).equal(1);
+        should(JSON.parse(db.prepare('SELECT stats FROM team_box').pluck().get())).eql({ points: 3 });
+        warehouse.close();
+    });
+
+    it('should store the flags of box score players in their own columns and the rest as stats', async () => {
+        const boxScore = {
+            teams: [{ team: { id: '16', abbreviation: 'MIN' }, homeAway: 'home', statistics: [] }],
+            players: [{
+                team: { id: '16', abbreviation: 'MIN' },
+                statistics: [{ keys: ['points'], athletes: [{ athlete: { id: '1', displayName: 'Minnesota Guard' }, ejected: true, stats: ['12'] }] }]
+            }]
+        };
+        const warehouse = await openWarehouse(':memory:');
+        try {
+            warehouse.upsertBoxScore('nba', boxScore, '1');
+            const row = warehouse.db.prepare('SELECT ejected, did_not_play, stats FROM player_box').get();
+            should(row).have.properties({ ejected: 1, did_not_play: 0 });
+            should(JSON.parse(row.stats)).eql({ points: 12 });
+        } finally {
+            warehouse.close();
+        }
+    });
+
+    it('should reject unknown leagues and missing dates', async () => {
+        await should(updateWarehouse(app, { league: 'tennis', start: '2021-05-16' })).be.rejectedWith(InvalidArgumentError, { argument: 'league' });
+        await should(updateWarehouse(app, { league: 'nba' })).be.rejectedWith(InvalidArgumentError, { argument: 'start' });
+    });
+
+});
@@ -0,0 +1,64 @@
+import type {
+    Conferences, DateArgument, DateOptions, GameBoxScore, PlayerRankingsOptions, RecruitRanking, Schedule,
+    Scoreboard, SeasonGame, SeasonGamesOptions,
+    SchoolCommit, SchoolRanking, Standings, TeamInfo, TeamList, Team
+} from './espn.js';
+import type { FlatBoxScore, FootballPlayRow } from './pbp.js';
+import type { NflPicks, NflPlayByPlay, NflSummary } from './nfl.js';
+
+export type CfbPlayByPlay = NflPlayByPlay;
+export type CfbSummary = NflSummary;
+export type CfbPicks = NflPicks;
+
+/** A poll of `getRankings`. */
+export interface CfbPoll {
+    id: string;
+    name: string;
+    shortName?: string;
+    type?: string;
+    ranks: {
+        current: number;
+        previous: number;
+        points: number;
+        firstPlaceVotes: number;
+        trend?: string;
+        team: Pick<Team, 'id' | 'name' | 'abbreviation'> & { [key: string]: unknown };
+        recordSummary?: string;
+        [key: string]: unknown;
+    }[];
+    [key: string]: unknown;
+}
+
+export interface CfbRankings {
+    content?: { rankings?: { rankings: CfbPoll[] }; [key: string]: unknown };
+    [key: string]: unknown;
+}
+
+/** Schedule and scoreboard filters; `groups` 80 is FBS, 81 FCS. */
+export interface CfbDateOptions extends DateOptions {
+    groups?: number;
+    seasontype?: 1 | 2 | 3;
+}
+
+/** Operations for College Football. */
+export interface CfbService {
+    getPlayByPlay(id: number | string): Promise<CfbPlayByPlay>;
+    getTidyPlayByPlay(id: number | string): Promise<FootballPlayRow[]>;
+    getBoxScore(id: number | string): Promise<GameBoxScore>;
+    getTidyBoxScore(id: number | string): Promise<FlatBoxScore>;
+    getSummary(id: number | string): Promise<CfbSummary>;
+    getPicks(id: number | string): Promise<CfbPicks>;
+    getPlayerRankings(options: PlayerRankingsOptions): Promise<RecruitRanking[]>;
+    getSchoolRankings(year: number | string, page?: number): Promise<SchoolRanking[]>;
+    /** `school` is the 247Sports subdomain of the school, e.g. `'floridastate'`. */
+    getSchoolCommits(school: string, year: number | string): Promise<SchoolCommit[]>;
+    getRankings(options?: { year?: number; week?: number }): Promise<CfbRankings>;
+    getSchedule(options?: DateArgument<CfbDateOptions>): Promise<Schedule>;
+    getScoreboard(options?: DateArgument<CfbDateOptions & { limit?: number }>): Promise<Scoreboard>;
+    getSeasonGames(options: SeasonGamesOptions & { groups?: number }): Promise<SeasonGame[]>;
+    getConferences(options?: { year?: number; group?: number }): Promise<Conferences>;
+    getStandings(options?: { year?: number; group?: number }): Promise<Standings>;
+    getTeamList(options?: { group?: number }): Promise<TeamList>;
+    getTeamInfo(id: number | string): Promise<TeamInfo>;
+    getTeamPlayers(id: number | string): Promise<TeamInfo>;
+}
@@ -0,0 +1,507 @@
+/**
+ * Shapes of the ESPN payloads the services return or build their results from.
+ * Only the commonly used fields are modelled; every object keeps the rest of
+ * the upstream fields reachable through its index signature.
+ */
+
+/** Date given as separate parts, e.g. `{ year: 2021, month: 2, day: 15 }`. */
+export interface DateParts {
+    year?: number | string;
+    month?: number | string;
+    day?: number | string;
+}
+
+/** A single day: a `Date` (read in local time), an ISO `'YYYY-MM-DD'` string or its parts. */
+export type DateInput = Date | string | { year: number | string; month: number | string; day: number | string };
+
+/** The day of a date-taking method as parts or as `date`, or an inclusive `start`/`end` range. */
+export interface DateOptions extends DateParts {
+    date?: DateInput;
+    start?: DateInput;
+    end?: DateInput;
+}
+
+/** Options of a date-taking method, or just its day as a `Date` or ISO string. */
+export type DateArgument<T = {}> = Date | string | (DateOptions & T);
+
+/** Season of `getSeasonGames`; `seasonType` 1 is the preseason, 2 the regular season and 3 the postseason, all of them by default. */
+export interface SeasonGamesOptions {
+    season: number | string;
+    seasonType?: 1 | 2 | 3 | 4;
+}
+
+/** A game of `getSeasonGames`. */
+export interface SeasonGame {
+    id: string;
+    date: string | null;
+    season: number;
+    seasonType: number | null;
+    /** Week of the season in football, null in other leagues. */
+    week: number | null;
+    /** ESPN status name, e.g. `'STATUS_FINAL'`. */
+    status: string | null;
+    completed: boolean;
+    homeTeamId: string | null;
+    awayTeamId: string | null;
+    neutralSite: boolean;
+}
+
+export interface Logo {
+    href: string;
+    width?: number;
+    height?: number;
+    [key: string]: unknown;
+}
+
+export interface Team {
+    id: string;
+    uid?: string;
+    location?: string;
+    name?: string;
+    abbreviation?: string;
+    displayName?: string;
+    shortDisplayName?: string;
+    color?: string;
+    alternateColor?: string;
+    logos?: Logo[];
+    [key: string]: unknown;
+}
+
+export interface Athlete {
+    id: string;
+    displayName?: string;
+    shortName?: string;
+    fullName?: string;
+    firstName?: string;
+    lastName?: string;
+    jersey?: string;
+    position?: { name?: string; abbreviation?: string; [key: string]: unknown };
+    [key: string]: unknown;
+}
+
+export interface StatusType {
+    id: string;
+    name: string;
+    state: 'pre' | 'in' | 'post' | string;
+    completed: boolean;
+    description?: string;
+    detail?: string;
+    shortDetail?: string;
+}
+
+export interface Status {
+    clock?: number;
+    displayClock?: string;
+    period?: number;
+    type: StatusType;
+    [key: string]: unknown;
+}
+
+export interface Competitor {
+    id: string;
+    uid?: string;
+    order?: number;
+    homeAway: 'home' | 'away';
+    winner?: boolean;
+    team: Team;
+    score?: string;
+    linescores?: { displayValue?: string; value?: number; [key: string]: unknown }[];
+    record?: { type?: string; summary?: string; displayValue?: string; [key: string]: unknown }[];
+    [key: string]: unknown;
+}
+
+export interface Competition {
+    id: string;
+    uid?: string;
+    date: string;
+    neutralSite?: boolean;
+    conferenceCompetition?: boolean;
+    boxscoreAvailable?: boolean;
+    competitors: Competitor[];
+    status?: Status;
+    [key: string]: unknown;
+}
+
+export interface Season {
+    year: number;
+    type: number;
+    slug?: string;
+    [key: string]: unknown;
+}
+
+export interface GameHeader {
+    id: string;
+    uid?: string;
+    season: Season;
+    week?: number;
+    competitions: Competition[];
+    league?: { id: string; name?: string; abbreviation?: string; slug?: string; [key: string]: unknown };
+    [key: string]: unknown;
+}
+
+export interface PlayParticipant {
+    athlete: { id: string; [key: string]: unknown };
+    type?: string;
+    playerType?: string;
+    [key: string]: unknown;
+}
+
+/** A play of a basketball, hockey or baseball game. */
+export interface Play {
+    id: string;
+    sequenceNumber?: string;
+    type: { id: string; text: string; [key: string]: unknown };
+    text?: string;
+    awayScore: number;
+    homeScore: number;
+    period: { number: number; displayValue?: string; type?: string; [key: string]: unknown };
+    clock?: { displayValue: string; [key: string]: unknown };
+    scoringPlay?: boolean;
+    scoreValue?: number;
+    shootingPlay?: boolean;
+    team?: { id: string; [key: string]: unknown };
+    participants?: PlayParticipant[];
+    coordinate?: { x: number; y: number };
+    wallclock?: string;
+    [key: string]: unknown;
+}
+
+export interface FieldPosition {
+    down?: number;
+    distance?: number;
+    yardLine?: number;
+    yardsToEndzone?: number;
+    downDistanceText?: string;
+    shortDownDistanceText?: string;
+    possessionText?: string;
+    team?: { id: string; [key: string]: unknown };
+    [key: string]: unknown;
+}
+
+/** A play of a football drive. */
+export interface FootballPlay extends Play {
+    start?: FieldPosition;
+    end?: FieldPosition;
+    statYardage?: number;
+}
+
+export interface Drive {
+    id: string;
+    description?: string;
+    team?: Team;
+    start?: { period?: { number: number }; clock?: { displayValue: string }; yardLine?: number; text?: string; [key: string]: unknown };
+    end?: { period?: { number: number }; clock?: { displayValue: string }; yardLine?: number; text?: string; [key: string]: unknown };
+    timeElapsed?: { displayValue: string };
+    yards?: number;
+    isScore?: boolean;
+    offensivePlays?: number;
+    result?: string;
+    displayResult?: string;
+    plays: FootballPlay[];
+    [key: string]: unknown;
+}
+
+export interface Drives {
+    previous?: Drive[];
+    current?: Drive;
+    [key: string]: unknown;
+}
+
+export interface ScoringPlay {
+    id: string;
+    type: { id: string; text: string; [key: string]: unknown };
+    text?: string;
+    awayScore: number;
+    homeScore: number;
+    period: { number: number };
+    clock?: { displayValue: string };
+    team?: Team;
+    [key: string]: unknown;
+}
+
+export interface BoxScoreStatistic {
+    name: string;
+    displayValue: string;
+    label?: string;
+    [key: string]: unknown;
+}
+
+export interface BoxScoreTeam {
+    team: Team;
+    homeAway?: 'home' | 'away';
+    statistics: BoxScoreStatistic[];
+    [key: string]: unknown;
+}
+
+export interface BoxScoreAthlete {
+    athlete: Athlete;
+    starter?: boolean;
+    active?: boolean;
+    didNotPlay?: boolean;
+    ejected?: boolean;
+    stats: string[];
+    [key: string]: unknown;
+}
+
+/** One table of player statistics; `stats` of each athlete line up with `keys` and `labels`. */
+export interface BoxScoreStatGroup {
+    name?: string;
+    type?: string;
+    text?: string;
+    names?: string[];
+    keys?: string[];
+    labels?: string[];
+    descriptions?: string[];
+    athletes: BoxScoreAthlete[];
+    totals?: string[];
+    [key: string]: unknown;
+}
+
+export interface BoxScorePlayers {
+    team: Team;
+    statistics: BoxScoreStatGroup[];
+    [key: string]: unknown;
+}
+
+export interface BoxScore {
+    teams?: BoxScoreTeam[];
+    players?: BoxScorePlayers[];
+    [key: string]: unknown;
+}
+
+/** Box score as returned by `getBoxScore`, with the game id added. */
+export interface GameBoxScore extends BoxScore {
+    id: number;
+}
+
+export interface WinProbability {
+    playId: string;
+    homeWinPercentage: number;
+    tiePercentage?: number;
+    [key: string]: unknown;
+}
+
+export interface GameInfo {
+    venue?: { id?: string; fullName?: string; address?: { city?: string; state?: string }; [key: string]: unknown };
+    attendance?: number;
+    officials?: unknown[];
+    [key: string]: unknown;
+}
+
+export interface Leaders {
+    team?: Team;
+    leaders: {
+        name: string;
+        displayName?: string;
+        leaders: { displayValue: string; athlete: Athlete; [key: string]: unknown }[];
+        [key: string]: unknown;
+    }[];
+    [key: string]: unknown;
+}
+
+export interface SeasonSeries {
+    type?: string;
+    title?: string;
+    summary?: string;
+    completed?: boolean;
+    totalCompetitions?: number;
+    [key: string]: unknown;
+}
+
+/** Standings groups embedded in game payloads. */
+export interface GameStandings {
+    groups?: {
+        header?: string;
+        standings?: { entries: { team: string; id?: string; stats: { name: string; displayValue: string }[] }[] };
+        [key: string]: unknown;
+    }[];
+    [key: string]: unknown;
+}
+
+export interface Odds {
+    provider?: { id: string; name: string; [key: string]: unknown };
+    details?: string;
+    overUnder?: number;
+    spread?: number;
+    [key: string]: unknown;
+}
+
+export interface AgainstTheSpread {
+    team: Team;
+    records: { summary?: string; [key: string]: unknown }[];
+    [key: string]: unknown;
+}
+
+/** Fields shared by every `getPlayByPlay` result. */
+export interface PlayByPlayBase {
+    id: string | number;
+    teams: Competitor[];
+    competitions: Competition[];
+    season: Season;
+    boxScore: BoxScore;
+}
+
+/** Fields shared by every `getPicks` result. */
+export interface Picks {
+    id: number;
+    gameInfo: GameInfo;
+    leaders: Leaders[];
+    header: GameHeader;
+    teams: Competitor[];
+    competitions: Competition[];
+    winProbability?: WinProbability[];
+    /** Carries the same win probability series as `winProbability`. */
+    pickcenter?: WinProbability[];
+    againstTheSpread?: AgainstTheSpread[];
+    odds?: Odds[];
+    season: Season;
+    standings: GameStandings;
+}
+
+export interface ScoreboardEvent {
+    id: string;
+    uid?: string;
+    date: string;
+    name?: string;
+    shortName?: string;
+    season?: { year: number; type: number; slug?: string };
+    week?: { number: number };
+    competitions: Competition[];
+    status?: Status;
+    [key: string]: unknown;
+}
+
+/** A week or period of a list calendar (football), or a date string of a day calendar. */
+export interface CalendarEntry {
+    label: string;
+    value: string;
+    startDate: string;
+    endDate: string;
+    entries?: CalendarEntry[];
+    [key: string]: unknown;
+}
+
+export interface ScoreboardLeague {
+    id: string;
+    uid?: string;
+    name?: string;
+    abbreviation?: string;
+    slug?: string;
+    season?: { year: number; startDate?: string; endDate?: string; type?: { id: string; type: number; name?: string } };
+    calendarType?: 'day' | 'list' | string;
+    calendar?: string[] | CalendarEntry[];
+    [key: string]: unknown;
+}
+
+export interface Scoreboard {
+    leagues: ScoreboardLeague[];
+    season?: { type: number; year: number };
+    week?: { number: number };
+    day?: { date: string };
+    events: ScoreboardEvent[];
+    [key: string]: unknown;
+}
+
+/** Schedule keyed by `YYYYMMDD` date. */
+export interface Schedule {
+    [date: string]: { calendar?: unknown[]; games: ScoreboardEvent[]; [key: string]: unknown };
+}
+
+export interface StandingsStat {
+    name: string;
+    displayName?: string;
+    abbreviation?: string;
+    value?: number;
+    displayValue: string;
+    [key: string]: unknown;
+}
+
+export interface StandingsEntry {
+    team: Team;
+    stats: StandingsStat[];
+    [key: string]: unknown;
+}
+
+export interface Standings {
+    id?: string;
+    uid?: string;
+    name?: string;
+    abbreviation?: string;
+    children?: Standings[];
+    standings?: { id?: string; name?: string; season?: number; seasonType?: number; entries: StandingsEntry[]; [key: string]: unknown };
+    [key: string]: unknown;
+}
+
+export interface TeamList {
+    sports: {
+        id: string;
+        name?: string;
+        slug?: string;
+        leagues: { id: string; name?: string; abbreviation?: string; slug?: string; teams: { team: Team }[]; [key: string]: unknown }[];
+        [key: string]: unknown;
+    }[];
+    [key: string]: unknown;
+}
+
+export interface TeamInfo {
+    team: Team & {
+        record?: { items: { description?: string; type?: string; summary: string; stats?: { name: string; value: number }[] }[] };
+        franchise?: { id: string; displayName?: string; [key: string]: unknown };
+        athletes?: Athlete[];
+    };
+    [key: string]: unknown;
+}
+
+export interface Conferences {
+    conferences: { groupId: string; name: string; shortName?: string; logo?: string; parentGroupId?: string; [key: string]: unknown }[];
+    [key: string]: unknown;
+}
+
+/** A recruit scraped from the 247Sports composite rankings. */
+export interface RecruitRanking {
+    ranking: number;
+    name: string;
+    highSchool: string;
+    position: string;
+    height: string;
+    weight: string;
+    stars: number;
+    rating: string;
+    /** Committed school, `'uncommitted'` when none. */
+    college: string;
+}
+
+/** A school scraped from the 247Sports composite team rankings. */
+export interface SchoolRanking {
+    rank: string;
+    school: string;
+    totalCommits: string;
+    fiveStars: string;
+    fourStars: string;
+    threeStars: string;
+    averageRating: string;
+    points: string;
+}
+
+/** A commit scraped from a school's 247Sports commits page. */
+export interface SchoolCommit {
+    name: string;
+    highSchool: string;
+    position: string;
+    height: string;
+    weight: string;
+    stars: number;
+    rating: string;
+    nationalRank: string;
+    stateRank: string;
+    positionRank: string;
+}
+
+export interface PlayerRankingsOptions {
+    year: number | string;
+    /** 50 recruits per page. */
+    page?: number;
+    group?: 'HighSchool' | 'JuniorCollege' | 'PrepSchool' | string;
+    position?: string | null;
+    state?: string | null;
+}
@@ -0,0 +1,440 @@
+import type { Server } from 'http';
+import type { CfbService } from './cfb.js';
+import type { BoxScore, DateInput, Scoreboard } from './espn.js';
+import type { MbbService } from './mbb.js';
+import type { MlbService } from './mlb.js';
+import type { NbaService } from './nba.js';
+import type { NcaaService } from './ncaa.js';
+import type { NflService } from './nfl.js';
+import type { NhlService } from './nhl.js';
+import type { TennisService } from './tennis.js';
+import type { WbbService } from './wbb.js';
+import type { WnbaService } from './wnba.js';
+
+export * from './espn.js';
+export * from './cfb.js';
+export * from './mbb.js';
+export * from './mlb.js';
+export * from './models.js';
+export * from './nba.js';
+export * from './ncaa.js';
+export * from './nfl.js';
+export * from './nhl.js';
+export * from './pbp.js';
+export * from './tennis.js';
+export * from './wbb.js';
+export * from './wnba.js';
+
+/** Request handed to a transport and to `beforeRequest` hooks. */
+export interface TransportRequest {
+    method: string;
+    url: string;
+    params?: { [key: string]: unknown };
+    headers: { [name: string]: string };
+    timeout: number;
+    proxy?: unknown;
+    /** Cache class of the request, `'game'` or `'reference'`. */
+    kind?: 'game' | 'reference';
+}
+
+export interface TransportResponse<T = unknown> {
+    status: number;
+    headers: { [name: string]: unknown };
+    data: T;
+    /** Final url after redirects. */
+    url: string;
+    /** Set when the response came from the cache. */
+    cached?: boolean;
+}
+
+/** Performs one request; errors are axios-shaped (`error.response.status`, `error.code`). */
+export type Transport = (request: TransportRequest) => Promise<TransportResponse>;
+
+type Hook<T extends unknown[], R> = ((...args: T) => R | void | Promise<R | void>) | ((...args: T) => R | void | Promise<R | void>)[];
+
+export interface Hooks {
+    beforeRequest?: Hook<[TransportRequest], TransportRequest>;
+    afterResponse?: Hook<[TransportResponse, TransportRequest], TransportResponse>;
+    beforeError?: Hook<[SdvError, TransportRequest], Error>;
+}
+
+export interface RetryOptions {
+    attempts?: number;
+    minDelay?: number;
+    maxDelay?: number;
+    factor?: number;
+    jitter?: boolean;
+    maxRetryAfter?: number;
+    statuses?: number[];
+    codes?: string[];
+    onRetry?: ((event: { error: Error; request: TransportRequest; attempt: number; delay: number }) => void) | null;
+}
+
+export interface RateLimit {
+    requestsPerSecond?: number;
+    burst?: number;
+    concurrency?: number;
+}
+
+export interface RateLimitOptions {
+    default?: RateLimit;
+    hosts?: { [host: string]: RateLimit };
+}
+
+/** Cache store; every method may return a promise. */
+export interface CacheStore {
+    get(key: string): unknown | Promise<unknown>;
+    set(key: string, value: unknown, ttl: number): void | Promise<void>;
+    delete(key: string): void | Promise<void>;
+    clear(): void | Promise<void>;
+}
+
+export interface CacheTtl {
+    default?: number;
+    reference?: number;
+    live?: number;
+    final?: number;
+}
+
+export interface CacheOptions {
+    store?: 'memory' | 'filesystem' | CacheStore;
+    ttl?: CacheTtl;
+    maxEntries?: number;
+    dir?: string;
+}
+
+export interface FixtureOptions {
+    mode?: 'replay' | 'record' | 'auto';
+    dir?: string;
+}
+
+/** A field of a result that no longer matches its schema; array items share a `[]` path. */
+export interface SchemaIssue {
+    path: string;
+    problem: 'missing' | 'unexpected' | 'type';
+    expected?: string;
+    actual?: string;
+}
+
+export interface ValidationOptions {
+    mode?: 'strict' | 'lenient';
+    /** Receives drift in lenient mode instead of `process.emitWarning`. */
+    onDrift?: (warning: SchemaDriftWarning) => void;
+}
+
+export interface ClientOptions {
+    timeout?: number;
+    userAgent?: string | null;
+    headers?: { [name: string]: string };
+    proxy?: unknown;
+    hosts?: { [host: string]: string };
+    hooks?: Hooks;
+    retry?: RetryOptions | false;
+    rateLimit?: RateLimitOptions | false;
+    cache?: CacheOptions | boolean;
+    fixtures?: FixtureOptions | false;
+    mockServer?: string | null;
+    validate?: 'strict' | 'lenient' | ValidationOptions | boolean;
+    transport?: Transport;
+}
+
+export interface Client {
+    cfb: CfbService;
+    mbb: MbbService;
+    mlb: MlbService;
+    nba: NbaService;
+    ncaa: NcaaService;
+    nfl: NflService;
+    nhl: NhlService;
+    tennis: TennisService;
+    wbb: WbbService;
+    wnba: WnbaService;
+}
+
+export function createClient(options?: ClientOptions): Client;
+
+export function createMemoryCache(options?: { maxEntries?: number }): CacheStore & { size(): number };
+
+export function createFileCache(options?: { dir?: string }): CacheStore;
+
+export interface MockServer {
+    server: Server;
+    /** Base url once listening, e.g. `http://127.0.0.1:4000`. */
+    url: string | null;
+    listen(): Promise<MockServer>;
+    close(): Promise<void>;
+}
+
+export function createMockServer(options: { dir: string; port?: number; host?: string }): MockServer;
+
+export interface ApiQueryParameter {
+    type: 'integer' | 'string' | 'date' | 'boolean';
+    description?: string;
+    enum?: (string | number)[];
+    required?: boolean;
+}
+
+export interface ApiRoute {
+    /** OpenAPI form, e.g. `/nba/games/{id}/pbp`. */
+    path: string;
+    namespace: keyof Client;
+    method: string;
+    summary: string;
+    query: Record<string, ApiQueryParameter>;
+    args(params: Record<string, string | number>, query: Record<string, unknown>): unknown[];
+}
+
+export function apiRoutes(client: Client): ApiRoute[];
+
+export function openApiDocument(routes: ApiRoute[]): Record<string, unknown>;
+
+export interface ApiServer {
+    server: Server;
+    /** Base url once listening, e.g. `http://127.0.0.1:3000`. */
+    url: string | null;
+    routes: ApiRoute[];
+    listen(): Promise<ApiServer>;
+    close(): Promise<void>;
+}
+
+/** Answers `{ error: { name, message, status, league, method, argument } }` on errors. */
+export function createApiServer(options: { client: Client; port?: number; host?: string; cors?: string | false; graphql?: boolean; onError?: (err: unknown) => void }): ApiServer;
+
+/** Schema of `executeGraphql`, in the GraphQL schema language. */
+export const GRAPHQL_SCHEMA: string;
+
+export type GraphqlLeague = 'cfb' | 'mbb' | 'mlb' | 'nba' | 'nfl' | 'nhl' | 'wbb' | 'wnba';
+
+/** A `DataLoader` of one request: one service call per distinct key. */
+export interface GraphqlLoader<K> {
+    load(key: K): Promise<any>;
+    loadMany(keys: K[]): Promise<any[]>;
+    clear(key: K): GraphqlLoader<K>;
+    clearAll(): GraphqlLoader<K>;
+}
+
+export interface GraphqlLoaders {
+    summary: GraphqlLoader<{ league: GraphqlLeague; id: string }>;
+    boxScore: GraphqlLoader<{ league: GraphqlLeague; id: string }>;
+    playByPlay: GraphqlLoader<{ league: GraphqlLeague; id: string }>;
+    teamInfo: GraphqlLoader<{ league: GraphqlLeague; id: string }>;
+    teamPlayers: GraphqlLoader<{ league: GraphqlLeague; id: string }>;
+    scoreboard: GraphqlLoader<{ league: GraphqlLeague; options: Record<string, unknown> }>;
+    standings: GraphqlLoader<{ league: GraphqlLeague; options: Record<string, unknown> }>;
+}
+
+export function createGraphqlLoaders(client: Client): Promise<GraphqlLoaders>;
+
+export interface GraphqlRequest {
+    query: string;
+    variables?: Record<string, unknown>;
+    operationName?: string;
+    /** New loaders by default. */
+    loaders?: GraphqlLoaders;
+}
+
+export interface GraphqlResult {
+    data?: Record<string, any> | null;
+    /** `GraphQLError`s; `originalError` is the error of the service. */
+    errors?: ReadonlyArray<Error & { path?: ReadonlyArray<string | number>; originalError?: Error }>;
+}
+
+export function executeGraphql(client: Client, request: GraphqlRequest): Promise<GraphqlResult>;
+
+/** Data kinds of `loadSeason` and the service method that fetches each of them. */
+export const LOAD_KINDS: { pbp: 'getPlayByPlay'; box: 'getBoxScore'; summary: 'getSummary' };
+
+export type LoadKind = keyof typeof LOAD_KINDS;
+
+export interface LoadSeasonOptions {
+    league: 'cfb' | 'mbb' | 'mlb' | 'nba' | 'nfl' | 'nhl' | 'wbb' | 'wnba';
+    season: number | string;
+    seasonType?: 1 | 2 | 3 | 4;
+    /** All of them by default. */
+    kinds?: LoadKind[];
+    /** Output directory, `'.sdv-data'` by default; the season goes to `{dir}/{league}/{season}`. */
+    dir?: string;
+    /** Games fetched at once, 4 by default. */
+    concurrency?: number;
+    onProgress?(event: { gameId: string; kind: LoadKind; status: 'done' | 'failed'; error: LoadError | null; completed: number; total: number }): void;
+}
+
+/** Error of a failed fetch, as saved in the manifest. */
+export interface LoadError {
+    name: string;
+    message: string;
+    status: number | null;
+    code: string | null;
+}
+
+export interface LoadSeasonResult {
+    /** Directory of the season. */
+    dir: string;
+    /** Path of `manifest.json`. */
+    manifest: string;
+    games: number;
+    fetched: number;
+    /** Fetches skipped because an earlier run saved them. */
+    skipped: number;
+    /** Games not completed yet, left for a later run. */
+    pending: number;
+    failed: { gameId: string; kind: LoadKind; error: LoadError }[];
+}
+
+export function loadSeason(client: Client, options: LoadSeasonOptions): Promise<LoadSeasonResult>;
+
+/** Column types of exported tables. */
+export const COLUMN_TYPES: ['boolean', 'integer', 'float', 'string', 'json', 'null'];
+
+export type ColumnType = (typeof COLUMN_TYPES)[number];
+
+export interface TableColumn {
+    /** Nested objects give dotted names, e.g. `team.id`. */
+    name: string;
+    type: ColumnType;
+}
+
+export interface TableOptions {
+    /** Overrides of the inferred column types; numbers are `'float'` unless set here. */
+    types?: Record<string, ColumnType>;
+}
+
+export type ExportFormat = 'csv' | 'ndjson' | 'arrow' | 'parquet';
+
+export function tableSchema(rows: readonly object[], options?: TableOptions): TableColumn[];
+
+export function toCsv(rows: readonly object[], options?: TableOptions): string;
+
+export function toNdjson(rows: readonly object[], options?: TableOptions): string;
+
+/** Arrow IPC file bytes, or stream bytes with `stream: true`. */
+export function toArrow(rows: readonly object[], options?: TableOptions & { stream?: boolean }): Promise<Uint8Array>;
+
+export function toParquet(rows: readonly object[], options?: TableOptions): Promise<Uint8Array>;
+
+/** Writes in the format of the file extension unless `format` is given. */
+export function writeTable(
+    rows: readonly object[],
+    file: string,
+    options?: TableOptions & { format?: ExportFormat }
+): Promise<{ file: string; format: ExportFormat; rows: number; columns: number }>;
+
+/** SQL creating the tables of the warehouse. */
+export const WAREHOUSE_SCHEMA: string;
+
+/** The parts of a `better-sqlite3` statement most queries need. */
+export interface WarehouseStatement {
+    run(...params: unknown[]): { changes: number };
+    get(...params: unknown[]): unknown;
+    all(...params: unknown[]): unknown[];
+    pluck(toggle?: boolean): WarehouseStatement;
+}
+
+/** The parts of a `better-sqlite3` database most queries need. */
+export interface WarehouseDatabase {
+    prepare(sql: string): WarehouseStatement;
+    exec(sql: string): WarehouseDatabase;
+    close(): void;
+}
+
+export interface Warehouse {
+    db: WarehouseDatabase;
+    file: string;
+    upsertGames(league: string, scoreboard: Scoreboard): number;
+    upsertBoxScore(league: string, boxScore: BoxScore, gameId: string | number): number;
+    upsertPlays(league: string, playByPlay: object, gameId: string | number): number;
+    upsertStandings(league: string, standings: object, season: number): number;
+    markLoaded(gameId: string | number): void;
+    loadedGames(league: string): Set<string>;
+    close(): void;
+}
+
+/** Opens `'.sdv-data/warehouse.sqlite'` by default, creating its tables when missing. */
+export function openWarehouse(file?: string): Promise<Warehouse>;
+
+export interface UpdateWarehouseOptions {
+    league: LoadSeasonOptions['league'];
+    start: DateInput;
+    /** `start` by default. */
+    end?: DateInput;
+    file?: string;
+    /** An open warehouse, instead of `file`, left open. */
+    warehouse?: Warehouse;
+    /** Season of the standings, the latest season of the games by default, false to skip them. */
+    standings?: number | boolean;
+    /** Load every completed game again. */
+    refresh?: boolean;
+    /** Games fetched at once, 4 by default. */
+    concurrency?: number;
+    onProgress?(event: { gameId: string; status: 'done' | 'failed'; completed: number; total: number }): void;
+}
+
+export interface UpdateWarehouseResult {
+    file: string;
+    games: number;
+    /** Games whose box score and plays were saved. */
+    loaded: number;
+    /** Completed games loaded by an earlier run. */
+    skipped: number;
+    /** Games not completed yet. */
+    pending: number;
+    /** Standings rows saved. */
+    standings: number;
+    failed: { gameId: string | null; kind: 'box' | 'pbp' | 'standings'; error: LoadError }[];
+}
+
+export function updateWarehouse(client: Client, options: UpdateWarehouseOptions): Promise<UpdateWarehouseResult>;
+
+export interface ErrorContext {
+    league?: string;
+    method?: string;
+    url?: string;
+    status?: number;
+    code?: string;
+    cause?: unknown;
+}
+
+export class SdvError extends Error {
+    constructor(message: string, context?: ErrorContext);
+    league?: string;
+    method?: string;
+    url?: string;
+    status?: number;
+    code?: string;
+}
+
+export class NotFoundError extends SdvError {}
+
+export class RateLimitedError extends SdvError {
+    constructor(message: string, context?: ErrorContext & { retryAfter?: number | null });
+    /** Milliseconds, when the upstream said. */
+    retryAfter: number | null;
+}
+
+export class TimeoutError extends SdvError {}
+
+export class UpstreamError extends SdvError {}
+
+export class UpstreamSchemaChangedError extends SdvError {
+    constructor(message: string, context?: ErrorContext & { field?: string; issues?: SchemaIssue[] });
+    field?: string;
+    issues: SchemaIssue[];
+}
+
+/** Reported in lenient validation mode when a result drifted from its schema. */
+export class SchemaDriftWarning extends Error {
+    constructor(league: string, method: string, issues: SchemaIssue[]);
+    name: 'SchemaDriftWarning';
+    code: 'SDV_SCHEMA_DRIFT';
+    league: string;
+    method: string;
+    issues: SchemaIssue[];
+}
+
+export class InvalidArgumentError extends SdvError {
+    constructor(message: string, context?: ErrorContext & { argument?: string });
+    argument?: string;
+}
+
+declare const sdv: Client;
+export default sdv;
@@ -0,0 +1,52 @@
+import type {
+    BoxScore, Conferences, DateArgument, DateOptions, GameBoxScore, GameHeader, GameInfo, GameStandings, Leaders, Picks, Play,
+    PlayByPlayBase, PlayerRankingsOptions, RecruitRanking, Schedule, Scoreboard, SeasonGame, SeasonGamesOptions,
+    SchoolCommit, SchoolRanking,
+    Standings, TeamInfo, TeamList, WinProbability
+} from './espn.js';
+import type { BasketballPlayRow, BasketballPossession, FlatBoxScore, LineupStint } from './pbp.js';
+
+export interface MbbPlayByPlay extends PlayByPlayBase {
+    id: string;
+    plays: Play[];
+}
+
+export interface MbbSummary {
+    boxScore: BoxScore;
+    gameInfo: GameInfo;
+    leaders: Leaders[];
+    winProbability?: WinProbability[];
+    header: GameHeader;
+    plays: Play[];
+    standings: GameStandings;
+}
+
+/** Schedule and scoreboard filters; `group` 50 is Division I. */
+export interface MbbDateOptions extends DateOptions {
+    group?: number;
+    seasontype?: 1 | 2 | 3;
+}
+
+/** Operations for Men's College Basketball. */
+export interface MbbService {
+    getPlayByPlay(id: number | string): Promise<MbbPlayByPlay>;
+    getTidyPlayByPlay(id: number | string): Promise<BasketballPlayRow[]>;
+    getPossessions(id: number | string): Promise<BasketballPossession[]>;
+    getLineupStints(id: number | string): Promise<LineupStint[]>;
+    getBoxScore(id: number | string): Promise<GameBoxScore>;
+    getTidyBoxScore(id: number | string): Promise<FlatBoxScore>;
+    getSummary(id: number | string): Promise<MbbSummary>;
+    getPicks(id: number | string): Promise<Picks>;
+    getPlayerRankings(options: PlayerRankingsOptions): Promise<RecruitRanking[]>;
+    getSchoolRankings(year: number | string, page?: number): Promise<SchoolRanking[]>;
+    /** `school` is the 247Sports subdomain of the school, e.g. `'floridastate'`. */
+    getSchoolCommits(school: string, year: number | string): Promise<SchoolCommit[]>;
+    getSchedule(options?: DateArgument<MbbDateOptions>): Promise<Schedule>;
+    getScoreboard(options?: DateArgument<MbbDateOptions & { limit?: number }>): Promise<Scoreboard>;
+    getSeasonGames(options: SeasonGamesOptions & { group?: number }): Promise<SeasonGame[]>;
+    getConferences(options?: { year?: number; group?: number }): Promise<Conferences>;
+    getStandings(options?: { year?: number; group?: number }): Promise<Standings>;
+    getTeamList(options?: { group?: number }): Promise<TeamList>;
+    getTeamInfo(id: number | string): Promise<TeamInfo>;
+    getTeamPlayers(id: number | string): Promise<TeamInfo>;
+}
@@ -0,0 +1,71 @@
+import type {
+    BoxScore, Competitor, Competition, DateArgument, GameBoxScore, GameHeader, GameInfo, GameStandings, Leaders,
+    Picks, Play, PlayByPlayBase, Schedule, Scoreboard, Season, SeasonGame, SeasonGamesOptions, SeasonSeries,
+    Standings, TeamInfo, TeamList, WinProbability
+} from './espn.js';
+import type { AnnotatedPlateAppearance, RunExpectancyMatrix } from './models.js';
+import type { FlatBoxScore, MlbPitch, MlbPlateAppearance } from './pbp.js';
+
+/** A baseball play: pitches (`summaryType` `'P'`), at-bat results (`'A'`) and game events. */
+export interface MlbPlay extends Play {
+    atBatId?: string;
+    atBatPitchNumber?: number;
+    summaryType?: string;
+    outs?: number;
+    pitchCount?: { balls: number; strikes: number };
+    resultCount?: { balls: number; strikes: number };
+    pitchVelocity?: number;
+    pitchType?: { id: string; text: string; abbreviation?: string };
+    pitchCoordinate?: { x: number; y: number };
+    hitCoordinate?: { x: number; y: number };
+    rbiCount?: number;
+    onFirst?: { athlete: { id: string } };
+    onSecond?: { athlete: { id: string } };
+    onThird?: { athlete: { id: string } };
+}
+
+export interface MlbPlayByPlay extends PlayByPlayBase {
+    id: string;
+    plays: MlbPlay[];
+    seasonSeries: SeasonSeries[];
+    standings: GameStandings;
+}
+
+/** The summary endpoint carries no `gamepackageJSON`, so the fields read from it are usually undefined. */
+export interface MlbSummary {
+    boxScore: BoxScore;
+    gameInfo: GameInfo;
+    header: GameHeader;
+    teams?: Competitor[];
+    id?: string;
+    plays?: MlbPlay[];
+    winProbability?: WinProbability[];
+    leaders: Leaders[];
+    competitions?: Competition[];
+    season?: Season;
+    seasonSeries?: SeasonSeries[];
+    standings?: GameStandings;
+}
+
+export interface MlbPicks extends Picks {
+    seasonSeries: SeasonSeries[];
+}
+
+/** Operations for MLB. */
+export interface MlbService {
+    getPlayByPlay(id: number | string): Promise<MlbPlayByPlay>;
+    getPlateAppearances(id: number | string): Promise<MlbPlateAppearance[]>;
+    getPitches(id: number | string): Promise<MlbPitch[]>;
+    getAnnotatedPlateAppearances(id: number | string, options?: { matrix?: RunExpectancyMatrix }): Promise<AnnotatedPlateAppearance[]>;
+    getBoxScore(id: number | string): Promise<GameBoxScore>;
+    getTidyBoxScore(id: number | string): Promise<FlatBoxScore>;
+    getSummary(id: number | string): Promise<MlbSummary>;
+    getPicks(id: number | string): Promise<MlbPicks>;
+    getSchedule(options?: DateArgument): Promise<Schedule>;
+    getScoreboard(options?: DateArgument<{ limit?: number }>): Promise<Scoreboard>;
+    getSeasonGames(options: SeasonGamesOptions): Promise<SeasonGame[]>;
+    getStandings(options?: { year?: number; group?: 'league' | 'conference' | 'division' }): Promise<Standings>;
+    getTeamList(): Promise<TeamList>;
+    getTeamInfo(id: number | string): Promise<TeamInfo>;
+    getTeamPlayers(id: number | string): Promise<TeamInfo>;
+}
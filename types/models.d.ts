@@ -0,0 +1,39 @@
+import type { BaseballGame, MlbPlateAppearance } from './pbp.js';
+
+/** Base state such as `'1_3'`, runners on first, second and third. */
+export type BaseState = '___' | '1__' | '_2_' | '__3' | '12_' | '1_3' | '_23' | '123';
+
+/** Run expectancy and probability of scoring per base state, indexed by outs (0 to 2). */
+export interface RunExpectancyMatrix {
+    runs: { [state in BaseState]: [number, number, number] };
+    scoring: { [state in BaseState]: [number, number, number] };
+}
+
+export const RUN_EXPECTANCY: RunExpectancyMatrix;
+
+/** Runs expected in the rest of the half-inning. */
+export function runExpectancy(state: BaseState | string, outs: number, matrix?: RunExpectancyMatrix): number;
+
+/** Builds a run expectancy matrix from a set of games; `counts` are the plate appearances seen per state. */
+export function runExpectancyMatrix(games: (BaseballGame | MlbPlateAppearance[])[]): RunExpectancyMatrix & {
+    counts: { [state in BaseState]: [number, number, number] };
+};
+
+/** Probability that the home team wins from a game state. */
+export function winExpectancy(
+    state: { inning: number; half: 'top' | 'bottom'; outs?: number; baseState?: BaseState | string; homeLead?: number },
+    options?: { matrix?: RunExpectancyMatrix }
+): number;
+
+/** A plate appearance with run and win expectancy for the batting team. */
+export interface AnnotatedPlateAppearance extends MlbPlateAppearance {
+    reBefore: number;
+    reAfter: number | null;
+    re24: number | null;
+    weBefore: number | null;
+    weAfter: number | null;
+    wpa: number | null;
+}
+
+/** Annotates the plate appearances of a MLB game with RE24, WE and WPA. */
+export function annotateMlbPlateAppearances(game: BaseballGame, options?: { matrix?: RunExpectancyMatrix }): AnnotatedPlateAppearance[];
@@ -0,0 +1,52 @@
+import type {
+    BoxScore, Competitor, Competition, DateArgument, GameBoxScore, GameHeader, GameInfo, GameStandings, Leaders,
+    Picks, Play, PlayByPlayBase, Schedule, Scoreboard, Season, SeasonGame, SeasonGamesOptions, SeasonSeries,
+    Standings, TeamInfo, TeamList, WinProbability
+} from './espn.js';
+import type { BasketballPlayRow, BasketballPossession, FlatBoxScore, LineupStint } from './pbp.js';
+
+export interface NbaPlayByPlay extends PlayByPlayBase {
+    id: string;
+    plays: Play[];
+    seasonSeries: SeasonSeries[];
+    standings: GameStandings;
+}
+
+/** The summary endpoint carries no `gamepackageJSON`, so the fields read from it are usually undefined. */
+export interface NbaSummary {
+    boxScore: BoxScore;
+    gameInfo: GameInfo;
+    header: GameHeader;
+    teams?: Competitor[];
+    id?: string;
+    plays?: Play[];
+    winProbability?: WinProbability[];
+    leaders: Leaders[];
+    competitions?: Competition[];
+    season?: Season;
+    seasonSeries?: SeasonSeries[];
+    standings?: GameStandings;
+}
+
+export interface NbaPicks extends Picks {
+    seasonSeries: SeasonSeries[];
+}
+
+/** Operations for NBA. */
+export interface NbaService {
+    getPlayByPlay(id: number | string): Promise<NbaPlayByPlay>;
+    getTidyPlayByPlay(id: number | string): Promise<BasketballPlayRow[]>;
+    getPossessions(id: number | string): Promise<BasketballPossession[]>;
+    getLineupStints(id: number | string): Promise<LineupStint[]>;
+    getBoxScore(id: number | string): Promise<GameBoxScore>;
+    getTidyBoxScore(id: number | string): Promise<FlatBoxScore>;
+    getSummary(id: number | string): Promise<NbaSummary>;
+    getPicks(id: number | string): Promise<NbaPicks>;
+    getSchedule(options?: DateArgument): Promise<Schedule>;
+    getScoreboard(options?: DateArgument<{ limit?: number }>): Promise<Scoreboard>;
+    getSeasonGames(options: SeasonGamesOptions): Promise<SeasonGame[]>;
+    getStandings(options?: { year?: number; group?: 'league' | 'conference' | 'division' }): Promise<Standings>;
+    getTeamList(): Promise<TeamList>;
+    getTeamInfo(id: number | string): Promise<TeamInfo>;
+    getTeamPlayers(id: number | string): Promise<TeamInfo>;
+}
@@ -0,0 +1,130 @@
+import type { DateOptions } from './espn.js';
+
+/** Sport codes of stats.ncaa.org, e.g. `'MBB'` for men's basketball or `'MFB'` for football. */
+export type NcaaSportCode =
+    | 'MBA' | 'MBB' | 'MFB' | 'MIH' | 'MLA' | 'MSO' | 'MTE' | 'MVB' | 'MWP'
+    | 'WBB' | 'WBW' | 'WFH' | 'WIH' | 'WLA' | 'WSB' | 'WSO' | 'WSV' | 'WTE' | 'WVB' | 'WWP'
+    | string;
+
+/** An option of a stats.ncaa.org select list. */
+export interface SelectOption {
+    value: string;
+    name: string;
+}
+
+export interface NcaaTeamNames {
+    char6: string;
+    short: string;
+    seo: string;
+    full: string;
+}
+
+export interface NcaaGameInfo {
+    id: string;
+    status: {
+        gameState: 'pre' | 'live' | 'final' | string;
+        currentPeriod?: string;
+        finalMessage?: string;
+        winner?: 'home' | 'away' | string;
+        startDate?: string;
+        startTime?: string;
+        [key: string]: unknown;
+    };
+    venue?: { name?: string; city?: string; state?: string; [key: string]: unknown };
+    home: { score: string; names: NcaaTeamNames; record?: string; [key: string]: unknown };
+    away: { score: string; names: NcaaTeamNames; record?: string; [key: string]: unknown };
+    [key: string]: unknown;
+}
+
+export interface NcaaGameMeta {
+    title?: string;
+    description?: string;
+    period?: string;
+    status?: string;
+    division?: string;
+    teams: { homeTeam: 'true' | 'false'; id: string; seoName?: string; sixCharAbbr?: string; shortName: string; color?: string; [key: string]: unknown }[];
+    [key: string]: unknown;
+}
+
+export interface NcaaBoxScore {
+    meta: NcaaGameMeta;
+    teams: {
+        teamId: string;
+        playerStats: ({ id?: string; firstName: string; lastName: string; position?: string } & { [stat: string]: string | undefined })[];
+        playerTotals?: { [stat: string]: string };
+        [key: string]: unknown;
+    }[];
+    [key: string]: unknown;
+}
+
+export interface NcaaPlayByPlay {
+    meta: NcaaGameMeta;
+    periods: {
+        periodNumber: string;
+        periodDisplay: string;
+        playStats: { time: string; score: string; visitorText: string; homeText: string; [key: string]: unknown }[];
+        [key: string]: unknown;
+    }[];
+    [key: string]: unknown;
+}
+
+export interface NcaaScoreboardTeam {
+    score: string;
+    names: NcaaTeamNames;
+    winner: boolean;
+    seed?: string;
+    rank?: string;
+    description?: string;
+    [key: string]: unknown;
+}
+
+export interface NcaaScoreboard {
+    updated_at?: string;
+    games: {
+        game: {
+            gameID: string;
+            url: string;
+            gameState: string;
+            startDate: string;
+            startTime?: string;
+            startTimeEpoch?: string;
+            currentPeriod?: string;
+            finalMessage?: string;
+            home: NcaaScoreboardTeam;
+            away: NcaaScoreboardTeam;
+            [key: string]: unknown;
+        };
+    }[];
+    [key: string]: unknown;
+}
+
+export interface NcaaSportDivisionData {
+    sport: string;
+    season: string | number;
+    division: string | number;
+    type: 'individual' | 'team' | string;
+    gameHigh: boolean | string;
+    rankingsPeriods: SelectOption[];
+    categories: SelectOption[];
+}
+
+/** Tables of a stats.ncaa.org rankings page, each a list of rows keyed by column header. */
+export type NcaaRankingTables = { [column: string]: string }[][];
+
+/** Operations for NCAA Sports. */
+export interface NcaaService {
+    /** Game id an older ncaa.com game url redirects to. */
+    getRedirectUrl(url: string): Promise<number>;
+    getInfo(game: number | string): Promise<NcaaGameInfo>;
+    getBoxScore(game: number | string): Promise<NcaaBoxScore>;
+    getPlayByPlay(game: number | string): Promise<NcaaPlayByPlay>;
+    /** `sport` and `division` as in ncaa.com urls, e.g. `'basketball-men'` and `'d1'`. */
+    getScoreboard(options: DateOptions & { sport: string; division: string }): Promise<NcaaScoreboard>;
+    extractSelectList($: unknown, array: SelectOption[], id: string): void;
+    getSports(): Promise<{ sports: SelectOption[] }>;
+    getSeasons(sport: NcaaSportCode): Promise<{ seasons: SelectOption[] }>;
+    getDivisions(sport: NcaaSportCode, season: number | string): Promise<{ divisions: SelectOption[] }>;
+    getSportDivisionData(sport: NcaaSportCode, season: number | string, division: number | string, type?: 'individual' | 'team', gameHigh?: boolean | 'true' | 'false'): Promise<NcaaSportDivisionData>;
+    getPlayerData(sport: NcaaSportCode, season?: number | string, division?: number | string, rankingPeriod?: number | string, gameHigh?: 'Y' | 'N', category?: number | string): Promise<NcaaRankingTables>;
+    getTeamData(sport: NcaaSportCode, season?: number | string, division?: number | string, rankingPeriod?: number | string, gameHigh?: 'Y' | 'N', category?: number | string): Promise<NcaaRankingTables>;
+}
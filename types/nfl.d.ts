@@ -0,0 +1,53 @@
+import type {
+    BoxScore, Competitor, Competition, DateArgument, Drives, GameBoxScore, GameHeader, GameInfo, GameStandings, Leaders,
+    Picks, PlayByPlayBase, Schedule, Scoreboard, ScoringPlay, Season, SeasonGame, SeasonGamesOptions, Standings,
+    TeamInfo, TeamList, WinProbability
+} from './espn.js';
+import type { FlatBoxScore, FootballPlayRow } from './pbp.js';
+
+export interface NflPlayByPlay extends PlayByPlayBase {
+    id: number;
+    drives: Drives;
+    week?: number;
+    scoringPlays?: ScoringPlay[];
+    standings: GameStandings;
+}
+
+export interface NflSummary {
+    id: number;
+    boxScore: BoxScore;
+    gameInfo: GameInfo;
+    drives: Drives;
+    leaders: Leaders[];
+    header: GameHeader;
+    teams: Competitor[];
+    scoringPlays?: ScoringPlay[];
+    winProbability?: WinProbability[];
+    competitions: Competition[];
+    season: Season;
+    week?: number;
+    standings: GameStandings;
+}
+
+export interface NflPicks extends Picks {
+    week?: number;
+}
+
+/** Operations for NFL. */
+export interface NflService {
+    getPlayByPlay(id: number | string): Promise<NflPlayByPlay>;
+    getTidyPlayByPlay(id: number | string): Promise<FootballPlayRow[]>;
+    getBoxScore(id: number | string): Promise<GameBoxScore>;
+    getTidyBoxScore(id: number | string): Promise<FlatBoxScore>;
+    getSummary(id: number | string): Promise<NflSummary>;
+    getPicks(id: number | string): Promise<NflPicks>;
+    getSchedule(options?: DateArgument): Promise<Schedule>;
+    /** Defaults to week 1 of the regular season of the current year. */
+    getWeeklySchedule(options?: { week?: number; year?: number; seasonType?: 1 | 2 | 3 }): Promise<Schedule>;
+    getScoreboard(options?: DateArgument<{ limit?: number }>): Promise<Scoreboard>;
+    getSeasonGames(options: SeasonGamesOptions): Promise<SeasonGame[]>;
+    getStandings(options?: { year?: number; group?: 'league' | 'conference' | 'division' }): Promise<Standings>;
+    getTeamList(): Promise<TeamList>;
+    getTeamInfo(options: { id: number | string }): Promise<TeamInfo>;
+    getTeamPlayers(options: { id: number | string }): Promise<TeamInfo>;
+}
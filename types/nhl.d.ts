@@ -0,0 +1,56 @@
+import type {
+    BoxScore, Competitor, Competition, DateArgument, GameBoxScore, GameHeader, GameInfo, GameStandings, Leaders,
+    Picks, Play, PlayByPlayBase, Schedule, Scoreboard, Season, SeasonGame, SeasonGamesOptions, SeasonSeries,
+    Standings, TeamInfo, TeamList
+} from './espn.js';
+import type { FlatBoxScore, NhlPlayerShotMetrics, NhlShotAttempt, NhlTeamShotMetrics } from './pbp.js';
+
+/** A hockey play; `strength` is the manpower situation of the team of the play. */
+export interface NhlPlay extends Play {
+    strength?: { id: string; text: string; abbreviation: 'ev' | 'pp' | 'sh' | string };
+}
+
+export interface NhlPlayByPlay extends PlayByPlayBase {
+    id: number;
+    plays: NhlPlay[];
+    onIce?: unknown[];
+    seasonSeries: SeasonSeries[];
+    standings: GameStandings;
+}
+
+export interface NhlSummary {
+    boxScore: BoxScore;
+    gameInfo: GameInfo;
+    header: GameHeader;
+    teams: Competitor[];
+    id: number;
+    plays: NhlPlay[];
+    onIce?: unknown[];
+    leaders: Leaders[];
+    competitions: Competition[];
+    season: Season;
+    seasonSeries: SeasonSeries[];
+    standings: GameStandings;
+}
+
+export interface NhlPicks extends Omit<Picks, 'winProbability'> {
+    seasonSeries: SeasonSeries[];
+}
+
+/** Operations for NHL. */
+export interface NhlService {
+    getPlayByPlay(id: number | string): Promise<NhlPlayByPlay>;
+    getShotAttempts(id: number | string): Promise<NhlShotAttempt[]>;
+    getShotMetrics(id: number | string): Promise<{ teams: NhlTeamShotMetrics[]; players: NhlPlayerShotMetrics[] }>;
+    getBoxScore(id: number | string): Promise<GameBoxScore>;
+    getTidyBoxScore(id: number | string): Promise<FlatBoxScore>;
+    getSummary(id: number | string): Promise<NhlSummary>;
+    getPicks(id: number | string): Promise<NhlPicks>;
+    getSchedule(options?: DateArgument): Promise<Schedule>;
+    getScoreboard(options?: DateArgument<{ limit?: number }>): Promise<Scoreboard>;
+    getSeasonGames(options: SeasonGamesOptions): Promise<SeasonGame[]>;
+    getStandings(options?: { year?: number; group?: 'league' | 'conference' | 'division' }): Promise<Standings>;
+    getTeamList(): Promise<TeamList>;
+    getTeamInfo(id: number | string): Promise<TeamInfo>;
+    getTeamPlayers(id: number | string): Promise<TeamInfo>;
+}
@@ -0,0 +1,393 @@
+import type { BoxScore, FootballPlay } from './espn.js';
+
+/** Basketball league whose play-by-play can be flattened. */
+export type BasketballLeague = 'nba' | 'wnba' | 'mbb' | 'wbb';
+
+/** One play of a basketball game, as flattened by `tidyBasketballPlays`. */
+export interface BasketballPlayRow {
+    gameId: string;
+    playId: string;
+    sequenceNumber: number | null;
+    period: number | null;
+    /** Clock as displayed, e.g. `'11:45'`. */
+    clock: string | null;
+    /** Seconds left in the period. */
+    clockSeconds: number | null;
+    periodSecondsElapsed: number | null;
+    /** Seconds since tip-off, overtime periods following regulation. */
+    gameSecondsElapsed: number | null;
+    typeId: string | null;
+    type: string | null;
+    text: string | null;
+    teamId: string | null;
+    homeAway: 'home' | 'away' | null;
+    scoringPlay: boolean;
+    scoreValue: number;
+    shootingPlay: boolean;
+    /** Shot columns are null for plays that are not shots. */
+    shotMade: boolean | null;
+    shotType: 'free throw' | 'dunk' | 'layup' | 'hook shot' | 'tip shot' | 'jump shot' | null;
+    shotValue: 1 | 2 | 3 | null;
+    coordinateX: number | null;
+    coordinateY: number | null;
+    athlete1Id: string | null;
+    athlete2Id: string | null;
+    athlete3Id: string | null;
+    assistAthleteId: string | null;
+    homeScoreBefore: number;
+    awayScoreBefore: number;
+    homeScore: number;
+    awayScore: number;
+    /** Home score minus away score after the play. */
+    homeScoreDifferential: number;
+    awayScoreDifferential: number;
+    wallclock: string | null;
+}
+
+export const BASKETBALL_PERIODS: { [league in BasketballLeague]: { periods: number; length: number; overtime: number } };
+
+/** Flattens the plays of a `getPlayByPlay` result of nba, wnba, mbb or wbb into one row per play. */
+export function tidyBasketballPlays(
+    game: { id: string | number; teams?: { id: string; homeAway: string; team?: { id: string } }[]; plays?: unknown[] },
+    options: { league: BasketballLeague }
+): BasketballPlayRow[];
+
+/** A possession of a basketball game, as split by `basketballPossessions`. */
+export interface BasketballPossession {
+    gameId: string;
+    number: number;
+    period: number | null;
+    teamId: string;
+    homeAway: 'home' | 'away' | null;
+    startPlayId: string;
+    endPlayId: string;
+    startGameSeconds: number | null;
+    endGameSeconds: number | null;
+    plays: number;
+    points: number;
+    endReason: 'made shot' | 'free throws' | 'turnover' | 'defensive rebound' | 'end of period' | 'change of possession' | null;
+}
+
+/** A play with the players on the floor, sorted by id. */
+export interface BasketballLineupRow extends BasketballPlayRow {
+    homePlayerIds: string[];
+    awayPlayerIds: string[];
+}
+
+/** A stretch of a basketball game with the same ten players on the floor. */
+export interface LineupStint {
+    gameId: string;
+    number: number;
+    period: number | null;
+    homePlayerIds: string[];
+    awayPlayerIds: string[];
+    startPlayId: string;
+    endPlayId: string;
+    startGameSeconds: number | null;
+    endGameSeconds: number | null;
+    seconds: number;
+    plays: number;
+    homePoints: number;
+    awayPoints: number;
+}
+
+/** Box score with the players of both teams, as in `getPlayByPlay` or `getBoxScore`. */
+export interface RosterBoxScore {
+    players?: { team: { id: string }; statistics: { athletes: { athlete: { id: string }; starter?: boolean }[] }[] }[];
+}
+
+export function basketballPossessions(rows: BasketballPlayRow[]): BasketballPossession[];
+
+export function basketballLineups(rows: BasketballPlayRow[], boxScore: RosterBoxScore): BasketballLineupRow[];
+
+export function basketballStints(rows: BasketballPlayRow[], boxScore: RosterBoxScore): LineupStint[];
+
+export function boxScoreRosters(boxScore: RosterBoxScore): { teams: { [athleteId: string]: string }; starters: { [teamId: string]: string[] } };
+
+/** Value of a stat column of `flattenBoxScore`, null when the box score leaves it empty. */
+export type BoxScoreStatValue = number | string | null;
+
+/** One stat group of a player, as flattened by `flattenBoxScore`. */
+export interface BoxScorePlayerRow {
+    gameId: string | null;
+    teamId: string | null;
+    teamAbbreviation: string | null;
+    homeAway: 'home' | 'away' | null;
+    athleteId: string | null;
+    athleteName: string | null;
+    jersey: string | null;
+    position: string | null;
+    /** Stat group, e.g. `'passing'` or `'batting'`; null in basketball. */
+    category: string | null;
+    starter: boolean | null;
+    didNotPlay: boolean;
+    ejected: boolean;
+    /** Stats by key, paired values such as `'7-14'` split into a column per key. */
+    [stat: string]: BoxScoreStatValue | boolean;
+}
+
+/** Team stats of a game, as flattened by `flattenBoxScore`. */
+export interface BoxScoreTeamRow {
+    gameId: string | null;
+    teamId: string | null;
+    teamAbbreviation: string | null;
+    homeAway: 'home' | 'away' | null;
+    [stat: string]: BoxScoreStatValue;
+}
+
+export interface FlatBoxScore {
+    players: BoxScorePlayerRow[];
+    teams: BoxScoreTeamRow[];
+}
+
+export function boxScoreValue(value: string | number | null | undefined): BoxScoreStatValue;
+
+export function flattenBoxScore(boxScore: BoxScore, options?: { gameId?: number | string }): FlatBoxScore;
+
+/** A play of a football game with the drive it belongs to. */
+export interface FootballDrivePlay extends FootballPlay {
+    driveId: string;
+}
+
+/** A `getPlayByPlay` result of nfl or cfb. */
+export interface FootballGame {
+    teams?: { id: string; homeAway: string; team?: { id: string } }[];
+    drives?: { previous?: { id: string; plays: FootballPlay[] }[]; current?: { id: string; plays: FootballPlay[] } };
+}
+
+/** Seconds left in regulation, or in the overtime period, at the start of a play. */
+export function secondsRemaining(play: { period?: { number: number }; clock?: { displayValue: string } }): number | null;
+
+/** Every play of a football game in order, across its drives. */
+export function footballPlays(game: FootballGame): FootballDrivePlay[];
+
+/** Standardized football play type, see `footballPlayType`. */
+export type FootballPlayType =
+    | 'rush' | 'pass' | 'sack' | 'punt' | 'field goal' | 'extra point' | 'two point'
+    | 'kickoff' | 'penalty' | 'safety' | 'timeout' | 'end of period' | 'other';
+
+/** One play of a football game, as flattened by `tidyFootballPlays`. */
+export interface FootballPlayRow {
+    gameId: string;
+    driveId: string;
+    driveNumber: number | null;
+    driveResult: string | null;
+    playId: string;
+    sequenceNumber: number | null;
+    period: number | null;
+    clock: string | null;
+    clockSeconds: number | null;
+    /** Seconds left in regulation, or in the overtime period. */
+    secondsRemaining: number | null;
+    /** Team with the ball at the start of the play, the kicking team on kickoffs. */
+    offenseTeamId: string | null;
+    defenseTeamId: string | null;
+    homeAway: 'home' | 'away' | null;
+    /** Null on plays without a down such as kickoffs and extra points. */
+    down: number | null;
+    distance: number | null;
+    yardLine: number | null;
+    yardsToGoal: number | null;
+    yardsGained: number | null;
+    typeId: string | null;
+    type: string | null;
+    playType: FootballPlayType;
+    text: string | null;
+    passerId: string | null;
+    passerName: string | null;
+    rusherId: string | null;
+    rusherName: string | null;
+    receiverId: string | null;
+    receiverName: string | null;
+    pass: boolean;
+    rush: boolean;
+    penalty: boolean;
+    scoringPlay: boolean;
+    touchdown: boolean;
+    fieldGoalMade: boolean;
+    safety: boolean;
+    interception: boolean;
+    fumbleLost: boolean;
+    turnover: boolean;
+    homeScore: number;
+    awayScore: number;
+    wallclock: string | null;
+}
+
+/** Standardized type of a football play. */
+export function footballPlayType(play: { type?: { text?: string }; text?: string }): FootballPlayType;
+
+/** Flattens the drives of a `getPlayByPlay` result of nfl or cfb into one row per play. */
+export function tidyFootballPlays(game: FootballGame & { id: string | number }): FootballPlayRow[];
+
+/** Strength state of a NHL shot attempt, from the point of view of a team. */
+export type NhlStrength = '5v5' | 'pp' | 'pk' | 'other';
+
+/** A shot attempt of a NHL game, as listed by `nhlShotAttempts`. */
+export interface NhlShotAttempt {
+    gameId: string;
+    playId: string;
+    period: number | null;
+    clock: string | null;
+    clockSeconds: number | null;
+    teamId: string;
+    homeAway: 'home' | 'away' | null;
+    shooterId: string | null;
+    result: 'goal' | 'shot' | 'miss' | 'block';
+    shotType: 'wrap-around' | 'tip-in' | 'deflected' | 'backhand' | 'slap shot' | 'snap shot' | 'wrist shot' | null;
+    /** Strength state of the shooting team. */
+    strength: NhlStrength;
+    corsi: boolean;
+    fenwick: boolean;
+    coordinateX: number | null;
+    coordinateY: number | null;
+    /** Feet from the center of the net the team attacks. */
+    distance: number | null;
+    /** Degrees from straight on, above 90 from behind the goal line. */
+    angle: number | null;
+    homeScore: number;
+    awayScore: number;
+}
+
+/** Corsi and Fenwick counts; percentages are null without attempts. */
+export interface NhlShotCounts {
+    cf: number;
+    ca: number;
+    ff: number;
+    fa: number;
+    goalsFor: number;
+    goalsAgainst: number;
+    shotsFor: number;
+    shotsAgainst: number;
+    cfPct: number | null;
+    ffPct: number | null;
+}
+
+export interface NhlTeamShotMetrics extends NhlShotCounts {
+    teamId: string;
+    homeAway: 'home' | 'away' | null;
+    strength: 'all' | '5v5' | 'pp' | 'pk';
+}
+
+/** On-ice counts are null without on-ice players; `icf` and `iff` are the player's own attempts. */
+export interface NhlPlayerShotMetrics {
+    athleteId: string;
+    teamId: string;
+    strength: 'all' | '5v5' | 'pp' | 'pk';
+    cf: number | null;
+    ca: number | null;
+    ff: number | null;
+    fa: number | null;
+    goalsFor: number | null;
+    goalsAgainst: number | null;
+    shotsFor: number | null;
+    shotsAgainst: number | null;
+    cfPct: number | null;
+    ffPct: number | null;
+    icf: number;
+    iff: number;
+    goals: number;
+}
+
+/** A `getPlayByPlay` result of nhl; `onIce` entries give the players on the ice for a play. */
+export interface HockeyGame {
+    id: string | number;
+    teams?: { id: string; homeAway: string; team?: { id: string } }[];
+    plays?: unknown[];
+    onIce?: unknown[];
+}
+
+/** Lists the shot attempts of a NHL game with their location. */
+export function nhlShotAttempts(game: HockeyGame): NhlShotAttempt[];
+
+/** Corsi and Fenwick of a NHL game for each team and player, overall and by strength state. */
+export function nhlShotMetrics(game: HockeyGame): { teams: NhlTeamShotMetrics[]; players: NhlPlayerShotMetrics[] };
+
+/** A plate appearance of a MLB game, as listed by `mlbPlateAppearances`. */
+export interface MlbPlateAppearance {
+    gameId: string;
+    atBatId: string;
+    number: number;
+    inning: number | null;
+    half: 'top' | 'bottom' | null;
+    battingTeamId: string | null;
+    fieldingTeamId: string | null;
+    homeAway: 'home' | 'away' | null;
+    batterId: string | null;
+    pitcherId: string | null;
+    batterHand: string | null;
+    outsBefore: number;
+    outsAfter: number | null;
+    result: string | null;
+    resultType:
+        | 'home run' | 'triple' | 'double play' | 'double' | 'single' | 'intentional walk' | 'walk' | 'hit by pitch'
+        | 'strikeout' | 'sacrifice' | 'fielders choice' | 'error' | 'field out' | 'other' | null;
+    text: string | null;
+    rbi: number;
+    /** Runs the batting team scored during the plate appearance. */
+    runs: number;
+    pitches: number;
+    balls: number;
+    strikes: number;
+    trajectory: string | null;
+    hitCoordinateX: number | null;
+    hitCoordinateY: number | null;
+    homeScoreBefore: number;
+    awayScoreBefore: number;
+    homeScore: number;
+    awayScore: number;
+    /** Runners on first, second and third, e.g. `'1_3'`. */
+    baseStateBefore: string;
+    baseStateAfter: string | null;
+    runnerOnFirstBefore: string | null;
+    runnerOnSecondBefore: string | null;
+    runnerOnThirdBefore: string | null;
+    runnerOnFirstAfter: string | null;
+    runnerOnSecondAfter: string | null;
+    runnerOnThirdAfter: string | null;
+}
+
+/** A pitch of a MLB game, as listed by `mlbPitches`. */
+export interface MlbPitch {
+    gameId: string;
+    atBatId: string | null;
+    playId: string;
+    gamePitchNumber: number;
+    pitchNumber: number | null;
+    pitcherPitchNumber: number | null;
+    inning: number | null;
+    half: 'top' | 'bottom' | null;
+    battingTeamId: string | null;
+    batterId: string | null;
+    pitcherId: string | null;
+    batterHand: string | null;
+    outs: number | null;
+    /** Count the pitch is thrown in. */
+    balls: number | null;
+    strikes: number | null;
+    ballsAfter: number | null;
+    strikesAfter: number | null;
+    result: string | null;
+    resultType: 'hit by pitch' | 'foul' | 'swinging strike' | 'called strike' | 'in play' | 'ball' | 'other';
+    pitchType: string | null;
+    pitchTypeAbbreviation: string | null;
+    velocity: number | null;
+    coordinateX: number | null;
+    coordinateY: number | null;
+}
+
+/** A `getPlayByPlay` result of mlb. */
+export interface BaseballGame {
+    id: string | number;
+    teams?: { id: string; homeAway: string; team?: { id: string } }[];
+    plays?: unknown[];
+}
+
+/** Writes the runners on base as a base state such as `'12_'`. */
+export function baseState(runners: { first?: string | null; second?: string | null; third?: string | null }): string;
+
+/** Lists the plate appearances of a MLB game. */
+export function mlbPlateAppearances(game: BaseballGame): MlbPlateAppearance[];
+
+/** Lists the pitches of a MLB game. */
+export function mlbPitches(game: BaseballGame): MlbPitch[];
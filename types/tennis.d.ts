@@ -0,0 +1,40 @@
+import type { DateArgument, Status } from './espn.js';
+
+export interface TennisMatch {
+    id: string;
+    date: string;
+    round?: { id: number; displayName: string };
+    status?: Status;
+    competitors: {
+        id: string;
+        order: number;
+        winner?: boolean;
+        athlete: { id?: string; displayName: string; [key: string]: unknown };
+        linescores?: { value: number; [key: string]: unknown }[];
+        [key: string]: unknown;
+    }[];
+    [key: string]: unknown;
+}
+
+export interface TennisScoreboard {
+    leagues: { id: string; name?: string; abbreviation?: string; slug?: string; [key: string]: unknown }[];
+    day?: { date: string };
+    events: {
+        id: string;
+        name: string;
+        shortName?: string;
+        date: string;
+        endDate?: string;
+        groupings: {
+            grouping: { id: string; slug: string; displayName: string };
+            competitions: TennisMatch[];
+        }[];
+        [key: string]: unknown;
+    }[];
+    [key: string]: unknown;
+}
+
+/** Operations for Tennis. */
+export interface TennisService {
+    getScoreboard(options?: DateArgument<{ league?: 'atp' | 'wta' }>): Promise<TennisScoreboard>;
+}
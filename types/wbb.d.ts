@@ -0,0 +1,26 @@
+import type { Conferences, DateArgument, GameBoxScore, Schedule, Scoreboard, SeasonGame, SeasonGamesOptions, Standings, TeamInfo, TeamList } from './espn.js';
+import type { BasketballPlayRow, BasketballPossession, FlatBoxScore, LineupStint } from './pbp.js';
+import type { MbbPlayByPlay, MbbSummary } from './mbb.js';
+
+export type WbbPlayByPlay = MbbPlayByPlay;
+export type WbbSummary = MbbSummary;
+
+/** Operations for Women's College Basketball. */
+export interface WbbService {
+    getPlayByPlay(id: number | string): Promise<WbbPlayByPlay>;
+    getTidyPlayByPlay(id: number | string): Promise<BasketballPlayRow[]>;
+    getPossessions(id: number | string): Promise<BasketballPossession[]>;
+    getLineupStints(id: number | string): Promise<LineupStint[]>;
+    getBoxScore(id: number | string): Promise<GameBoxScore>;
+    getTidyBoxScore(id: number | string): Promise<FlatBoxScore>;
+    getSummary(id: number | string): Promise<WbbSummary>;
+    /** `groups` 50 is Division I. */
+    getSchedule(options?: DateArgument<{ groups?: number; seasontype?: 1 | 2 | 3; limit?: number }>): Promise<Schedule>;
+    getScoreboard(options?: DateArgument<{ group?: number; seasontype?: 1 | 2 | 3; limit?: number }>): Promise<Scoreboard>;
+    getSeasonGames(options: SeasonGamesOptions & { group?: number }): Promise<SeasonGame[]>;
+    getConferences(options?: { year?: number; group?: number }): Promise<Conferences>;
+    getStandings(options?: { year?: number; group?: number }): Promise<Standings>;
+    getTeamList(options?: { group?: number }): Promise<TeamList>;
+    getTeamInfo(id: number | string): Promise<TeamInfo>;
+    getTeamPlayers(id: number | string): Promise<TeamInfo>;
+}
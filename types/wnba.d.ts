@@ -0,0 +1,46 @@
+import type {
+    BoxScore, Competitor, Competition, DateArgument, GameBoxScore, GameHeader, GameInfo, GameStandings, Leaders,
+    Play, PlayByPlayBase, Schedule, Scoreboard, Season, SeasonGame, SeasonGamesOptions, SeasonSeries, Standings,
+    TeamInfo, TeamList, WinProbability
+} from './espn.js';
+import type { BasketballPlayRow, BasketballPossession, FlatBoxScore, LineupStint } from './pbp.js';
+
+export interface WnbaPlayByPlay extends PlayByPlayBase {
+    id: string;
+    plays: Play[];
+    seasonSeries: SeasonSeries[];
+    standings: GameStandings;
+}
+
+export interface WnbaSummary {
+    boxScore: BoxScore;
+    gameInfo: GameInfo;
+    header: GameHeader;
+    teams: Competitor[];
+    id: string;
+    plays: Play[];
+    winProbability?: WinProbability[];
+    leaders: Leaders[];
+    competitions: Competition[];
+    season: Season;
+    seasonSeries: SeasonSeries[];
+    standings: GameStandings;
+}
+
+/** Operations for WNBA. */
+export interface WnbaService {
+    getPlayByPlay(id: number | string): Promise<WnbaPlayByPlay>;
+    getTidyPlayByPlay(id: number | string): Promise<BasketballPlayRow[]>;
+    getPossessions(id: number | string): Promise<BasketballPossession[]>;
+    getLineupStints(id: number | string): Promise<LineupStint[]>;
+    getBoxScore(id: number | string): Promise<GameBoxScore>;
+    getTidyBoxScore(id: number | string): Promise<FlatBoxScore>;
+    getSummary(id: number | string): Promise<WnbaSummary>;
+    getSchedule(options?: DateArgument): Promise<Schedule>;
+    getScoreboard(options?: DateArgument<{ limit?: number }>): Promise<Scoreboard>;
+    getSeasonGames(options: SeasonGamesOptions): Promise<SeasonGame[]>;
+    getStandings(options?: { year?: number; group?: 'league' | 'conference' | 'division' }): Promise<Standings>;
+    getTeamList(options?: {}): Promise<TeamList>;
+    getTeamInfo(id: number | string): Promise<TeamInfo>;
+    getTeamPlayers(id: number | string): Promise<TeamInfo>;
+}